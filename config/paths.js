@@ -13,10 +13,16 @@ const paths = {
     serverFolders: path.join(DATA_DIR, 'server-folders'),
     outputs: path.join(DATA_DIR, 'outputs'),
     config: path.join(DATA_DIR, 'config'),
+    jobs: path.join(DATA_DIR, 'jobs'),
+    cache: path.join(DATA_DIR, 'cache'),
 
     // Configuration files
     models: path.join(DATA_DIR, 'config', 'models.json'),
     prompts: path.join(DATA_DIR, 'config', 'prompts.json'),
+    pipelines: path.join(DATA_DIR, 'config', 'pipelines.json'),
+
+    // Spend per day and month, checked against the global budgets
+    spendLedger: path.join(DATA_DIR, 'spend.json'),
 
     // Legacy paths for backward compatibility (if needed)
     legacy: {
@@ -46,7 +52,9 @@ const initializePaths = async () => {
         ensureDir(paths.uploads),
         ensureDir(paths.serverFolders),
         ensureDir(paths.outputs),
-        ensureDir(paths.config)
+        ensureDir(paths.config),
+        ensureDir(paths.jobs),
+        ensureDir(paths.cache)
     ]);
 };
 
@@ -10,16 +10,24 @@ const resultsList = document.getElementById('resultsList');
 const errorMessage = document.getElementById('errorMessage');
 const modelSelect = document.getElementById('model');
 const modelInfo = document.getElementById('modelInfo');
+const estimateBtn = document.getElementById('estimateBtn');
+const estimateResult = document.getElementById('estimateResult');
 
 // Global model data and results tracking
 let modelsData = [];
 let currentTimestampFolder = null;
+let currentJobId = null;
 let isSubmitting = false;
 
+// How often to check on a queued job
+const JOB_POLL_INTERVAL = 2000;
+const FINISHED_JOB_STATUSES = ['completed', 'failed', 'cancelled', 'interrupted', 'budget_exceeded'];
+
 // Event Listeners
 document.addEventListener('DOMContentLoaded', () => {
   fileInput.addEventListener('change', updateFileList);
   uploadForm.addEventListener('submit', handleFormSubmit);
+  estimateBtn.addEventListener('click', handleEstimate);
   modelSelect.addEventListener('change', updateModelInfo);
 
   // Drag and drop event listeners
@@ -111,20 +119,21 @@ async function loadModels() {
     const data = await response.json();
     modelsData = data.models;
 
-    // Group models by provider
+    // Group models by tier (older models.json files keep the tier in "provider")
     const modelsByProvider = {};
 
     modelsData.forEach(model => {
-      if (!modelsByProvider[model.provider]) {
-        modelsByProvider[model.provider] = [];
+      const group = model.tier || model.provider;
+      if (!modelsByProvider[group]) {
+        modelsByProvider[group] = [];
       }
-      modelsByProvider[model.provider].push(model);
+      modelsByProvider[group].push(model);
     });
 
     // Clear loading option
     modelSelect.innerHTML = '';
 
-    // Add models to dropdown grouped by provider
+    // Add models to dropdown grouped by tier
     Object.keys(modelsByProvider).forEach(provider => {
       const optgroup = document.createElement('optgroup');
       optgroup.label = provider;
@@ -225,14 +234,110 @@ async function handleFormSubmit(e) {
   if (isSubmitting) {
     return;
   }
-  isSubmitting = true;
 
   resultsList.innerHTML = '';
   errorMessage.classList.add('hidden');
   errorMessage.textContent = '';
 
+  const formData = buildRequestFormData();
+  if (!formData) {
+    return;
+  }
+
+  isSubmitting = true;
   submitBtn.disabled = true;
+  processingStatus.classList.remove('hidden');
+  results.classList.add('hidden');
+  estimateResult.classList.add('hidden');
+
+  try {
+    const response = await fetch('/api/process-files', {
+      method: 'POST',
+      body: formData
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to process files');
+    }
+
+    // The server queues the batch and returns a job ID straight away
+    if (typeof setProgressJob === 'function') {
+      setProgressJob(data.jobId);
+    }
+    const job = await waitForJob(data.jobId);
+
+    if (job.status === 'failed' || job.status === 'interrupted') {
+      throw new Error(job.error || `Job ${job.status}`);
+    }
+
+    currentTimestampFolder = job.timestampFolder;
+    currentJobId = job.id;
+    displayResults(job.results, job.stats);
+  } catch (error) {
+    showError(error.message || 'An error occurred while processing the files.');
+  } finally {
+    processingStatus.classList.add('hidden');
+    submitBtn.disabled = false;
+    isSubmitting = false;
+  }
+}
+
+/**
+ * Asks the server for the estimated tokens and cost of the selected files
+ */
+async function handleEstimate() {
+  errorMessage.classList.add('hidden');
+
+  const formData = buildRequestFormData();
+  if (!formData) {
+    return;
+  }
+
+  estimateBtn.disabled = true;
+
+  try {
+    const response = await fetch('/api/estimate', {
+      method: 'POST',
+      body: formData
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to estimate cost');
+    }
 
+    displayEstimate(data);
+  } catch (error) {
+    showError(error.message || 'An error occurred while estimating the cost.');
+  } finally {
+    estimateBtn.disabled = false;
+  }
+}
+
+/**
+ * Reads the template variables field (one name=value per line)
+ * @returns {object} - Variable values by name
+ */
+function parseTemplateVariables() {
+  const text = document.getElementById('templateVariables')?.value || '';
+  const variables = {};
+
+  text.split('\n').forEach(line => {
+    const separator = line.indexOf('=');
+    if (separator <= 0) return;
+    variables[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+  });
+  return variables;
+}
+
+/**
+ * Builds the form data shared by processing and estimate requests
+ * @returns {FormData|null} - Form data, or null (after showing an error) if the form is incomplete
+ */
+function buildRequestFormData() {
   const formData = new FormData();
   const prompt = document.getElementById('prompt').value.trim();
   const selectedModel = modelSelect.value;
@@ -242,14 +347,59 @@ async function handleFormSubmit(e) {
   const manualInput = document.getElementById('serverFolderPath');
   const serverFolderPath = (dropdown?.value || manualInput?.value || '').trim();
 
-  if (!prompt) {
+  // A pipeline brings the prompt of each of its steps
+  const pipelineName = document.getElementById('pipelineSelect')?.value;
+  if (!prompt && !pipelineName) {
     showError('Please enter a prompt.');
-    return;
+    return null;
   }
 
   formData.append('prompt', prompt);
+  if (pipelineName) {
+    formData.append('pipelineName', pipelineName);
+  }
   formData.append('model', selectedModel);
 
+  // A saved prompt brings its few-shot examples and content framing
+  const savedPrompt = document.getElementById('savedPrompts')?.value;
+  if (savedPrompt) {
+    formData.append('promptName', savedPrompt);
+  }
+
+  const variables = parseTemplateVariables();
+  if (Object.keys(variables).length > 0) {
+    formData.append('variables', JSON.stringify(variables));
+  }
+
+  const concurrency = document.getElementById('concurrency')?.value.trim();
+  if (concurrency) {
+    formData.append('concurrency', concurrency);
+  }
+
+  const maxCost = document.getElementById('maxCost')?.value.trim();
+  if (maxCost) {
+    formData.append('maxCost', maxCost);
+  }
+
+  const contextMode = document.getElementById('contextMode')?.value;
+  if (contextMode && contextMode !== 'none') {
+    formData.append('contextMode', contextMode);
+  }
+
+  // Left empty, the saved prompt's output name (or the default one) is used
+  const outputName = document.getElementById('outputName')?.value.trim();
+  if (outputName) {
+    formData.append('outputName', outputName);
+  }
+
+  if (document.getElementById('stream')?.checked) {
+    formData.append('stream', 'true');
+  }
+
+  if (document.getElementById('bypassCache')?.checked) {
+    formData.append('bypassCache', 'true');
+  }
+
   // Add server folder path if provided
   if (serverFolderPath) {
     formData.append('serverFolderPath', serverFolderPath);
@@ -272,29 +422,107 @@ async function handleFormSubmit(e) {
   // Validate that we have at least one source
   if (!serverFolderPath && files.length === 0) {
     showError('Please upload files or specify a server folder path.');
-    isSubmitting = false;
-    return;
+    return null;
   }
 
+  return formData;
+}
+
+/**
+ * Formats a dollar amount for display
+ * @param {number|null} cost - Cost in dollars (null when the model has no pricing)
+ * @returns {string} - Formatted cost
+ */
+function formatCost(cost) {
+  if (cost === null || cost === undefined) return 'unknown';
+  return cost < 0.01 ? `$${cost.toFixed(4)}` : `$${cost.toFixed(2)}`;
+}
+
+/**
+ * Formats the request count of an estimate, listing map-reduce requests separately
+ * @param {object} estimate - File or total estimate ({ chunks, reduceRequests })
+ * @returns {string} - Request count
+ */
+function formatRequests(estimate) {
+  return estimate.reduceRequests ? `${estimate.chunks} + ${estimate.reduceRequests} reduce` : `${estimate.chunks}`;
+}
+
+/**
+ * Displays the estimated tokens and cost of a batch
+ * @param {object} estimate - Response of /api/estimate
+ */
+function displayEstimate(estimate) {
+  const rows = estimate.files.map(file => `
+    <tr>
+      <td>${file.file}</td>
+      <td>${formatRequests(file)}</td>
+      <td>${file.inputTokens.toLocaleString()}</td>
+      <td>${file.outputTokens.toLocaleString()}</td>
+      <td>${formatCost(file.cost)}</td>
+    </tr>
+  `).join('');
+
+  // Later pipeline steps work on outputs that don't exist yet, so only the first one is counted
+  const unestimated = estimate.pipeline && estimate.pipeline.unestimatedSteps.length > 0
+    ? `<small class="form-text">Only step "${estimate.pipeline.estimatedStep}" is included; ${estimate.pipeline.unestimatedSteps.map(name => `"${name}"`).join(', ')} can't be estimated until the steps before them have run.</small>`
+    : '';
+
+  estimateResult.innerHTML = `
+    <h3>Estimated Cost (${estimate.model})</h3>
+    <table class="estimate-table">
+      <thead>
+        <tr><th>File</th><th>Requests</th><th>Input Tokens</th><th>Output Tokens</th><th>Cost</th></tr>
+      </thead>
+      <tbody>${rows}</tbody>
+      <tfoot>
+        <tr>
+          <th>Total</th>
+          <th>${formatRequests(estimate.total)}</th>
+          <th>${estimate.total.inputTokens.toLocaleString()}</th>
+          <th>${estimate.total.outputTokens.toLocaleString()}</th>
+          <th>${formatCost(estimate.total.cost)}</th>
+        </tr>
+      </tfoot>
+    </table>
+    <small class="form-text">Output tokens are a rough estimate; cached responses are not counted.</small>
+    ${unestimated}
+  `;
+  estimateResult.classList.remove('hidden');
+}
+
+/**
+ * Resumes a job, reprocessing only the files and chunks that did not complete
+ * @param {string} jobId - ID of the job to resume
+ */
+async function resumeJob(jobId) {
+  if (isSubmitting) return;
+  isSubmitting = true;
+  submitBtn.disabled = true;
+
   processingStatus.classList.remove('hidden');
   results.classList.add('hidden');
 
   try {
-    const response = await fetch('/api/process-files', {
-      method: 'POST',
-      body: formData
-    });
-
+    const response = await fetch(`/api/jobs/${encodeURIComponent(jobId)}/resume`, { method: 'POST' });
     const data = await response.json();
 
     if (!response.ok) {
-      throw new Error(data.message || 'Failed to process files');
+      throw new Error(data.message || 'Failed to resume job');
+    }
+
+    if (typeof setProgressJob === 'function') {
+      setProgressJob(data.jobId);
     }
+    const job = await waitForJob(data.jobId);
 
-    currentTimestampFolder = data.timestampFolder;
-    displayResults(data.results);
+    if (job.status === 'failed' || job.status === 'interrupted') {
+      throw new Error(job.error || `Job ${job.status}`);
+    }
+
+    currentTimestampFolder = job.timestampFolder;
+    displayResults(job.results, job.stats);
   } catch (error) {
-    showError(error.message || 'An error occurred while processing the files.');
+    showError(error.message || 'An error occurred while resuming the job.');
   } finally {
     processingStatus.classList.add('hidden');
     submitBtn.disabled = false;
@@ -302,11 +530,34 @@ async function handleFormSubmit(e) {
   }
 }
 
+/**
+ * Polls a job until it finishes
+ * @param {string} jobId - ID of the queued job
+ * @returns {Promise<object>} - The finished job
+ */
+async function waitForJob(jobId) {
+  while (true) {
+    const response = await fetch(`/api/jobs/${encodeURIComponent(jobId)}`);
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to check job status');
+    }
+
+    if (FINISHED_JOB_STATUSES.includes(data.job.status)) {
+      return data.job;
+    }
+
+    await new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL));
+  }
+}
+
 /**
  * Displays the processing results
  * @param {Array} resultsData - Array of result objects
+ * @param {object} stats - Job summary (optional)
  */
-function displayResults(resultsData) {
+function displayResults(resultsData, stats) {
   if (!resultsData || resultsData.length === 0) {
     showError('No results returned from the server.');
     return;
@@ -314,6 +565,24 @@ function displayResults(resultsData) {
 
   resultsList.innerHTML = '';
 
+  // The job stopped before spending more than its budget
+  if (stats && stats.skipped > 0) {
+    const notice = document.createElement('p');
+    notice.className = 'error-message';
+    notice.textContent = `Budget exceeded: ${stats.skipped} files were skipped. Resume the job once more budget is available.`;
+    resultsList.appendChild(notice);
+  }
+
+  // Tokens and cost of the whole job
+  if (stats && stats.usage) {
+    const summary = document.createElement('p');
+    summary.className = 'usage-summary';
+    summary.textContent = `Total usage: ${stats.usage.inputTokens.toLocaleString()} input + ` +
+      `${stats.usage.outputTokens.toLocaleString()} output tokens, ${formatCost(stats.usage.cost)}` +
+      (stats.usage.estimated ? ' (partly estimated)' : '');
+    resultsList.appendChild(summary);
+  }
+
   // Count successful files
   const successfulFiles = resultsData.filter(result => !result.error).length;
 
@@ -332,14 +601,37 @@ function displayResults(resultsData) {
     resultsList.appendChild(downloadAllContainer);
   }
 
+  // Offer to resume if any file (or chunk of a file) did not complete
+  const unfinishedFiles = resultsData.filter(result => result.error || result.failedChunks).length;
+  if (unfinishedFiles > 0 && currentJobId) {
+    const resumeContainer = document.createElement('div');
+    resumeContainer.className = 'download-all-container';
+
+    const resumeBtn = document.createElement('button');
+    resumeBtn.type = 'button';
+    resumeBtn.textContent = `Resume Job (${unfinishedFiles} unfinished)`;
+    resumeBtn.addEventListener('click', () => resumeJob(currentJobId));
+
+    resumeContainer.appendChild(resumeBtn);
+    resultsList.appendChild(resumeContainer);
+  }
+
   // Add individual results
   resultsData.forEach(result => {
     const resultItem = document.createElement('div');
     resultItem.className = result.error ? 'result-item error-item' : 'result-item';
 
-    if (result.error) {
+    if (result.skipped) {
+      resultItem.innerHTML = `
+        <p><strong>${result.originalFile}</strong>: Skipped - ${result.error}</p>
+      `;
+    } else if (result.error) {
+      // A failed stream keeps the output received so far
+      const partialLink = result.partialPath
+        ? ` <a href="${result.partialPath}" target="_blank">View partial output</a>`
+        : '';
       resultItem.innerHTML = `
-        <p><strong>${result.originalFile}</strong>: Error - ${result.error}</p>
+        <p><strong>${result.originalFile}</strong>: Error - ${result.error}${partialLink}</p>
       `;
     } else {
       // Find model details to display
@@ -347,19 +639,56 @@ function displayResults(resultsData) {
       if (result.model) {
         const model = modelsData.find(m => m.key === result.model);
         if (model) {
-          modelDetails = `${model.name} (${model.provider})`;
+          modelDetails = `${model.name} (${model.tier || model.provider})`;
         } else {
           modelDetails = result.model;
         }
       }
 
       // Use the new path format that includes the timestamp folder
-      const downloadPath = result.outputPath || `/a../data/outputs/${result.timestampFolder}/${result.outputFile}`;
+      const downloadPath = result.outputPath || `/api/data/outputs/${result.timestampFolder}/${result.outputFile}`;
+
+      let notes = '';
+      if (result.reused) notes += ' (reused from an earlier run)';
+      if (result.failedChunks) notes += ` (${result.failedChunks} chunks failed)`;
+      if (result.cache && result.cache.hits > 0) notes += ` (${result.cache.hits} cached responses)`;
+
+      const usage = result.usage
+        ? `<p>Usage: ${result.usage.inputTokens.toLocaleString()} input + ${result.usage.outputTokens.toLocaleString()} output tokens, ${formatCost(result.usage.cost)}</p>`
+        : '';
+
+      // Subtitles and JSON that failed their check are written anyway, with the problems listed
+      const check = result.outputCheck;
+      const checkSummary = check && check.format === 'json'
+        ? `JSON check: ${check.outputCues} of ${check.inputCues} chunk results merged`
+        : check && `Subtitle check: ${check.outputCues} of ${check.inputCues} cues`;
+      const checkWarning = check && !check.valid
+        ? `<div class="output-check-warning">
+            <p>${checkSummary}</p>
+            <ul>${check.issues.map(issue => `<li>${issue}</li>`).join('')}</ul>
+            ${check.omittedIssues ? `<p>and ${check.omittedIssues} more problems</p>` : ''}
+          </div>`
+        : '';
+
+      // PDF and DOCX inputs link to the text the model received
+      const extracted = result.extractedPath
+        ? `<p>Extracted text: <a href="${result.extractedPath}" target="_blank">${result.extractedFile}</a></p>`
+        : '';
+
+      // Each pipeline step saved its own output
+      const steps = result.steps
+        ? `<p>Steps:</p><ol>${result.steps.map(step =>
+          `<li>${step.name} (${step.model || 'default'}): <a href="${step.outputPath}" target="_blank" download>${step.outputFile}</a></li>`).join('')}</ol>`
+        : '';
 
       resultItem.innerHTML = `
-        <p><strong>${result.originalFile}</strong> was processed successfully.</p>
+        <p><strong>${result.originalFile}</strong> was processed successfully${notes}.</p>
         <p>Model used: <span class="model-used">${modelDetails}</span></p>
         <p>Output: <a href="${downloadPath}" target="_blank" download>${result.outputFile}</a></p>
+        ${extracted}
+        ${steps}
+        ${usage}
+        ${checkWarning}
       `;
     }
 
@@ -0,0 +1,58 @@
+// Pipeline selection
+document.addEventListener('DOMContentLoaded', () => {
+  const pipelineSelect = document.getElementById('pipelineSelect');
+  const pipelineSteps = document.getElementById('pipelineSteps');
+  const promptInput = document.getElementById('prompt');
+  let pipelines = [];
+
+  if (!pipelineSelect) return;
+
+  pipelineSelect.addEventListener('change', showSelectedPipeline);
+  loadPipelines();
+
+  /**
+   * Loads the pipelines into the dropdown
+   */
+  async function loadPipelines() {
+    try {
+      const response = await fetch('/api/pipelines');
+
+      if (!response.ok) {
+        throw new Error('Failed to load pipelines');
+      }
+
+      const data = await response.json();
+      pipelines = data.pipelines || [];
+
+      pipelines.forEach(pipeline => {
+        const option = document.createElement('option');
+        option.value = pipeline.name;
+        option.textContent = `${pipeline.name} (${pipeline.steps.length} steps)`;
+        pipelineSelect.appendChild(option);
+      });
+      pipelineSelect.disabled = pipelines.length === 0;
+    } catch (error) {
+      console.error('Error loading pipelines:', error);
+    }
+  }
+
+  /**
+   * Lists the steps of the selected pipeline; the prompt field is not needed while one is selected
+   */
+  function showSelectedPipeline() {
+    const pipeline = pipelines.find(p => p.name === pipelineSelect.value);
+
+    if (promptInput) promptInput.required = !pipeline;
+    if (!pipeline) {
+      pipelineSteps.classList.add('hidden');
+      pipelineSteps.innerHTML = '';
+      return;
+    }
+
+    pipelineSteps.innerHTML = `<ol>${pipeline.steps.map(step => {
+      const prompt = step.prompt ? `saved prompt "${step.prompt}"` : 'own prompt';
+      return `<li><strong>${step.name}</strong>: ${prompt}, ${step.model || 'selected model'}</li>`;
+    }).join('')}</ol>`;
+    pipelineSteps.classList.remove('hidden');
+  }
+});
@@ -1,13 +1,20 @@
 /**
  * Progress Viewer
- * Fetches and displays processing progress information
+ * Subscribes to the progress event stream (or polls when SSE is unavailable)
+ * and displays processing progress information
  */
 
 // Configuration
-const REFRESH_INTERVAL = 3000; // Refresh every 3 seconds
+const REFRESH_INTERVAL = 3000; // Polling fallback: refresh every 3 seconds
 let refreshTimer = null;
+let progressStream = null;
+let streamUnavailable = !window.EventSource;
 let isViewingProgress = false;
 
+// Job launched from this browser tab (kept across reloads)
+const JOB_STORAGE_KEY = 'progressViewerJobId';
+let currentJobId = sessionStorage.getItem(JOB_STORAGE_KEY);
+
 // DOM Elements
 let progressContainer;
 let progressDetails;
@@ -65,7 +72,7 @@ function createProgressViewerElements() {
         <button id="cancelProcessingBtn" class="cancel-btn">Cancel Processing</button>
         <label class="auto-refresh">
           <input type="checkbox" id="autoRefreshToggle" checked>
-          Auto-refresh
+          Live updates
         </label>
       </div>
     </div>
@@ -216,6 +223,9 @@ function createProgressViewerElements() {
     }
     
     .status-idle { color: var(--drop-zone-text); }
+    .status-queued { color: var(--drop-zone-text); }
+    .status-throttled { color: var(--accent-color); }
+    .status-budget_exceeded { color: var(--error-color); }
     .status-processing { color: var(--primary-color); }
     .status-completed { color: var(--success-color); }
     .status-error { color: var(--error-color); }
@@ -293,6 +303,30 @@ function createProgressViewerElements() {
   }
 }
 
+// Follow the progress of a specific job
+function setProgressJob(jobId) {
+  currentJobId = jobId;
+  if (jobId) {
+    sessionStorage.setItem(JOB_STORAGE_KEY, jobId);
+  } else {
+    sessionStorage.removeItem(JOB_STORAGE_KEY);
+  }
+
+  if (isViewingProgress) {
+    fetchProgress();
+
+    // Re-subscribe so the stream only carries this job's events
+    if (refreshToggle.checked) {
+      startAutoRefresh();
+    }
+  }
+}
+
+// Get the progress endpoint for the job being followed
+function getProgressUrl() {
+  return currentJobId ? `/api/progress/${encodeURIComponent(currentJobId)}` : '/api/progress';
+}
+
 // Show the progress viewer
 function showProgressViewer() {
   progressContainer.classList.remove('hidden');
@@ -321,10 +355,13 @@ function toggleAutoRefresh() {
   }
 }
 
-// Start auto-refresh timer
+// Start live updates, preferring the event stream over polling
 function startAutoRefresh() {
-  if (refreshTimer) {
-    clearInterval(refreshTimer);
+  stopAutoRefresh();
+
+  if (!streamUnavailable) {
+    startProgressStream();
+    return;
   }
 
   refreshTimer = setInterval(() => {
@@ -334,18 +371,59 @@ function startAutoRefresh() {
   }, REFRESH_INTERVAL);
 }
 
-// Stop auto-refresh timer
+// Subscribe to the server-sent progress events
+function startProgressStream() {
+  const streamUrl = currentJobId
+    ? `/api/progress/stream?jobId=${encodeURIComponent(currentJobId)}`
+    : '/api/progress/stream';
+  let opened = false;
+
+  progressStream = new EventSource(streamUrl);
+
+  progressStream.onopen = () => {
+    opened = true;
+  };
+
+  // Every update arrives as a message event, whatever its type
+  progressStream.onmessage = (event) => {
+    const data = JSON.parse(event.data);
+    if (data.progress && isViewingProgress) {
+      updateProgressDisplay(data.progress);
+    }
+  };
+
+  progressStream.onerror = () => {
+    // EventSource reconnects by itself once a stream has worked; if it never
+    // opened, SSE isn't getting through (e.g. a buffering proxy) so poll instead
+    if (!opened) {
+      console.warn('Progress stream unavailable, falling back to polling');
+      streamUnavailable = true;
+      startAutoRefresh();
+    }
+  };
+}
+
+// Stop live updates
 function stopAutoRefresh() {
   if (refreshTimer) {
     clearInterval(refreshTimer);
     refreshTimer = null;
   }
+
+  if (progressStream) {
+    progressStream.close();
+    progressStream = null;
+  }
 }
 
 // Cancel current processing
 function cancelProcessing() {
   if (confirm('Are you sure you want to cancel the current processing?')) {
-    fetch('/api/cancel-processing', {
+    const cancelUrl = currentJobId
+      ? `/api/cancel-processing/${encodeURIComponent(currentJobId)}`
+      : '/api/cancel-processing';
+
+    fetch(cancelUrl, {
       method: 'POST'
     })
       .then(response => {
@@ -368,8 +446,13 @@ function cancelProcessing() {
 
 // Fetch progress data from the API
 function fetchProgress() {
-  fetch('/api/progress')
+  fetch(getProgressUrl())
     .then(response => {
+      // The job is no longer tracked (e.g. after a server restart)
+      if (response.status === 404 && currentJobId) {
+        setProgressJob(null);
+        return fetch(getProgressUrl()).then(fallback => fallback.json());
+      }
       if (!response.ok) {
         throw new Error(`HTTP error ${response.status}`);
       }
@@ -388,7 +471,14 @@ function fetchProgress() {
 function updateProgressDisplay(data) {
   // Calculate progress percentage
   let progressPercent = 0;
-  if (data.totalChunks > 0) {
+  if (data.totalFiles > 0 && data.completedFiles !== undefined) {
+    // Finished files plus the finished share of files still in flight
+    const partialFiles = Object.values(data.activeFiles || {}).reduce((sum, file) => {
+      const stepDone = file.totalChunks > 0 ? file.processedChunks / file.totalChunks : 0;
+      return sum + ((file.step || 1) - 1 + stepDone) / (file.totalSteps || 1);
+    }, 0);
+    progressPercent = Math.round(((data.completedFiles + partialFiles) / data.totalFiles) * 100);
+  } else if (data.totalChunks > 0) {
     progressPercent = Math.round((data.processedChunks / data.totalChunks) * 100);
   }
 
@@ -407,22 +497,57 @@ function updateProgressDisplay(data) {
 
   // Build HTML for progress details
   let html = `
-    <p><strong>Status:</strong> <span class="${statusClass}">${capitalizeFirstLetter(data.status)}</span></p>
+    <p><strong>Status:</strong> <span class="${statusClass}">${capitalizeFirstLetter(data.status.replace(/_/g, ' '))}</span></p>
   `;
 
-  if (data.status === 'processing') {
+  // Waiting on the model's requests/tokens per minute limit
+  if (data.status === 'processing' && data.throttled) {
+    const resumeTime = new Date(data.throttledUntil).toLocaleTimeString();
+    const limit = data.throttleReason === 'tpm' ? 'tokens per minute' : 'requests per minute';
+    html += `
+      <p class="status-throttled"><strong>Throttled:</strong> waiting for the ${limit} limit until ${resumeTime}</p>
+    `;
+  }
+
+  if (data.status === 'queued') {
+    html += `
+      <p><strong>Files:</strong> ${data.totalFiles} waiting for earlier jobs to finish</p>
+    `;
+  } else if (data.status === 'processing') {
     // Show file count if available
     let fileCountHtml = '';
     if (data.totalFiles > 0) {
       fileCountHtml = `
         <p><strong>File:</strong> ${data.currentFileNumber} of ${data.totalFiles} 
-          <span class="file-count-badge">${Math.round((data.currentFileNumber / data.totalFiles) * 100)}%</span>
+          <span class="file-count-badge">${Math.round((data.completedFiles / data.totalFiles) * 100)}%</span>
         </p>
       `;
     }
 
+    // Several files can be in flight at once
+    const activeFiles = Object.keys(data.activeFiles || {});
+    const singleFile = activeFiles.length === 1 ? data.activeFiles[activeFiles[0]] : null;
+    const singleFileTokens = singleFile && singleFile.streamedTokens
+      ? ` (~${singleFile.streamedTokens} tokens received)`
+      : '';
+    const singleFileStep = singleFile && singleFile.totalSteps ? ` &middot; ${formatStep(singleFile)}` : '';
+    const singleFileStage = singleFile && singleFile.stage ? ` &middot; ${formatStage(singleFile)}` : '';
+    let activeFilesHtml = `<p><strong>Current File:</strong> ${data.currentFile || 'Unknown'}${singleFileStep}${singleFileTokens}${singleFileStage}</p>`;
+    if (activeFiles.length > 1) {
+      activeFilesHtml = `<p><strong>Current Files:</strong></p><ul class="history-list">` +
+        activeFiles.map(name => {
+          const file = data.activeFiles[name];
+          const retries = file.retries ? `, ${file.retries} retries` : '';
+          const tokens = file.streamedTokens ? `, ~${file.streamedTokens} tokens received` : '';
+          const stage = file.stage ? `, ${formatStage(file)}` : '';
+          const step = file.totalSteps ? `${formatStep(file)}, ` : '';
+          return `<li>${name} (${step}${file.processedChunks}/${file.totalChunks} chunks${retries}${tokens}${stage})</li>`;
+        }).join('') +
+        `</ul>`;
+    }
+
     html += `
-      <p><strong>Current File:</strong> ${data.currentFile || 'Unknown'}</p>
+      ${activeFilesHtml}
       ${fileCountHtml}
       <p><strong>Progress:</strong> ${data.processedChunks} of ${data.totalChunks} chunks (${progressPercent}%)</p>
       <p><strong>Started:</strong> ${startTime}</p>
@@ -449,6 +574,15 @@ function updateProgressDisplay(data) {
     if (data.totalFiles > 0) {
       html += `<p><strong>File Progress:</strong> ${data.currentFileNumber} of ${data.totalFiles}</p>`;
     }
+  } else if (data.status === 'budget_exceeded') {
+    html += `
+      <p><strong>Stopped:</strong> ${data.error || 'Budget exceeded'}</p>
+      <p><strong>Stopped At:</strong> ${lastUpdated}</p>
+    `;
+
+    if (data.totalFiles > 0) {
+      html += `<p><strong>Files Processed Before Stopping:</strong> ${data.currentFileNumber} of ${data.totalFiles}</p>`;
+    }
   } else if (data.status === 'cancelled') {
     html += `
       <p><strong>Last File:</strong> ${data.currentFile || 'Unknown'}</p>
@@ -461,6 +595,17 @@ function updateProgressDisplay(data) {
     }
   }
 
+  // Tokens and dollars spent so far
+  if (data.usage && data.usage.inputTokens + data.usage.outputTokens > 0) {
+    const cost = data.usage.cost === null ? 'unknown cost' : `$${data.usage.cost.toFixed(4)}`;
+    html += `<p><strong>Usage:</strong> ${data.usage.inputTokens} input + ${data.usage.outputTokens} output tokens (${cost})</p>`;
+  }
+
+  // Responses served from the response cache instead of the API
+  if (data.cache && data.cache.hits + data.cache.misses > 0) {
+    html += `<p><strong>Response Cache:</strong> ${data.cache.hits} hits, ${data.cache.misses} misses</p>`;
+  }
+
   // Add processing history if available
   if (data.processingHistory && data.processingHistory.length > 0) {
     html += `<p><strong>Recent Processing:</strong></p><ul class="history-list">`;
@@ -471,10 +616,13 @@ function updateProgressDisplay(data) {
     recentHistory.forEach(item => {
       const itemTime = new Date(item.timestamp).toLocaleTimeString();
       const duration = (item.duration / 1000).toFixed(1);
-      const statusIcon = item.success ? '✅' : '❌';
+      const statusIcon = item.success ? '✅' : (item.skipped ? '⏭️' : '❌');
+      const failedAttempts = (item.attempts || []).filter(attempt => !attempt.success).length;
+      const retries = failedAttempts > 0 ? `, ${failedAttempts} failed attempts` : '';
+      const cost = item.usage && item.usage.cost ? `, $${item.usage.cost.toFixed(4)}` : '';
 
       html += `
-        <li>${statusIcon} ${item.file} (${duration}s) - ${itemTime}</li>
+        <li>${statusIcon} ${item.file} (${duration}s${retries}${cost}) - ${itemTime}</li>
       `;
     });
 
@@ -489,7 +637,7 @@ function updateProgressDisplay(data) {
   // Show/hide cancel button based on processing status
   const cancelBtn = document.getElementById('cancelProcessingBtn');
   if (cancelBtn) {
-    if (data.status === 'processing') {
+    if (data.status === 'processing' || data.status === 'queued') {
       cancelBtn.style.display = 'inline-block';
     } else {
       cancelBtn.style.display = 'none';
@@ -502,5 +650,15 @@ function capitalizeFirstLetter(string) {
   return string.charAt(0).toUpperCase() + string.slice(1);
 }
 
+// Helper function to describe the pipeline step of a file
+function formatStep(file) {
+  return `step ${file.step} of ${file.totalSteps}: ${file.stepName}`;
+}
+
+// Helper function to describe the map-reduce stage of a file
+function formatStage(file) {
+  return file.stage === 'reduce' ? `combining results (round ${file.reduceLevel})` : 'processing chunks';
+}
+
 // Initialize when DOM is ready
 document.addEventListener('DOMContentLoaded', initProgressViewer);
\ No newline at end of file
@@ -5,10 +5,19 @@ document.addEventListener('DOMContentLoaded', () => {
   const promptsDropdown = document.getElementById('savedPrompts');
   const deletePromptBtn = document.getElementById('deletePromptBtn');
   const promptNameInput = document.getElementById('promptName');
+  const contentFramingSelect = document.getElementById('contentFraming');
+  const chunkStrategySelect = document.getElementById('chunkStrategy');
+  const reducePromptInput = document.getElementById('reducePrompt');
+  const reducePromptGroup = document.getElementById('reducePromptGroup');
+  const outputSchemaInput = document.getElementById('outputSchema');
+  const outputNameInput = document.getElementById('promptOutputName');
+  const dialogueOnlyInput = document.getElementById('dialogueOnly');
   const savePromptModal = document.getElementById('savePromptModal');
   const savePromptForm = document.getElementById('savePromptForm');
   const closeModalBtn = document.getElementById('closeModal');
   const openSaveModalBtn = document.getElementById('openSaveModalBtn');
+  const previewPromptBtn = document.getElementById('previewPromptBtn');
+  const promptPreview = document.getElementById('promptPreview');
   const errorMessage = document.getElementById('errorMessage');
 
   // Force hide the modal with both class and style
@@ -44,6 +53,14 @@ document.addEventListener('DOMContentLoaded', () => {
     deletePromptBtn.addEventListener('click', deleteSelectedPrompt);
   }
 
+  if (previewPromptBtn) {
+    previewPromptBtn.addEventListener('click', previewPrompt);
+  }
+
+  if (chunkStrategySelect) {
+    chunkStrategySelect.addEventListener('change', toggleReducePrompt);
+  }
+
   // Load saved prompts on page load
   loadSavedPrompts();
 
@@ -57,13 +74,23 @@ document.addEventListener('DOMContentLoaded', () => {
       return;
     }
 
-    promptNameInput.value = '';
+    // Saving again under the selected name updates that prompt
+    promptNameInput.value = promptsDropdown ? promptsDropdown.value : '';
     if (savePromptModal) {
       savePromptModal.classList.remove('hidden');
       savePromptModal.style.display = 'flex';
     }
   }
 
+  /**
+   * Shows the reduce prompt only for the map-reduce strategy
+   */
+  function toggleReducePrompt() {
+    if (reducePromptGroup && chunkStrategySelect) {
+      reducePromptGroup.classList.toggle('hidden', chunkStrategySelect.value !== 'map-reduce');
+    }
+  }
+
   /**
    * Closes the save prompt modal
    */
@@ -101,7 +128,16 @@ document.addEventListener('DOMContentLoaded', () => {
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ name: promptName, text: promptText })
+        body: JSON.stringify({
+          name: promptName,
+          text: promptText,
+          contentFraming: contentFramingSelect ? contentFramingSelect.value : undefined,
+          strategy: chunkStrategySelect ? chunkStrategySelect.value : undefined,
+          reducePrompt: reducePromptInput ? reducePromptInput.value.trim() : undefined,
+          outputSchema: outputSchemaInput ? outputSchemaInput.value.trim() : undefined,
+          outputName: outputNameInput ? outputNameInput.value.trim() : undefined,
+          dialogueOnly: dialogueOnlyInput ? dialogueOnlyInput.checked : undefined
+        })
       });
 
       const data = await response.json();
@@ -110,8 +146,9 @@ document.addEventListener('DOMContentLoaded', () => {
         throw new Error(data.message || 'Failed to save prompt');
       }
 
-      // Update dropdown
+      // Update dropdown and keep the saved prompt selected
       await loadSavedPrompts();
+      promptsDropdown.value = promptName;
 
       // Close modal
       closeModal();
@@ -160,7 +197,12 @@ document.addEventListener('DOMContentLoaded', () => {
       savedPrompts.forEach(prompt => {
         const option = document.createElement('option');
         option.value = prompt.name;
-        option.textContent = prompt.name;
+        const exampleCount = (prompt.examples || []).length;
+        const details = [];
+        if (exampleCount > 0) details.push(`${exampleCount} examples`);
+        if (prompt.strategy === 'map-reduce') details.push('map-reduce');
+        if (prompt.outputSchema) details.push('JSON');
+        option.textContent = details.length > 0 ? `${prompt.name} (${details.join(', ')})` : prompt.name;
         promptsDropdown.appendChild(option);
       });
     } catch (error) {
@@ -194,6 +236,15 @@ document.addEventListener('DOMContentLoaded', () => {
 
       if (selectedPrompt) {
         promptInput.value = selectedPrompt.text;
+        if (contentFramingSelect) contentFramingSelect.value = selectedPrompt.contentFraming || 'raw';
+        if (chunkStrategySelect) chunkStrategySelect.value = selectedPrompt.strategy || 'concatenate';
+        if (reducePromptInput) reducePromptInput.value = selectedPrompt.reducePrompt || '';
+        if (outputSchemaInput) {
+          outputSchemaInput.value = selectedPrompt.outputSchema ? JSON.stringify(selectedPrompt.outputSchema, null, 2) : '';
+        }
+        if (outputNameInput) outputNameInput.value = selectedPrompt.outputName || '';
+        if (dialogueOnlyInput) dialogueOnlyInput.checked = !!selectedPrompt.dialogueOnly;
+        toggleReducePrompt();
         // Enable delete button only when a prompt is selected
         if (deletePromptBtn) deletePromptBtn.disabled = false;
       }
@@ -203,6 +254,77 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   }
 
+  /**
+   * Requests a preview of the prompt template from the server
+   * @param {string} text - Prompt template
+   * @param {number} chunkIndex - Chunk number (1-based)
+   * @param {number} chunkTotal - Number of chunks
+   * @returns {Promise<object>} - { variables, missing, preview }
+   */
+  async function fetchPreview(text, chunkIndex, chunkTotal) {
+    const fileInput = document.getElementById('files');
+    const response = await fetch('/api/prompts/preview', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        text,
+        variables: parseTemplateVariables(),
+        filename: fileInput && fileInput.files.length > 0 ? fileInput.files[0].name : undefined,
+        chunkIndex,
+        chunkTotal
+      })
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to preview prompt');
+    }
+    return data;
+  }
+
+  /**
+   * Shows the prompt as it will be sent, for a whole file and for a chunk of a larger one
+   */
+  async function previewPrompt() {
+    const text = promptInput.value.trim();
+    if (!text || !promptPreview) {
+      showError('Please enter a prompt to preview.');
+      return;
+    }
+
+    promptPreview.innerHTML = '';
+    promptPreview.classList.remove('hidden');
+
+    try {
+      const [whole, chunk] = await Promise.all([fetchPreview(text, 1, 1), fetchPreview(text, 2, 3)]);
+
+      const addSection = (title, content) => {
+        const heading = document.createElement('strong');
+        heading.textContent = title;
+        const body = document.createElement('pre');
+        body.textContent = content;
+        promptPreview.append(heading, body);
+      };
+
+      if (whole.missing.length > 0) {
+        const warning = document.createElement('p');
+        warning.className = 'error-message';
+        warning.textContent = `No value for: ${whole.missing.join(', ')} (add name=value lines under Template Variables)`;
+        promptPreview.appendChild(warning);
+      }
+
+      addSection('Whole file:', whole.preview);
+      addSection('Chunk 2 of 3:', chunk.preview);
+    } catch (error) {
+      const message = document.createElement('p');
+      message.className = 'error-message';
+      message.textContent = `Template error: ${error.message}`;
+      promptPreview.appendChild(message);
+    }
+  }
+
   /**
    * Deletes the selected prompt
    */
@@ -0,0 +1,105 @@
+const express = require('express');
+const router = express.Router();
+const { listJobs, getJob, deleteJob, resumeJob } = require('../services/jobQueue');
+const { logError } = require('../utils/logger');
+
+// GET all jobs, newest first
+router.get('/jobs', (req, res) => {
+  try {
+    const jobs = listJobs();
+    res.json({
+      success: true,
+      jobs,
+      count: jobs.length
+    });
+  } catch (error) {
+    logError(`Error listing jobs: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list jobs',
+      error: error.message
+    });
+  }
+});
+
+// GET status, per-file results and output folder of a single job
+router.get('/jobs/:id', (req, res) => {
+  const job = getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      message: `Job not found: ${req.params.id}`
+    });
+  }
+
+  res.json({
+    success: true,
+    job
+  });
+});
+
+// POST resume a finished, cancelled or interrupted job, skipping files already processed
+router.post('/jobs/:id/resume', async (req, res) => {
+  try {
+    const job = await resumeJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: `Job not found: ${req.params.id}`
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: `Job ${job.id} resumed`,
+      jobId: job.id,
+      statusUrl: `/api/jobs/${job.id}`,
+      job
+    });
+  } catch (error) {
+    if (error.status === 409) {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logError(`Error resuming job ${req.params.id}: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resume job',
+      error: error.message
+    });
+  }
+});
+
+// DELETE a job, cancelling it first if it is still queued or running
+router.delete('/jobs/:id', async (req, res) => {
+  try {
+    const job = await deleteJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: `Job not found: ${req.params.id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Job ${job.id} deleted`,
+      job
+    });
+  } catch (error) {
+    logError(`Error deleting job ${req.params.id}: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete job',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,141 @@
+const express = require('express');
+const router = express.Router();
+const fs = require('fs').promises;
+const { logInfo, logError } = require('../utils/logger');
+const { paths } = require('../config/paths');
+const { getPipelineDefinition } = require('../utils/pipelines');
+const { loadPipelines } = require('../services/pipelineStore');
+const { findPrompt } = require('../services/promptStore');
+
+// Path to pipelines.json (next to prompts.json)
+const pipelinesPath = paths.pipelines;
+
+/**
+ * Write the pipelines back to pipelines.json
+ * @param {Array<object>} pipelines - Pipeline entries
+ */
+async function savePipelines(pipelines) {
+    await fs.writeFile(pipelinesPath, JSON.stringify({ pipelines }, null, 2), 'utf8');
+}
+
+/**
+ * Build the entry saved for a pipeline, leaving out unset fields
+ * @param {object} pipeline - Pipeline from getPipelineDefinition
+ * @returns {object} - Pipeline entry
+ */
+function toEntry(pipeline) {
+    const entry = {
+        name: pipeline.name,
+        steps: pipeline.steps.map(step => {
+            const saved = { name: step.name };
+            if (step.prompt) saved.prompt = step.prompt;
+            if (step.text) saved.text = step.text;
+            if (step.model) saved.model = step.model;
+            if (step.outputName) saved.outputName = step.outputName;
+            return saved;
+        })
+    };
+    if (pipeline.outputName) {
+        entry.outputName = pipeline.outputName;
+    }
+    return entry;
+}
+
+// GET route to list the pipelines
+router.get('/pipelines', async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            pipelines: await loadPipelines()
+        });
+    } catch (error) {
+        logError(`Error serving pipelines data: ${error.message}`);
+        res.status(500).json({
+            success: false,
+            message: 'Error retrieving pipelines data'
+        });
+    }
+});
+
+// POST route to save a pipeline
+// Body: { name, steps: [{ name, text | prompt, model, outputName }], outputName }
+// where a step's prompt is the name of a saved prompt. Saving an existing name replaces it.
+router.post('/pipelines', async (req, res) => {
+    try {
+        let pipeline;
+        try {
+            pipeline = getPipelineDefinition(req.body);
+            for (const step of pipeline.steps) {
+                if (step.prompt && !(await findPrompt(step.prompt))) {
+                    throw Object.assign(new Error(`Prompt "${step.prompt}" of step "${step.name}" not found`), { status: 400 });
+                }
+            }
+        } catch (error) {
+            if (error.status !== 400) throw error;
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        const pipelines = await loadPipelines();
+        const existingIndex = pipelines.findIndex(p => p.name === pipeline.name);
+        const entry = toEntry(pipeline);
+
+        if (existingIndex !== -1) {
+            pipelines[existingIndex] = entry;
+            logInfo(`Updated existing pipeline: ${pipeline.name}`);
+        } else {
+            pipelines.push(entry);
+            logInfo(`Added new pipeline: ${pipeline.name}`);
+        }
+
+        await savePipelines(pipelines);
+
+        res.json({
+            success: true,
+            message: existingIndex !== -1 ? 'Pipeline updated successfully' : 'Pipeline saved successfully',
+            pipeline: entry
+        });
+    } catch (error) {
+        logError(`Error saving pipeline: ${error.message}`);
+        res.status(500).json({
+            success: false,
+            message: 'Error saving pipeline',
+            error: error.message
+        });
+    }
+});
+
+// DELETE route to remove a pipeline
+router.delete('/pipelines/:name', async (req, res) => {
+    try {
+        const pipelineName = req.params.name;
+        const pipelines = await loadPipelines();
+        const remaining = pipelines.filter(p => p.name !== pipelineName);
+
+        if (remaining.length === pipelines.length) {
+            return res.status(404).json({
+                success: false,
+                message: `Pipeline "${pipelineName}" not found`
+            });
+        }
+
+        await savePipelines(remaining);
+
+        logInfo(`Deleted pipeline: ${pipelineName}`);
+        res.json({
+            success: true,
+            message: `Pipeline "${pipelineName}" deleted successfully`
+        });
+    } catch (error) {
+        logError(`Error deleting pipeline: ${error.message}`);
+        res.status(500).json({
+            success: false,
+            message: 'Error deleting pipeline',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
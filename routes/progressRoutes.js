@@ -1,9 +1,12 @@
 // In a routes file (e.g., create a new file called progressRoutes.js)
 const express = require('express');
 const router = express.Router();
-const { getProgress } = require('../services/monicaService');
+const { getProgress, progressEvents } = require('../services/progressTracker');
 
-// GET endpoint to retrieve processing progress
+// Keep idle SSE connections open through proxies (configurable via environment)
+const STREAM_HEARTBEAT_INTERVAL = parseInt(process.env.PROGRESS_HEARTBEAT_MS) || 15000;
+
+// GET endpoint to retrieve progress of the most recently active job
 router.get('/api/progress', (req, res) => {
     try {
         const progress = getProgress();
@@ -13,4 +16,59 @@ router.get('/api/progress', (req, res) => {
     }
 });
 
-module.exports = router;
\ No newline at end of file
+// GET Server-Sent Events stream of progress updates (optionally for one job via ?jobId=)
+router.get('/api/progress/stream', (req, res) => {
+    const jobId = req.query.jobId?.trim() || null;
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Disable buffering in nginx
+    });
+
+    // Every update is sent as a default "message" event with its type in the data,
+    // so clients see new event types without subscribing to each one
+    const sendEvent = (data) => {
+        res.write(`data: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // Start with the current state so the client doesn't have to poll first
+    sendEvent({
+        type: 'snapshot',
+        jobId,
+        progress: getProgress(jobId || undefined)
+    });
+
+    const onProgress = (event) => {
+        if (jobId && event.jobId !== jobId) return;
+        sendEvent(event);
+    };
+    progressEvents.on('progress', onProgress);
+
+    const heartbeat = setInterval(() => {
+        res.write(': heartbeat\n\n');
+    }, STREAM_HEARTBEAT_INTERVAL);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        progressEvents.off('progress', onProgress);
+    });
+});
+
+// GET endpoint to retrieve processing progress of a specific job
+router.get('/api/progress/:jobId', (req, res) => {
+    try {
+        const progress = getProgress(req.params.jobId);
+
+        if (!progress) {
+            return res.status(404).json({ error: `No progress found for job: ${req.params.jobId}` });
+        }
+
+        res.json(progress);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
@@ -4,6 +4,8 @@ const path = require('path');
 const fs = require('fs').promises;
 const { logInfo, logError } = require('../utils/logger');
 const { paths } = require('../config/paths');
+const { getPromptSettings } = require('../utils/promptMessages');
+const { parseTemplate, parseVariables, renderPrompt } = require('../utils/promptTemplate');
 
 // Path to prompts.json
 const promptsPath = paths.prompts;
@@ -38,10 +40,33 @@ router.get('/prompts', async (req, res) => {
     }
 });
 
+/**
+ * Read the output schema sent with a prompt
+ * @param {object|string|null} value - Schema object, JSON text, or empty to remove the schema
+ * @returns {object|null} - Schema, or null for none
+ */
+function parseOutputSchema(value) {
+    if (typeof value !== 'string') return value || null;
+    if (!value.trim()) return null;
+
+    try {
+        return JSON.parse(value);
+    } catch (parseError) {
+        const error = new Error(`outputSchema is not valid JSON: ${parseError.message}`);
+        error.status = 400;
+        throw error;
+    }
+}
+
 // POST route to save a new prompt
+// Optional fields: contentFraming ('raw', 'fenced' or 'xml'), examples ([{ input, output }]),
+// strategy ('concatenate' or 'map-reduce'), reducePrompt (used by map-reduce), outputSchema
+// (a JSON schema, as an object or JSON text; empty to remove it), outputName (a file name template)
+// and dialogueOnly (true to send only the dialogue of VTT, ASS and SBV subtitles).
+// When updating a prompt, settings that aren't sent are kept.
 router.post('/prompts', async (req, res) => {
     try {
-        const { name, text } = req.body;
+        const { name, text, contentFraming, examples, strategy, reducePrompt, outputSchema, outputName, dialogueOnly } = req.body;
 
         // Validate input
         if (!name || !text) {
@@ -63,14 +88,54 @@ router.post('/prompts', async (req, res) => {
 
         // Check if prompt with same name already exists
         const existingIndex = promptData.prompts.findIndex(p => p.name === name);
+        const existing = existingIndex !== -1 ? promptData.prompts[existingIndex] : {};
+
+        // The texts must be valid templates, and the settings well formed
+        let settings;
+        try {
+            parseTemplate(text);
+            settings = getPromptSettings({
+                contentFraming: contentFraming !== undefined ? contentFraming : existing.contentFraming,
+                examples: examples !== undefined ? examples : existing.examples,
+                strategy: strategy !== undefined ? strategy : existing.strategy,
+                reducePrompt: reducePrompt !== undefined ? reducePrompt : existing.reducePrompt,
+                outputSchema: outputSchema !== undefined ? parseOutputSchema(outputSchema) : existing.outputSchema,
+                outputName: outputName !== undefined ? outputName : existing.outputName,
+                dialogueOnly: dialogueOnly !== undefined ? dialogueOnly : existing.dialogueOnly
+            });
+            if (settings.reducePrompt) parseTemplate(settings.reducePrompt);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        const prompt = { name, text, contentFraming: settings.contentFraming };
+        if (settings.examples.length > 0) {
+            prompt.examples = settings.examples;
+        }
+        if (settings.strategy !== 'concatenate') {
+            prompt.strategy = settings.strategy;
+            if (settings.reducePrompt) prompt.reducePrompt = settings.reducePrompt;
+        }
+        if (settings.outputSchema) {
+            prompt.outputSchema = settings.outputSchema;
+        }
+        if (settings.outputName) {
+            prompt.outputName = settings.outputName;
+        }
+        if (settings.dialogueOnly) {
+            prompt.dialogueOnly = true;
+        }
 
         if (existingIndex !== -1) {
             // Update existing prompt
-            promptData.prompts[existingIndex] = { name, text };
+            promptData.prompts[existingIndex] = prompt;
             logInfo(`Updated existing prompt: ${name}`);
         } else {
             // Add new prompt
-            promptData.prompts.push({ name, text });
+            promptData.prompts.push(prompt);
             logInfo(`Added new prompt: ${name}`);
         }
 
@@ -80,7 +145,7 @@ router.post('/prompts', async (req, res) => {
         res.json({
             success: true,
             message: existingIndex !== -1 ? 'Prompt updated successfully' : 'Prompt saved successfully',
-            prompt: { name, text }
+            prompt
         });
     } catch (error) {
         logError(`Error saving prompt: ${error.message}`);
@@ -92,6 +157,47 @@ router.post('/prompts', async (req, res) => {
     }
 });
 
+// POST route to preview a prompt template with sample values
+// Body: { text, variables, filename, chunkIndex (1-based), chunkTotal }
+router.post('/prompts/preview', (req, res) => {
+    const { text, filename, chunkIndex, chunkTotal } = req.body;
+
+    if (!text) {
+        return res.status(400).json({
+            success: false,
+            message: 'Prompt text is required'
+        });
+    }
+
+    try {
+        const used = parseTemplate(text);
+        const variables = parseVariables(req.body.variables);
+        const count = Math.max(1, parseInt(chunkTotal) || 1);
+        const index = Math.min(count, Math.max(1, parseInt(chunkIndex) || 1)) - 1;
+
+        res.json({
+            success: true,
+            variables: used,
+            missing: used.custom.filter(name => !(name in variables)),
+            preview: renderPrompt(text, {
+                fileName: filename || 'example.txt',
+                variables,
+                index,
+                count,
+                previousSummary: index > 0 ? '[Context from the previous chunk]' : ''
+            })
+        });
+    } catch (error) {
+        if (error.status !== 400) {
+            logError(`Error previewing prompt: ${error.message}`);
+        }
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
 // DELETE route to remove a prompt
 router.delete('/prompts/:name', async (req, res) => {
     try {
@@ -3,6 +3,7 @@ const router = express.Router();
 const path = require('path');
 const fs = require('fs');
 const { paths } = require('../config/paths');
+const { isSupportedFile } = require('../utils/formats');
 
 // GET route to list contents of a specific server folder (for preview)
 router.get('/server-folder-contents', (req, res) => {
@@ -47,12 +48,9 @@ router.get('/server-folder-contents', (req, res) => {
         }
 
         // Read and filter files
-        const allowedExtensions = ['.txt', '.md', '.srt', '.vtt', '.pdf', '.doc', '.docx'];
+        // Only list files that can be processed
         const files = fs.readdirSync(resolvedPath)
-            .filter(file => {
-                const ext = path.extname(file).toLowerCase();
-                return allowedExtensions.includes(ext);
-            })
+            .filter(file => isSupportedFile(file))
             .map(file => {
                 const filePath = path.join(resolvedPath, file);
                 const stats = fs.statSync(filePath);
@@ -4,7 +4,18 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const archiver = require('archiver');
-const { processFile, setTotalFiles, cancelProcessing, getProgress } = require('../services/monicaService');
+const { cancelProcessing, getProgress } = require('../services/progressTracker');
+const { createJob } = require('../services/jobQueue');
+const { estimateFile, getModelInfo } = require('../services/monicaService');
+const { getBudgetStatus } = require('../services/budget');
+const { resolvePromptSettings } = require('../services/promptStore');
+const { resolvePipeline } = require('../services/pipelineStore');
+const { parseVariables, assertVariablesSupplied } = require('../utils/promptTemplate');
+const { validateOutputName } = require('../utils/outputNames');
+const { resolveContextMode } = require('../utils/contextCarryover');
+const { createUsage, addUsage } = require('../utils/costs');
+const { PARTIAL_SUFFIX } = require('../utils/partialOutput');
+const { SUPPORTED_EXTENSIONS, isSupportedFile } = require('../utils/formats');
 const { ensureDirectoryExists } = require('../utils/fileUtils');
 const { logInfo, logError } = require('../utils/logger');
 const { paths } = require('../config/paths');
@@ -32,12 +43,12 @@ const storage = multer.diskStorage({
     cb(null, filename);
   }
 });
-// File filter to only accept text-based files
+// File filter to only accept text and subtitle files
 const fileFilter = (req, file, cb) => {
-  const allowedTypes = ['.txt', '.md', '.srt'];
+  const allowedTypes = SUPPORTED_EXTENSIONS;
   const ext = path.extname(file.originalname).toLowerCase();
   console.log(`[MULTER] File filter check: ${file.originalname} (${ext})`);
-  if (allowedTypes.includes(ext)) {
+  if (isSupportedFile(file.originalname)) {
     console.log(`✓ File type accepted: ${ext}`);
     cb(null, true);
   } else {
@@ -79,17 +90,6 @@ const handleMulterError = (err, req, res, next) => {
   }
   next(err);
 };
-// Helper function to create a formatted timestamp folder name
-function createTimestampFolderName() {
-  const now = new Date();
-  const year = now.getFullYear();
-  const month = String(now.getMonth() + 1).padStart(2, '0');
-  const day = String(now.getDate()).padStart(2, '0');
-  const hours = String(now.getHours()).padStart(2, '0');
-  const minutes = String(now.getMinutes()).padStart(2, '0');
-  const seconds = String(now.getSeconds()).padStart(2, '0');
-  return `${year}-${month}-${day}_${hours}-${minutes}-${seconds}`;
-}
 // GET available server folders - UPDATED FOR DYNAMIC DROPDOWN
 router.get('/server-folders', (req, res) => {
   try {
@@ -116,9 +116,7 @@ router.get('/server-folders', (req, res) => {
               const relativePath = path.relative(cwd, fullPath);
               // Count valid files
               const files = fs.readdirSync(fullPath);
-              const validFiles = files.filter(f =>
-                ['.txt', '.md', '.srt'].includes(path.extname(f).toLowerCase())
-              );
+              const validFiles = files.filter(isSupportedFile);
               console.log(`    → ${entry.name}: ${validFiles.length} valid files`);
               folders.push({
                 name: entry.name,
@@ -150,7 +148,156 @@ router.get('/server-folders', (req, res) => {
     });
   }
 });
-// POST route to process files - FIXED VERSION
+/**
+ * Create an error answered with 400 Bad Request
+ * @param {string} message - Error message
+ * @returns {Error} - Error with status 400
+ */
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+/**
+ * Collect the files of a processing request: uploaded files plus the files of
+ * the requested server folder, deduplicated by name
+ * @param {object} req - Express request (after multer)
+ * @returns {Array<object>} - Files ({ originalname, path, size, isServerFile })
+ */
+function collectFiles(req) {
+  let filesToProcess = [];
+  // Handle server folder with relative path support
+  const serverFolderInput = req.body.serverFolderPath?.trim();
+  if (serverFolderInput) {
+    console.log(`[SERVER FOLDER] Input: "${serverFolderInput}"`);
+    // Get current working directory
+    const cwd = process.cwd();
+    console.log(`[SERVER FOLDER] CWD: ${cwd}`);
+    // Resolve the path relative to CWD
+    const resolvedPath = path.resolve(cwd, serverFolderInput);
+    console.log(`[SERVER FOLDER] Resolved path: ${resolvedPath}`);
+    // Security check: ensure the resolved path is within CWD
+    if (!resolvedPath.startsWith(cwd)) {
+      console.error(`✗ Security violation: Path outside CWD`);
+      console.error('='.repeat(80) + '\n');
+      throw badRequest('Invalid folder path: Cannot access directories outside the project');
+    }
+    // Check if folder exists
+    if (!fs.existsSync(resolvedPath)) {
+      console.error(`✗ Folder not found: ${resolvedPath}`);
+      console.error('='.repeat(80) + '\n');
+      throw badRequest(`Folder not found: ${serverFolderInput}`);
+    }
+    // Check if it's a directory
+    const stats = fs.statSync(resolvedPath);
+    if (!stats.isDirectory()) {
+      console.error(`✗ Path is not a directory: ${resolvedPath}`);
+      console.error('='.repeat(80) + '\n');
+      throw badRequest(`Path is not a directory: ${serverFolderInput}`);
+    }
+    console.log(`✓ Valid directory found`);
+    // Read and filter files
+    const filesInFolder = fs.readdirSync(resolvedPath)
+      .filter(isSupportedFile);
+    console.log(`✓ Found ${filesInFolder.length} valid files in folder`);
+    if (filesInFolder.length === 0) {
+      console.error(`✗ No valid files found`);
+      console.error('='.repeat(80) + '\n');
+      throw badRequest(`No valid files (${SUPPORTED_EXTENSIONS.join(', ')}) found in folder: ${serverFolderInput}`);
+    }
+    // ✅ FIX: Don't copy files, just reference them directly
+    console.log(`Processing files directly from server folder...`);
+    filesInFolder.forEach((filename, index) => {
+      const filePath = path.join(resolvedPath, filename);
+      const fileStats = fs.statSync(filePath);
+      filesToProcess.push({
+        originalname: filename,
+        path: filePath,  // ← Use original path directly
+        size: fileStats.size,
+        isServerFile: true  // ← Mark as server file (don't delete later)
+      });
+      console.log(`  ${index + 1}. ${filename} (${(fileStats.size / 1024).toFixed(2)} KB)`);
+    });
+  }
+  // Handle uploaded files
+  if (req.files && req.files.length > 0) {
+    console.log(`[UPLOADED FILES] Processing ${req.files.length} uploaded files`);
+    req.files.forEach((file, index) => {
+      console.log(`  ${index + 1}. ${file.originalname} (${(file.size / 1024).toFixed(2)} KB)`);
+      file.isServerFile = false;  // ← Mark as uploaded file (delete later)
+    });
+    filesToProcess.push(...req.files);
+  }
+  // Deduplicate files based on originalname to prevent processing the same file twice
+  const seenFiles = new Map();
+  filesToProcess = filesToProcess.filter(file => {
+    if (seenFiles.has(file.originalname)) {
+      console.log(`[DEDUPLICATION] Skipping duplicate file: ${file.originalname}`);
+      return false;
+    }
+    seenFiles.set(file.originalname, file);
+    return true;
+  });
+  console.log(`[DEDUPLICATION] After deduplication: ${filesToProcess.length} unique files`);
+  // Validate we have files
+  if (filesToProcess.length === 0) {
+    console.error(`✗ No files to process`);
+    console.error('='.repeat(80) + '\n');
+    throw badRequest('No files to process. Either upload files or specify a valid server folder path.');
+  }
+  console.log(`\n✓ Total files to process: ${filesToProcess.length}`);
+  console.log('='.repeat(80));
+  return filesToProcess;
+}
+/**
+ * Parse the optional maxCost form field
+ * @param {string} value - Field value
+ * @returns {number|undefined} - Dollars, or undefined when not set
+ */
+function parseMaxCost(value) {
+  if (value === undefined || String(value).trim() === '') return undefined;
+  const maxCost = parseFloat(value);
+  if (!Number.isFinite(maxCost) || maxCost <= 0) {
+    throw badRequest(`Invalid maxCost: ${value} (expected a positive dollar amount)`);
+  }
+  return maxCost;
+}
+/**
+ * Validate the prompt template and parse the custom variables supplied for it
+ * @param {string} prompt - Prompt template
+ * @param {string} value - JSON object of variable values from the form
+ * @param {object} pipeline - Pipeline whose step prompts are used instead (optional)
+ * @returns {object} - Variable values by name
+ */
+function parseTemplateVariables(prompt, value, pipeline = null) {
+  const variables = parseVariables(value);
+  const prompts = pipeline ? pipeline.steps.map(step => step.prompt) : [prompt || ''];
+  prompts.forEach(text => assertVariablesSupplied(text, variables));
+  return variables;
+}
+/**
+ * Pick the output name template of a request: its own, or else the saved prompt's (or pipeline's)
+ * @param {string} value - outputName form field
+ * @param {string} fallback - Output name of the saved prompt or pipeline (optional)
+ * @param {object} variables - Custom variable values
+ * @returns {string|null} - Validated template, or null for the default names
+ */
+function resolveOutputName(value, fallback, variables) {
+  const outputName = (typeof value === 'string' && value.trim()) || fallback || null;
+  if (outputName) validateOutputName(outputName, variables);
+  return outputName;
+}
+/**
+ * Remove the uploads of a request once they are no longer needed
+ * @param {object} req - Express request with the multer uploads in req.files
+ * @param {string} reason - What the uploads were for, for the log
+ */
+async function removeUploads(req, reason) {
+  await Promise.all((req.files || []).map(file => fs.promises.unlink(file.path).catch(error => {
+    logError(`Failed to remove ${reason} upload ${file.path}: ${error.message}`);
+  })));
+}
+// POST route to queue files for processing
 router.post('/process-files', upload.array('files'), handleMulterError, async (req, res, next) => {
   const requestId = Date.now();
   const startTime = Date.now();
@@ -158,214 +305,80 @@ router.post('/process-files', upload.array('files'), handleMulterError, async (r
     console.log('\n' + '='.repeat(80));
     console.log(`[UPLOAD REQUEST] ${new Date().toISOString()} [ID: ${requestId}]`);
     console.log('='.repeat(80));
-    let filesToProcess = [];
-    const uploadDir = paths.uploads;
-    const allowedExtensions = ['.txt', '.md', '.srt'];
-    // Handle server folder with relative path support
-    const serverFolderInput = req.body.serverFolderPath?.trim();
-    if (serverFolderInput) {
-      console.log(`[SERVER FOLDER] Input: "${serverFolderInput}"`);
-      // Get current working directory
-      const cwd = process.cwd();
-      console.log(`[SERVER FOLDER] CWD: ${cwd}`);
-      // Resolve the path relative to CWD
-      const resolvedPath = path.resolve(cwd, serverFolderInput);
-      console.log(`[SERVER FOLDER] Resolved path: ${resolvedPath}`);
-      // Security check: ensure the resolved path is within CWD
-      if (!resolvedPath.startsWith(cwd)) {
-        console.error(`✗ Security violation: Path outside CWD`);
-        console.error('='.repeat(80) + '\n');
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid folder path: Cannot access directories outside the project'
-        });
-      }
-      // Check if folder exists
-      if (!fs.existsSync(resolvedPath)) {
-        console.error(`✗ Folder not found: ${resolvedPath}`);
-        console.error('='.repeat(80) + '\n');
-        return res.status(400).json({
-          success: false,
-          message: `Folder not found: ${serverFolderInput}`
-        });
-      }
-      // Check if it's a directory
-      const stats = fs.statSync(resolvedPath);
-      if (!stats.isDirectory()) {
-        console.error(`✗ Path is not a directory: ${resolvedPath}`);
-        console.error('='.repeat(80) + '\n');
-        return res.status(400).json({
-          success: false,
-          message: `Path is not a directory: ${serverFolderInput}`
-        });
-      }
-      console.log(`✓ Valid directory found`);
-      // Read and filter files
-      const filesInFolder = fs.readdirSync(resolvedPath)
-        .filter(f => allowedExtensions.includes(path.extname(f).toLowerCase()));
-      console.log(`✓ Found ${filesInFolder.length} valid files in folder`);
-      if (filesInFolder.length === 0) {
-        console.error(`✗ No valid files found`);
-        console.error('='.repeat(80) + '\n');
-        return res.status(400).json({
-          success: false,
-          message: `No valid files (.txt, .md, .srt) found in folder: ${serverFolderInput}`
-        });
-      }
-      // ✅ FIX: Don't copy files, just reference them directly
-      console.log(`Processing files directly from server folder...`);
-      filesInFolder.forEach((filename, index) => {
-        const filePath = path.join(resolvedPath, filename);
-        const fileStats = fs.statSync(filePath);
-        filesToProcess.push({
-          originalname: filename,
-          path: filePath,  // ← Use original path directly
-          size: fileStats.size,
-          isServerFile: true  // ← Mark as server file (don't delete later)
-        });
-        console.log(`  ${index + 1}. ${filename} (${(fileStats.size / 1024).toFixed(2)} KB)`);
-      });
+    const filesToProcess = collectFiles(req);
+    const { prompt, promptName, pipelineName, model, concurrency } = req.body;
+    // Form fields arrive as strings; leave it unset to use the model's default
+    const stream = req.body.stream === undefined ? undefined : ['true', 'on', '1'].includes(String(req.body.stream));
+    const bypassCache = ['true', 'on', '1'].includes(String(req.body.bypassCache));
+    const maxCost = parseMaxCost(req.body.maxCost);
+    const promptSettings = await resolvePromptSettings(promptName);
+    // A pipeline runs its own prompts, one step after another
+    const pipeline = pipelineName ? await resolvePipeline(pipelineName) : null;
+    const variables = parseTemplateVariables(prompt, req.body.variables, pipeline);
+    const contextMode = resolveContextMode(req.body.contextMode);
+    const outputName = resolveOutputName(req.body.outputName, (pipeline || promptSettings).outputName, variables);
+    if (pipeline) {
+      pipeline.steps.forEach(step => step.outputName && validateOutputName(step.outputName, variables));
     }
-    // Handle uploaded files
-    if (req.files && req.files.length > 0) {
-      console.log(`[UPLOADED FILES] Processing ${req.files.length} uploaded files`);
-      req.files.forEach((file, index) => {
-        console.log(`  ${index + 1}. ${file.originalname} (${(file.size / 1024).toFixed(2)} KB)`);
-        file.isServerFile = false;  // ← Mark as uploaded file (delete later)
-      });
-      filesToProcess.push(...req.files);
-    }
-    // Deduplicate files based on originalname to prevent processing the same file twice
-    const seenFiles = new Map();
-    filesToProcess = filesToProcess.filter(file => {
-      if (seenFiles.has(file.originalname)) {
-        console.log(`[DEDUPLICATION] Skipping duplicate file: ${file.originalname}`);
-        return false;
-      }
-      seenFiles.set(file.originalname, file);
-      return true;
-    });
-    console.log(`[DEDUPLICATION] After deduplication: ${filesToProcess.length} unique files`);
-    // Validate we have files
-    if (filesToProcess.length === 0) {
-      console.error(`✗ No files to process`);
-      console.error('='.repeat(80) + '\n');
-      return res.status(400).json({
-        success: false,
-        message: 'No files to process. Either upload files or specify a valid server folder path.'
+    console.log(`\n[PROCESSING PARAMETERS]`);
+    if (pipeline) {
+      console.log(`Pipeline: ${pipeline.name}`);
+      pipeline.steps.forEach((step, i) => {
+        console.log(`  Step ${i + 1}: ${step.name} (${step.promptName ? `saved prompt ${step.promptName}` : `${step.prompt.length} chars`}, model ${step.model || 'job default'})`);
       });
+    } else {
+      console.log(`Prompt: ${prompt || 'None'}`);
+      console.log(`Saved Prompt: ${promptName || 'None'} (${promptSettings.examples.length} examples, ${promptSettings.contentFraming} framing, ${promptSettings.strategy} strategy${promptSettings.outputSchema ? ', JSON output' : ''})`);
     }
-    console.log(`\n✓ Total files to process: ${filesToProcess.length}`);
-    console.log('='.repeat(80));
-    const { prompt, model } = req.body;
-    console.log(`\n[PROCESSING PARAMETERS]`);
-    console.log(`Prompt: ${prompt || 'None'}`);
+    console.log(`Template Variables: ${Object.keys(variables).join(', ') || 'None'}`);
+    console.log(`Context Carry-Over: ${contextMode}`);
+    console.log(`Output Name: ${outputName || 'Default'}`);
     console.log(`Model: ${model || 'Default'}`);
+    console.log(`Concurrency: ${concurrency || 'Default'}`);
+    console.log(`Streaming: ${stream === undefined ? 'Model default' : stream}`);
+    console.log(`Bypass Cache: ${bypassCache}`);
+    console.log(`Max Cost: ${maxCost === undefined ? 'None' : `$${maxCost}`}`);
     console.log(`Files: ${filesToProcess.length}`);
-    // Create timestamped output folder
-    const outputFolderName = createTimestampFolderName();
-    const outputDir = path.join(paths.outputs, outputFolderName);
-    ensureDirectoryExists(outputDir);
-    console.log(`\n[OUTPUT]`);
-    console.log(`Output folder: ${outputFolderName}`);
-    console.log(`Output path: ${outputDir}`);
-    const results = [];
-    let successCount = 0;
-    let failCount = 0;
-    console.log(`\n[FILE PROCESSING]`);
-    console.log('='.repeat(80));
-
-    // Set total files count for progress tracking
-    setTotalFiles(filesToProcess.length);
-    console.log(`✓ Progress tracking initialized for ${filesToProcess.length} files`);
 
-    // Process each file
-    for (let i = 0; i < filesToProcess.length; i++) {
-      // Check if processing has been cancelled
-      const progress = getProgress();
-      if (progress.cancelled || progress.status === 'cancelled') {
-        console.log(`\n[!] Processing cancelled by user`);
-        break;
-      }
+    // Hand the batch to the job queue and return straight away
+    const job = await createJob({
+      files: filesToProcess,
+      prompt,
+      promptName,
+      promptSettings,
+      variables,
+      outputName,
+      pipeline,
+      contextMode,
+      model,
+      concurrency,
+      stream,
+      bypassCache,
+      maxCost
+    });
 
-      const file = filesToProcess[i];
-      const fileStartTime = Date.now();
-      console.log(`\n[${i + 1}/${filesToProcess.length}] Processing: ${file.originalname}`);
-      try {
-        // Generate output filename
-        const outputFilename = `processed_${file.originalname}`;
-        const outputPath = path.join(outputDir, outputFilename);
-        // Process with Monica service (it handles reading and writing internally)
-        console.log(`  → Sending to Monica service...`);
-        await processFile(file.path, outputPath, prompt, model);
-        // Check the output file size
-        const outputStats = fs.statSync(outputPath);
-        console.log(`  ✓ Processing complete: ${(outputStats.size / 1024).toFixed(2)} KB`);
-        console.log(`  ✓ Saved: ${outputFilename}`);
-        const duration = Date.now() - fileStartTime;
-        console.log(`  ✓ Duration: ${duration}ms`);
-        results.push({
-          originalName: file.originalname,
-          processedName: outputFilename,
-          success: true,
-          url: `/a../data/outputs/${outputFolderName}/${outputFilename}`,
-          duration: duration
-        });
-        successCount++;
-      } catch (error) {
-        const duration = Date.now() - fileStartTime;
-        console.error(`  ✗ Error: ${error.message}`);
-        console.error(`  ✗ Duration: ${duration}ms`);
-        results.push({
-          originalName: file.originalname,
-          success: false,
-          error: error.message,
-          duration: duration
-        });
-        failCount++;
-      }
-      // Only clean up uploaded files, not server files
-      if (!file.isServerFile) {
-        try {
-          fs.unlinkSync(file.path);
-          console.log(`  ✓ Cleaned up temporary file`);
-        } catch (cleanupError) {
-          console.error(`  ⚠ Failed to cleanup: ${cleanupError.message}`);
-        }
-      } else {
-        console.log(`  ℹ Server file - no cleanup needed`);
-      }
-    }
-    const totalDuration = Date.now() - startTime;
-    console.log('\n' + '='.repeat(80));
-    console.log(`[PROCESSING COMPLETE] [ID: ${requestId}]`);
-    console.log('='.repeat(80));
-    console.log(`Total duration: ${totalDuration}ms`);
-    console.log(`Success: ${successCount}`);
-    console.log(`Failed: ${failCount}`);
-    console.log(`Output folder: ${outputFolderName}`);
+    console.log(`\n✓ Job queued: ${job.id}`);
+    console.log(`Output folder: ${job.outputFolder}`);
     console.log('='.repeat(80) + '\n');
-    res.json({
+
+    res.status(202).json({
       success: true,
-      message: `Processed ${successCount} of ${filesToProcess.length} files`,
-      results: results.map(r => ({
-        ...r,
-        originalFile: r.originalName,
-        outputFile: r.processedName,
-        outputPath: r.url,
-        timestampFolder: outputFolderName
-      })),
-      outputFolder: outputFolderName,
-      timestampFolder: outputFolderName,
-      downloadAllUrl: `/api/download-all/${outputFolderName}`,
-      stats: {
-        total: filesToProcess.length,
-        success: successCount,
-        failed: failCount,
-        duration: totalDuration
-      }
+      message: `Queued ${filesToProcess.length} files for processing`,
+      jobId: job.id,
+      statusUrl: `/api/jobs/${job.id}`,
+      outputFolder: job.outputFolder,
+      timestampFolder: job.outputFolder,
+      downloadAllUrl: job.downloadAllUrl
     });
   } catch (err) {
+    // No job took the uploads
+    await removeUploads(req, 'rejected');
+    if (err.status === 400) {
+      return res.status(400).json({
+        success: false,
+        message: err.message
+      });
+    }
     const duration = Date.now() - startTime;
     console.error('\n' + '='.repeat(80));
     console.error(`[PROCESS FILES ERROR] [ID: ${requestId}]`);
@@ -378,6 +391,77 @@ router.post('/process-files', upload.array('files'), handleMulterError, async (r
     next(err);
   }
 });
+// POST route to estimate the tokens and cost of a batch before processing it
+router.post('/estimate', upload.array('files'), handleMulterError, async (req, res, next) => {
+  const requestId = Date.now();
+  try {
+    console.log('\n' + '='.repeat(80));
+    console.log(`[ESTIMATE REQUEST] ${new Date().toISOString()} [ID: ${requestId}]`);
+    console.log('='.repeat(80));
+    const filesToEstimate = collectFiles(req);
+    // Only the first step of a pipeline can be estimated; each later step works on an output that doesn't exist yet
+    const pipeline = req.body.pipelineName ? await resolvePipeline(req.body.pipelineName) : null;
+    const firstStep = pipeline ? pipeline.steps[0] : null;
+    const prompt = firstStep ? firstStep.prompt : req.body.prompt || '';
+    const promptSettings = firstStep ? firstStep.promptSettings : await resolvePromptSettings(req.body.promptName);
+    const variables = parseTemplateVariables(req.body.prompt, req.body.variables, pipeline);
+    const contextMode = resolveContextMode(req.body.contextMode);
+    const model = (firstStep && firstStep.model) || req.body.model || process.env.DEFAULT_MODEL || 'gpt-4o';
+    const modelInfo = getModelInfo(model);
+    const files = [];
+    const total = { ...createUsage(), characters: 0, chunks: 0, reduceRequests: 0 };
+    for (const file of filesToEstimate) {
+      const estimate = await estimateFile(file.path, prompt, model, {
+        promptSettings,
+        variables,
+        contextMode,
+        originalName: file.originalname
+      });
+      files.push({ file: file.originalname, ...estimate });
+      addUsage(total, estimate);
+      total.characters += estimate.characters;
+      total.chunks += estimate.chunks;
+      total.reduceRequests += estimate.reduceRequests;
+    }
+    console.log(`✓ Estimated ${files.length} files: ~${total.inputTokens} input and ~${total.outputTokens} output tokens`);
+    if (pipeline) {
+      console.log(`Pipeline: ${pipeline.name} (only step ${firstStep.name} estimated)`);
+    }
+    console.log(`Estimated Cost: ${total.cost === null ? 'unknown (model has no pricing)' : `$${total.cost.toFixed(4)}`}`);
+    console.log('='.repeat(80) + '\n');
+    res.json({
+      success: true,
+      model,
+      pricing: modelInfo ? { inputCost: modelInfo.inputCost, outputCost: modelInfo.outputCost, per: '1M tokens' } : null,
+      files,
+      total,
+      pipeline: pipeline
+        ? {
+          name: pipeline.name,
+          estimatedStep: firstStep.name,
+          unestimatedSteps: pipeline.steps.slice(1).map(step => step.name)
+        }
+        : null,
+      budget: await getBudgetStatus()
+    });
+  } catch (err) {
+    if (err.status === 400) {
+      return res.status(400).json({
+        success: false,
+        message: err.message
+      });
+    }
+    console.error('\n' + '='.repeat(80));
+    console.error(`[ESTIMATE ERROR] [ID: ${requestId}]`);
+    console.error('='.repeat(80));
+    console.error(`Error: ${err.message}`);
+    console.error('='.repeat(80) + '\n');
+    next(err);
+  } finally {
+    // Uploads are only read for the estimate
+    await removeUploads(req, 'estimated');
+  }
+});
 // GET route to serve processed files from timestamped folders
 router.get('/data/outputs/:folder/:filename', (req, res) => {
   const folder = req.params.folder;
@@ -433,7 +517,9 @@ router.get('/download-all/:folder', (req, res) => {
         message: 'Folder not found'
       });
     }
-    const files = fs.readdirSync(folderPath);
+    // Unfinished streamed outputs and the job manifest (dotfiles) are not part of the results
+    const files = fs.readdirSync(folderPath)
+      .filter(file => !file.startsWith('.') && !file.endsWith(PARTIAL_SUFFIX));
     console.log(`Files found: ${files.length}`);
     if (files.length === 0) {
       console.error(`✗ No files in folder`);
@@ -507,11 +593,41 @@ router.get('/download-all/:folder', (req, res) => {
     });
   }
 });
+// POST route to cancel a specific job
+router.post('/cancel-processing/:jobId', (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    if (!getProgress(jobId)) {
+      return res.status(404).json({
+        success: false,
+        message: `Job not found: ${jobId}`
+      });
+    }
+
+    const cancelled = cancelProcessing(jobId);
+    res.json({
+      success: true,
+      cancelled,
+      message: cancelled ? 'Processing cancelled' : 'Job is not active'
+    });
+  } catch (error) {
+    console.error('Error cancelling processing:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel processing',
+      error: error.message
+    });
+  }
+});
+// POST route to cancel the most recently active job (backward compatibility)
 router.post('/cancel-processing', (req, res) => {
   try {
-    cancelProcessing();
+    const { jobId } = getProgress();
+    const cancelled = jobId ? cancelProcessing(jobId) : false;
     res.json({
       success: true,
+      cancelled,
       message: 'Processing cancelled'
     });
   } catch (error) {
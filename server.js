@@ -4,11 +4,14 @@ const path = require('path');
 const uploadRoutes = require('./routes/uploadRoutes');
 const modelRoutes = require('./routes/modelRoutes');
 const promptRoutes = require('./routes/promptRoutes');
+const pipelineRoutes = require('./routes/pipelineRoutes');
 const serverRoutes = require('./routes/serverRoutes');
+const jobRoutes = require('./routes/jobRoutes');
 const { cleanup } = require('./utils/cleanup');
 const { logInfo } = require('./utils/logger');
 const progressRoutes = require('./routes/progressRoutes');
 const { initializePaths } = require('./config/paths');
+const { initializeJobQueue } = require('./services/jobQueue');
 
 
 const app = express();
@@ -32,7 +35,9 @@ app.use((req, res, next) => {
 app.use('/api', uploadRoutes);
 app.use('/api', modelRoutes);
 app.use('/api', promptRoutes);
+app.use('/api', pipelineRoutes);
 app.use('/api', serverRoutes);
+app.use('/api', jobRoutes);
 
 // Health check endpoint for Docker
 app.get('/health', (req, res) => {
@@ -116,68 +121,19 @@ const runCleanup = async (type = 'initial') => {
   }
 };
 
-// Run initial cleanup when server starts
-runCleanup('initial').catch(err => {
-  console.error('⚠ Initial cleanup failed, but server will continue...');
-});
-
-// Schedule regular cleanup (configurable via environment)
-const CLEANUP_INTERVAL_HOURS = parseInt(process.env.CLEANUP_INTERVAL_HOURS) || 6;
-const CLEANUP_INTERVAL = CLEANUP_INTERVAL_HOURS * 60 * 60 * 1000; // Convert hours to milliseconds
-setInterval(() => {
-  runCleanup('scheduled').catch(err => {
-    console.error('⚠ Scheduled cleanup failed, will retry at next interval...');
-  });
-}, CLEANUP_INTERVAL);
-
-// Graceful shutdown handler
-const gracefulShutdown = async (signal) => {
-  console.log(`\n${signal} received. Starting graceful shutdown...`);
-
-  try {
-    // Run final cleanup
-    await runCleanup('shutdown');
-    console.log('✓ Final cleanup completed');
-  } catch (err) {
-    console.error('⚠ Final cleanup failed:', err.message);
-  }
-
-  console.log('✓ Server shut down gracefully');
-  process.exit(0);
-};
+// Initialize data directories and the job queue
+async function initialize() {
+  await initializePaths();
+  console.log('✓ Data directories initialized');
 
-// Listen for termination signals
-process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
-process.on('SIGINT', () => gracefulShutdown('SIGINT'));
-
-// Handle uncaught exceptions
-process.on('uncaughtException', (err) => {
-  console.error('\n' + '='.repeat(80));
-  console.error(`[UNCAUGHT EXCEPTION] ${new Date().toISOString()}`);
-  console.error('='.repeat(80));
-  console.error('Error:', err.message);
-  console.error('\nStack Trace:');
-  console.error(err.stack);
-  console.error('='.repeat(80) + '\n');
-  process.exit(1);
-});
-
-// Handle unhandled promise rejections
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('\n' + '='.repeat(80));
-  console.error(`[UNHANDLED REJECTION] ${new Date().toISOString()}`);
-  console.error('='.repeat(80));
-  console.error('Reason:', reason);
-  console.error('Promise:', promise);
-  console.error('='.repeat(80) + '\n');
-  process.exit(1);
-});
+  await initializeJobQueue();
+  console.log('✓ Job queue initialized');
+}
 
 // Initialize paths and start server
 async function startServer() {
   try {
-    await initializePaths();
-    console.log('✓ Data directories initialized');
+    await initialize();
 
     app.listen(PORT, () => {
       console.log('\n' + '='.repeat(80));
@@ -192,4 +148,70 @@ async function startServer() {
   }
 }
 
-startServer();
\ No newline at end of file
+// Schedule regular cleanup (configurable via environment)
+const CLEANUP_INTERVAL_HOURS = parseInt(process.env.CLEANUP_INTERVAL_HOURS) || 6;
+const CLEANUP_INTERVAL = CLEANUP_INTERVAL_HOURS * 60 * 60 * 1000; // Convert hours to milliseconds
+
+// Only run the server when started directly; tests require the app instead
+if (require.main === module) {
+  // Run initial cleanup when server starts
+  runCleanup('initial').catch(err => {
+    console.error('⚠ Initial cleanup failed, but server will continue...');
+  });
+
+  setInterval(() => {
+    runCleanup('scheduled').catch(err => {
+      console.error('⚠ Scheduled cleanup failed, will retry at next interval...');
+    });
+  }, CLEANUP_INTERVAL);
+
+  // Graceful shutdown handler
+  const gracefulShutdown = async (signal) => {
+    console.log(`\n${signal} received. Starting graceful shutdown...`);
+
+    try {
+      // Run final cleanup
+      await runCleanup('shutdown');
+      console.log('✓ Final cleanup completed');
+    } catch (err) {
+      console.error('⚠ Final cleanup failed:', err.message);
+    }
+
+    console.log('✓ Server shut down gracefully');
+    process.exit(0);
+  };
+
+  // Listen for termination signals
+  process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+  process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+
+  // Handle uncaught exceptions
+  process.on('uncaughtException', (err) => {
+    console.error('\n' + '='.repeat(80));
+    console.error(`[UNCAUGHT EXCEPTION] ${new Date().toISOString()}`);
+    console.error('='.repeat(80));
+    console.error('Error:', err.message);
+    console.error('\nStack Trace:');
+    console.error(err.stack);
+    console.error('='.repeat(80) + '\n');
+    process.exit(1);
+  });
+
+  // Handle unhandled promise rejections
+  process.on('unhandledRejection', (reason, promise) => {
+    console.error('\n' + '='.repeat(80));
+    console.error(`[UNHANDLED REJECTION] ${new Date().toISOString()}`);
+    console.error('='.repeat(80));
+    console.error('Reason:', reason);
+    console.error('Promise:', promise);
+    console.error('='.repeat(80) + '\n');
+    process.exit(1);
+  });
+
+  startServer();
+}
+
+module.exports = {
+  app,
+  initialize
+};
@@ -0,0 +1,222 @@
+/**
+ * Spend limits: a per-job maximum cost and global daily/monthly budgets.
+ *
+ * Actual spend is kept in a ledger under the data directory so the daily and
+ * monthly totals survive restarts. Before each API request a job reserves the
+ * request's estimated cost; a request that would push the job or the global
+ * budget over its limit is refused with a BUDGET_EXCEEDED error.
+ */
+
+const fs = require('fs').promises;
+const { logInfo, logError } = require('../utils/logger');
+const { paths } = require('../config/paths');
+
+// Months of history kept in the ledger
+const LEDGER_MONTHS = 24;
+
+let ledger = null;
+let ledgerLoading = null;
+let ledgerWrite = Promise.resolve();
+
+// Estimated cost of requests in flight across all jobs
+let globalReserved = 0;
+
+/**
+ * Read the global budgets from the environment
+ * @returns {object} - { daily, monthly } in dollars (null when unlimited)
+ */
+function getBudgetLimits() {
+  const parse = (value) => {
+    const limit = parseFloat(value);
+    return Number.isFinite(limit) && limit > 0 ? limit : null;
+  };
+
+  return {
+    daily: parse(process.env.DAILY_BUDGET),
+    monthly: parse(process.env.MONTHLY_BUDGET)
+  };
+}
+
+/**
+ * Get the ledger keys of a moment (UTC)
+ * @param {number} timestamp - Time in milliseconds
+ * @returns {object} - { day: 'YYYY-MM-DD', month: 'YYYY-MM' }
+ */
+function periodKeys(timestamp = Date.now()) {
+  const iso = new Date(timestamp).toISOString();
+  return { day: iso.slice(0, 10), month: iso.slice(0, 7) };
+}
+
+/**
+ * Load the spend ledger once
+ * @returns {Promise<object>} - Ledger ({ days, months })
+ */
+async function loadLedger() {
+  if (ledger) return ledger;
+
+  if (!ledgerLoading) {
+    ledgerLoading = fs.readFile(paths.spendLedger, 'utf8')
+      .then(data => JSON.parse(data))
+      .catch(error => {
+        if (error.code !== 'ENOENT') {
+          logError(`Could not read spend ledger, starting a new one: ${error.message}`);
+        }
+        return {};
+      })
+      .then(data => {
+        ledger = { days: data.days || {}, months: data.months || {} };
+        return ledger;
+      });
+  }
+
+  return ledgerLoading;
+}
+
+/**
+ * Write the ledger, keeping only the current month's days and recent months
+ */
+function saveLedger() {
+  const { month } = periodKeys();
+  Object.keys(ledger.days)
+    .filter(day => !day.startsWith(month))
+    .forEach(day => delete ledger.days[day]);
+  Object.keys(ledger.months)
+    .sort()
+    .slice(0, -LEDGER_MONTHS)
+    .forEach(key => delete ledger.months[key]);
+
+  const data = JSON.stringify(ledger, null, 2);
+  ledgerWrite = ledgerWrite
+    .then(async () => {
+      await fs.writeFile(`${paths.spendLedger}.tmp`, data, 'utf8');
+      await fs.rename(`${paths.spendLedger}.tmp`, paths.spendLedger);
+    })
+    .catch(error => logError(`Failed to save spend ledger: ${error.message}`));
+}
+
+/**
+ * Get spend so far against the global budgets
+ * @returns {Promise<object>} - { daily, monthly }, each { limit, spent, remaining }
+ */
+async function getBudgetStatus() {
+  const { daily, monthly } = getBudgetLimits();
+  const { day, month } = periodKeys();
+  await loadLedger();
+
+  const describe = (limit, spent) => ({
+    limit,
+    spent,
+    remaining: limit === null ? null : Math.max(0, Math.round((limit - spent) * 1e6) / 1e6)
+  });
+
+  return {
+    daily: describe(daily, ledger.days[day] || 0),
+    monthly: describe(monthly, ledger.months[month] || 0)
+  };
+}
+
+/**
+ * Create the error raised when a request would exceed a budget
+ * @param {string} message - Error message
+ * @returns {Error} - Error with code BUDGET_EXCEEDED
+ */
+function budgetExceededError(message) {
+  const error = new Error(message);
+  error.code = 'BUDGET_EXCEEDED';
+  return error;
+}
+
+/**
+ * Create the spend guard of one job run
+ * @param {object} options - Guard options
+ * @param {string} options.jobId - Job the spend belongs to
+ * @param {number|null} options.maxCost - Most the job may spend, in dollars (null for no limit)
+ * @returns {object} - Guard passed to processFile as options.budget
+ */
+function createBudgetGuard({ jobId, maxCost = null }) {
+  let spent = 0;
+  let reserved = 0;
+  let exceeded = null;
+
+  return {
+    /**
+     * Whether a request has been refused (later requests are refused too)
+     * @returns {string|null} - Reason, or null while within budget
+     */
+    get exceeded() {
+      return exceeded;
+    },
+
+    /**
+     * Total actually spent by the job in this run
+     * @returns {number} - Dollars
+     */
+    get spent() {
+      return spent;
+    },
+
+    /**
+     * Reserve the estimated cost of a request, or refuse it
+     * @param {number|null} estimatedCost - Estimated cost in dollars (null when the model has no pricing)
+     * @returns {Promise<number>} - Reservation to pass to release()
+     */
+    async reserve(estimatedCost) {
+      const cost = estimatedCost || 0;
+      await loadLedger();
+
+      if (!exceeded) {
+        const { daily, monthly } = getBudgetLimits();
+        const { day, month } = periodKeys();
+
+        if (maxCost !== null && spent + reserved + cost > maxCost) {
+          exceeded = `Job budget of $${maxCost} would be exceeded ($${spent.toFixed(4)} spent)`;
+        } else if (daily !== null && (ledger.days[day] || 0) + globalReserved + cost > daily) {
+          exceeded = `Daily budget of $${daily} would be exceeded`;
+        } else if (monthly !== null && (ledger.months[month] || 0) + globalReserved + cost > monthly) {
+          exceeded = `Monthly budget of $${monthly} would be exceeded`;
+        }
+
+        if (exceeded) {
+          logInfo(`Job ${jobId} stopped: ${exceeded}`);
+        }
+      }
+
+      if (exceeded) {
+        throw budgetExceededError(exceeded);
+      }
+
+      reserved += cost;
+      globalReserved += cost;
+      return cost;
+    },
+
+    /**
+     * Release a reservation once its request has finished
+     * @param {number} reservation - Value returned by reserve()
+     */
+    release(reservation) {
+      reserved -= reservation;
+      globalReserved -= reservation;
+    },
+
+    /**
+     * Record the actual cost of a request
+     * @param {number|null} cost - Cost in dollars
+     */
+    record(cost) {
+      if (!cost) return;
+
+      spent += cost;
+      const { day, month } = periodKeys();
+      ledger.days[day] = Math.round(((ledger.days[day] || 0) + cost) * 1e6) / 1e6;
+      ledger.months[month] = Math.round(((ledger.months[month] || 0) + cost) * 1e6) / 1e6;
+      saveLedger();
+    }
+  };
+}
+
+module.exports = {
+  getBudgetLimits,
+  getBudgetStatus,
+  createBudgetGuard
+};
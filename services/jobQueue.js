@@ -0,0 +1,843 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { processFile } = require('./monicaService');
+const {
+  createProgress,
+  updateProgress,
+  removeProgress,
+  cancelProcessing,
+  isCancelled,
+  trackFileProcessing,
+  finishFileProgress
+} = require('./progressTracker');
+const { ensureDirectoryExists } = require('../utils/fileUtils');
+const { runWithConcurrency, resolveConcurrency } = require('../utils/concurrency');
+const { hashContent, loadManifest, saveManifest, createChunkCache } = require('../utils/jobManifest');
+const { createUsage, addUsage } = require('../utils/costs');
+const { isExtractedFile, getTextFilename } = require('../utils/formats');
+const { planOutputNames } = require('../utils/outputNames');
+const { createBudgetGuard } = require('./budget');
+const { logInfo, logError } = require('../utils/logger');
+const { paths } = require('../config/paths');
+
+// All known jobs, keyed by job ID
+const jobs = new Map();
+
+// IDs of jobs waiting for the worker, in submission order
+const queue = [];
+
+// In-flight record writes, keyed by job ID
+const pendingSaves = new Map();
+
+let workerRunning = false;
+
+/**
+ * Create a formatted timestamp folder name, adding a suffix if it already exists
+ * @returns {string} - Folder name inside the outputs directory
+ */
+function createOutputFolderName() {
+  const now = new Date();
+  const year = now.getFullYear();
+  const month = String(now.getMonth() + 1).padStart(2, '0');
+  const day = String(now.getDate()).padStart(2, '0');
+  const hours = String(now.getHours()).padStart(2, '0');
+  const minutes = String(now.getMinutes()).padStart(2, '0');
+  const seconds = String(now.getSeconds()).padStart(2, '0');
+  const baseName = `${year}-${month}-${day}_${hours}-${minutes}-${seconds}`;
+
+  // Two jobs submitted in the same second must not share an output folder
+  const taken = name => Array.from(jobs.values()).some(job => job.outputFolder === name);
+  let folderName = baseName;
+  let suffix = 2;
+  while (taken(folderName)) {
+    folderName = `${baseName}_${suffix++}`;
+  }
+
+  return folderName;
+}
+
+/**
+ * Get the path of a job's persisted record
+ * @param {string} jobId - Job ID
+ * @returns {string} - Path to the job JSON file
+ */
+function getJobPath(jobId) {
+  return path.join(paths.jobs, `${jobId}.json`);
+}
+
+/**
+ * Persist a job record to disk
+ * @param {object} job - Job to save
+ */
+async function writeJobRecord(job) {
+  // A deleted job may still be finishing in the worker; don't resurrect its record
+  if (!jobs.has(job.id)) return;
+
+  job.updatedAt = Date.now();
+  const jobPath = getJobPath(job.id);
+  const tempPath = `${jobPath}.tmp`;
+
+  // Write then rename so a crash never leaves a half-written record
+  await fs.writeFile(tempPath, JSON.stringify(job, null, 2), 'utf8');
+  await fs.rename(tempPath, jobPath);
+}
+
+/**
+ * Persist a job record, serializing writes for the same job
+ * @param {object} job - Job to save
+ */
+async function saveJob(job) {
+  const previous = pendingSaves.get(job.id) || Promise.resolve();
+  const current = previous.catch(() => {}).then(() => writeJobRecord(job));
+  pendingSaves.set(job.id, current);
+
+  try {
+    await current;
+  } finally {
+    if (pendingSaves.get(job.id) === current) {
+      pendingSaves.delete(job.id);
+    }
+  }
+}
+
+/**
+ * Build the API representation of a job
+ * @param {object} job - Job record
+ * @returns {object} - Job information safe to return to clients
+ */
+function toPublicJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    prompt: job.prompt,
+    promptName: job.promptName || null,
+    pipelineName: job.pipeline ? job.pipeline.name : null,
+    variables: job.variables || {},
+    contextMode: job.contextMode || 'none',
+    model: job.model,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    resumedAt: job.resumedAt || null,
+    resumeCount: job.resumeCount || 0,
+    error: job.error,
+    files: job.files.map(file => ({
+      originalname: file.originalname,
+      size: file.size,
+      isServerFile: file.isServerFile
+    })),
+    results: job.results.filter(Boolean),
+    concurrency: job.concurrency,
+    stream: job.stream,
+    bypassCache: !!job.bypassCache,
+    maxCost: job.maxCost ?? null,
+    outputFolder: job.outputFolder,
+    timestampFolder: job.outputFolder,
+    downloadAllUrl: `/api/download-all/${job.outputFolder}`,
+    stats: job.stats
+  };
+}
+
+/**
+ * Remove a job's uploaded input files (server folder files are left alone)
+ * @param {object} job - Job record
+ * @param {Array<object>} files - Files to clean up (defaults to all job files)
+ */
+async function cleanupUploads(job, files = job.files) {
+  for (const file of files) {
+    if (file.isServerFile) continue;
+
+    try {
+      await fs.unlink(file.path);
+      console.log(`  ✓ Cleaned up temporary file: ${file.originalname}`);
+    } catch (cleanupError) {
+      if (cleanupError.code !== 'ENOENT') {
+        console.error(`  ⚠ Failed to cleanup: ${cleanupError.message}`);
+      }
+    }
+  }
+}
+
+/**
+ * Hash the content of a job's input file
+ * @param {object} file - Job file
+ * @returns {Promise<string|null>} - Content hash, or null once the upload was removed
+ */
+async function hashInputFile(file) {
+  try {
+    // PDF and DOCX files are binary, so every byte is kept when they are read as text
+    return hashContent(await fs.readFile(file.path, isExtractedFile(file.originalname) ? 'latin1' : 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Check whether a file exists
+ * @param {string} filePath - File path
+ * @returns {Promise<boolean>} - True if it exists
+ */
+async function fileExists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Find the manifest entry of a job file. Entries are keyed by the stored file name, as
+ * uploads with the same original name are stored apart.
+ * @param {object} manifest - Job manifest
+ * @param {object} file - Job file
+ * @param {string} outputFilename - Output file name of the file
+ * @returns {object} - { key, entry } where entry is null when the file has none yet
+ */
+function findManifestEntry(manifest, file, outputFilename) {
+  const key = path.basename(file.path);
+  if (manifest.files[key]) return { key, entry: manifest.files[key] };
+
+  // Manifests written before were keyed by original name; the output name tells same-named files apart
+  const legacy = manifest.files[file.originalname];
+  if (legacy && legacy.outputFile === outputFilename) {
+    delete manifest.files[file.originalname];
+    manifest.files[key] = legacy;
+    return { key, entry: legacy };
+  }
+  return { key, entry: null };
+}
+
+/**
+ * Name of the file that keeps the text extracted from a PDF or DOCX input
+ * @param {object} file - Job file
+ * @returns {string} - File name
+ */
+function getExtractedFilename(file) {
+  return `extracted_${getTextFilename(file.originalname)}`;
+}
+
+/**
+ * Add up the chunk counts of a file's chunk caches (one per pipeline step)
+ * @param {Array<object>} chunkCaches - Chunk caches from createChunkCache
+ * @returns {object} - { reused, completed, failed }
+ */
+function sumChunkStats(chunkCaches) {
+  return chunkCaches.reduce((sum, chunkCache) => ({
+    reused: sum.reused + chunkCache.stats.reused,
+    completed: sum.completed + chunkCache.stats.completed,
+    failed: sum.failed + chunkCache.stats.failed
+  }), { reused: 0, completed: 0, failed: 0 });
+}
+
+/**
+ * Build the result entry of a successfully processed file
+ * @param {object} job - Job record
+ * @param {object} file - Job file
+ * @param {string} outputFilename - Output file name
+ * @param {number} duration - Processing time in milliseconds
+ * @param {Array} attempts - API attempts made for the file
+ * @param {object} cache - Response cache hits and misses of the file
+ * @param {object} usage - Tokens and cost of the file's API calls
+ * @returns {object} - Result entry
+ */
+function createSuccessResult(job, file, outputFilename, duration, attempts, cache, usage) {
+  const result = {
+    originalFile: file.originalname,
+    outputFile: outputFilename,
+    outputPath: `/api/data/outputs/${job.outputFolder}/${outputFilename}`,
+    timestampFolder: job.outputFolder,
+    model: job.model,
+    success: true,
+    duration,
+    attempts,
+    cache,
+    usage
+  };
+
+  // Every step of a pipeline saves its output; the last one is the file's output
+  if (job.pipeline) {
+    result.steps = job.pipeline.steps.map((step, s) => ({
+      name: step.name,
+      model: step.model || job.model,
+      outputFile: file.stepOutputFilenames[s],
+      outputPath: `/api/data/outputs/${job.outputFolder}/${file.stepOutputFilenames[s]}`
+    }));
+  }
+
+  // The text extracted from a PDF or DOCX input is saved next to its output
+  if (isExtractedFile(file.originalname)) {
+    result.extractedFile = getExtractedFilename(file);
+    result.extractedPath = `/api/data/outputs/${job.outputFolder}/${result.extractedFile}`;
+  }
+
+  return result;
+}
+
+/**
+ * Build the result entry of a file skipped because the budget ran out
+ * @param {object} file - Job file
+ * @param {string} reason - Why the budget was exceeded
+ * @returns {object} - Result entry
+ */
+function createSkippedResult(file, reason) {
+  return {
+    originalFile: file.originalname,
+    success: false,
+    skipped: true,
+    reason: 'budget_exceeded',
+    error: reason
+  };
+}
+
+/**
+ * Count a file that needs no API calls (reused or skipped) as finished in the job's progress
+ * @param {string} jobId - Job ID
+ * @param {object} file - Job file
+ * @param {object} details - History entry fields ({ success, reused, skipped, error, ... })
+ * @param {string} eventType - Event type sent to stream listeners
+ */
+function skipFileProgress(jobId, file, details, eventType = 'file_finished') {
+  trackFileProcessing(jobId, file.path);
+  finishFileProgress(jobId, path.basename(file.path), {
+    file: path.basename(file.path),
+    duration: 0,
+    timestamp: Date.now(),
+    ...details
+  }, eventType);
+}
+
+/**
+ * Run all files of a job through the Monica service
+ * @param {object} job - Job to run
+ */
+async function runJob(job) {
+  const startTime = Date.now();
+  const outputDir = path.join(paths.outputs, job.outputFolder);
+
+  job.status = 'running';
+  job.startedAt = startTime;
+  await saveJob(job);
+
+  console.log('\n' + '='.repeat(80));
+  console.log(`[JOB START] ${new Date().toISOString()} [ID: ${job.id}]`);
+  console.log('='.repeat(80));
+  console.log(`Prompt: ${job.prompt || 'None'}`);
+  if (job.pipeline) {
+    console.log(`Pipeline: ${job.pipeline.name} (${job.pipeline.steps.map(step => step.name).join(' → ')})`);
+  }
+  console.log(`Model: ${job.model || 'Default'}`);
+  console.log(`Files: ${job.files.length}`);
+  console.log(`Output folder: ${job.outputFolder}`);
+
+  try {
+    ensureDirectoryExists(outputDir);
+
+    updateProgress(job.id, {
+      status: 'processing',
+      startTime
+    }, 'job_started');
+
+    const concurrency = resolveConcurrency(job.concurrency);
+    console.log(`Concurrency: ${concurrency}`);
+
+    // The manifest tells a resumed run which files are already done
+    const manifest = (await loadManifest(outputDir)) || {
+      jobId: job.id,
+      createdAt: Date.now(),
+      files: {}
+    };
+    const promptHash = hashContent(job.prompt, JSON.stringify({
+      settings: job.promptSettings || {},
+      variables: job.variables || {},
+      contextMode: job.contextMode || 'none',
+      pipeline: job.pipeline ? job.pipeline.steps : undefined
+    }));
+    const model = job.model || null;
+    if (Object.keys(manifest.files).length > 0) {
+      console.log(`Manifest: ${Object.keys(manifest.files).length} files from an earlier run`);
+    }
+
+    // Requests are refused once the job's maxCost or the daily/monthly budget would be exceeded
+    const budget = createBudgetGuard({ jobId: job.id, maxCost: job.maxCost ?? null });
+    if (job.maxCost != null) {
+      console.log(`Max cost: $${job.maxCost}`);
+    }
+
+    // Run files in parallel; results are stored by index so they keep the input order
+    await runWithConcurrency(job.files, concurrency, async (file, i) => {
+      // Check if processing has been cancelled
+      if (job.cancelRequested || isCancelled(job.id)) {
+        job.status = 'cancelled';
+        return;
+      }
+
+      // Files left once the budget ran out are skipped, not failed, so they can be resumed later
+      if (budget.exceeded) {
+        console.log(`\n[${i + 1}/${job.files.length}] Skipped: ${file.originalname} (budget exceeded)`);
+        job.results[i] = createSkippedResult(file, budget.exceeded);
+        skipFileProgress(job.id, file, { success: false, skipped: true, error: budget.exceeded }, 'file_skipped');
+        await saveJob(job);
+        return;
+      }
+
+      const fileStartTime = Date.now();
+      // Jobs created before output names were planned use the default name
+      const outputFilename = file.outputFilename ||
+        `processed_${getTextFilename(file.originalname, { json: !!job.promptSettings?.outputSchema })}`;
+      const outputPath = path.join(outputDir, outputFilename);
+      // Each pipeline step writes its own output, the last one being the file's result
+      const stepFilenames = job.pipeline ? file.stepOutputFilenames : [outputFilename];
+      const attempts = [];
+      const cache = { hits: 0, misses: 0 };
+      const usage = createUsage();
+      const { key: manifestKey, entry: previous } = findManifestEntry(manifest, file, outputFilename);
+      console.log(`\n[${i + 1}/${job.files.length}] Processing: ${file.originalname}`);
+
+      try {
+        const inputHash = await hashInputFile(file);
+        // Uploads are only removed once their output is complete, so a missing input matches
+        const unchanged = !!previous &&
+          (inputHash === null || previous.inputHash === inputHash) &&
+          previous.promptHash === promptHash &&
+          previous.model === model;
+
+        // Output written by an earlier run of this job for the same input, prompt and model
+        if (unchanged && previous.status === 'completed' && await fileExists(outputPath)) {
+          console.log(`  ✓ Reused: ${outputFilename} (already processed)`);
+          job.results[i] = {
+            ...createSuccessResult(job, file, outputFilename, 0, attempts, cache, usage),
+            reused: true
+          };
+          skipFileProgress(job.id, file, { outputFile: outputFilename, success: true, reused: true });
+        } else {
+          if (inputHash === null) {
+            throw new Error(`Input file is no longer available: ${file.originalname}`);
+          }
+
+          const chunkCaches = stepFilenames.map(stepFilename => createChunkCache(outputDir, stepFilename));
+          if (!unchanged) await Promise.all(chunkCaches.map(chunkCache => chunkCache.clear()));
+
+          manifest.files[manifestKey] = {
+            originalFile: file.originalname,
+            inputHash,
+            promptHash,
+            model,
+            outputFile: outputFilename,
+            status: 'processing',
+            startedAt: fileStartTime
+          };
+          await saveManifest(outputDir, manifest);
+
+          const outputCheck = {};
+          await processFile(file.path, outputPath, job.prompt, job.model, {
+            jobId: job.id,
+            concurrency,
+            attempts,
+            chunkCache: chunkCaches[0],
+            cacheStats: cache,
+            bypassCache: !!job.bypassCache,
+            usage,
+            budget,
+            promptSettings: job.promptSettings,
+            variables: job.variables || {},
+            originalName: file.originalname,
+            contextMode: job.contextMode || 'none',
+            stream: job.stream === null ? undefined : job.stream,
+            outputCheck,
+            extractedPath: isExtractedFile(file.originalname) ? path.join(outputDir, getExtractedFilename(file)) : null,
+            steps: job.pipeline
+              ? job.pipeline.steps.map((step, s) => ({
+                ...step,
+                model: step.model || job.model,
+                outputPath: path.join(outputDir, stepFilenames[s]),
+                chunkCache: chunkCaches[s]
+              }))
+              : undefined
+          });
+
+          const duration = Date.now() - fileStartTime;
+          console.log(`  ✓ Saved: ${outputFilename} (${duration}ms)`);
+
+          // Chunks that failed are retried when the job is resumed
+          const chunks = sumChunkStats(chunkCaches);
+          const { failed } = chunks;
+          Object.assign(manifest.files[manifestKey], {
+            status: failed > 0 ? 'incomplete' : 'completed',
+            chunks,
+            finishedAt: Date.now()
+          });
+          if (failed === 0) await Promise.all(chunkCaches.map(chunkCache => chunkCache.clear()));
+
+          job.results[i] = createSuccessResult(job, file, outputFilename, duration, attempts, cache, usage);
+          if (failed > 0) job.results[i].failedChunks = failed;
+
+          // Subtitles that don't match their input, and JSON that doesn't match its schema, are written but reported
+          if (outputCheck.format) job.results[i].outputCheck = outputCheck;
+        }
+      } catch (error) {
+        const duration = Date.now() - fileStartTime;
+        console.error(`  ✗ Error: ${error.message}`);
+
+        job.results[i] = {
+          originalFile: file.originalname,
+          success: false,
+          error: error.message,
+          duration,
+          attempts,
+          cache,
+          usage
+        };
+
+        // A file stopped by the budget is skipped; chunks it finished are kept for resuming
+        if (error.code === 'BUDGET_EXCEEDED') {
+          Object.assign(job.results[i], createSkippedResult(file, budget.exceeded));
+        }
+
+        // A failed stream leaves its partial output next to the other outputs
+        if (error.partialFile) {
+          job.results[i].partialFile = error.partialFile;
+          job.results[i].partialPath = `/api/data/outputs/${job.outputFolder}/${error.partialFile}`;
+        }
+
+        if (manifest.files[manifestKey]) {
+          Object.assign(manifest.files[manifestKey], {
+            status: job.results[i].skipped ? 'skipped' : 'failed',
+            error: error.message,
+            finishedAt: Date.now()
+          });
+        }
+      }
+
+      await saveManifest(outputDir, manifest);
+
+      // Inputs are kept until their output is complete so the job can be resumed
+      if (job.results[i].success && !job.results[i].failedChunks) {
+        await cleanupUploads(job, [file]);
+      }
+      await saveJob(job);
+    });
+
+    if (job.status === 'cancelled') {
+      console.log(`\n[!] Job cancelled by user`);
+    }
+
+    // Files skipped by a cancellation leave holes in the results
+    job.results = job.results.filter(Boolean);
+    const successCount = job.results.filter(result => result.success).length;
+    const skippedCount = job.results.filter(result => result.skipped).length;
+    const failCount = job.results.length - successCount - skippedCount;
+
+    if (job.status !== 'cancelled') {
+      job.status = budget.exceeded ? 'budget_exceeded' : 'completed';
+    }
+    if (budget.exceeded) {
+      console.log(`\n[!] ${budget.exceeded}`);
+      job.error = budget.exceeded;
+    }
+
+    job.stats = {
+      total: job.files.length,
+      success: successCount,
+      failed: failCount,
+      skipped: skippedCount,
+      duration: Date.now() - startTime,
+      cache: {
+        hits: job.results.reduce((sum, result) => sum + (result.cache ? result.cache.hits : 0), 0),
+        misses: job.results.reduce((sum, result) => sum + (result.cache ? result.cache.misses : 0), 0)
+      },
+      usage: job.results.reduce((total, result) => addUsage(total, result.usage || {}), createUsage())
+    };
+  } catch (error) {
+    logError(`Job ${job.id} failed: ${error.message}`);
+    job.status = 'failed';
+    job.error = error.message;
+  }
+
+  job.finishedAt = Date.now();
+
+  // Progress is final before the job is saved, so a finished job never shows stale progress
+  const finalEvents = { completed: 'job_completed', cancelled: 'cancelled', budget_exceeded: 'budget_exceeded' };
+  updateProgress(job.id, {
+    status: job.status === 'failed' ? 'error' : job.status,
+    error: job.error || (job.status === 'cancelled' ? 'Processing cancelled by user' : null),
+    currentChunk: null
+  }, finalEvents[job.status] || 'error');
+
+  await saveJob(job);
+
+  console.log('\n' + '='.repeat(80));
+  console.log(`[JOB ${job.status.toUpperCase()}] [ID: ${job.id}]`);
+  console.log('='.repeat(80));
+  console.log(`Total duration: ${job.finishedAt - startTime}ms`);
+  if (job.stats) {
+    console.log(`Success: ${job.stats.success}`);
+    console.log(`Failed: ${job.stats.failed}`);
+    console.log(`Skipped: ${job.stats.skipped}`);
+    console.log(`Cache: ${job.stats.cache.hits} hits, ${job.stats.cache.misses} misses`);
+    console.log(`Tokens: ${job.stats.usage.inputTokens} input, ${job.stats.usage.outputTokens} output`);
+    console.log(`Cost: ${job.stats.usage.cost === null ? 'unknown' : `$${job.stats.usage.cost.toFixed(4)}`}`);
+  }
+  console.log('='.repeat(80) + '\n');
+}
+
+/**
+ * Process queued jobs one at a time until the queue is empty
+ */
+async function runWorker() {
+  if (workerRunning) return;
+  workerRunning = true;
+
+  try {
+    while (queue.length > 0) {
+      const job = jobs.get(queue.shift());
+      if (!job || job.status !== 'queued') continue;
+
+      // Cancelled while waiting in the queue (uploads are kept so it can be resumed)
+      if (isCancelled(job.id)) {
+        job.status = 'cancelled';
+        job.finishedAt = Date.now();
+        await saveJob(job);
+        continue;
+      }
+
+      try {
+        await runJob(job);
+      } catch (error) {
+        logError(`Unexpected error running job ${job.id}: ${error.message}`);
+      }
+
+      // Deleted while running: it can no longer be resumed, so its inputs aren't needed
+      if (job.deleted) {
+        await cleanupUploads(job);
+      }
+    }
+  } finally {
+    workerRunning = false;
+  }
+}
+
+/**
+ * Create a job and add it to the queue
+ * @param {object} options - Job options
+ * @param {Array<object>} options.files - Files to process ({ originalname, path, size, isServerFile })
+ * @param {string} options.prompt - Prompt to send with each file
+ * @param {string} options.promptName - Saved prompt the prompt came from (optional)
+ * @param {object} options.promptSettings - Its examples and content framing, kept with the job so a resume sends the same messages
+ * @param {object} options.variables - Values of the custom variables in the prompt template
+ * @param {string} options.outputName - Output name template (optional, see utils/outputNames)
+ * @param {object} options.pipeline - Pipeline whose steps run on every file instead of the prompt
+ *   ({ name, steps }, optional, see services/pipelineStore)
+ * @param {string} options.contextMode - Context carried between the chunks of large files ('none', 'tail' or 'summary')
+ * @param {string} options.model - AI model to use
+ * @param {number} options.concurrency - Files (and chunks per file) processed in parallel
+ * @param {boolean} options.stream - Stream responses into .partial files (optional, defaults to the model's setting)
+ * @param {boolean} options.bypassCache - Ask the API again instead of using cached responses
+ * @param {number} options.maxCost - Most the job may spend per run, in dollars (optional)
+ * @returns {Promise<object>} - Public job information
+ */
+async function createJob({ files, prompt, promptName, promptSettings, variables, outputName, pipeline, contextMode, model, concurrency, stream, bypassCache, maxCost }) {
+  // Output names are fixed now so that a resumed job writes the same files
+  const outputNames = planOutputNames(files, {
+    template: outputName || null,
+    variables: variables || {},
+    model: model || process.env.DEFAULT_MODEL || 'gpt-4o',
+    json: !!promptSettings?.outputSchema,
+    steps: pipeline
+      ? pipeline.steps.map(step => ({
+        name: step.name,
+        model: step.model,
+        json: !!step.promptSettings.outputSchema,
+        template: step.outputName
+      }))
+      : undefined,
+    reserved: files.filter(file => isExtractedFile(file.originalname)).map(getExtractedFilename)
+  });
+
+  const job = {
+    id: crypto.randomUUID(),
+    status: 'queued',
+    prompt,
+    promptName: promptName || null,
+    promptSettings: promptSettings || null,
+    variables: variables || {},
+    outputName: outputName || null,
+    pipeline: pipeline ? { name: pipeline.name, steps: pipeline.steps } : null,
+    contextMode: contextMode || 'none',
+    model,
+    concurrency: resolveConcurrency(concurrency),
+    stream: stream === undefined ? null : !!stream,
+    bypassCache: !!bypassCache,
+    maxCost: maxCost ?? null,
+    files: files.map((file, i) => ({
+      originalname: file.originalname,
+      path: file.path,
+      size: file.size,
+      isServerFile: !!file.isServerFile,
+      outputFilename: outputNames[i][outputNames[i].length - 1],
+      ...(pipeline && { stepOutputFilenames: outputNames[i] })
+    })),
+    outputFolder: null,
+    results: [],
+    stats: null,
+    error: null,
+    createdAt: Date.now(),
+    startedAt: null,
+    finishedAt: null
+  };
+  job.outputFolder = createOutputFolderName();
+
+  jobs.set(job.id, job);
+  await saveJob(job);
+  createProgress(job.id, job.files.length);
+  queue.push(job.id);
+
+  logInfo(`Queued job ${job.id} with ${job.files.length} files (position ${queue.length})`);
+
+  // Start the worker without waiting for it
+  setImmediate(runWorker);
+
+  return toPublicJob(job);
+}
+
+/**
+ * Get a job by ID
+ * @param {string} jobId - Job ID
+ * @returns {object|null} - Public job information or null if not found
+ */
+function getJob(jobId) {
+  const job = jobs.get(jobId);
+  return job ? toPublicJob(job) : null;
+}
+
+/**
+ * List all known jobs, newest first
+ * @returns {Array<object>} - Public job information
+ */
+function listJobs() {
+  return Array.from(jobs.values())
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .map(toPublicJob);
+}
+
+/**
+ * Cancel a job if it is still active and remove its record
+ * @param {string} jobId - Job ID
+ * @returns {Promise<object|null>} - The removed job or null if not found
+ */
+async function deleteJob(jobId) {
+  const job = jobs.get(jobId);
+  if (!job) return null;
+
+  if (job.status === 'running') {
+    // The worker stops before the next file, then removes the uploads it kept
+    job.cancelRequested = true;
+    job.deleted = true;
+    cancelProcessing(job.id);
+    logInfo(`Cancellation requested for running job ${jobId}`);
+  } else {
+    const position = queue.indexOf(jobId);
+    if (position !== -1) queue.splice(position, 1);
+    if (job.status === 'queued') job.status = 'cancelled';
+
+    // Inputs kept for resuming are no longer needed
+    await cleanupUploads(job);
+  }
+
+  jobs.delete(jobId);
+  removeProgress(jobId);
+
+  try {
+    await fs.unlink(getJobPath(jobId));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  logInfo(`Deleted job ${jobId}`);
+  return toPublicJob(job);
+}
+
+/**
+ * Queue a finished, cancelled or interrupted job again. Files whose output was
+ * already written are reused; only the remaining files and chunks are processed.
+ * @param {string} jobId - Job ID
+ * @returns {Promise<object|null>} - Public job information or null if not found
+ */
+async function resumeJob(jobId) {
+  const job = jobs.get(jobId);
+  if (!job) return null;
+
+  if (job.status === 'queued' || job.status === 'running') {
+    const error = new Error(`Job ${jobId} is already ${job.status}`);
+    error.status = 409;
+    throw error;
+  }
+
+  Object.assign(job, {
+    status: 'queued',
+    results: [],
+    stats: null,
+    error: null,
+    finishedAt: null,
+    resumedAt: Date.now(),
+    resumeCount: (job.resumeCount || 0) + 1
+  });
+
+  await saveJob(job);
+  createProgress(job.id, job.files.length);
+  queue.push(job.id);
+
+  logInfo(`Resuming job ${job.id} (position ${queue.length})`);
+  setImmediate(runWorker);
+
+  return toPublicJob(job);
+}
+
+/**
+ * Load persisted jobs and resume the queue after a restart.
+ * Jobs that were running when the server stopped are marked as interrupted.
+ */
+async function initializeJobQueue() {
+  const entries = await fs.readdir(paths.jobs);
+
+  for (const entry of entries.filter(name => name.endsWith('.json'))) {
+    try {
+      const job = JSON.parse(await fs.readFile(path.join(paths.jobs, entry), 'utf8'));
+      jobs.set(job.id, job);
+
+      if (job.status === 'running') {
+        job.status = 'interrupted';
+        job.error = 'Server restarted while the job was running';
+        job.finishedAt = Date.now();
+        await saveJob(job);
+      }
+    } catch (error) {
+      logError(`Failed to load job record ${entry}: ${error.message}`);
+    }
+  }
+
+  Array.from(jobs.values())
+    .filter(job => job.status === 'queued')
+    .sort((a, b) => a.createdAt - b.createdAt)
+    .forEach(job => {
+      createProgress(job.id, job.files.length);
+      queue.push(job.id);
+    });
+
+  logInfo(`Loaded ${jobs.size} jobs (${queue.length} queued)`);
+
+  if (queue.length > 0) {
+    setImmediate(runWorker);
+  }
+}
+
+module.exports = {
+  createJob,
+  getJob,
+  listJobs,
+  deleteJob,
+  resumeJob,
+  initializeJobQueue
+};
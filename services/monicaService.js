@@ -2,127 +2,48 @@ const fs = require('fs').promises;
 const path = require('path');
 const axios = require('axios');
 const { logError, logInfo } = require('../utils/logger');
-
-// Global progress tracking object
-const processingProgress = {
-  currentFile: null,
-  currentFileNumber: 0,
-  totalFiles: 0,
-  totalChunks: 0,
-  processedChunks: 0,
-  startTime: null,
-  estimatedEndTime: null,
-  status: 'idle', // idle, processing, completed, error, cancelled
-  error: null,
-  lastUpdated: Date.now(),
-  processingHistory: [],
-  processedFiles: new Set(), // Track unique files that have been processed
-  cancelled: false // Flag to indicate if processing should be cancelled
-};
-
-/**
- * Get current processing progress
- * @returns {object} - Current progress information
- */
-function getProgress() {
-  return {
-    ...processingProgress,
-    processedFiles: undefined, // Don't expose the Set in the API
-    uptime: process.uptime(),
-    currentTime: Date.now()
-  };
-}
-
-/**
- * Update processing progress
- * @param {object} update - Progress update object
- */
-function updateProgress(update) {
-  Object.assign(processingProgress, {
-    ...update,
-    lastUpdated: Date.now()
-  });
-}
-
-/**
- * Reset all progress tracking
- */
-function resetProgress() {
-  Object.assign(processingProgress, {
-    currentFile: null,
-    currentFileNumber: 0,
-    totalFiles: 0,
-    totalChunks: 0,
-    processedChunks: 0,
-    startTime: null,
-    estimatedEndTime: null,
-    status: 'idle',
-    error: null,
-    lastUpdated: Date.now(),
-    processingHistory: [],
-    processedFiles: new Set(),
-    cancelled: false
-  });
-
-  logInfo("Progress tracking completely reset");
-}
-
-/**
- * Set total files to be processed and reset counters
- * @param {number} total - Total number of files
- */
-function setTotalFiles(total) {
-  // Complete reset of all progress tracking
-  resetProgress();
-
-  // Set the new total
-  updateProgress({
-    totalFiles: total
-  });
-}
-/**
- * Cancel current processing
- */
-function cancelProcessing() {
-  if (processingProgress.status === 'processing') {
-    updateProgress({
-      cancelled: true,
-      status: 'cancelled',
-      error: 'Processing cancelled by user'
-    });
-    logInfo("Processing cancelled by user");
-  }
-}
-
-/**
- * Track a file being processed
- * @param {string} filePath - Path of the file being processed
- * @returns {number} - The current file number
- */
-function trackFileProcessing(filePath) {
-  // Get the basename for consistent tracking
-  const fileName = path.basename(filePath);
-
-  // Only increment if this is a new file
-  if (!processingProgress.processedFiles.has(fileName)) {
-    // Add to the set of processed files
-    processingProgress.processedFiles.add(fileName);
-
-    // Increment the counter (with safety check)
-    const newFileNumber = Math.min(processingProgress.currentFileNumber + 1, processingProgress.totalFiles);
-
-    updateProgress({
-      currentFileNumber: newFileNumber,
-      currentFile: fileName
-    });
-
-    logInfo(`Tracking file ${newFileNumber}/${processingProgress.totalFiles}: ${fileName}`);
-    return newFileNumber;
-  }
-
-  // If already processed, return current number
-  return processingProgress.currentFileNumber;
-}
+const { chunkContent } = require('../utils/chunker');
+const { runWithConcurrency, resolveConcurrency } = require('../utils/concurrency');
+const { resolveRetryPolicy, isRetryableError, getRetryDelay } = require('../utils/retryPolicy');
+const { getProvider } = require('./providers');
+const { readCompletionStream } = require('./providers/stream');
+const { createPartialOutput } = require('../utils/partialOutput');
+const { getCacheSettings, getCacheKey, getCachedResponse, setCachedResponse } = require('../utils/responseCache');
+const { calculateCost, createUsage, addUsage } = require('../utils/costs');
+const { countTokens, getTokenizerName } = require('../utils/tokenizer');
+const { buildMessages } = require('../utils/promptMessages');
+const { renderPrompt, parseTemplate } = require('../utils/promptTemplate');
+const { detectFormat, readInput, prepareInput } = require('../utils/formats');
+const {
+  getJsonRetries,
+  expectsObject,
+  appendSchemaInstructions,
+  checkJson,
+  buildRetryMessage,
+  assembleJson
+} = require('../utils/jsonOutput');
+const {
+  DEFAULT_REDUCE_PROMPT,
+  buildReduceContent,
+  groupForReduce,
+  checkReduceLevel,
+  planReduce
+} = require('../utils/mapReduce');
+const {
+  getContextBudget,
+  takeTail,
+  buildSummaryPrompt,
+  buildSummaryInput,
+  appendContext
+} = require('../utils/contextCarryover');
+const {
+  getProgress,
+  trackFileProcessing,
+  updateFileProgress,
+  finishFileProgress,
+  recordCacheLookup,
+  recordJobUsage
+} = require('./progressTracker');
 
 // Path to models.json
 const { paths } = require('../config/paths');
@@ -148,6 +69,15 @@ try {
 // Rate limiting tracking
 const rateLimits = {};
 
+// Text placed between the responses of a chunked file
+const CHUNK_SEPARATOR = '\n\n Next Chunk \n\n';
+
+// Minimum time between streamed token count updates of a file
+const TOKEN_PROGRESS_INTERVAL = 500;
+
+// Attempts at sizing chunks so that each fits the model's token budget
+const CHUNK_SIZING_PASSES = 4;
+
 /**
  * Get model information by key
  * @param {string} modelKey - The model key to look up
@@ -183,13 +113,103 @@ function getModelTokenLimit(modelKey) {
 }
 
 /**
- * Check if a request would exceed rate limits and wait if necessary
+ * Get the chunk size used for a model's requests
+ * @param {string} modelKey - The model key to look up
+ * @returns {number} - Maximum tokens per chunk
+ */
+function getMaxTokensPerChunk(modelKey) {
+  return Math.floor(getModelTokenLimit(modelKey) * 0.8); // Use 80% of the limit for safety
+}
+
+/**
+ * Split a file into chunks that each fit in maxTokensPerChunk tokens.
+ * The chunker measures characters, so the character budget starts from the file's own
+ * characters-per-token ratio and is tightened until every chunk fits.
+ * Each distinct chunk is counted once, however many passes it takes.
+ * @param {string} fileContent - File content
+ * @param {object|null} modelInfo - Model entry from models.json
+ * @param {number} maxTokensPerChunk - Maximum tokens per chunk
+ * @param {object} options - Chunking options (format, overlapChars) and the file's token count
+ *   (fileTokens) when it is already known
+ * @returns {Array<object>} - Chunks from utils/chunker, each with its token count
+ */
+function splitIntoChunks(fileContent, modelInfo, maxTokensPerChunk, options = {}) {
+  const fileTokens = options.fileTokens !== undefined ? options.fileTokens : countTokens(fileContent, modelInfo);
+  let charsPerToken = fileContent.length / Math.max(1, fileTokens);
+  const counted = new Map();
+  let chunks;
+
+  for (let pass = 0; pass < CHUNK_SIZING_PASSES; pass++) {
+    chunks = chunkContent(fileContent, {
+      format: options.format || 'text',
+      maxChars: Math.max(1, Math.floor(maxTokensPerChunk * charsPerToken)),
+      overlapChars: options.overlapChars
+    });
+    chunks.forEach(chunk => {
+      const range = `${chunk.start}-${chunk.end}`;
+      if (!counted.has(range)) counted.set(range, countTokens(chunk.text, modelInfo));
+      chunk.tokens = counted.get(range);
+    });
+
+    const largest = Math.max(...chunks.map(chunk => chunk.tokens));
+    if (largest <= maxTokensPerChunk) break;
+
+    // Dense chunks (code, CJK text) need fewer characters than the file average
+    charsPerToken *= (maxTokensPerChunk / largest) * 0.95;
+  }
+
+  return chunks;
+}
+
+/**
+ * Count the input tokens of a request's messages
+ * @param {Array<object>} messages - Chat messages ({ role, content })
+ * @param {object|null} modelInfo - Model entry from models.json
+ * @returns {number} - Token count
+ */
+function countMessageTokens(messages, modelInfo) {
+  return messages.reduce((sum, message) => sum + countTokens(message.content, modelInfo), 0);
+}
+
+/**
+ * Estimate the cost of a single request, assuming output half the size of the input
+ * @param {string} modelKey - The model key to look up
+ * @param {Array<object>} messages - Chat messages of the request
+ * @returns {number|null} - Estimated cost in dollars, or null if the model has no pricing
+ */
+function estimateRequestCost(modelKey, messages) {
+  const modelInfo = getModelInfo(modelKey);
+  const inputTokens = countMessageTokens(messages, modelInfo);
+  return calculateCost(modelInfo, inputTokens, Math.ceil(inputTokens / 2));
+}
+
+/**
+ * Show (or clear) a rate limit wait in the progress of the file that is waiting
+ * @param {object} context - Request context ({ jobId, fileName })
+ * @param {number|null} throttledUntil - When the wait ends, or null when it is over
+ * @param {string} reason - 'rpm' or 'tpm'
+ */
+function reportThrottle(context, throttledUntil, reason = null) {
+  if (!context.jobId || !context.fileName) return;
+
+  updateFileProgress(context.jobId, context.fileName, {
+    throttledUntil,
+    throttleReason: reason
+  }, throttledUntil ? 'throttled' : 'progress');
+}
+
+/**
+ * Check if a request would exceed rate limits and wait if necessary.
+ * Resolving counts the caller's request against the RPM window and reserves
+ * its estimated tokens against the TPM window.
  * @param {string} modelKey - The model key to check
- * @returns {Promise<void>} - Resolves when it's safe to proceed
+ * @param {number} estimatedTokens - Estimated input + output tokens of the request
+ * @param {object} context - Request context ({ jobId, fileName }) for progress reporting
+ * @returns {Promise<object|null>} - Token reservation to pass to trackRequest, once it's safe to proceed
  */
-async function checkRateLimits(modelKey) {
+async function checkRateLimits(modelKey, estimatedTokens = 0, context = {}) {
   const model = getModelInfo(modelKey);
-  if (!model) return;
+  if (!model) return null;
 
   // Initialize rate tracking for this model if not exists
   if (!rateLimits[modelKey]) {
@@ -210,40 +230,79 @@ async function checkRateLimits(modelKey) {
     entry => entry.timestamp > oneMinuteAgo
   );
 
+  let waitTime = 0;
+  let reason = null;
+
   // Check if we're at the RPM limit
   if (rateLimits[modelKey].requests.length >= model.rpm) {
     // We need to wait until the oldest request is more than a minute old
     const oldestRequest = rateLimits[modelKey].requests[0];
-    const waitTime = Math.max(0, oldestRequest + 60000 - now);
+    waitTime = Math.max(0, oldestRequest + 60000 - now);
+    reason = 'rpm';
+  }
+
+  // Check if this request's tokens would push the window over the TPM limit.
+  // An empty window always admits the request, however large, so it can't wait forever.
+  const windowTokens = rateLimits[modelKey].tokens.reduce((sum, entry) => sum + entry.count, 0);
+  if (model.tpm && windowTokens > 0 && windowTokens + estimatedTokens > model.tpm) {
+    // Wait until enough of the oldest entries have left the window
+    const excess = windowTokens + estimatedTokens - model.tpm;
+    let freed = 0;
+    const releasing = rateLimits[modelKey].tokens.find(entry => {
+      freed += entry.count;
+      return freed >= excess;
+    }) || rateLimits[modelKey].tokens[rateLimits[modelKey].tokens.length - 1];
+    const tokenWait = Math.max(0, releasing.timestamp + 60000 - now);
+
+    if (tokenWait >= waitTime) {
+      waitTime = tokenWait;
+      reason = 'tpm';
+    }
+  }
 
+  if (reason) {
     console.log('\n' + '-'.repeat(80));
     console.log(`[RATE LIMIT] ${new Date().toISOString()}`);
     console.log('-'.repeat(80));
     console.log(`Model: ${modelKey}`);
     console.log(`Current Requests: ${rateLimits[modelKey].requests.length}/${model.rpm} RPM`);
+    console.log(`Current Tokens: ${Math.round(windowTokens)} + ${Math.round(estimatedTokens)}/${model.tpm} TPM`);
+    console.log(`Limited By: ${reason.toUpperCase()}`);
     console.log(`Wait Time: ${waitTime}ms`);
     console.log('-'.repeat(80) + '\n');
 
-    logInfo(`Rate limit reached for ${modelKey}. Waiting ${waitTime}ms before proceeding.`);
+    logInfo(`Rate limit (${reason}) reached for ${modelKey}. Waiting ${waitTime}ms before proceeding.`);
 
-    if (waitTime > 0) {
-      await new Promise(resolve => setTimeout(resolve, waitTime));
-    }
+    reportThrottle(context, now + waitTime, reason);
+
+    // Always yield, even for a zero wait, so the window can move on
+    await new Promise(resolve => setTimeout(resolve, Math.max(waitTime, 1)));
 
     // Recursive call to check again after waiting
-    return checkRateLimits(modelKey);
+    const reservation = await checkRateLimits(modelKey, estimatedTokens, context);
+    reportThrottle(context, null);
+    return reservation;
   }
 
-  return;
+  // Reserve the slot and tokens now so parallel callers can't all slip under the limits
+  rateLimits[modelKey].requests.push(now);
+  const reservation = {
+    timestamp: now,
+    count: estimatedTokens
+  };
+  rateLimits[modelKey].tokens.push(reservation);
+
+  return reservation;
 }
 
 /**
  * Track a request for rate limiting purposes
  * @param {string} modelKey - The model key
- * @param {number} inputTokens - Estimated input tokens
- * @param {number} outputTokens - Estimated output tokens
+ * @param {number} inputTokens - Actual (or estimated) input tokens
+ * @param {number} outputTokens - Actual (or estimated) output tokens
+ * @param {object} reservation - Reservation returned by checkRateLimits (optional)
  */
-function trackRequest(modelKey, inputTokens, outputTokens) {
+function trackRequest(modelKey, inputTokens, outputTokens, reservation = null) {
   if (!modelKey) return;
 
   if (!rateLimits[modelKey]) {
@@ -253,121 +312,214 @@ function trackRequest(modelKey, inputTokens, outputTokens) {
     };
   }
 
-  const now = Date.now();
   const totalTokens = inputTokens + outputTokens;
 
-  // Track this request
-  rateLimits[modelKey].requests.push(now);
-  rateLimits[modelKey].tokens.push({
-    timestamp: now,
-    count: totalTokens
-  });
+  // The request itself was counted when checkRateLimits reserved its slot;
+  // replace the estimated tokens with the real usage
+  if (reservation) {
+    reservation.count = totalTokens;
+  } else {
+    rateLimits[modelKey].tokens.push({
+      timestamp: Date.now(),
+      count: totalTokens
+    });
+  }
 
   console.log(`[TRACK] ${modelKey}: ${Math.round(inputTokens)} input + ${Math.round(outputTokens)} output = ${Math.round(totalTokens)} tokens`);
 }
 
 /**
- * Process a file with Monica.im API
+ * Create a throttled reporter that forwards streamed output tokens to a file's progress
+ * @param {string} jobId - Job ID
+ * @param {string} fileName - File name (as tracked by trackFileProcessing)
+ * @param {object|null} modelInfo - Model entry whose tokenizer counts the streamed text
+ * @returns {Function} - Called with each streamed piece of text
+ */
+function createTokenReporter(jobId, fileName, modelInfo) {
+  let streamedTokens = 0;
+  let lastReport = 0;
+
+  return (text) => {
+    // Pieces are counted separately, which is close enough for progress display
+    streamedTokens += countTokens(text, modelInfo);
+    if (Date.now() - lastReport < TOKEN_PROGRESS_INTERVAL) return;
+
+    lastReport = Date.now();
+    updateFileProgress(jobId, fileName, {
+      streamedTokens
+    }, 'tokens');
+  };
+}
+
+/**
+ * Build the request context callbacks that stream a chunk into the partial output
+ * @param {object|null} partial - Partial output (null when not streaming)
+ * @param {number} chunkIndex - Index of the chunk being requested
+ * @param {Function} reportTokens - Token reporter from createTokenReporter
+ * @returns {object} - { onDelta, onReset }, or nothing when not streaming
+ */
+function streamInto(partial, chunkIndex, reportTokens) {
+  if (!partial) return {};
+
+  return {
+    onDelta: (text) => {
+      partial.write(chunkIndex, text);
+      reportTokens(text);
+    },
+    onReset: () => partial.reset(chunkIndex)
+  };
+}
+
+/**
+ * Process a file with the model's LLM provider
  * @param {string} inputPath - Path to the input file
  * @param {string} outputPath - Path where the output should be saved
- * @param {string} prompt - Prompt to send to Monica API
+ * @param {string} prompt - Prompt to send to the model
  * @param {string} model - AI model to use (optional)
- * @returns {Promise<string>} - Path to the output file
+ * @param {object} options - Processing options
+ * @param {string} options.jobId - Job whose progress should be updated
+ * @param {number} options.concurrency - Maximum chunks processed in parallel
+ * @param {Array} options.attempts - Array that receives every API attempt made for this file (optional)
+ * @param {boolean} options.stream - Stream the response into `<outputPath>.partial` as it arrives
+ * @param {object} options.chunkCache - Saved chunk responses to reuse and extend (optional, see utils/jobManifest)
+ * @param {boolean} options.bypassCache - Skip response cache lookups (fresh responses are still cached)
+ * @param {object} options.cacheStats - Object whose hits/misses count the response cache lookups (optional)
+ * @param {object} options.usage - Usage record ({ inputTokens, outputTokens, cost }) that receives the file's API usage (optional)
+ * @param {object} options.budget - Spend guard from services/budget; requests it refuses fail with code BUDGET_EXCEEDED (optional)
+ * @param {object} options.promptSettings - Few-shot examples, content framing and chunk strategy of the prompt (optional, see utils/promptMessages)
+ * @param {object} options.variables - Values of the custom variables in the prompt template (optional, see utils/promptTemplate)
+ * @param {string} options.originalName - File name used for {{filename}} (defaults to the input file's name)
+ * @param {string} options.contextMode - Context carried between chunks: 'none', 'tail' or 'summary' (see utils/contextCarryover)
+ * @param {object} options.outputCheck - Object that receives the check of a subtitle or JSON output (optional, see utils/formats)
+ * @param {string} options.extractedPath - Where to save the text extracted from a PDF or DOCX input (optional)
+ * @param {Array<object>} options.steps - Pipeline steps ({ name, prompt, model, promptSettings, outputPath, chunkCache })
+ *   run one after another, each on the output of the one before; they replace prompt, model, outputPath,
+ *   promptSettings and chunkCache (optional, see services/pipelineStore)
+ * @returns {Promise<string>} - Path to the output file (of the last step)
  */
-async function processFile(inputPath, outputPath, prompt, model) {
+async function processFile(inputPath, outputPath, prompt, model, options = {}) {
   const startTime = Date.now();
+  const { jobId } = options;
+  const fileName = path.basename(inputPath);
+  const attempts = options.attempts || [];
+  const cacheStats = options.cacheStats || { hits: 0, misses: 0 };
+  const usage = options.usage || createUsage();
+  const bypassCache = !!options.bypassCache;
+
+  // A single prompt runs as a pipeline of one step
+  const steps = options.steps || [{
+    name: null,
+    prompt,
+    model,
+    promptSettings: options.promptSettings,
+    outputPath,
+    chunkCache: options.chunkCache
+  }];
+  const finalStep = steps[steps.length - 1];
+  let currentStep = steps[0];
 
   // Track this file and get the current file number
-  const fileNumber = trackFileProcessing(inputPath);
+  const fileNumber = trackFileProcessing(jobId, inputPath);
+  const totalFiles = (jobId && getProgress(jobId)?.totalFiles) || 1;
 
   // Update progress to show we're starting
-  updateProgress({
-    status: 'processing',
+  updateFileProgress(jobId, fileName, {
     startTime,
     totalChunks: 0,
     processedChunks: 0,
-    error: null
-  });
+    currentChunk: null,
+    ...(steps.length > 1 && { step: 1, totalSteps: steps.length, stepName: steps[0].name })
+  }, 'file_started');
 
   try {
     console.log('\n' + '='.repeat(80));
     console.log(`[PROCESS FILE] ${new Date().toISOString()}`);
     console.log('='.repeat(80));
     console.log(`Input: ${inputPath}`);
-    console.log(`Output: ${outputPath}`);
-    console.log(`Model: ${model || 'default'}`);
-    console.log(`Prompt Length: ${prompt.length} chars`);
-    console.log(`File ${fileNumber} of ${processingProgress.totalFiles}`);
+    if (steps.length > 1) {
+      steps.forEach((step, i) => {
+        console.log(`Step ${i + 1} (${step.name}): ${step.model || 'default'} → ${step.outputPath}`);
+      });
+    } else {
+      console.log(`Output: ${outputPath}`);
+      console.log(`Model: ${model || 'default'}`);
+      console.log(`Prompt Length: ${prompt.length} chars`);
+    }
+    console.log(`File ${fileNumber} of ${totalFiles}`);
     console.log('='.repeat(80));
 
-    // Read the file content
-    const fileContent = await fs.readFile(inputPath, 'utf8');
+    // Read the file content; the text of PDF and DOCX files is extracted and kept next to the output
+    const { format, fileContent, extracted } = await readInput(inputPath);
     console.log(`✓ File read successfully: ${fileContent.length} characters`);
+    if (extracted) {
+      const details = extracted.pages !== undefined
+        ? `${extracted.pages} pages${extracted.emptyPages.length ? `, no text on pages ${extracted.emptyPages.join(', ')}` : ''}`
+        : `${extracted.sections} sections`;
+      console.log(`✓ Text extracted from ${format.toUpperCase()}: ${details}`);
+      if (options.extractedPath) {
+        await fs.writeFile(options.extractedPath, fileContent, 'utf8');
+        console.log(`✓ Extracted text saved to: ${options.extractedPath}`);
+      }
+    }
 
-    // Use the provided model directly without verification
-    const selectedModel = model || process.env.DEFAULT_MODEL || 'gpt-4o';
-
-    logInfo(`Processing file: ${inputPath} with model: ${selectedModel}`);
-
-    // Get the token limit for this model
-    const modelTokenLimit = getModelTokenLimit(selectedModel);
-    const MAX_TOKENS_PER_CHUNK = Math.floor(modelTokenLimit * 0.8); // Use 80% of the limit for safety
-
-    // Check if we need to chunk the file (rough estimate: 1 token ≈ 4 characters)
-    const estimatedTokens = fileContent.length / 4;
-
-    console.log(`Token Estimate: ${Math.round(estimatedTokens)} tokens`);
-    console.log(`Model Limit: ${modelTokenLimit} tokens`);
-    console.log(`Chunk Size: ${MAX_TOKENS_PER_CHUNK} tokens`);
-
-    let response;
-
-    if (estimatedTokens > MAX_TOKENS_PER_CHUNK) {
-      logInfo(`File is large (est. ${Math.round(estimatedTokens)} tokens, model limit: ${modelTokenLimit}). Processing in chunks.`);
-      response = await processLargeFile(fileContent, prompt, selectedModel, MAX_TOKENS_PER_CHUNK);
-    } else {
+    const context = { jobId, fileName, attempts, cacheStats, bypassCache, usage, options };
+    let stepInput = { format, content: fileContent };
+    let result;
+
+    for (const [i, step] of steps.entries()) {
+      currentStep = step;
+      if (steps.length > 1) {
+        console.log(`\n[STEP ${i + 1}/${steps.length}] ${step.name}`);
+        updateFileProgress(jobId, fileName, {
+          step: i + 1,
+          totalSteps: steps.length,
+          stepName: step.name,
+          totalChunks: 0,
+          processedChunks: 0,
+          currentChunk: null,
+          stage: null,
+          streamedTokens: 0
+        }, 'step_started');
+      }
 
-      updateProgress({
-        totalChunks: 1,
-        processedChunks: 0
-      });
+      result = await runStep(stepInput, step, context);
 
-      // Process normally for smaller files
-      response = await callMonicaApi(fileContent, prompt, selectedModel);
+      // A later step would work from a result with gaps; resuming the job retries the failed chunks
+      const failedChunks = step.chunkCache ? step.chunkCache.stats.failed : 0;
+      if (failedChunks > 0 && i < steps.length - 1) {
+        throw new Error(`Step "${step.name}" has ${failedChunks} failed chunks, so the steps after it were not run`);
+      }
 
-      updateProgress({
-        processedChunks: 1
-      });
+      // The next step reads the output as the format its file name gives
+      stepInput = { format: detectFormat(step.outputPath), content: result.response };
     }
 
-    // Save the response to the output file
-    await fs.writeFile(outputPath, response, 'utf8');
+    const { selectedModel, outputCheck } = result;
+    if (outputCheck && options.outputCheck) {
+      Object.assign(options.outputCheck, outputCheck);
+    }
 
     const duration = Date.now() - startTime;
     console.log(`✓ File processed successfully in ${duration}ms`);
-    console.log(`✓ Output saved to: ${outputPath}`);
-    console.log(`✓ Output size: ${response.length} characters`);
     console.log('='.repeat(80) + '\n');
 
-    logInfo(`File processed successfully. Output saved to: ${outputPath}`);
+    logInfo(`File processed successfully. Output saved to: ${finalStep.outputPath}`);
 
     // Update progress to show completion
-    updateProgress({
-      status: 'completed',
-      error: null,
-      processingHistory: [
-        ...processingProgress.processingHistory.slice(-9), // Keep only the last 9 entries
-        {
-          file: path.basename(inputPath),
-          model: selectedModel,
-          duration,
-          timestamp: Date.now(),
-          success: true
-        }
-      ]
-    });
-
-    return outputPath;
+    finishFileProgress(jobId, fileName, {
+      file: fileName,
+      model: selectedModel,
+      duration,
+      timestamp: Date.now(),
+      success: true,
+      attempts,
+      cache: cacheStats,
+      usage,
+      ...(steps.length > 1 && { steps: steps.length }),
+      ...(outputCheck && { outputCheck })
+    }, 'file_finished');
+
+    return finalStep.outputPath;
   } catch (error) {
     const duration = Date.now() - startTime;
 
@@ -376,32 +528,191 @@ async function processFile(inputPath, outputPath, prompt, model) {
     console.error('='.repeat(80));
     console.error(`Duration: ${duration}ms`);
     console.error(`Input Path: ${inputPath}`);
-    console.error(`Output Path: ${outputPath}`);
-    console.error(`Model: ${model || 'default'}`);
+    console.error(`Output Path: ${currentStep.outputPath}`);
+    if (steps.length > 1) {
+      console.error(`Step: ${currentStep.name}`);
+    }
+    console.error(`Model: ${currentStep.model || 'default'}`);
     console.error(`Error: ${error.message}`);
+
+    // Whatever was streamed so far is kept for inspection
+    const partialFile = error.partialFile || null;
+    if (partialFile) {
+      console.error(`Partial Output: ${partialFile}`);
+    }
+
     console.error('\nStack Trace:');
     console.error(error.stack);
     console.error('='.repeat(80) + '\n');
 
     // Update progress to show error
-    updateProgress({
-      status: 'error',
+    finishFileProgress(jobId, fileName, {
+      file: fileName,
+      model: currentStep.model || 'default',
+      duration,
+      timestamp: Date.now(),
+      success: false,
       error: error.message,
-      processingHistory: [
-        ...processingProgress.processingHistory.slice(-9), // Keep only the last 9 entries
-        {
-          file: path.basename(inputPath),
-          model: model || 'default',
-          duration,
-          timestamp: Date.now(),
-          success: false,
-          error: error.message
-        }
-      ]
-    });
+      partialFile,
+      attempts,
+      usage
+    }, 'error');
 
     logError(`Error processing file ${inputPath}: ${error.message}`);
-    throw new Error(`Failed to process file: ${error.message}`);
+    const processError = new Error(`Failed to process file: ${error.message}`);
+    processError.code = error.code;
+    processError.partialFile = partialFile;
+    throw processError;
+  }
+}
+
+/**
+ * Run one prompt over the content of a file and save its output
+ * @param {object} input - { format, content } of the file, or of the previous step's output
+ * @param {object} step - { prompt, model, promptSettings, outputPath, chunkCache }
+ * @param {object} context - jobId, fileName, attempts, cacheStats, bypassCache, usage and the processFile options
+ * @returns {Promise<object>} - { response, selectedModel, outputCheck }
+ */
+async function runStep(input, step, context) {
+  const { jobId, fileName, attempts, cacheStats, bypassCache, usage, options } = context;
+  const { prompt, promptSettings, outputPath } = step;
+  let partial = null;
+
+  try {
+    // Use the provided model directly without verification
+    const selectedModel = step.model || process.env.DEFAULT_MODEL || 'gpt-4o';
+
+    logInfo(`Processing file: ${fileName} with model: ${selectedModel}`);
+
+    // Get the token limit for this model
+    const modelInfo = getModelInfo(selectedModel);
+    const modelTokenLimit = getModelTokenLimit(selectedModel);
+    const MAX_TOKENS_PER_CHUNK = getMaxTokensPerChunk(selectedModel);
+
+    // Subtitle formats may send only their dialogue, and have their output rebuilt from responses
+    // that are subtitles (a summary is left as it is, whatever the output is named);
+    // a prompt with an output schema gets JSON, merged across chunks
+    const prepared = prepareInput(input.format, input.content, { dialogueOnly: promptSettings?.dialogueOnly });
+    const outputSchema = promptSettings?.outputSchema || null;
+    let assemble = promptSettings?.strategy === 'map-reduce' ? null : prepared.assemble;
+    let filePrompt = assemble && prepared.instructions ? `${prompt}\n\n${prepared.instructions}` : prompt;
+    if (outputSchema) {
+      filePrompt = appendSchemaInstructions(prompt, outputSchema);
+      assemble = (responses) => assembleJson(responses, outputSchema);
+    }
+    let outputCheck = null;
+    const combine = assemble
+      ? (responses) => {
+        const assembled = assemble(responses);
+        // Responses that aren't subtitles are saved as they are
+        if (!assembled) return responses.join(CHUNK_SEPARATOR);
+        outputCheck = assembled.check;
+        return assembled.text;
+      }
+      : null;
+
+    // Check if we need to chunk the file
+    const estimatedTokens = countTokens(prepared.content, modelInfo);
+
+    console.log(`Format: ${input.format}${prepared.content !== input.content ? ` (${prepared.content.length} characters sent)` : ''}`);
+    console.log(`Token Estimate: ${estimatedTokens} tokens (${getTokenizerName(modelInfo)} tokenizer)`);
+    console.log(`Model Limit: ${modelTokenLimit} tokens`);
+    console.log(`Chunk Size: ${MAX_TOKENS_PER_CHUNK} tokens`);
+
+    let response;
+
+    // Streamed text goes to a .partial file that becomes the output once complete
+    // (JSON responses aren't streamed, as an invalid one is asked for again)
+    const stream = !outputSchema && (options.stream !== undefined ? !!options.stream : !!modelInfo?.stream);
+    if (outputSchema) {
+      console.log(`JSON Output: validated against the prompt's schema, up to ${getJsonRetries()} retries per request`);
+    }
+    if (stream) {
+      partial = createPartialOutput(outputPath, { separator: CHUNK_SEPARATOR });
+      console.log(`Streaming To: ${partial.path}`);
+    }
+    const reportTokens = createTokenReporter(jobId, fileName, modelInfo);
+    const template = { fileName: options.originalName || fileName, variables: options.variables || {} };
+
+    if (estimatedTokens > MAX_TOKENS_PER_CHUNK) {
+      logInfo(`File is large (est. ${estimatedTokens} tokens, model limit: ${modelTokenLimit}). Processing in chunks.`);
+      response = await processLargeFile(prepared.content, filePrompt, selectedModel, MAX_TOKENS_PER_CHUNK, {
+        format: prepared.chunkFormat,
+        fileTokens: estimatedTokens,
+        jobId,
+        fileName,
+        attempts,
+        partial,
+        reportTokens,
+        chunkCache: step.chunkCache,
+        cacheStats,
+        bypassCache,
+        usage,
+        budget: options.budget,
+        promptSettings,
+        template,
+        contextMode: options.contextMode,
+        concurrency: options.concurrency,
+        combine
+      });
+    } else {
+
+      updateFileProgress(jobId, fileName, {
+        totalChunks: 1,
+        processedChunks: 0
+      });
+
+      // Process normally for smaller files
+      response = await callMonicaApi(prepared.content, renderPrompt(filePrompt, template), selectedModel, {
+        jobId,
+        fileName,
+        attempts,
+        cacheStats,
+        bypassCache,
+        usage,
+        budget: options.budget,
+        promptSettings,
+        ...streamInto(partial, 0, reportTokens)
+      });
+      if (partial) partial.finish(0, response);
+      if (combine) response = combine([response]);
+
+      updateFileProgress(jobId, fileName, {
+        processedChunks: 1
+      }, 'chunk_done');
+    }
+
+    // An empty output file would look like a success
+    if (!response.trim()) {
+      throw new Error(`The model returned an empty output for ${fileName}`);
+    }
+
+    // Save the response to the output file (reassembled subtitles replace what was streamed)
+    if (partial) {
+      await partial.complete();
+    }
+    if (!partial || combine) {
+      await fs.writeFile(outputPath, response, 'utf8');
+    }
+
+    console.log(`✓ Output saved to: ${outputPath}`);
+    console.log(`✓ Output size: ${response.length} characters`);
+    if (outputCheck) {
+      const counted = outputCheck.format === 'json' ? 'chunk results merged' : 'cues';
+      console.log(`${outputCheck.valid ? '✓' : '✗'} ${outputCheck.format.toUpperCase()} Check: ${outputCheck.outputCues} of ${outputCheck.inputCues} ${counted}`);
+      outputCheck.issues.forEach(issue => console.log(`  - ${issue}`));
+      if (!outputCheck.valid) {
+        logError(`${outputCheck.format.toUpperCase()} output of ${fileName} failed its check: ${outputCheck.issues.join('; ')}`);
+      }
+    }
+
+    return { response, selectedModel, outputCheck };
+  } catch (error) {
+    // Keep whatever was streamed so far for inspection
+    if (partial) {
+      error.partialFile = path.basename(await partial.abort());
+    }
+    throw error;
   }
 }
 
@@ -411,170 +722,581 @@ async function processFile(inputPath, outputPath, prompt, model) {
  * @param {string} prompt - User prompt
  * @param {string} model - AI model to use
  * @param {number} maxTokensPerChunk - Maximum tokens per chunk
- * @returns {Promise<string>} - Combined API response
+ * @param {object} options - Chunking options (format, overlapChars, and the file's token count as fileTokens), concurrency,
+ *   the jobId/fileName whose progress should be updated, the attempts array to record into,
+ *   response cache settings (cacheStats, bypassCache), the usage record to add to, the budget guard, the prompt settings and
+ *   template values, the context carry-over mode (contextMode), and, when streaming, the partial output
+ *   and token reporter, the chunk cache of a resumable job, and a combine function replacing the
+ *   default join of the chunk responses
+ * @returns {Promise<string>} - Combined API response (the reduced result when the prompt's strategy is map-reduce)
  */
-async function processLargeFile(fileContent, prompt, model, maxTokensPerChunk) {
+async function processLargeFile(fileContent, prompt, model, maxTokensPerChunk, options = {}) {
   console.log('\n' + '-'.repeat(80));
   console.log(`[CHUNKING] ${new Date().toISOString()}`);
   console.log('-'.repeat(80));
 
-  // Estimate characters per chunk (rough estimate: 1 token ≈ 4 characters)
-  const charsPerChunk = maxTokensPerChunk * 4;
+  const format = options.format || 'text';
+  const modelInfo = getModelInfo(model);
 
-  // For SRT files, try to split at subtitle boundaries
-  const chunks = [];
+  // Context carried over from the previous chunk takes part of each chunk's budget
+  const contextMode = options.contextMode || 'none';
+  const carryContext = contextMode !== 'none';
+  const contextBudget = carryContext ? getContextBudget(maxTokensPerChunk) : 0;
 
-  // ... [existing chunking code] ...
+  // Split at cue, heading/paragraph or sentence boundaries depending on the format
+  const chunks = splitIntoChunks(fileContent, modelInfo, maxTokensPerChunk - contextBudget, {
+    format,
+    overlapChars: options.overlapChars,
+    fileTokens: options.fileTokens
+  });
 
+  console.log(`Format: ${format}`);
+  if (carryContext) {
+    console.log(`Context Carry-Over: ${contextMode} (up to ${contextBudget} tokens per chunk)`);
+  }
   console.log(`Total Chunks: ${chunks.length}`);
   chunks.forEach((chunk, i) => {
-    console.log(`  Chunk ${i + 1}: ${chunk.length} chars (~${Math.round(chunk.length / 4)} tokens)`);
+    const cueRange = chunk.cueStart ? `, cues ${chunk.cueStart}-${chunk.cueEnd}` : '';
+    console.log(`  Chunk ${i + 1}: ${chunk.text.length} chars (${chunk.tokens} tokens), offsets ${chunk.start}-${chunk.end}${cueRange}`);
   });
   console.log('-'.repeat(80) + '\n');
 
   logInfo(`Split file into ${chunks.length} chunks`);
+  const { jobId, fileName, attempts, reportTokens, chunkCache, cacheStats, bypassCache, usage, budget, promptSettings, template } = options;
+
+  // With map-reduce the chunk results are intermediate, so only the final reduce streams to the output
+  const mapReduce = !!promptSettings && promptSettings.strategy === 'map-reduce';
+  const partial = mapReduce ? null : options.partial;
+
+  // Each chunk waits for the context of the one before it
+  const concurrency = carryContext ? 1 : resolveConcurrency(options.concurrency);
+  const placesContext = parseTemplate(prompt).builtin.includes('previous_summary');
+  let carriedContext = '';
+
+  if (partial) partial.setChunkCount(chunks.length);
 
   // Update progress with total chunks
-  updateProgress({
+  updateFileProgress(jobId, fileName, {
     totalChunks: chunks.length,
-    processedChunks: 0
+    processedChunks: 0,
+    ...(mapReduce && { stage: 'map' })
   });
 
-  // Process each chunk
-  const responses = [];
+  // Process chunks in parallel, keeping responses in chunk order
+  let processedChunks = 0;
+  let failedChunks = 0;
 
-  for (let i = 0; i < chunks.length; i++) {
+  const responses = await runWithConcurrency(chunks, concurrency, async (chunk, i) => {
     console.log(`\n[CHUNK ${i + 1}/${chunks.length}] Processing...`);
     logInfo(`Processing chunk ${i + 1}/${chunks.length}`);
 
-    // Modify the prompt to indicate this is a chunk
-    const chunkPrompt = `${prompt}\n\n[This is chunk ${i + 1} of ${chunks.length} from the original file]`;
+    updateFileProgress(jobId, fileName, {
+      currentChunk: {
+        index: chunk.index,
+        start: chunk.start,
+        end: chunk.end,
+        cueStart: chunk.cueStart,
+        cueEnd: chunk.cueEnd
+      }
+    });
 
-    try {
-      // Check rate limits before processing each chunk
-      await checkRateLimits(model);
-
-      const chunkResponse = await callMonicaApi(chunks[i], chunkPrompt, model);
-      responses.push(chunkResponse);
-      console.log(`✓ Chunk ${i + 1}/${chunks.length} completed: ${chunkResponse.length} chars`);
-
-      // Update progress for this chunk
-      updateProgress({
-        processedChunks: i + 1,
-        // Estimate end time based on current progress
-        estimatedEndTime: processingProgress.startTime +
-          ((Date.now() - processingProgress.startTime) / (i + 1) * chunks.length)
+    // Fill in the template for this chunk; without {{previous_summary}} the context goes after the prompt
+    const renderedPrompt = renderPrompt(prompt, {
+      ...template,
+      index: i,
+      count: chunks.length,
+      previousSummary: carriedContext
+    });
+    const chunkPrompt = carryContext && !placesContext
+      ? appendContext(renderedPrompt, carriedContext, contextMode)
+      : renderedPrompt;
+    let chunkFailed = false;
+
+    // A resumed job reuses responses of chunks finished by an earlier run
+    let chunkResponse = chunkCache ? await chunkCache.get(chunk) : null;
+    if (chunkResponse !== null) {
+      console.log(`✓ Chunk ${i + 1}/${chunks.length} reused from an earlier run: ${chunkResponse.length} chars`);
+    } else {
+      try {
+        // callMonicaApi waits for the rate limiter before each request
+        chunkResponse = await callMonicaApi(chunk.text, chunkPrompt, model, {
+          jobId,
+          fileName,
+          attempts,
+          cacheStats,
+          bypassCache,
+          usage,
+          budget,
+          promptSettings,
+          chunkIndex: chunk.index,
+          ...streamInto(partial, i, reportTokens)
+        });
+        console.log(`✓ Chunk ${i + 1}/${chunks.length} completed: ${chunkResponse.length} chars`);
+
+        if (chunkCache) {
+          await chunkCache.set(chunk, chunkResponse).catch(error => {
+            logError(`Failed to save chunk ${i + 1} for resuming: ${error.message}`);
+          });
+        }
+      } catch (error) {
+        console.error('\n' + '!'.repeat(80));
+        console.error(`[CHUNK ERROR] Chunk ${i + 1}/${chunks.length}`);
+        console.error('!'.repeat(80));
+        console.error(`Error: ${error.message}`);
+        console.error('!'.repeat(80) + '\n');
+
+        logError(`Error processing chunk ${i + 1}: ${error.message}`);
+
+        // Nothing more may be spent on the job, so the file can't be completed
+        if (error.code === 'BUDGET_EXCEEDED') throw error;
+
+        chunkResponse = `[Error processing this chunk: ${error.message}]`;
+        chunkFailed = true;
+        failedChunks++;
+        if (chunkCache) chunkCache.fail();
+      }
+    }
+
+    if (partial) partial.finish(i, chunkResponse);
+
+    // A failed chunk passes on the context it was given
+    if (carryContext && !chunkFailed && i < chunks.length - 1) {
+      carriedContext = await carryOverContext(contextMode, carriedContext, chunkResponse, model, contextBudget, {
+        jobId,
+        fileName,
+        cacheStats,
+        bypassCache,
+        usage,
+        budget
       });
+    }
 
-    } catch (error) {
-      console.error('\n' + '!'.repeat(80));
-      console.error(`[CHUNK ERROR] Chunk ${i + 1}/${chunks.length}`);
-      console.error('!'.repeat(80));
-      console.error(`Error: ${error.message}`);
-      console.error('!'.repeat(80) + '\n');
+    // Update progress for this chunk (error chunks count as processed too)
+    processedChunks++;
+    updateFileProgress(jobId, fileName, {
+      processedChunks
+    }, 'chunk_done');
 
-      logError(`Error processing chunk ${i + 1}: ${error.message}`);
-      responses.push(`[Error processing this chunk: ${error.message}]`);
+    return chunkResponse;
+  });
 
-      // Still update progress even for error chunks
-      updateProgress({
-        processedChunks: i + 1
-      });
+  if (mapReduce) {
+    // A combined result missing parts of the file would look complete, so don't reduce
+    if (failedChunks > 0) {
+      throw new Error(`${failedChunks} of ${chunks.length} chunks failed in the map stage`);
     }
+    return reduceResults(responses, model, maxTokensPerChunk, options);
   }
 
   // Combine the responses
-  const combinedResponse = responses.join('\n\n Next Chunk \n\n');
+  const combinedResponse = options.combine ? options.combine(responses) : responses.join(CHUNK_SEPARATOR);
   console.log(`\n✓ All chunks combined: ${combinedResponse.length} total characters\n`);
 
   return combinedResponse;
 }
+
+/**
+ * Combine the chunk results of a map-reduce prompt into one result. Results that don't fit
+ * in one request are reduced in batches, and the batch results reduced again; results too large
+ * to pair up fail the file before their requests are sent.
+ * @param {Array<string>} results - Chunk results, in chunk order
+ * @param {string} model - AI model to use
+ * @param {number} maxTokensPerChunk - Tokens the results of one reduce request may take
+ * @param {object} options - Options of processLargeFile (the prompt settings hold the reduce prompt)
+ * @returns {Promise<string>} - Combined result
+ */
+async function reduceResults(results, model, maxTokensPerChunk, options) {
+  const { jobId, fileName, attempts, partial, reportTokens, cacheStats, bypassCache, usage, budget, promptSettings, template } = options;
+  const modelInfo = getModelInfo(model);
+  const outputSchema = promptSettings.outputSchema || null;
+  const renderedPrompt = renderPrompt(promptSettings.reducePrompt || DEFAULT_REDUCE_PROMPT, template);
+  const reducePrompt = outputSchema ? appendSchemaInstructions(renderedPrompt, outputSchema) : renderedPrompt;
+
+  // The map prompt's examples don't apply to reduce requests
+  const reduceSettings = { contentFraming: promptSettings.contentFraming, outputSchema };
+  const batchBudget = Math.max(1, maxTokensPerChunk - countTokens(reducePrompt, modelInfo));
+
+  // Reduce requests are added to the file's chunk counts as each level starts
+  let totalRequests = results.length;
+  let processedRequests = results.length;
+  let current = results;
+
+  for (let level = 1; ; level++) {
+    const levelResults = current;
+    const sizes = levelResults.map((result, i) =>
+      countTokens(buildReduceContent([result], i, levelResults.length), modelInfo));
+    const batches = groupForReduce(sizes, batchBudget);
+    checkReduceLevel(level, levelResults.length, batches.length);
+    const final = batches.length === 1;
+    totalRequests += batches.length;
+
+    console.log(`\n[REDUCE ${level}] Combining ${levelResults.length} results in ${batches.length} request(s)`);
+    logInfo(`Reducing ${levelResults.length} results in ${batches.length} requests (level ${level})`);
+    updateFileProgress(jobId, fileName, {
+      stage: 'reduce',
+      reduceLevel: level,
+      totalChunks: totalRequests,
+      currentChunk: null
+    }, 'reduce_started');
+
+    current = await runWithConcurrency(batches, resolveConcurrency(options.concurrency), async (batch) => {
+      const content = buildReduceContent(batch.map(i => levelResults[i]), batch[0], levelResults.length);
+      const result = await callMonicaApi(content, reducePrompt, model, {
+        jobId,
+        fileName,
+        attempts,
+        cacheStats,
+        bypassCache,
+        usage,
+        budget,
+        promptSettings: reduceSettings,
+        ...(final ? streamInto(partial, 0, reportTokens) : {})
+      });
+
+      processedRequests++;
+      updateFileProgress(jobId, fileName, {
+        processedChunks: processedRequests
+      }, 'chunk_done');
+      return result;
+    });
+
+    if (final) {
+      if (partial) partial.finish(0, current[0]);
+      console.log(`✓ Reduced to one result: ${current[0].length} chars\n`);
+      return current[0];
+    }
+  }
+}
+
+/**
+ * Work out the context passed from a finished chunk to the next one
+ * @param {string} mode - 'tail' or 'summary'
+ * @param {string} previous - Context the finished chunk was given
+ * @param {string} output - Output of the finished chunk
+ * @param {string} model - AI model to use
+ * @param {number} contextBudget - Tokens the context may take
+ * @param {object} context - Request context for the summary request (see callMonicaApi)
+ * @returns {Promise<string>} - Context for the next chunk
+ */
+async function carryOverContext(mode, previous, output, model, contextBudget, context) {
+  const modelInfo = getModelInfo(model);
+  if (mode === 'tail') {
+    return takeTail(output, contextBudget, modelInfo);
+  }
+
+  try {
+    const summary = await callMonicaApi(buildSummaryInput(previous, output), buildSummaryPrompt(contextBudget), model, context);
+    console.log(`✓ Rolling summary updated: ${countTokens(summary, modelInfo)} tokens`);
+    return takeTail(summary, contextBudget, modelInfo);
+  } catch (error) {
+    if (error.code === 'BUDGET_EXCEEDED') throw error;
+
+    // The next chunk still gets some context
+    logError(`Failed to update the rolling summary, passing on the end of the output instead: ${error.message}`);
+    return takeTail(output, contextBudget, modelInfo);
+  }
+}
+
 /**
- * Call the Monica.im API with the file content and prompt
+ * Call the model's provider API, retrying transient failures according to the model's retry policy.
+ * Every attempt is appended to context.attempts (when provided). Responses are looked up in and
+ * saved to the response cache unless it is disabled; context.bypassCache skips the lookup.
+ * The prompt is sent as the system message and the content as the user message.
  * @param {string} fileContent - Content of the file
  * @param {string} prompt - User prompt
  * @param {string} model - AI model to use (optional)
- * @returns {Promise<string>} - API response content
+ * @param {object} context - Request context ({ jobId, fileName, chunkIndex, attempts, cacheStats, bypassCache, usage,
+ *   budget, promptSettings }) for progress reporting, plus onDelta/onReset callbacks to stream the response
+ * @returns {Promise<string>} - API response content (formatted JSON when the prompt settings have an output schema)
  */
-async function callMonicaApi(fileContent, prompt, model) {
-  const startTime = Date.now();
+async function callMonicaApi(fileContent, prompt, model, context = {}) {
+  const selectedModel = model || process.env.DEFAULT_MODEL || 'gpt-4o';
+
+  // Responses that must match an output schema are checked, and sent back while they don't
+  if (context.promptSettings?.outputSchema && !context.followUp) {
+    return callForJson(fileContent, prompt, selectedModel, context);
+  }
+
+  const policy = resolveRetryPolicy(getModelInfo(selectedModel));
+  const messages = [...buildMessages(prompt, fileContent, context.promptSettings), ...(context.followUp || [])];
+
+  // The same model and messages always get the cached response
+  const cacheKey = getCacheSettings().enabled ? getCacheKey(selectedModel, messages) : null;
+  if (cacheKey && !context.bypassCache) {
+    const cached = await getCachedResponse(cacheKey);
+    countCacheLookup(context, cached !== null);
+
+    if (cached !== null) {
+      console.log(`✓ Response cache hit (${cached.length} chars)`);
+      logInfo(`Using cached response for model: ${selectedModel}`);
+      if (context.onDelta) context.onDelta(cached);
+      return cached;
+    }
+  }
+
+  // Refuse the request if its estimated cost would exceed the job's or the global budget
+  const budgetReservation = context.budget
+    ? await context.budget.reserve(estimateRequestCost(selectedModel, messages))
+    : null;
 
   try {
-    const apiKey = process.env.MONICA_API_KEY;
-    const apiEndpoint = process.env.MONICA_API_ENDPOINT;
-    const defaultModel = process.env.DEFAULT_MODEL || 'gpt-4o';
+    return await callWithRetries(messages, selectedModel, policy, cacheKey, context);
+  } finally {
+    if (context.budget) context.budget.release(budgetReservation);
+  }
+}
+
+/**
+ * Request JSON that matches the output schema of the prompt settings. A response that doesn't
+ * is sent back with its validation errors, up to getJsonRetries() times.
+ * @param {string} fileContent - Content of the file
+ * @param {string} prompt - Prompt, with the schema instructions
+ * @param {string} model - AI model to use
+ * @param {object} context - Request context (see callMonicaApi)
+ * @returns {Promise<string>} - The valid JSON, formatted
+ */
+async function callForJson(fileContent, prompt, model, context) {
+  const schema = context.promptSettings.outputSchema;
+  const retries = getJsonRetries();
+  const followUp = [];
+
+  for (let attempt = 1; ; attempt++) {
+    const response = await callMonicaApi(fileContent, prompt, model, { ...context, followUp, json: expectsObject(schema) });
+    const { value, errors } = checkJson(response, schema);
+    if (errors.length === 0) {
+      return JSON.stringify(value, null, 2);
+    }
 
-    if (!apiKey || !apiEndpoint) {
-      throw new Error('Monica API key or endpoint not configured');
+    if (attempt > retries) {
+      const error = new Error(`Response did not match the output schema after ${attempt} attempts: ${errors.slice(0, 3).join('; ')}`);
+      error.code = 'INVALID_JSON_OUTPUT';
+      throw error;
     }
 
-    // Prepare the message for the API with the correct format
-    const message = `${prompt}\n\nFile Content:\n${fileContent}`;
-    const selectedModel = model || defaultModel;
+    console.log(`✗ Response does not match the output schema (${errors.length} errors), asking again (${attempt}/${retries})`);
+    logInfo(`Invalid JSON response: ${errors.slice(0, 3).join('; ')}. Asking again (${attempt}/${retries}).`);
+    followUp.push(
+      { role: 'assistant', content: response },
+      { role: 'user', content: buildRetryMessage(errors) }
+    );
+  }
+}
+
+/**
+ * Send a request, retrying transient failures, and cache the response
+ * @param {Array<object>} messages - Chat messages of the request
+ * @param {string} selectedModel - AI model to use
+ * @param {object} policy - Retry policy from resolveRetryPolicy
+ * @param {string|null} cacheKey - Response cache key (null when the cache is disabled)
+ * @param {object} context - Request context (see callMonicaApi)
+ * @returns {Promise<string>} - API response content
+ */
+async function callWithRetries(messages, selectedModel, policy, cacheKey, context) {
+  for (let attempt = 1; ; attempt++) {
+    const attemptStart = Date.now();
+
+    // Text streamed by a failed attempt is discarded before it is streamed again
+    if (attempt > 1 && context.onReset) {
+      context.onReset();
+    }
+
+    try {
+      const content = await sendApiRequest(messages, selectedModel, context);
+      recordAttempt(context, {
+        attempt,
+        chunk: context.chunkIndex,
+        success: true,
+        duration: Date.now() - attemptStart,
+        timestamp: Date.now()
+      });
+
+      if (cacheKey) {
+        await setCachedResponse(cacheKey, selectedModel, content).catch(error => {
+          logError(`Failed to cache response: ${error.message}`);
+        });
+      }
+      return content;
+    } catch (error) {
+      const willRetry = attempt < policy.maxAttempts && isRetryableError(policy, error);
+      const delay = willRetry ? getRetryDelay(policy, attempt, error.retryAfter) : null;
+
+      recordAttempt(context, {
+        attempt,
+        chunk: context.chunkIndex,
+        success: false,
+        status: error.status || null,
+        code: error.code || null,
+        error: error.message,
+        duration: Date.now() - attemptStart,
+        retryDelay: delay,
+        timestamp: Date.now()
+      });
+
+      if (!willRetry) {
+        throw error;
+      }
+
+      console.log('\n' + '!'.repeat(80));
+      console.log(`[API RETRY] ${new Date().toISOString()}`);
+      console.log('!'.repeat(80));
+      console.log(`Attempt: ${attempt}/${policy.maxAttempts}`);
+      console.log(`Reason: ${error.status || error.code} - ${error.message}`);
+      console.log(`Retry In: ${delay}ms`);
+      console.log('!'.repeat(80) + '\n');
+
+      logInfo(`API attempt ${attempt} failed (${error.status || error.code}). Retrying in ${delay}ms.`);
+
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Record an API attempt in the request context and the file's live progress
+ * @param {object} context - Request context ({ jobId, fileName, attempts })
+ * @param {object} attempt - Attempt details
+ */
+function recordAttempt(context, attempt) {
+  if (!context.attempts) return;
+
+  context.attempts.push(attempt);
+
+  if (!attempt.success && context.jobId && context.fileName) {
+    updateFileProgress(context.jobId, context.fileName, {
+      retries: context.attempts.filter(entry => !entry.success).length,
+      lastAttemptError: attempt.error
+    }, 'retry');
+  }
+}
+
+/**
+ * Add the usage of a request to the file's and the job's totals
+ * @param {object} context - Request context ({ jobId, usage })
+ * @param {object} usage - { inputTokens, outputTokens, cost, estimated }
+ */
+function recordUsage(context, usage) {
+  if (context.usage) {
+    addUsage(context.usage, usage);
+  }
+  if (context.budget) {
+    context.budget.record(usage.cost);
+  }
+  if (context.jobId) {
+    recordJobUsage(context.jobId, usage);
+  }
+}
+
+/**
+ * Count a response cache lookup for the file and its job
+ * @param {object} context - Request context ({ jobId, cacheStats })
+ * @param {boolean} hit - True if the response came from the cache
+ */
+function countCacheLookup(context, hit) {
+  if (context.cacheStats) {
+    context.cacheStats[hit ? 'hits' : 'misses']++;
+  }
+  if (context.jobId) {
+    recordCacheLookup(context.jobId, hit);
+  }
+}
+
+/**
+ * Read the body of a failed streamed request
+ * @param {Readable} body - Response body stream
+ * @returns {Promise<object|string>} - Parsed JSON body, or the raw text
+ */
+async function readErrorBody(body) {
+  let text = '';
+  try {
+    for await (const piece of body) {
+      text += piece;
+    }
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+/**
+ * Send a single request to the model's provider.
+ * Errors carry `status`/`retryAfter` (HTTP errors) or `code` (network errors) for the retry policy.
+ * @param {Array<object>} messages - Chat messages ({ role, content })
+ * @param {string} model - AI model to use (optional)
+ * @param {object} context - Request context ({ jobId, fileName }) for progress reporting;
+ *   when it has an onDelta callback the response is streamed into it
+ * @returns {Promise<string>} - API response content
+ */
+async function sendApiRequest(messages, model, context = {}) {
+  const startTime = Date.now();
+  const selectedModel = model || process.env.DEFAULT_MODEL || 'gpt-4o';
+  const modelInfo = getModelInfo(selectedModel);
+  const provider = getProvider(modelInfo);
+  const stream = typeof context.onDelta === 'function';
+
+  try {
+    // Prepare the request in the provider's format
+    const json = !!context.json && modelInfo?.jsonMode !== false;
+    const request = provider.buildRequest(selectedModel, messages, modelInfo, { stream, json });
+    const messageLength = messages.reduce((sum, message) => sum + message.content.length, 0);
 
     // Estimate tokens for rate limiting
-    const estimatedInputTokens = message.length / 4;
+    const estimatedInputTokens = countMessageTokens(messages, modelInfo);
     const estimatedOutputTokens = estimatedInputTokens / 2; // Rough estimate that output is half the size of input
 
     // Check rate limits before making the API call
-    await checkRateLimits(selectedModel);
+    const reservation = await checkRateLimits(selectedModel, estimatedInputTokens + estimatedOutputTokens, context);
 
     console.log('\n' + '-'.repeat(80));
     console.log(`[API CALL] ${new Date().toISOString()}`);
     console.log('-'.repeat(80));
-    console.log(`Endpoint: ${apiEndpoint}`);
+    console.log(`Provider: ${provider.name}`);
+    console.log(`Endpoint: ${request.url}`);
     console.log(`Model: ${selectedModel}`);
-    console.log(`Message Length: ${message.length} chars (~${Math.round(estimatedInputTokens)} tokens)`);
+    console.log(`Streaming: ${stream ? 'yes' : 'no'}`);
+    if (json) console.log('Response Format: JSON object');
+    console.log(`Messages: ${messages.length} (${messageLength} chars, ${estimatedInputTokens} tokens)`);
     console.log(`Estimated Output: ~${Math.round(estimatedOutputTokens)} tokens`);
     console.log('-'.repeat(80));
 
-    logInfo(`Calling Monica API with model: ${selectedModel}`);
-
-    // Prepare request payload with the simpler message format that worked in the test
-    const payload = {
-      model: selectedModel,
-      messages: [
-        {
-          role: 'user',
-          content: message
-        }
-      ]
-    };
+    logInfo(`Calling ${provider.name} API with model: ${selectedModel}`);
 
-    // Call the Monica API
-    const response = await axios.post(
-      apiEndpoint,
-      payload,
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${apiKey}`
-        }
-      }
-    );
+    const response = await axios.post(request.url, request.payload, {
+      headers: request.headers,
+      responseType: stream ? 'stream' : 'json'
+    });
+    const result = stream
+      ? await readCompletionStream(response.data, provider, context.onDelta)
+      : provider.parseResponse(response.data);
 
     const duration = Date.now() - startTime;
 
     // Track this request for rate limiting
-    const actualInputTokens = response.data.usage?.prompt_tokens || estimatedInputTokens;
-    const actualOutputTokens = response.data.usage?.completion_tokens || estimatedOutputTokens;
-    trackRequest(selectedModel, actualInputTokens, actualOutputTokens);
+    const actualInputTokens = result?.usage?.inputTokens || estimatedInputTokens;
+    const countedOutputTokens = countTokens(result?.content || '', modelInfo);
+    const actualOutputTokens = result?.usage?.outputTokens || (stream ? countedOutputTokens : estimatedOutputTokens);
+    trackRequest(selectedModel, actualInputTokens, actualOutputTokens, reservation);
+
+    // Usage reported by the provider, or our own count when it doesn't report any
+    const inputTokens = result?.usage?.inputTokens ?? estimatedInputTokens;
+    const outputTokens = result?.usage?.outputTokens ?? countedOutputTokens;
+    recordUsage(context, {
+      inputTokens,
+      outputTokens,
+      cost: calculateCost(modelInfo, inputTokens, outputTokens),
+      estimated: !result?.usage
+    });
 
     console.log(`✓ API call successful (${duration}ms)`);
-    if (response.data.usage) {
-      console.log(`  Input Tokens: ${response.data.usage.prompt_tokens}`);
-      console.log(`  Output Tokens: ${response.data.usage.completion_tokens}`);
-      console.log(`  Total Tokens: ${response.data.usage.total_tokens}`);
+    if (result?.usage) {
+      console.log(`  Input Tokens: ${result.usage.inputTokens}`);
+      console.log(`  Output Tokens: ${result.usage.outputTokens}`);
+      console.log(`  Total Tokens: ${result.usage.totalTokens}`);
     }
     console.log('-'.repeat(80) + '\n');
 
     // Extract the response content
-    if (response.data &&
-      response.data.choices &&
-      response.data.choices[0] &&
-      response.data.choices[0].message) {
-
-      return response.data.choices[0].message.content;
+    if (result) {
+      return result.content;
     } else {
       console.error('\n' + '='.repeat(80));
       console.error(`[UNEXPECTED API RESPONSE] ${new Date().toISOString()}`);
@@ -589,6 +1311,11 @@ async function callMonicaApi(fileContent, prompt, model) {
   } catch (error) {
     const duration = Date.now() - startTime;
 
+    // Error bodies of streamed requests arrive as a stream too
+    if (error.response && error.response.data && typeof error.response.data.pipe === 'function') {
+      error.response.data = await readErrorBody(error.response.data);
+    }
+
     if (error.response) {
       // The request was made and the server responded with a status code
       // that falls out of the range of 2xx
@@ -607,31 +1334,21 @@ async function callMonicaApi(fileContent, prompt, model) {
 
       logError(`API error: ${error.response.status} - ${JSON.stringify(error.response.data || {})}`);
 
+      // OpenAI-style servers send { error: { message } }, Ollama sends { error: "..." }
+      const apiErrorBody = error.response.data && error.response.data.error;
+      const apiErrorMessage = typeof apiErrorBody === 'string' ? apiErrorBody : apiErrorBody?.message;
+
       // Check for token limit errors
       if (error.response.status === 400 &&
-        error.response.data &&
-        error.response.data.error &&
-        error.response.data.error.message &&
-        error.response.data.error.message.includes('maximum context length')) {
-        throw new Error(`Token limit exceeded: ${error.response.data.error.message}`);
+        apiErrorMessage &&
+        apiErrorMessage.includes('maximum context length')) {
+        throw new Error(`Token limit exceeded: ${apiErrorMessage}`);
       }
-      // Check for rate limit errors
-      else if (error.response.status === 429) {
-        const retryAfter = error.response.headers['retry-after'] || 60;
-
-        console.log('\n' + '!'.repeat(80));
-        console.log(`[RATE LIMIT - RETRY] ${new Date().toISOString()}`);
-        console.log('!'.repeat(80));
-        console.log(`Retry After: ${retryAfter} seconds`);
-        console.log('!'.repeat(80) + '\n');
-
-        logInfo(`Rate limit exceeded. Retrying after ${retryAfter} seconds.`);
-
-        // Wait for the specified time and then retry
-        await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
-        return callMonicaApi(fileContent, prompt, model);
-      } else {
-        throw new Error(`API error: ${error.response.status} - ${error.response.data?.error?.message || 'Unknown error'}`);
+      else {
+        const apiError = new Error(`API error: ${error.response.status} - ${apiErrorMessage || 'Unknown error'}`);
+        apiError.status = error.response.status;
+        apiError.retryAfter = error.response.headers['retry-after'];
+        throw apiError;
       }
     } else if (error.request) {
       // The request was made but no response was received
@@ -646,8 +1363,10 @@ async function callMonicaApi(fileContent, prompt, model) {
       console.error(`  Path: ${error.request.path}`);
       console.error('='.repeat(80) + '\n');
 
-      logError('No response received from API');
-      throw new Error('No response received from API');
+      logError(`No response received from API (${error.code || 'unknown error'})`);
+      const networkError = new Error(`No response received from API${error.code ? ` (${error.code})` : ''}`);
+      networkError.code = error.code;
+      throw networkError;
     } else {
       // Something happened in setting up the request
       console.error('\n' + '='.repeat(80));
@@ -664,11 +1383,104 @@ async function callMonicaApi(fileContent, prompt, model) {
   }
 }
 
+/**
+ * Estimate the tokens and cost of processing a file, chunked the same way processFile would.
+ * Output is assumed to be half the size of the input, as for rate limiting; carried-over context
+ * is assumed to fill its budget.
+ * @param {string} inputPath - Path to the input file
+ * @param {string} prompt - Prompt to send to the model
+ * @param {string} model - AI model to use (optional)
+ * @param {object} options - Estimate options
+ * @param {object} options.promptSettings - Few-shot examples and content framing of the prompt (optional)
+ * @param {object} options.variables - Values of the custom variables in the prompt template (optional)
+ * @param {string} options.originalName - File name used for {{filename}} (defaults to the input file's name)
+ * @param {string} options.contextMode - Context carried between chunks (optional)
+ * @returns {Promise<object>} - { characters, chunks, reduceRequests, tokenizer, inputTokens, outputTokens, cost }
+ */
+async function estimateFile(inputPath, prompt, model, options = {}) {
+  const { format, fileContent } = await readInput(inputPath);
+  const selectedModel = model || process.env.DEFAULT_MODEL || 'gpt-4o';
+  const modelInfo = getModelInfo(selectedModel);
+  const maxTokensPerChunk = getMaxTokensPerChunk(selectedModel);
+  const { promptSettings = {} } = options;
+  const template = { fileName: options.originalName || path.basename(inputPath), variables: options.variables || {} };
+
+  const contextMode = options.contextMode || 'none';
+
+  // Estimate what is actually sent: only the dialogue of VTT, ASS and SBV subtitles for dialogue-only prompts
+  const input = prepareInput(format, fileContent, { dialogueOnly: promptSettings.dialogueOnly });
+  let filePrompt = input.assemble && input.instructions && promptSettings.strategy !== 'map-reduce'
+    ? `${prompt}\n\n${input.instructions}`
+    : prompt;
+  if (promptSettings.outputSchema) {
+    filePrompt = appendSchemaInstructions(prompt, promptSettings.outputSchema);
+  }
+
+  // Each request is counted once
+  let requests;
+  let requestCounts;
+  let contextTokens = 0;
+  const summaryTokens = { input: 0, output: 0 };
+  const reduceTokens = { input: 0, output: 0, requests: 0 };
+  const fileTokens = countTokens(input.content, modelInfo);
+  if (fileTokens > maxTokensPerChunk) {
+    const contextBudget = contextMode !== 'none' ? getContextBudget(maxTokensPerChunk) : 0;
+    const chunks = splitIntoChunks(input.content, modelInfo, maxTokensPerChunk - contextBudget, {
+      format: input.chunkFormat,
+      fileTokens
+    });
+    requests = chunks.map((chunk, i) =>
+      buildMessages(renderPrompt(filePrompt, { ...template, index: i, count: chunks.length }), chunk.text, promptSettings));
+    requestCounts = requests.map(messages => countMessageTokens(messages, modelInfo));
+
+    // Every chunk after the first carries context; a rolling summary costs a request per chunk
+    contextTokens = contextBudget * (chunks.length - 1);
+    if (contextMode === 'summary') {
+      const summaryPromptTokens = countTokens(buildSummaryPrompt(contextBudget), modelInfo);
+      requestCounts.slice(0, -1).forEach(count => {
+        const chunkOutput = Math.ceil(count / 2);
+        summaryTokens.input += summaryPromptTokens + contextBudget + chunkOutput;
+        summaryTokens.output += contextBudget;
+      });
+    }
+
+    // Map-reduce combines the chunk results in one or more reduce requests
+    if (promptSettings.strategy === 'map-reduce') {
+      const reducePrompt = renderPrompt(promptSettings.reducePrompt || DEFAULT_REDUCE_PROMPT, template);
+      const reducePromptTokens = countTokens(promptSettings.outputSchema
+        ? appendSchemaInstructions(reducePrompt, promptSettings.outputSchema)
+        : reducePrompt, modelInfo);
+      const chunkOutputs = requestCounts.map(count => Math.ceil(count / 2));
+      planReduce(chunkOutputs, Math.max(1, maxTokensPerChunk - reducePromptTokens)).flat().forEach(input => {
+        reduceTokens.input += reducePromptTokens + input;
+        reduceTokens.output += Math.ceil(input / 2);
+        reduceTokens.requests++;
+      });
+    }
+  } else {
+    requests = [buildMessages(renderPrompt(filePrompt, template), input.content, promptSettings)];
+    requestCounts = [countMessageTokens(requests[0], modelInfo)];
+  }
+
+  const requestTokens = requestCounts.reduce((sum, count) => sum + count, 0) + contextTokens;
+  const inputTokens = requestTokens + summaryTokens.input + reduceTokens.input;
+  const outputTokens = Math.ceil(requestTokens / 2) + summaryTokens.output + reduceTokens.output;
+
+  return {
+    characters: fileContent.length,
+    chunks: requests.length,
+    reduceRequests: reduceTokens.requests,
+    tokenizer: getTokenizerName(modelInfo),
+    inputTokens,
+    outputTokens,
+    cost: calculateCost(modelInfo, inputTokens, outputTokens)
+  };
+}
+
 module.exports = {
   processFile,
+  estimateFile,
   getModelInfo,
-  getProgress,
-  setTotalFiles,
-  resetProgress,
-  cancelProcessing
+  checkRateLimits,
+  trackRequest
 };
\ No newline at end of file
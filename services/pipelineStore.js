@@ -0,0 +1,91 @@
+/**
+ * Read access to the pipelines in pipelines.json, for jobs that run every file
+ * through several prompts in turn.
+ */
+
+const fs = require('fs').promises;
+const { paths } = require('../config/paths');
+const { getPipelineDefinition } = require('../utils/pipelines');
+const { findPrompt } = require('./promptStore');
+const { getPromptSettings } = require('../utils/promptMessages');
+
+/**
+ * Load the pipelines
+ * @returns {Promise<Array<object>>} - Pipeline entries (empty when pipelines.json is missing)
+ */
+async function loadPipelines() {
+  try {
+    const data = JSON.parse(await fs.readFile(paths.pipelines, 'utf8'));
+    return data.pipelines || [];
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+/**
+ * Find a pipeline by name
+ * @param {string} name - Pipeline name
+ * @returns {Promise<object|null>} - Pipeline entry, or null if there is none
+ */
+async function findPipeline(name) {
+  const pipelines = await loadPipelines();
+  return pipelines.find(pipeline => pipeline.name === name) || null;
+}
+
+/**
+ * Resolve the steps of a pipeline into what each step sends, so a job keeps them
+ * even if the pipeline or its saved prompts change later
+ * @param {string} name - Pipeline name
+ * @returns {Promise<object>} - { name, outputName, steps } where each step is
+ *   { name, prompt, promptName, promptSettings, model, outputName } and prompt is the step's prompt text;
+ *   a step without an output name uses the one of its saved prompt
+ */
+async function resolvePipeline(name) {
+  const entry = await findPipeline(name);
+  if (!entry) {
+    const error = new Error(`Pipeline "${name}" not found`);
+    error.status = 400;
+    throw error;
+  }
+
+  const pipeline = getPipelineDefinition(entry);
+  const steps = [];
+  for (const step of pipeline.steps) {
+    if (step.text) {
+      steps.push({
+        name: step.name,
+        prompt: step.text,
+        promptName: null,
+        promptSettings: getPromptSettings(),
+        model: step.model,
+        outputName: step.outputName
+      });
+      continue;
+    }
+
+    const saved = await findPrompt(step.prompt);
+    if (!saved) {
+      const error = new Error(`Prompt "${step.prompt}" of pipeline step "${step.name}" not found`);
+      error.status = 400;
+      throw error;
+    }
+    const promptSettings = getPromptSettings(saved);
+    steps.push({
+      name: step.name,
+      prompt: saved.text,
+      promptName: saved.name,
+      promptSettings,
+      model: step.model,
+      outputName: step.outputName || promptSettings.outputName
+    });
+  }
+
+  return { name: pipeline.name, outputName: pipeline.outputName, steps };
+}
+
+module.exports = {
+  loadPipelines,
+  findPipeline,
+  resolvePipeline
+};
@@ -0,0 +1,345 @@
+const path = require('path');
+const EventEmitter = require('events');
+const { logInfo } = require('../utils/logger');
+const { createUsage, addUsage } = require('../utils/costs');
+
+// Number of jobs whose progress is kept in memory
+const MAX_TRACKED_JOBS = 50;
+
+// Progress tracking objects, keyed by job ID
+const jobProgress = new Map();
+
+// Emits a 'progress' event ({ type, jobId, progress }) on every progress update
+const progressEvents = new EventEmitter();
+progressEvents.setMaxListeners(0); // One listener per open SSE connection
+
+/**
+ * Create a fresh progress object
+ * @param {string} jobId - Job the progress belongs to
+ * @returns {object} - Progress object
+ */
+function createProgressState(jobId) {
+  return {
+    jobId,
+    currentFile: null,
+    currentFileNumber: 0,
+    totalFiles: 0,
+    completedFiles: 0,
+    totalChunks: 0, // Summed over the files currently being processed
+    processedChunks: 0,
+    activeFiles: {}, // Per-file chunk counts and current chunk offsets, keyed by file name
+    throttled: false, // True while a file is waiting on the RPM/TPM rate limiter
+    throttledUntil: null,
+    throttleReason: null,
+    cache: { hits: 0, misses: 0 }, // Response cache lookups made for the job
+    usage: createUsage(), // Tokens and dollars spent on the job's API calls so far
+    startTime: null,
+    estimatedEndTime: null,
+    status: 'idle', // idle, queued, processing, completed, error, cancelled
+    error: null,
+    lastError: null, // Most recent file failure (the job keeps going)
+    lastUpdated: Date.now(),
+    processingHistory: [],
+    processedFiles: new Set(), // Track unique files that have been processed
+    cancelled: false // Flag to indicate if processing should be cancelled
+  };
+}
+
+/**
+ * Get the most recently updated job progress
+ * @returns {object|null} - Progress object or null if no job is tracked
+ */
+function getLatestProgress() {
+  let latest = null;
+  jobProgress.forEach(progress => {
+    if (!latest || progress.lastUpdated >= latest.lastUpdated) {
+      latest = progress;
+    }
+  });
+  return latest;
+}
+
+/**
+ * Start tracking progress for a job, replacing any previous state
+ * @param {string} jobId - Job ID
+ * @param {number} totalFiles - Total number of files in the job
+ * @param {string} status - Initial status
+ */
+function createProgress(jobId, totalFiles, status = 'queued') {
+  // Forget the oldest jobs once too many are tracked
+  if (!jobProgress.has(jobId) && jobProgress.size >= MAX_TRACKED_JOBS) {
+    const oldest = Array.from(jobProgress.values())
+      .filter(progress => progress.status !== 'processing')
+      .sort((a, b) => a.lastUpdated - b.lastUpdated)[0];
+    if (oldest) jobProgress.delete(oldest.jobId);
+  }
+
+  const progress = createProgressState(jobId);
+  progress.totalFiles = totalFiles;
+  progress.status = status;
+  jobProgress.set(jobId, progress);
+  emitProgress(jobId, 'job_created');
+
+  logInfo(`Progress tracking initialized for job ${jobId} (${totalFiles} files)`);
+}
+
+/**
+ * Get processing progress for a job
+ * @param {string} jobId - Job ID (optional, defaults to the most recently updated job)
+ * @returns {object|null} - Progress information, or null if the job is unknown
+ */
+function getProgress(jobId) {
+  const progress = jobId ? jobProgress.get(jobId) : (getLatestProgress() || createProgressState(null));
+  if (!progress) return null;
+
+  return {
+    ...progress,
+    processedFiles: undefined, // Don't expose the Set in the API
+    uptime: process.uptime(),
+    currentTime: Date.now()
+  };
+}
+
+/**
+ * Notify listeners about a job's current progress
+ * @param {string} jobId - Job ID
+ * @param {string} type - Event type
+ */
+function emitProgress(jobId, type) {
+  progressEvents.emit('progress', {
+    type,
+    jobId,
+    progress: getProgress(jobId)
+  });
+}
+
+/**
+ * Update processing progress for a job
+ * @param {string} jobId - Job ID
+ * @param {object} update - Progress update object
+ * @param {string} eventType - Event type sent to stream listeners
+ *   (file_started, chunk_done, file_finished, error, cancelled, ...)
+ */
+function updateProgress(jobId, update, eventType = 'progress') {
+  const progress = jobProgress.get(jobId);
+  if (!progress) return;
+
+  Object.assign(progress, {
+    ...update,
+    lastUpdated: Date.now()
+  });
+
+  emitProgress(jobId, eventType);
+}
+
+/**
+ * Stop tracking progress for a job
+ * @param {string} jobId - Job ID
+ */
+function removeProgress(jobId) {
+  jobProgress.delete(jobId);
+}
+
+/**
+ * Cancel processing of a job
+ * @param {string} jobId - Job ID
+ * @returns {boolean} - True if the job was queued or processing and is now cancelled
+ */
+function cancelProcessing(jobId) {
+  const progress = jobProgress.get(jobId);
+
+  if (progress && (progress.status === 'processing' || progress.status === 'queued')) {
+    updateProgress(jobId, {
+      cancelled: true,
+      status: 'cancelled',
+      error: 'Processing cancelled by user'
+    }, 'cancelled');
+    logInfo(`Processing of job ${jobId} cancelled by user`);
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Check whether a job has been cancelled
+ * @param {string} jobId - Job ID
+ * @returns {boolean} - True if cancellation was requested
+ */
+function isCancelled(jobId) {
+  const progress = jobProgress.get(jobId);
+  return !!progress && (progress.cancelled || progress.status === 'cancelled');
+}
+
+/**
+ * Track a file being processed
+ * @param {string} jobId - Job ID
+ * @param {string} filePath - Path of the file being processed
+ * @returns {number} - The current file number
+ */
+function trackFileProcessing(jobId, filePath) {
+  const progress = jobProgress.get(jobId);
+  if (!progress) return 0;
+
+  // Get the basename for consistent tracking
+  const fileName = path.basename(filePath);
+
+  // Only increment if this is a new file
+  if (!progress.processedFiles.has(fileName)) {
+    // Add to the set of processed files
+    progress.processedFiles.add(fileName);
+
+    // Increment the counter (with safety check)
+    const newFileNumber = Math.min(progress.currentFileNumber + 1, progress.totalFiles);
+
+    updateProgress(jobId, {
+      currentFileNumber: newFileNumber,
+      currentFile: fileName
+    });
+
+    logInfo(`Tracking file ${newFileNumber}/${progress.totalFiles} of job ${jobId}: ${fileName}`);
+    return newFileNumber;
+  }
+
+  // If already processed, return current number
+  return progress.currentFileNumber;
+}
+
+/**
+ * Recompute job-level chunk totals and estimated completion from the active files
+ * @param {object} progress - Job progress object
+ * @param {object} activeFiles - Per-file progress, keyed by file name
+ * @param {number} completedFiles - Number of files that have finished
+ * @returns {object} - Fields to merge into the job progress
+ */
+function summarizeFiles(progress, activeFiles, completedFiles) {
+  const files = Object.values(activeFiles);
+  const totalChunks = files.reduce((sum, file) => sum + file.totalChunks, 0);
+  const processedChunks = files.reduce((sum, file) => sum + file.processedChunks, 0);
+
+  // Fraction of the whole job done, counting partially processed files (and the finished steps of a pipeline)
+  const partialFiles = files.reduce((sum, file) => {
+    const stepDone = file.totalChunks > 0 ? file.processedChunks / file.totalChunks : 0;
+    const totalSteps = file.totalSteps || 1;
+    return sum + ((file.step || 1) - 1 + stepDone) / totalSteps;
+  }, 0);
+  const fractionDone = progress.totalFiles > 0 ? (completedFiles + partialFiles) / progress.totalFiles : 0;
+
+  let estimatedEndTime = null;
+  if (progress.startTime && fractionDone > 0) {
+    estimatedEndTime = progress.startTime + (Date.now() - progress.startTime) / fractionDone;
+  }
+
+  // Files waiting on the rate limiter put the job in a throttled state
+  const throttledUntil = files.reduce((latest, file) =>
+    Math.max(latest, file.throttledUntil || 0), 0) || null;
+  const throttleReason = throttledUntil
+    ? files.find(file => file.throttledUntil === throttledUntil).throttleReason
+    : null;
+
+  return {
+    activeFiles,
+    completedFiles,
+    totalChunks,
+    processedChunks,
+    estimatedEndTime,
+    throttled: !!throttledUntil,
+    throttledUntil,
+    throttleReason
+  };
+}
+
+/**
+ * Update the progress of one file within a job
+ * @param {string} jobId - Job ID
+ * @param {string} fileName - File name (as tracked by trackFileProcessing)
+ * @param {object} update - File progress fields (totalChunks, processedChunks, currentChunk,
+ *   throttledUntil, throttleReason, and step, totalSteps and stepName for a pipeline)
+ * @param {string} eventType - Event type sent to stream listeners
+ */
+function updateFileProgress(jobId, fileName, update, eventType = 'progress') {
+  const progress = jobProgress.get(jobId);
+  if (!progress) return;
+
+  const fileProgress = progress.activeFiles[fileName] || {
+    totalChunks: 0,
+    processedChunks: 0,
+    currentChunk: null
+  };
+  const activeFiles = {
+    ...progress.activeFiles,
+    [fileName]: { ...fileProgress, ...update }
+  };
+
+  updateProgress(jobId, summarizeFiles(progress, activeFiles, progress.completedFiles), eventType);
+}
+
+/**
+ * Mark a file of a job as finished and add it to the processing history
+ * @param {string} jobId - Job ID
+ * @param {string} fileName - File name (as tracked by trackFileProcessing)
+ * @param {object} entry - History entry
+ * @param {string} eventType - Event type sent to stream listeners
+ */
+function finishFileProgress(jobId, fileName, entry, eventType = 'file_finished') {
+  const progress = jobProgress.get(jobId);
+  if (!progress) return;
+
+  const activeFiles = { ...progress.activeFiles };
+  delete activeFiles[fileName];
+
+  updateProgress(jobId, {
+    ...summarizeFiles(progress, activeFiles, progress.completedFiles + 1),
+    lastError: entry.success ? progress.lastError : entry.error,
+    processingHistory: [
+      ...progress.processingHistory.slice(-9), // Keep only the last 9 entries
+      entry
+    ]
+  }, eventType);
+}
+
+/**
+ * Count a response cache lookup made for a job
+ * @param {string} jobId - Job ID
+ * @param {boolean} hit - True if the response came from the cache
+ */
+function recordCacheLookup(jobId, hit) {
+  const progress = jobProgress.get(jobId);
+  if (!progress) return;
+
+  updateProgress(jobId, {
+    cache: {
+      hits: progress.cache.hits + (hit ? 1 : 0),
+      misses: progress.cache.misses + (hit ? 0 : 1)
+    }
+  }, 'cache');
+}
+
+/**
+ * Add the usage of an API call to a job's running totals
+ * @param {string} jobId - Job ID
+ * @param {object} usage - { inputTokens, outputTokens, cost, estimated }
+ */
+function recordJobUsage(jobId, usage) {
+  const progress = jobProgress.get(jobId);
+  if (!progress) return;
+
+  updateProgress(jobId, {
+    usage: addUsage({ ...progress.usage }, usage)
+  }, 'usage');
+}
+
+module.exports = {
+  progressEvents,
+  createProgress,
+  getProgress,
+  updateProgress,
+  removeProgress,
+  cancelProcessing,
+  isCancelled,
+  trackFileProcessing,
+  updateFileProgress,
+  finishFileProgress,
+  recordCacheLookup,
+  recordJobUsage
+};
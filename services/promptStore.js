@@ -0,0 +1,55 @@
+/**
+ * Read access to the saved prompts in prompts.json, for jobs and estimates
+ * that refer to a saved prompt by name.
+ */
+
+const fs = require('fs').promises;
+const { paths } = require('../config/paths');
+const { getPromptSettings } = require('../utils/promptMessages');
+
+/**
+ * Load the saved prompts
+ * @returns {Promise<Array<object>>} - Prompt entries (empty when prompts.json is missing)
+ */
+async function loadPrompts() {
+  try {
+    const data = JSON.parse(await fs.readFile(paths.prompts, 'utf8'));
+    return data.prompts || [];
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+/**
+ * Find a saved prompt by name
+ * @param {string} name - Prompt name
+ * @returns {Promise<object|null>} - Prompt entry, or null if there is none
+ */
+async function findPrompt(name) {
+  const prompts = await loadPrompts();
+  return prompts.find(prompt => prompt.name === name) || null;
+}
+
+/**
+ * Get the settings (examples, content framing, chunk strategy, output schema and name, dialogue only) of a saved prompt
+ * @param {string} name - Prompt name (empty for the defaults)
+ * @returns {Promise<object>} - { contentFraming, examples, strategy, reducePrompt, outputSchema, outputName, dialogueOnly }
+ */
+async function resolvePromptSettings(name) {
+  if (!name) return getPromptSettings();
+
+  const prompt = await findPrompt(name);
+  if (!prompt) {
+    const error = new Error(`Prompt "${name}" not found`);
+    error.status = 400;
+    throw error;
+  }
+  return getPromptSettings(prompt);
+}
+
+module.exports = {
+  loadPrompts,
+  findPrompt,
+  resolvePromptSettings
+};
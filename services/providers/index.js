@@ -0,0 +1,67 @@
+/**
+ * LLM provider adapters.
+ *
+ * A model entry in models.json picks its adapter with the "provider" field:
+ *   "monica"   - Monica.im (MONICA_API_KEY, MONICA_API_ENDPOINT) - the default
+ *   "openai"   - OpenAI-compatible server (OPENAI_BASE_URL, OPENAI_API_KEY)
+ *   "ollama"   - Local Ollama server (OLLAMA_BASE_URL)
+ *   "llamacpp" - Local llama.cpp server (LLAMACPP_BASE_URL)
+ * Entries may also set "baseUrl" to point a single model at another server, and
+ * "jsonMode": false for models that reject the provider's JSON mode.
+ *
+ * Every adapter exposes:
+ *   name                                                          - Provider name used in logs
+ *   buildRequest(modelKey, messages, modelInfo, { stream, json }) - Returns { url, payload, headers }; json asks
+ *                                                                   for a JSON object response
+ *   parseResponse(data)                                           - Returns { content, usage } or null
+ *   streamFormat                                                  - 'sse' (data: lines ending with [DONE])
+ *                                                                   or 'ndjson' (one JSON object per line)
+ *   parseStreamChunk(data)                                        - Returns { content, usage, done } for one event
+ */
+
+const { logInfo } = require('../../utils/logger');
+const monica = require('./monica');
+const ollama = require('./ollama');
+const { createOpenAiAdapter } = require('./openai');
+
+const providers = {
+  monica,
+  openai: createOpenAiAdapter({
+    name: 'OpenAI',
+    getBaseUrl: () => process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    getApiKey: () => process.env.OPENAI_API_KEY
+  }),
+  ollama,
+  llamacpp: createOpenAiAdapter({
+    name: 'llama.cpp',
+    getBaseUrl: () => process.env.LLAMACPP_BASE_URL || 'http://localhost:8080/v1',
+    getApiKey: () => process.env.LLAMACPP_API_KEY
+  })
+};
+
+// Provider names we already warned about
+const warnedProviders = new Set();
+
+/**
+ * Get the adapter for a model
+ * @param {object|null} modelInfo - Model entry from models.json
+ * @returns {object} - Provider adapter (Monica when the provider is missing or unknown)
+ */
+function getProvider(modelInfo) {
+  const name = modelInfo && modelInfo.provider ? String(modelInfo.provider).toLowerCase() : 'monica';
+
+  if (!providers[name]) {
+    // Older models.json files used "provider" for the pricing tier
+    if (!warnedProviders.has(name)) {
+      warnedProviders.add(name);
+      logInfo(`Unknown provider "${modelInfo.provider}", using Monica`);
+    }
+    return providers.monica;
+  }
+
+  return providers[name];
+}
+
+module.exports = {
+  getProvider
+};
@@ -0,0 +1,45 @@
+/**
+ * Monica.im adapter (the original behaviour).
+ * MONICA_API_ENDPOINT is the full chat completions URL.
+ */
+
+const { parseChatCompletion, parseChatCompletionChunk } = require('./openai');
+
+module.exports = {
+  name: 'Monica',
+
+  /**
+   * Build the HTTP request for a chat completion
+   * @param {string} modelKey - Model key sent to Monica
+   * @param {Array} messages - Chat messages
+   * @param {object|null} modelInfo - Model entry from models.json (unused)
+   * @param {object} options - Request options ({ stream, json })
+   * @returns {object} - { url, payload, headers }
+   */
+  buildRequest(modelKey, messages, modelInfo, { stream = false, json = false } = {}) {
+    const apiKey = process.env.MONICA_API_KEY;
+    const apiEndpoint = process.env.MONICA_API_ENDPOINT;
+
+    if (!apiKey || !apiEndpoint) {
+      throw new Error('Monica API key or endpoint not configured');
+    }
+
+    return {
+      url: apiEndpoint,
+      payload: {
+        model: modelKey,
+        messages,
+        ...(stream ? { stream: true } : {}),
+        ...(json ? { response_format: { type: 'json_object' } } : {})
+      },
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${apiKey}`
+      }
+    };
+  },
+
+  parseResponse: parseChatCompletion,
+  streamFormat: 'sse',
+  parseStreamChunk: parseChatCompletionChunk
+};
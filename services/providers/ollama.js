@@ -0,0 +1,89 @@
+/**
+ * Ollama adapter using the native /api/chat endpoint, for running batches
+ * against a local model without any API key.
+ */
+
+/**
+ * Read token usage from an /api/chat response
+ * @param {object} data - Response body (or final streamed line)
+ * @returns {object|null} - { inputTokens, outputTokens, totalTokens } or null
+ */
+function parseUsage(data) {
+  const inputTokens = data.prompt_eval_count;
+  const outputTokens = data.eval_count;
+
+  if (inputTokens === undefined && outputTokens === undefined) return null;
+
+  return {
+    inputTokens,
+    outputTokens,
+    totalTokens: (inputTokens || 0) + (outputTokens || 0)
+  };
+}
+
+module.exports = {
+  name: 'Ollama',
+
+  /**
+   * Build the HTTP request for a chat completion
+   * @param {string} modelKey - Ollama model name (e.g. "llama3.1:8b")
+   * @param {Array} messages - Chat messages
+   * @param {object|null} modelInfo - Model entry from models.json (may set baseUrl)
+   * @param {object} options - Request options ({ stream, json })
+   * @returns {object} - { url, payload, headers }
+   */
+  buildRequest(modelKey, messages, modelInfo, { stream = false, json = false } = {}) {
+    const baseUrl = (modelInfo && modelInfo.baseUrl) || process.env.OLLAMA_BASE_URL || 'http://localhost:11434';
+    const payload = {
+      model: modelKey,
+      messages,
+      stream
+    };
+    if (json) {
+      payload.format = 'json';
+    }
+
+    // Ollama defaults to a small context window; use the one configured for the model
+    if (modelInfo && modelInfo.tokenLimit) {
+      payload.options = { num_ctx: modelInfo.tokenLimit };
+    }
+
+    return {
+      url: `${baseUrl.replace(/\/+$/, '')}/api/chat`,
+      payload,
+      headers: { 'Content-Type': 'application/json' }
+    };
+  },
+
+  /**
+   * Read the content and token usage from an /api/chat response
+   * @param {object} data - Response body
+   * @returns {object|null} - { content, usage } or null if the response has an unexpected shape
+   */
+  parseResponse(data) {
+    if (!data || !data.message || typeof data.message.content !== 'string') {
+      return null;
+    }
+
+    return {
+      content: data.message.content,
+      usage: parseUsage(data)
+    };
+  },
+
+  // Streamed responses are one JSON object per line; the last one has done: true
+  streamFormat: 'ndjson',
+
+  /**
+   * Read the content delta and token usage from one streamed line
+   * @param {object} data - Parsed line
+   * @returns {object} - { content, usage, done }
+   */
+  parseStreamChunk(data) {
+    return {
+      content: (data && data.message && data.message.content) || '',
+      usage: data && data.done ? parseUsage(data) : null,
+      done: !!(data && data.done)
+    };
+  }
+};
@@ -0,0 +1,106 @@
+/**
+ * OpenAI-compatible chat completions adapter.
+ * Works with api.openai.com and any server exposing /chat/completions
+ * (vLLM, LM Studio, llama.cpp's server, stub servers in tests, ...).
+ */
+
+/**
+ * Read the content and token usage from a chat completions response
+ * @param {object} data - Response body
+ * @returns {object|null} - { content, usage } or null if the response has an unexpected shape
+ *   (including a message without text content, such as a refusal or a tool call)
+ */
+function parseChatCompletion(data) {
+  if (!data || !data.choices || !data.choices[0] || !data.choices[0].message ||
+    typeof data.choices[0].message.content !== 'string') {
+    return null;
+  }
+
+  return {
+    content: data.choices[0].message.content,
+    usage: data.usage
+      ? {
+        inputTokens: data.usage.prompt_tokens,
+        outputTokens: data.usage.completion_tokens,
+        totalTokens: data.usage.total_tokens
+      }
+      : null
+  };
+}
+
+/**
+ * Read the content delta and token usage from one streamed chat completions event
+ * @param {object} data - Parsed `data:` payload
+ * @returns {object} - { content, usage }
+ */
+function parseChatCompletionChunk(data) {
+  const delta = data && data.choices && data.choices[0] && data.choices[0].delta;
+
+  return {
+    content: (delta && delta.content) || '',
+    usage: data && data.usage
+      ? {
+        inputTokens: data.usage.prompt_tokens,
+        outputTokens: data.usage.completion_tokens,
+        totalTokens: data.usage.total_tokens
+      }
+      : null
+  };
+}
+
+/**
+ * Create an adapter for an OpenAI-compatible server
+ * @param {object} options - Adapter options
+ * @param {string} options.name - Provider name used in logs
+ * @param {Function} options.getBaseUrl - Returns the default base URL (read lazily so .env changes apply)
+ * @param {Function} options.getApiKey - Returns the API key, if the server needs one
+ * @returns {object} - Provider adapter
+ */
+function createOpenAiAdapter({ name, getBaseUrl, getApiKey }) {
+  return {
+    name,
+
+    /**
+     * Build the HTTP request for a chat completion
+     * @param {string} modelKey - Model key sent to the server
+     * @param {Array} messages - Chat messages
+     * @param {object|null} modelInfo - Model entry from models.json (may set baseUrl)
+     * @param {object} options - Request options ({ stream, json })
+     * @returns {object} - { url, payload, headers }
+     */
+    buildRequest(modelKey, messages, modelInfo, { stream = false, json = false } = {}) {
+      const baseUrl = (modelInfo && modelInfo.baseUrl) || getBaseUrl();
+      if (!baseUrl) {
+        throw new Error(`${name} base URL not configured`);
+      }
+
+      const headers = { 'Content-Type': 'application/json' };
+      const apiKey = getApiKey();
+      if (apiKey) {
+        headers.Authorization = `Bearer ${apiKey}`;
+      }
+
+      return {
+        url: `${baseUrl.replace(/\/+$/, '')}/chat/completions`,
+        payload: {
+          model: modelKey,
+          messages,
+          // Token usage only arrives in a final streamed event when asked for
+          ...(stream ? { stream: true, stream_options: { include_usage: true } } : {}),
+          ...(json ? { response_format: { type: 'json_object' } } : {})
+        },
+        headers
+      };
+    },
+
+    parseResponse: parseChatCompletion,
+    streamFormat: 'sse',
+    parseStreamChunk: parseChatCompletionChunk
+  };
+}
+
+module.exports = {
+  createOpenAiAdapter,
+  parseChatCompletion,
+  parseChatCompletionChunk
+};
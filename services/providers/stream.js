@@ -0,0 +1,102 @@
+/**
+ * Reads a streamed chat completion (SSE or NDJSON) through a provider adapter.
+ */
+
+/**
+ * Create the error raised when a stream stops before the provider says it's done.
+ * It carries a retryable code so the attempt is retried like a dropped connection.
+ * @param {string} message - Error message
+ * @returns {Error} - Stream error
+ */
+function streamIncompleteError(message) {
+  const error = new Error(message);
+  error.code = 'ESTREAMINCOMPLETE';
+  return error;
+}
+
+/**
+ * Consume a streamed response body
+ * @param {Readable} body - Response body stream
+ * @param {object} provider - Provider adapter (streamFormat, parseStreamChunk)
+ * @param {Function} onDelta - Called with each piece of content as it arrives
+ * @returns {Promise<object>} - { content, usage } once the stream is complete
+ */
+function readCompletionStream(body, provider, onDelta) {
+  return new Promise((resolve, reject) => {
+    let buffer = '';
+    let content = '';
+    let usage = null;
+    let done = false;
+
+    const handleLine = (line) => {
+      let data = line.trim();
+      if (!data) return;
+
+      if (provider.streamFormat === 'sse') {
+        // Only data lines carry events; comments and other fields are keep-alives
+        if (!data.startsWith('data:')) return;
+        data = data.slice(5).trim();
+        if (data === '[DONE]') {
+          done = true;
+          return;
+        }
+      }
+
+      let event;
+      try {
+        event = JSON.parse(data);
+      } catch (error) {
+        throw new Error(`Unexpected API response format: ${data.slice(0, 200)}`);
+      }
+
+      const chunk = provider.parseStreamChunk(event);
+      if (chunk.usage) usage = chunk.usage;
+      if (chunk.done) done = true;
+      if (chunk.content) {
+        content += chunk.content;
+        onDelta(chunk.content);
+      }
+    };
+
+    body.setEncoding('utf8');
+
+    body.on('data', (text) => {
+      buffer += text;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      try {
+        lines.forEach(handleLine);
+      } catch (error) {
+        body.destroy();
+        reject(error);
+      }
+    });
+
+    body.on('end', () => {
+      try {
+        handleLine(buffer);
+      } catch (error) {
+        return reject(error);
+      }
+
+      if (!done) {
+        return reject(streamIncompleteError(`Stream ended before completion (${content.length} chars received)`));
+      }
+      resolve({ content, usage });
+    });
+
+    body.on('error', (error) => {
+      reject(error.code ? error : streamIncompleteError(`Stream failed: ${error.message}`));
+    });
+
+    // A connection dropped without 'end' or 'error' (settled promises ignore this)
+    body.on('close', () => {
+      reject(streamIncompleteError(`Stream closed before completion (${content.length} chars received)`));
+    });
+  });
+}
+
+module.exports = {
+  readCompletionStream
+};
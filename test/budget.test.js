@@ -0,0 +1,152 @@
+const { test, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startTestServer, submitFiles, waitForJob } = require('./helpers');
+
+// Expensive enough that a few requests add up to cents
+const PRICEY = { tier: 'Test', provider: 'monica', inputCost: 10000, outputCost: 20000, rpm: 1000, tpm: 10000000 };
+
+let ctx;
+
+before(async () => {
+  ctx = await startTestServer({
+    models: [
+      { ...PRICEY, name: 'Mock Pricey', key: 'mock-pricey', tokenLimit: 100000 },
+      { ...PRICEY, name: 'Mock Pricey Small', key: 'mock-pricey-small', tokenLimit: 100 }
+    ]
+  });
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+beforeEach(() => {
+  ctx.mock.reset();
+});
+
+afterEach(() => {
+  delete process.env.DAILY_BUDGET;
+  delete process.env.MONTHLY_BUDGET;
+});
+
+/**
+ * Get the estimated cost of a file
+ * @param {object} file - { name, content }
+ * @param {string} model - Model key
+ * @returns {Promise<number>} - Estimated dollars
+ */
+async function estimateCost(file, model) {
+  const { body } = await submitFiles(ctx.baseUrl, [file], { model }, '/api/estimate');
+  return body.total.cost;
+}
+
+test('stops the job before a request would exceed maxCost and skips the remaining files', async () => {
+  const files = ['first', 'second', 'third'].map(name => ({
+    name: `${name}.txt`,
+    content: `The ${name} file of a batch on a tight budget.`
+  }));
+
+  // Room for the first request only (actual output runs longer than the estimate)
+  const maxCost = (await estimateCost(files[0], 'mock-pricey')) * 1.5;
+
+  const { body } = await submitFiles(ctx.baseUrl, files, { model: 'mock-pricey', concurrency: 1, maxCost });
+  const job = await waitForJob(ctx.baseUrl, body.jobId);
+
+  assert.equal(job.status, 'budget_exceeded');
+  assert.equal(job.maxCost, maxCost);
+  assert.match(job.error, /Job budget/);
+  assert.equal(ctx.mock.requests.length, 1);
+
+  assert.deepEqual(job.results.map(result => !!result.skipped), [false, true, true]);
+  assert.equal(job.results[0].success, true);
+  job.results.slice(1).forEach(result => assert.equal(result.reason, 'budget_exceeded'));
+  assert.equal(job.stats.skipped, 2);
+  assert.equal(job.stats.failed, 0);
+
+  const progress = await (await fetch(`${ctx.baseUrl}/api/progress/${body.jobId}`)).json();
+  assert.equal(progress.status, 'budget_exceeded');
+
+  // Skipped files keep their uploads and pick up where the job stopped
+  assert.equal(fs.readdirSync(path.join(ctx.dataDir, 'uploads')).length, 2);
+
+  ctx.mock.reset();
+  await fetch(`${ctx.baseUrl}/api/jobs/${body.jobId}/resume`, { method: 'POST' });
+  const resumed = await waitForJob(ctx.baseUrl, body.jobId);
+
+  assert.equal(resumed.status, 'budget_exceeded');
+  assert.deepEqual(resumed.results.map(result => result.success), [true, true, false]);
+  assert.equal(resumed.results[0].reused, true);
+  assert.equal(ctx.mock.requests.length, 1);
+});
+
+test('refuses the chunk that would exceed maxCost and keeps the finished chunks', async () => {
+  const paragraphs = Array.from({ length: 5 }, (_, i) =>
+    `Paragraph ${i + 1}. ` + 'Budgeted filler for the chunker. '.repeat(5));
+  const file = { name: 'chunks.txt', content: paragraphs.join('\n\n') };
+
+  const { body: estimate } = await submitFiles(ctx.baseUrl, [file], { model: 'mock-pricey-small' }, '/api/estimate');
+  const chunkCost = estimate.total.cost / estimate.total.chunks;
+
+  const { body } = await submitFiles(ctx.baseUrl, [file], {
+    model: 'mock-pricey-small',
+    concurrency: 1,
+    maxCost: chunkCost * 3
+  });
+  const job = await waitForJob(ctx.baseUrl, body.jobId);
+
+  assert.equal(job.status, 'budget_exceeded');
+  assert.equal(job.results[0].skipped, true);
+  assert.ok(ctx.mock.requests.length >= 1 && ctx.mock.requests.length < estimate.total.chunks);
+
+  const outputDir = path.join(ctx.dataDir, 'outputs', job.outputFolder);
+  const manifest = JSON.parse(fs.readFileSync(path.join(outputDir, '.manifest.json'), 'utf8'));
+  assert.equal(Object.values(manifest.files)[0].status, 'skipped');
+  assert.equal(fs.readdirSync(path.join(outputDir, '.chunks', 'processed_chunks.txt')).length,
+    ctx.mock.requests.length);
+  assert.ok(!fs.existsSync(path.join(outputDir, 'processed_chunks.txt')));
+});
+
+test('enforces the daily budget across jobs using the spend ledger', async () => {
+  const { body: first } = await submitFiles(ctx.baseUrl, [
+    { name: 'spend.txt', content: 'Spending some of today\'s budget.' }
+  ], { model: 'mock-pricey' });
+  const firstJob = await waitForJob(ctx.baseUrl, first.jobId);
+  assert.equal(firstJob.status, 'completed');
+
+  const ledger = JSON.parse(fs.readFileSync(path.join(ctx.dataDir, 'spend.json'), 'utf8'));
+  const today = new Date().toISOString().slice(0, 10);
+  assert.ok(ledger.days[today] >= firstJob.stats.usage.cost);
+  assert.ok(ledger.months[today.slice(0, 7)] >= ledger.days[today]);
+
+  // Today's spend already sits right at the limit
+  process.env.DAILY_BUDGET = String(ledger.days[today] + 0.0001);
+  ctx.mock.reset();
+
+  const { body: second } = await submitFiles(ctx.baseUrl, [
+    { name: 'over.txt', content: 'This request would go over the daily budget.' },
+    { name: 'after.txt', content: 'And so would this one.' }
+  ], { model: 'mock-pricey' });
+  const secondJob = await waitForJob(ctx.baseUrl, second.jobId);
+
+  assert.equal(secondJob.status, 'budget_exceeded');
+  assert.match(secondJob.error, /Daily budget/);
+  assert.ok(secondJob.results.every(result => result.skipped));
+  assert.equal(ctx.mock.requests.length, 0);
+
+  const { body: estimate } = await submitFiles(ctx.baseUrl, [
+    { name: 'check.txt', content: 'How much is left?' }
+  ], { model: 'mock-pricey' }, '/api/estimate');
+  assert.equal(estimate.budget.daily.limit, ledger.days[today] + 0.0001);
+  assert.equal(estimate.budget.monthly.limit, null);
+});
+
+test('rejects an invalid maxCost', async () => {
+  const { status, body } = await submitFiles(ctx.baseUrl, [
+    { name: 'invalid.txt', content: 'Any content.' }
+  ], { maxCost: 'lots' });
+
+  assert.equal(status, 400);
+  assert.match(body.message, /maxCost/);
+});
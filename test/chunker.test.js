@@ -0,0 +1,22 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { chunkContent } = require('../utils/chunker');
+
+test('keeps every chunk within maxChars when overlap is carried', () => {
+  // Paragraphs of mixed lengths, so a long one often follows the overlap
+  const content = Array.from({ length: 40 }, (_, i) =>
+    `Paragraph ${i + 1}. ` + 'Words of filler text. '.repeat(1 + (i * 7) % 4)).join('\n\n');
+
+  let carried = 0;
+  for (const maxChars of [90, 120, 200]) {
+    const chunks = chunkContent(content, { format: 'text', maxChars, overlapChars: maxChars });
+
+    chunks.forEach(chunk => assert.ok(chunk.text.length <= maxChars,
+      `chunk ${chunk.index + 1} has ${chunk.text.length} characters, more than ${maxChars}`));
+    carried += chunks.filter(chunk => chunk.start < chunk.contentStart).length;
+
+    // Every character is sent as new content exactly once
+    assert.equal(chunks.map(chunk => content.slice(chunk.contentStart, chunk.end)).join(''), content);
+  }
+  assert.ok(carried > 0, 'no chunk carries overlap');
+});
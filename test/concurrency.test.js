@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { runWithConcurrency, resolveConcurrency, MAX_CONCURRENCY } = require('../utils/concurrency');
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+test('runs at most the limit at once and keeps results in item order', async () => {
+  let running = 0;
+  let mostRunning = 0;
+
+  const results = await runWithConcurrency([30, 5, 20, 1, 10, 15], 2, async (ms, index) => {
+    running++;
+    mostRunning = Math.max(mostRunning, running);
+    await delay(ms);
+    running--;
+    return index * 10;
+  });
+
+  assert.equal(mostRunning, 2);
+  assert.deepEqual(results, [0, 10, 20, 30, 40, 50]);
+});
+
+test('starts no more items after one fails and rejects once the running ones finish', async () => {
+  const started = [];
+  const finished = [];
+
+  await assert.rejects(
+    runWithConcurrency([1, 2, 3, 4, 5, 6], 2, async (item) => {
+      started.push(item);
+      if (item === 1) {
+        await delay(5);
+        throw new Error('Item 1 failed');
+      }
+      await delay(20);
+      finished.push(item);
+      return item;
+    }),
+    /Item 1 failed/
+  );
+
+  // Item 2 was already running when item 1 failed, and the rest never started
+  assert.deepEqual(started, [1, 2]);
+  assert.deepEqual(finished, [2]);
+});
+
+test('rejects with the first error when several items fail', async () => {
+  await assert.rejects(
+    runWithConcurrency(['a', 'b', 'c'], 3, async (item) => {
+      await delay(item === 'b' ? 1 : 10);
+      throw new Error(`Item ${item} failed`);
+    }),
+    /Item b failed/
+  );
+});
+
+test('keeps the concurrency setting between 1 and the maximum', () => {
+  assert.equal(resolveConcurrency(-3), 1);
+  assert.equal(resolveConcurrency('4'), 4);
+  assert.equal(resolveConcurrency(500), MAX_CONCURRENCY);
+});
@@ -0,0 +1,116 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, submitFiles, readOutput, runFiles } = require('./helpers');
+
+const TAIL_HEADING = '[Your output for the previous chunk ended with]';
+const SUMMARY_HEADING = '[Summary of the previous chunks]';
+
+// mock-small splits the files into chunks, which could run in parallel without a context mode
+const CHUNKED = { model: 'mock-small', concurrency: 3 };
+
+let ctx;
+
+before(async () => {
+  ctx = await startTestServer();
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+beforeEach(() => {
+  ctx.mock.reset();
+});
+
+/**
+ * Build a file that mock-small splits into several chunks
+ * @param {string} name - File name
+ * @returns {object} - { name, content }
+ */
+function longFile(name) {
+  const paragraphs = Array.from({ length: 4 }, (_, i) =>
+    `Paragraph ${i + 1}. ` + 'Continuity filler for the chunker. '.repeat(4));
+  return { name, content: paragraphs.join('\n\n') };
+}
+
+test('passes the end of the previous output to the next chunk', async () => {
+  const job = await runFiles(ctx.baseUrl, [longFile('tail.txt')], { ...CHUNKED, contextMode: 'tail' });
+  assert.equal(job.status, 'completed');
+  assert.equal(job.contextMode, 'tail');
+
+  const requests = ctx.mock.requests;
+  assert.ok(requests.length > 2);
+
+  // Chunks run in order, leaving a fifth of the 80-token budget for the context
+  requests.forEach((request, i) => {
+    const [system, user] = request.messages;
+    assert.match(system.content, new RegExp(`\\[This is chunk ${i + 1} of ${requests.length}`));
+    assert.ok(user.content.length <= 64 * 4, `chunk of ${user.content.length} chars leaves no room for context`);
+
+    if (i === 0) {
+      assert.ok(!system.content.includes(TAIL_HEADING));
+      return;
+    }
+    const tail = system.content.split(`${TAIL_HEADING}\n`)[1];
+    const previousOutput = `ECHO: ${requests[i - 1].messages[1].content}`;
+    assert.ok(tail.length > 0 && tail.length <= 16 * 4);
+    assert.ok(previousOutput.trim().endsWith(tail));
+  });
+});
+
+test('keeps a rolling summary written by the model', async () => {
+  const file = longFile('summary.txt');
+  const { body: estimate } = await submitFiles(ctx.baseUrl, [file], {
+    model: 'mock-small',
+    contextMode: 'summary'
+  }, '/api/estimate');
+
+  const job = await runFiles(ctx.baseUrl, [file], { ...CHUNKED, contextMode: 'summary' });
+  assert.equal(job.status, 'completed');
+
+  const isSummary = request => request.messages[0].content.startsWith('You keep running notes');
+  const chunkRequests = ctx.mock.requests.filter(request => !isSummary(request));
+  const summaryRequests = ctx.mock.requests.filter(isSummary);
+
+  assert.equal(chunkRequests.length, estimate.files[0].chunks);
+  assert.equal(summaryRequests.length, chunkRequests.length - 1);
+
+  // Chunk and summary requests alternate, each summary building on the last
+  ctx.mock.requests.forEach((request, i) => assert.equal(isSummary(request), i % 2 === 1));
+  assert.match(summaryRequests[1].messages[1].content, /^Notes so far:\n/);
+  chunkRequests.slice(1).forEach(request => {
+    assert.ok(request.messages[0].content.includes(`${SUMMARY_HEADING}\n`));
+  });
+
+  // Summary requests are part of the usage and the estimate
+  const usage = job.results[0].usage;
+  assert.ok(usage.inputTokens > 0);
+  assert.ok(estimate.files[0].inputTokens > 0);
+
+  // Only chunk output ends up in the file
+  const output = await readOutput(ctx.baseUrl, job.results[0].outputPath);
+  assert.equal(output.split('\n\n Next Chunk \n\n').length, chunkRequests.length);
+  assert.doesNotMatch(output, /Notes so far/);
+});
+
+test('fills {{previous_summary}} instead of appending the context', async () => {
+  await runFiles(ctx.baseUrl, [longFile('placed.txt')], {
+    ...CHUNKED,
+    contextMode: 'tail',
+    prompt: 'Continue consistently with: {{previous_summary}}'
+  });
+
+  const [first, second] = ctx.mock.requests;
+  assert.match(first.messages[0].content, /^Continue consistently with: \n\n\[This is chunk 1/);
+  assert.ok(!second.messages[0].content.includes(TAIL_HEADING));
+
+  const placed = second.messages[0].content.match(/^Continue consistently with: ([\s\S]*)\n\n\[This is chunk 2/)[1];
+  assert.ok(`ECHO: ${first.messages[1].content}`.trim().endsWith(placed));
+});
+
+test('rejects an unknown context mode', async () => {
+  const { status, body } = await submitFiles(ctx.baseUrl, [longFile('invalid.txt')], { contextMode: 'everything' });
+
+  assert.equal(status, 400);
+  assert.match(body.message, /contextMode/);
+});
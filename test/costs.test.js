@@ -0,0 +1,124 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startTestServer, submitFiles, waitForJob } = require('./helpers');
+
+let ctx;
+
+before(async () => {
+  ctx = await startTestServer();
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+beforeEach(() => {
+  ctx.mock.reset();
+});
+
+/**
+ * Cost of a request to the test models ($1 input / $2 output per million tokens)
+ * @param {number} inputTokens - Input tokens
+ * @param {number} outputTokens - Output tokens
+ * @returns {number} - Cost in dollars
+ */
+function testModelCost(inputTokens, outputTokens) {
+  return (inputTokens * 1 + outputTokens * 2) / 1e6;
+}
+
+test('estimates tokens and cost per file without calling the API', async () => {
+  const content = 'A short transcript to price before running it.';
+  const { status, body } = await submitFiles(ctx.baseUrl, [
+    { name: 'short.txt', content },
+    { name: 'other.md', content: '# Notes\n\nSomething else entirely.' }
+  ], {}, '/api/estimate');
+
+  assert.equal(status, 200);
+  assert.equal(body.model, 'mock-model');
+  assert.deepEqual(body.pricing, { inputCost: 1, outputCost: 2, per: '1M tokens' });
+  assert.equal(body.files.length, 2);
+
+  const [short] = body.files;
+  assert.equal(short.file, 'short.txt');
+  assert.equal(short.chunks, 1);
+  assert.equal(short.inputTokens, Math.ceil('Process this file'.length / 4) + Math.ceil(content.length / 4));
+  assert.equal(short.outputTokens, Math.ceil(short.inputTokens / 2));
+  assert.equal(short.cost, testModelCost(short.inputTokens, short.outputTokens));
+
+  assert.equal(body.total.inputTokens, body.files[0].inputTokens + body.files[1].inputTokens);
+  assert.equal(body.total.chunks, 2);
+
+  // Nothing is sent and nothing is kept
+  assert.equal(ctx.mock.requests.length, 0);
+  assert.equal(fs.readdirSync(path.join(ctx.dataDir, 'uploads')).length, 0);
+});
+
+test('estimates as many requests as the file is split into', async () => {
+  const paragraphs = Array.from({ length: 5 }, (_, i) =>
+    `Paragraph ${i + 1}. ` + 'Priced filler for the chunker. '.repeat(5));
+  const file = { name: 'long.txt', content: paragraphs.join('\n\n') };
+
+  const { body: estimate } = await submitFiles(ctx.baseUrl, [file], { model: 'mock-small' }, '/api/estimate');
+
+  const { body } = await submitFiles(ctx.baseUrl, [file], { model: 'mock-small', bypassCache: 'true' });
+  await waitForJob(ctx.baseUrl, body.jobId);
+
+  assert.ok(estimate.files[0].chunks > 1);
+  assert.equal(estimate.files[0].chunks, ctx.mock.requests.length);
+
+  // The estimate counts exactly the messages that were sent
+  const sentTokens = ctx.mock.requests.reduce((sum, request) => sum + request.messages.reduce((count, message) =>
+    count + Math.ceil(message.content.length / 4), 0), 0);
+  assert.equal(estimate.files[0].inputTokens, sentTokens);
+});
+
+test('rejects an estimate without files', async () => {
+  const { status, body } = await submitFiles(ctx.baseUrl, [], {}, '/api/estimate');
+  assert.equal(status, 400);
+  assert.equal(body.success, false);
+});
+
+test('records the usage and cost reported by the API', async () => {
+  const { body } = await submitFiles(ctx.baseUrl, [
+    { name: 'one.txt', content: 'First file to bill.' },
+    { name: 'two.txt', content: 'Second file to bill, a little longer.' }
+  ], { bypassCache: 'true' });
+
+  const job = await waitForJob(ctx.baseUrl, body.jobId);
+
+  job.results.forEach(result => {
+    // The mock reports a quarter of the characters of the file message as tokens
+    const request = ctx.mock.requests.find(entry => entry.messages[1].content.endsWith(
+      result.originalFile === 'one.txt' ? 'First file to bill.' : 'a little longer.'));
+    const sent = request.messages[1].content;
+    const inputTokens = Math.ceil(sent.length / 4);
+    const outputTokens = Math.ceil(`ECHO: ${sent}`.length / 4);
+
+    assert.deepEqual(result.usage, {
+      inputTokens,
+      outputTokens,
+      cost: testModelCost(inputTokens, outputTokens)
+    });
+  });
+
+  const [one, two] = job.results.map(result => result.usage);
+  assert.equal(job.stats.usage.inputTokens, one.inputTokens + two.inputTokens);
+  assert.equal(job.stats.usage.outputTokens, one.outputTokens + two.outputTokens);
+  assert.equal(job.stats.usage.cost, testModelCost(job.stats.usage.inputTokens, job.stats.usage.outputTokens));
+
+  const progress = await (await fetch(`${ctx.baseUrl}/api/progress/${body.jobId}`)).json();
+  assert.deepEqual(progress.usage, job.stats.usage);
+  assert.ok(progress.processingHistory.every(entry => entry.usage.cost > 0));
+});
+
+test('reports an unknown cost for models without pricing', async () => {
+  const { body } = await submitFiles(ctx.baseUrl, [
+    { name: 'unpriced.txt', content: 'No price list for this one.' }
+  ], { model: 'not-in-models-json' }, '/api/estimate');
+
+  assert.equal(body.pricing, null);
+  assert.equal(body.files[0].cost, null);
+  assert.equal(body.total.cost, null);
+});
@@ -0,0 +1,149 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const archiver = require('archiver');
+const { startTestServer, submitFiles, readOutput, runFile } = require('./helpers');
+
+let ctx;
+
+before(async () => {
+  ctx = await startTestServer();
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+beforeEach(() => {
+  ctx.mock.reset();
+});
+
+/**
+ * Build a PDF whose pages hold lines of Helvetica text
+ * @param {Array<Array<string>>} pages - Lines of each page (an empty page has no text)
+ * @returns {string} - PDF content
+ */
+function buildPdf(pages) {
+  const objects = [
+    null,
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pages.map((_, i) => `${4 + i * 2} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+  ];
+  pages.forEach((lines, i) => {
+    const stream = lines.map((line, j) => `BT /F1 12 Tf 72 ${720 - j * 20} Td (${line}) Tj ET`).join('\n');
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 3 0 R >> >> /Contents ${5 + i * 2} 0 R >>`,
+      `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`
+    );
+  });
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, id) => {
+    if (id === 0) return 0;
+    const offset = pdf.length;
+    pdf += `${id} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  pdf += offsets.slice(1).map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  return pdf + `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+}
+
+/**
+ * Build a DOCX file
+ * @param {string} body - WordprocessingML of the document body
+ * @returns {Promise<Buffer>} - DOCX content
+ */
+function buildDocx(body) {
+  const w = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"';
+  const parts = {
+    '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+      '<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/></Types>',
+    '_rels/.rels': '<?xml version="1.0" encoding="UTF-8"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/></Relationships>',
+    'word/_rels/document.xml.rels': '<?xml version="1.0" encoding="UTF-8"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/></Relationships>',
+    'word/styles.xml': `<?xml version="1.0" encoding="UTF-8"?><w:styles ${w}>` +
+      '<w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/></w:style>' +
+      '<w:style w:type="paragraph" w:styleId="Heading2"><w:name w:val="heading 2"/></w:style></w:styles>',
+    'word/document.xml': `<?xml version="1.0" encoding="UTF-8"?><w:document ${w}><w:body>${body}</w:body></w:document>`
+  };
+
+  return new Promise((resolve, reject) => {
+    const archive = archiver('zip');
+    const data = [];
+    archive.on('data', piece => data.push(piece));
+    archive.on('end', () => resolve(Buffer.concat(data)));
+    archive.on('error', reject);
+    Object.entries(parts).forEach(([name, content]) => archive.append(content, { name }));
+    archive.finalize();
+  });
+}
+
+/**
+ * WordprocessingML paragraph
+ * @param {string} text - Paragraph text
+ * @param {string} style - Paragraph style ID (optional)
+ * @returns {string} - Paragraph XML
+ */
+function paragraph(text, style) {
+  const properties = style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : '';
+  return `<w:p>${properties}<w:r><w:t>${text}</w:t></w:r></w:p>`;
+}
+
+test('extracts the text of a PDF page by page and saves it next to the output', async () => {
+  const pdf = buildPdf([['Quarterly report', 'Sales went up.'], [], ['Costs went down.']]);
+
+  const { result, output } = await runFile(ctx.baseUrl, { name: 'report.pdf', content: pdf });
+  const extracted = await readOutput(ctx.baseUrl, result.extractedPath);
+
+  assert.equal(result.success, true);
+  assert.equal(result.outputFile, 'processed_report.pdf.txt');
+  assert.equal(result.extractedFile, 'extracted_report.pdf.txt');
+  assert.equal(extracted, '[Page 1]\nQuarterly report\nSales went up.\n\n[Page 2]\n\n\n[Page 3]\nCosts went down.\n');
+
+  // The model receives exactly the extracted text
+  assert.equal(ctx.mock.requests[0].messages[1].content, extracted);
+  assert.equal(output, `ECHO: ${extracted}`);
+});
+
+test('marks the sections of a DOCX file with its headings', async () => {
+  const docx = await buildDocx([
+    paragraph('Handbook', 'Heading1'),
+    paragraph('Welcome &amp; hello.'),
+    paragraph('Holidays', 'Heading2'),
+    paragraph('Take them.'),
+    '<w:tbl><w:tr><w:tc>' + paragraph('Day') + '</w:tc><w:tc>' + paragraph('Hours') + '</w:tc></w:tr>' +
+      '<w:tr><w:tc>' + paragraph('Monday') + paragraph('(weekly)') + '</w:tc><w:tc>' + paragraph('8') + '</w:tc></w:tr></w:tbl>'
+  ].join(''));
+
+  const { result } = await runFile(ctx.baseUrl, { name: 'handbook.docx', content: docx });
+  const extracted = await readOutput(ctx.baseUrl, result.extractedPath);
+
+  assert.equal(result.success, true);
+  assert.equal(extracted, '# Handbook\n\nWelcome & hello.\n\n## Holidays\n\nTake them.\n\nDay | Hours\nMonday (weekly) | 8\n');
+  assert.equal(ctx.mock.requests[0].messages[1].content, extracted);
+});
+
+test('fails files without any text to extract', async () => {
+  const scanned = await runFile(ctx.baseUrl, { name: 'scan.pdf', content: buildPdf([[], []]) });
+  assert.equal(scanned.result.success, false);
+  assert.match(scanned.result.error, /No text found in the PDF/);
+
+  const broken = await runFile(ctx.baseUrl, { name: 'broken.docx', content: 'not a zip file' });
+  assert.equal(broken.result.success, false);
+  assert.match(broken.result.error, /Could not read the DOCX file/);
+  assert.equal(ctx.mock.requests.length, 0);
+});
+
+test('estimates the extracted text rather than the file', async () => {
+  const pdf = buildPdf([['Short text.']]);
+  const { status, body } = await submitFiles(ctx.baseUrl, [{ name: 'short.pdf', content: pdf }], {}, '/api/estimate');
+
+  assert.equal(status, 200);
+  assert.equal(body.files[0].characters, '[Page 1]\nShort text.\n'.length);
+});
@@ -0,0 +1,275 @@
+/**
+ * Shared setup for the integration tests: a temporary data directory, the mock
+ * Monica API and the app listening on a free port.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMockServer } = require('./mockMonicaServer');
+
+// Models used by the tests; retries are fast so failures don't slow the suite down
+const TEST_MODELS = [
+  {
+    name: 'Mock Model',
+    key: 'mock-model',
+    tier: 'Test',
+    provider: 'monica',
+    tokenLimit: 100000,
+    inputCost: 1,
+    outputCost: 2,
+    rpm: 1000,
+    tpm: 10000000,
+    retry: { maxAttempts: 3, baseDelayMs: 10, maxDelayMs: 50 }
+  },
+  {
+    name: 'Mock Small Context',
+    key: 'mock-small',
+    tier: 'Test',
+    provider: 'monica',
+    tokenLimit: 100, // 80-token (320-character) chunks
+    inputCost: 1,
+    outputCost: 2,
+    rpm: 1000,
+    tpm: 10000000,
+    retry: { maxAttempts: 3, baseDelayMs: 10, maxDelayMs: 50 }
+  }
+];
+
+/**
+ * Start the mock API and the app against a fresh data directory.
+ * Must run before anything else requires the app's modules, since paths are
+ * resolved from DATA_DIR when they are first loaded.
+ * @param {object} options - Setup options
+ * @param {Array} options.models - Extra model entries for models.json
+ * @returns {Promise<object>} - { baseUrl, mock, dataDir, close }
+ */
+async function startTestServer({ models = [] } = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'monica-test-'));
+  fs.mkdirSync(path.join(dataDir, 'config'), { recursive: true });
+  fs.writeFileSync(path.join(dataDir, 'config', 'models.json'),
+    JSON.stringify({ models: [...TEST_MODELS, ...models] }, null, 2));
+  fs.writeFileSync(path.join(dataDir, 'config', 'prompts.json'),
+    JSON.stringify({ prompts: [{ name: 'Test', text: 'Process this file' }] }, null, 2));
+
+  const mock = createMockServer();
+  const endpoint = await mock.listen();
+
+  process.env.DATA_DIR = dataDir;
+  process.env.MONICA_API_KEY = 'test-key';
+  process.env.MONICA_API_ENDPOINT = endpoint;
+  process.env.DEFAULT_MODEL = 'mock-model';
+
+  const { app, initialize } = require('../server');
+  await initialize();
+
+  const server = await new Promise(resolve => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    mock,
+    dataDir,
+
+    async close() {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+      await mock.close();
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  };
+}
+
+/**
+ * Upload files to /api/process-files (or another endpoint taking the same form)
+ * @param {string} baseUrl - App URL
+ * @param {Array<{name: string, content: string}>} files - Files to upload
+ * @param {object} fields - Other form fields (prompt, model, ...)
+ * @param {string} endpoint - Path to post the form to
+ * @returns {Promise<object>} - { status, body }
+ */
+async function submitFiles(baseUrl, files, fields = {}, endpoint = '/api/process-files') {
+  const form = new FormData();
+  files.forEach(file => form.append('files', new Blob([file.content]), file.name));
+  Object.entries({ prompt: 'Process this file', model: 'mock-model', ...fields })
+    .forEach(([key, value]) => form.append(key, String(value)));
+
+  const response = await fetch(`${baseUrl}${endpoint}`, { method: 'POST', body: form });
+  return { status: response.status, body: await response.json() };
+}
+
+/**
+ * Poll a job until it reaches a final status
+ * @param {string} baseUrl - App URL
+ * @param {string} jobId - Job ID
+ * @param {number} timeoutMs - Give up after this long
+ * @returns {Promise<object>} - Final job
+ */
+async function waitForJob(baseUrl, jobId, timeoutMs = 10000) {
+  const deadline = Date.now() + timeoutMs;
+
+  while (Date.now() < deadline) {
+    const response = await fetch(`${baseUrl}/api/jobs/${jobId}`);
+    const { job } = await response.json();
+    if (['completed', 'cancelled', 'failed', 'interrupted', 'budget_exceeded'].includes(job.status)) {
+      return job;
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+
+  throw new Error(`Job ${jobId} did not finish within ${timeoutMs}ms`);
+}
+
+/**
+ * POST JSON to the app
+ * @param {string} baseUrl - App URL
+ * @param {string} endpoint - API path
+ * @param {object} body - Request body
+ * @returns {Promise<object>} - { status, body }
+ */
+async function postJson(baseUrl, endpoint, body) {
+  const response = await fetch(`${baseUrl}${endpoint}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+/**
+ * Save a prompt through the API
+ * @param {string} baseUrl - App URL
+ * @param {object} prompt - Prompt fields
+ * @returns {Promise<object>} - { status, body }
+ */
+async function savePrompt(baseUrl, prompt) {
+  return postJson(baseUrl, '/api/prompts', prompt);
+}
+
+/**
+ * Save a pipeline through the API
+ * @param {string} baseUrl - App URL
+ * @param {object} pipeline - Pipeline fields
+ * @returns {Promise<object>} - { status, body }
+ */
+async function savePipeline(baseUrl, pipeline) {
+  return postJson(baseUrl, '/api/pipelines', pipeline);
+}
+
+/**
+ * Fetch a file of a job's output folder
+ * @param {string} baseUrl - App URL
+ * @param {string|null} outputPath - Output path from a result
+ * @returns {Promise<string|null>} - File content, or null without a path
+ */
+async function readOutput(baseUrl, outputPath) {
+  if (!outputPath) return null;
+
+  const response = await fetch(`${baseUrl}${outputPath}`);
+  if (!response.ok) {
+    throw new Error(`Could not read ${outputPath}: HTTP ${response.status}`);
+  }
+  return response.text();
+}
+
+/**
+ * Run files through a new job and wait for it to finish.
+ * The response cache is bypassed unless the fields say otherwise.
+ * @param {string} baseUrl - App URL
+ * @param {Array<{name: string, content: string}>} files - Files to upload
+ * @param {object} fields - Other form fields
+ * @returns {Promise<object>} - Finished job
+ */
+async function runFiles(baseUrl, files, fields = {}) {
+  const { status, body } = await submitFiles(baseUrl, files, { bypassCache: 'true', ...fields });
+  if (status !== 202) {
+    throw new Error(`Job was not accepted (HTTP ${status}): ${body.message}`);
+  }
+  return waitForJob(baseUrl, body.jobId);
+}
+
+/**
+ * Run one file through a new job and read its output
+ * @param {string} baseUrl - App URL
+ * @param {{name: string, content: string}} file - File to upload
+ * @param {object} fields - Other form fields
+ * @returns {Promise<object>} - { job, result, output } where output is null for a failed file
+ */
+async function runFile(baseUrl, file, fields = {}) {
+  const job = await runFiles(baseUrl, [file], fields);
+  const [result] = job.results;
+  return { job, result, output: await readOutput(baseUrl, result.outputPath) };
+}
+
+/**
+ * Connect to the progress event stream and collect what it sends
+ * @param {string} baseUrl - App URL
+ * @param {string} jobId - Job to follow (optional)
+ * @returns {Promise<object>} - { events, comments, waitFor(type, timeoutMs), close } where events are
+ *   { type, data } and comments are the text of comment lines such as heartbeats
+ */
+async function openProgressStream(baseUrl, jobId) {
+  const controller = new AbortController();
+  const query = jobId ? `?jobId=${encodeURIComponent(jobId)}` : '';
+  const response = await fetch(`${baseUrl}/api/progress/stream${query}`, { signal: controller.signal });
+  const events = [];
+  const comments = [];
+
+  const reading = (async () => {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    try {
+      for await (const bytes of response.body) {
+        buffer += decoder.decode(bytes, { stream: true });
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+          const block = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          if (block.startsWith(':')) {
+            comments.push(block.slice(1).trim());
+            continue;
+          }
+          // Updates are default message events that carry their type in the data
+          const data = JSON.parse(/^data: (.*)$/m.exec(block)[1]);
+          events.push({ type: data.type, data });
+        }
+      }
+    } catch (error) {
+      if (error.name !== 'AbortError') throw error;
+    }
+  })();
+
+  return {
+    events,
+    comments,
+
+    async waitFor(type, timeoutMs = 5000) {
+      const deadline = Date.now() + timeoutMs;
+      while (Date.now() < deadline) {
+        const event = events.find(entry => entry.type === type);
+        if (event) return event;
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+      throw new Error(`No ${type} event within ${timeoutMs}ms`);
+    },
+
+    async close() {
+      controller.abort();
+      await reading;
+    }
+  };
+}
+
+module.exports = {
+  startTestServer,
+  submitFiles,
+  waitForJob,
+  postJson,
+  savePrompt,
+  savePipeline,
+  readOutput,
+  runFiles,
+  runFile,
+  openProgressStream
+};
@@ -0,0 +1,124 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, submitFiles, waitForJob } = require('./helpers');
+
+let ctx;
+
+before(async () => {
+  ctx = await startTestServer();
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+beforeEach(() => {
+  ctx.mock.reset();
+});
+
+/**
+ * Fetch the progress of a job
+ * @param {string} jobId - Job ID
+ * @returns {Promise<object>} - Progress
+ */
+async function getJobProgress(jobId) {
+  return (await fetch(`${ctx.baseUrl}/api/progress/${jobId}`)).json();
+}
+
+/**
+ * Wait until the mock API has received a number of requests
+ * @param {number} count - Requests to wait for
+ */
+async function waitForRequests(count) {
+  const deadline = Date.now() + 5000;
+  while (ctx.mock.requests.length < count) {
+    if (Date.now() > deadline) throw new Error(`Fewer than ${count} requests within 5000ms`);
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+/**
+ * Name a file was uploaded as, from its processing history entry
+ * @param {object} entry - History entry, whose file is the stored upload name
+ * @returns {string} - Original file name
+ */
+function uploadName(entry) {
+  return entry.file.replace(/^\d+-/, '');
+}
+
+/**
+ * Start a job whose first request is held back, and queue a second job behind it
+ * @returns {Promise<object>} - { running, queued } job IDs
+ */
+async function startTwoJobs() {
+  ctx.mock.enqueue({ type: 'echo', delayMs: 400 });
+  const running = await submitFiles(ctx.baseUrl, [
+    { name: 'slow-a.txt', content: 'First file.' },
+    { name: 'slow-b.txt', content: 'Second file.' }
+  ], { bypassCache: 'true', concurrency: 1 });
+  await waitForRequests(1);
+  const queued = await submitFiles(ctx.baseUrl, [{ name: 'waiting.txt', content: 'Waiting.' }], { bypassCache: 'true' });
+  return { running: running.body.jobId, queued: queued.body.jobId };
+}
+
+test('keeps the progress of each job apart', async () => {
+  const { running, queued } = await startTwoJobs();
+
+  const during = await getJobProgress(running);
+  assert.equal(during.status, 'processing');
+  assert.equal(during.totalFiles, 2);
+  assert.equal((await getJobProgress(queued)).status, 'queued');
+
+  await waitForJob(ctx.baseUrl, running);
+  await waitForJob(ctx.baseUrl, queued);
+
+  const first = await getJobProgress(running);
+  const second = await getJobProgress(queued);
+  assert.equal(first.jobId, running);
+  assert.equal(first.status, 'completed');
+  assert.equal(first.completedFiles, 2);
+  assert.deepEqual(first.processingHistory.map(uploadName).sort(), ['slow-a.txt', 'slow-b.txt']);
+  assert.equal(second.jobId, queued);
+  assert.equal(second.status, 'completed');
+  assert.equal(second.totalFiles, 1);
+  assert.equal(second.completedFiles, 1);
+  assert.deepEqual(second.processingHistory.map(uploadName), ['waiting.txt']);
+});
+
+test('cancels the job given by ID and lets the other one finish', async () => {
+  const { running, queued } = await startTwoJobs();
+
+  const response = await fetch(`${ctx.baseUrl}/api/cancel-processing/${running}`, { method: 'POST' });
+  assert.equal((await response.json()).cancelled, true);
+
+  const cancelledJob = await waitForJob(ctx.baseUrl, running);
+  const otherJob = await waitForJob(ctx.baseUrl, queued);
+  assert.equal(cancelledJob.status, 'cancelled');
+  assert.equal(otherJob.status, 'completed');
+  assert.equal(otherJob.results[0].success, true);
+  assert.equal((await getJobProgress(queued)).status, 'completed');
+
+  // The second file of the cancelled job was never sent
+  assert.deepEqual(ctx.mock.requests.map(request => request.messages[1].content), ['First file.', 'Waiting.']);
+});
+
+test('cancels only the most recently updated job without an ID', async () => {
+  const { running, queued } = await startTwoJobs();
+
+  // The queued job was created last, so it is the one cancelled
+  const response = await fetch(`${ctx.baseUrl}/api/cancel-processing`, { method: 'POST' });
+  assert.equal((await response.json()).cancelled, true);
+
+  const runningJob = await waitForJob(ctx.baseUrl, running);
+  const cancelledJob = await waitForJob(ctx.baseUrl, queued);
+  assert.equal(runningJob.status, 'completed');
+  assert.ok(runningJob.results.every(result => result.success));
+  assert.equal(cancelledJob.status, 'cancelled');
+  assert.equal((await getJobProgress(running)).status, 'completed');
+  assert.equal((await getJobProgress(queued)).status, 'cancelled');
+});
+
+test('reports a cancel for an unknown job', async () => {
+  const response = await fetch(`${ctx.baseUrl}/api/cancel-processing/missing-job`, { method: 'POST' });
+  assert.equal(response.status, 404);
+});
@@ -0,0 +1,144 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startTestServer, submitFiles, waitForJob } = require('./helpers');
+
+let ctx;
+
+before(async () => {
+  ctx = await startTestServer();
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+beforeEach(() => {
+  ctx.mock.reset();
+});
+
+/**
+ * Wait until a condition holds
+ * @param {Function} check - Returns true once the wait is over
+ * @param {number} timeoutMs - Give up after this long
+ */
+async function waitUntil(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error(`Condition not met within ${timeoutMs}ms`);
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+/**
+ * List the uploads stored for some original file names
+ * @param {string[]} names - Original file names
+ * @returns {string[]} - Stored upload names
+ */
+function listUploads(names) {
+  return fs.readdirSync(path.join(ctx.dataDir, 'uploads'))
+    .filter(entry => names.includes(entry.replace(/^\d+-/, '')));
+}
+
+/**
+ * Check whether a job's record is on disk
+ * @param {string} jobId - Job ID
+ * @returns {boolean} - True if jobs/<id>.json exists
+ */
+function hasJobRecord(jobId) {
+  return fs.existsSync(path.join(ctx.dataDir, 'jobs', `${jobId}.json`));
+}
+
+/**
+ * Delete a job through the API
+ * @param {string} jobId - Job ID
+ * @returns {Promise<object>} - { status, body }
+ */
+async function deleteJob(jobId) {
+  const response = await fetch(`${ctx.baseUrl}/api/jobs/${jobId}`, { method: 'DELETE' });
+  return { status: response.status, body: await response.json() };
+}
+
+test('lists jobs newest first and returns 404 for an unknown job', async () => {
+  const first = await submitFiles(ctx.baseUrl, [{ name: 'list-a.txt', content: 'First.' }], { bypassCache: 'true' });
+  await waitForJob(ctx.baseUrl, first.body.jobId);
+  const second = await submitFiles(ctx.baseUrl, [{ name: 'list-b.txt', content: 'Second.' }], { bypassCache: 'true' });
+  await waitForJob(ctx.baseUrl, second.body.jobId);
+
+  const { jobs, count } = await (await fetch(`${ctx.baseUrl}/api/jobs`)).json();
+  assert.equal(count, jobs.length);
+  const ids = jobs.map(job => job.id);
+  assert.ok(ids.indexOf(second.body.jobId) < ids.indexOf(first.body.jobId));
+  assert.equal(jobs.find(job => job.id === first.body.jobId).status, 'completed');
+
+  const missing = await fetch(`${ctx.baseUrl}/api/jobs/does-not-exist`);
+  assert.equal(missing.status, 404);
+  assert.equal((await missing.json()).success, false);
+  assert.equal((await deleteJob('does-not-exist')).status, 404);
+});
+
+test('deleting a queued job removes its record and uploads', async () => {
+  ctx.mock.enqueue({ type: 'echo', delayMs: 300 });
+  const running = await submitFiles(ctx.baseUrl, [{ name: 'ahead.txt', content: 'Ahead.' }], { bypassCache: 'true' });
+  await waitUntil(() => ctx.mock.requests.length === 1);
+  const queued = await submitFiles(ctx.baseUrl, [{ name: 'queued.txt', content: 'Queued.' }], { bypassCache: 'true' });
+  const jobId = queued.body.jobId;
+  assert.equal(hasJobRecord(jobId), true);
+  assert.equal(listUploads(['queued.txt']).length, 1);
+
+  const { status, body } = await deleteJob(jobId);
+  assert.equal(status, 200);
+  assert.equal(body.job.status, 'cancelled');
+  assert.equal(hasJobRecord(jobId), false);
+  assert.deepEqual(listUploads(['queued.txt']), []);
+
+  // The worker skips it once the job ahead finishes
+  await waitForJob(ctx.baseUrl, running.body.jobId);
+  assert.equal(ctx.mock.requests.length, 1);
+  assert.equal((await fetch(`${ctx.baseUrl}/api/jobs/${jobId}`)).status, 404);
+});
+
+test('deleting a running job stops it without writing its record back and removes its uploads', async () => {
+  const names = ['running-a.txt', 'running-b.txt'];
+  ctx.mock.enqueue({ type: 'echo', delayMs: 300 });
+  const { body } = await submitFiles(ctx.baseUrl, [
+    { name: names[0], content: 'First.' },
+    { name: names[1], content: 'Second.' }
+  ], { bypassCache: 'true', concurrency: 1 });
+  await waitUntil(() => ctx.mock.requests.length === 1);
+
+  const { status } = await deleteJob(body.jobId);
+  assert.equal(status, 200);
+  assert.equal(hasJobRecord(body.jobId), false);
+
+  // The uploads go once the worker has stopped, after it would have saved the record
+  await waitUntil(() => listUploads(names).length === 0);
+  assert.equal(hasJobRecord(body.jobId), false);
+  assert.equal(ctx.mock.requests.length, 1);
+  assert.equal((await fetch(`${ctx.baseUrl}/api/jobs/${body.jobId}`)).status, 404);
+});
+
+test('marks jobs that were running when the server stopped as interrupted', async () => {
+  const jobId = 'interrupted-job';
+  const jobPath = path.join(ctx.dataDir, 'jobs', `${jobId}.json`);
+  fs.writeFileSync(jobPath, JSON.stringify({
+    id: jobId,
+    status: 'running',
+    prompt: 'Process this file',
+    model: 'mock-model',
+    files: [],
+    results: [],
+    createdAt: Date.now(),
+    startedAt: Date.now(),
+    outputFolder: 'interrupted'
+  }));
+
+  const { initializeJobQueue } = require('../services/jobQueue');
+  await initializeJobQueue();
+
+  const { job } = await (await fetch(`${ctx.baseUrl}/api/jobs/${jobId}`)).json();
+  assert.equal(job.status, 'interrupted');
+  assert.match(job.error, /Server restarted/);
+  assert.equal(JSON.parse(fs.readFileSync(jobPath, 'utf8')).status, 'interrupted');
+});
@@ -0,0 +1,122 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, submitFiles, savePrompt, runFile } = require('./helpers');
+const { parseJson, mergeValues } = require('../utils/jsonOutput');
+
+const SCHEMA = {
+  type: 'object',
+  required: ['chapters'],
+  properties: {
+    chapters: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['title', 'start'],
+        properties: { title: { type: 'string' }, start: { type: 'integer' } }
+      }
+    }
+  }
+};
+
+// Form fields of a job run with the saved Chapters prompt
+const CHAPTERS = { prompt: 'List the chapters', promptName: 'Chapters', concurrency: 1 };
+
+let ctx;
+
+before(async () => {
+  ctx = await startTestServer();
+  const { status } = await savePrompt(ctx.baseUrl, { name: 'Chapters', text: 'List the chapters', outputSchema: JSON.stringify(SCHEMA) });
+  assert.equal(status, 200);
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+beforeEach(() => {
+  ctx.mock.reset();
+});
+
+test('asks again with the validation errors and saves valid JSON as .json', async () => {
+  ctx.mock.enqueue(
+    { type: 'reply', content: 'Here you go: {"chapters": [{"title": "Intro", "start": "0"}]}' },
+    { type: 'reply', content: '```json\n{"chapters": [{"title": "Intro", "start": 0}]}\n```' }
+  );
+
+  const { result, output } = await runFile(ctx.baseUrl, { name: 'talk.txt', content: 'A short talk.' }, CHAPTERS);
+
+  assert.equal(result.success, true);
+  assert.equal(result.outputFile, 'processed_talk.txt.json');
+  assert.deepEqual(JSON.parse(output), { chapters: [{ title: 'Intro', start: 0 }] });
+  assert.equal(result.outputCheck.valid, true);
+
+  const [first, second] = ctx.mock.requests;
+  assert.equal(ctx.mock.requests.length, 2);
+  assert.deepEqual(first.responseFormat, { type: 'json_object' });
+  assert.match(first.messages[0].content, /^List the chapters\n\nReply with JSON only[\s\S]*"chapters"/);
+  assert.equal(first.stream, false);
+
+  // The retry carries the invalid reply and what is wrong with it
+  assert.deepEqual(second.messages.slice(0, 2), first.messages);
+  assert.equal(second.messages[2].role, 'assistant');
+  assert.match(second.messages[3].content, /- \/chapters\/0\/start must be integer/);
+});
+
+test('merges the arrays of each chunk into one result', async () => {
+  const content = Array.from({ length: 6 }, (_, i) =>
+    `Section ${i + 1}. ` + 'Filler text for the chunker. '.repeat(4)).join('\n\n');
+  const { body } = await submitFiles(ctx.baseUrl, [{ name: 'long.txt', content }], {
+    model: 'mock-small',
+    prompt: 'List the chapters',
+    promptName: 'Chapters'
+  }, '/api/estimate');
+  const chunks = body.files[0].chunks;
+  assert.ok(chunks > 1);
+
+  ctx.mock.enqueue(...Array.from({ length: chunks }, (_, i) => ({
+    type: 'reply',
+    content: JSON.stringify({ chapters: [{ title: `Part ${i + 1}`, start: i * 60 }] })
+  })));
+
+  const { result, output } = await runFile(ctx.baseUrl, { name: 'long.txt', content }, { ...CHAPTERS, model: 'mock-small' });
+
+  assert.equal(result.success, true);
+  assert.deepEqual(JSON.parse(output).chapters.map(chapter => chapter.title),
+    Array.from({ length: chunks }, (_, i) => `Part ${i + 1}`));
+  assert.deepEqual(result.outputCheck, {
+    format: 'json',
+    valid: true,
+    inputCues: chunks,
+    outputCues: chunks,
+    issues: [],
+    omittedIssues: 0
+  });
+});
+
+test('fails a file whose responses never match the schema', async () => {
+  ctx.mock.enqueue(...Array.from({ length: 3 }, () => ({ type: 'reply', content: 'No chapters here.' })));
+
+  const { result } = await runFile(ctx.baseUrl, { name: 'talk.txt', content: 'A short talk.' }, CHAPTERS);
+
+  assert.equal(result.success, false);
+  assert.match(result.error, /did not match the output schema after 3 attempts: Response is not valid JSON/);
+  assert.equal(ctx.mock.requests.length, 3);
+});
+
+test('rejects prompts with an invalid output schema', async () => {
+  const notJson = await savePrompt(ctx.baseUrl, { name: 'Broken', text: 'List', outputSchema: '{ type: object' });
+  assert.equal(notJson.status, 400);
+  assert.match(notJson.body.message, /outputSchema is not valid JSON/);
+
+  const notSchema = await savePrompt(ctx.baseUrl, { name: 'Broken', text: 'List', outputSchema: { type: 'chapters' } });
+  assert.equal(notSchema.status, 400);
+  assert.match(notSchema.body.message, /outputSchema is not a valid JSON schema/);
+});
+
+test('merges nested arrays and keeps the first of other values', () => {
+  assert.deepEqual(
+    mergeValues({ title: 'Talk', tags: ['a'], meta: { notes: [1] } }, { title: 'Other', tags: ['b'], meta: { notes: [2], extra: true } }),
+    { title: 'Talk', tags: ['a', 'b'], meta: { notes: [1, 2], extra: true } }
+  );
+  assert.deepEqual(parseJson('Result:\n[1, 2]\nDone.'), [1, 2]);
+});
@@ -0,0 +1,177 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, submitFiles, savePrompt, readOutput, runFiles } = require('./helpers');
+
+const CHUNK_SEPARATOR = '\n\n Next Chunk \n\n';
+
+let ctx;
+let progressEvents;
+
+before(async () => {
+  ctx = await startTestServer();
+  ({ progressEvents } = require('../services/progressTracker'));
+
+  const { status } = await savePrompt(ctx.baseUrl, {
+    name: 'Summary',
+    text: 'Summarize',
+    strategy: 'map-reduce',
+    reducePrompt: 'Merge the summaries of {{filename}}'
+  });
+  assert.equal(status, 200);
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+beforeEach(() => {
+  ctx.mock.reset();
+});
+
+/**
+ * Build a file that mock-small splits into at least three chunks
+ * @param {string} name - File name
+ * @returns {object} - { name, content }
+ */
+function longFile(name) {
+  const paragraphs = Array.from({ length: 6 }, (_, i) =>
+    `Paragraph ${i + 1}. ` + 'Summarised filler for the chunker. '.repeat(4));
+  return { name, content: paragraphs.join('\n\n') };
+}
+
+/**
+ * Count the chunks of a file through the estimate endpoint
+ * @param {object} file - { name, content }
+ * @returns {Promise<object>} - File estimate
+ */
+async function estimate(file) {
+  const { body } = await submitFiles(ctx.baseUrl, [file], {
+    model: 'mock-small',
+    prompt: 'Summarize',
+    promptName: 'Summary'
+  }, '/api/estimate');
+  return body.files[0];
+}
+
+/**
+ * Run a file through the map-reduce prompt, collecting its progress events
+ * @param {object} file - { name, content }
+ * @returns {Promise<object>} - { job, events }
+ */
+async function runMapReduce(file) {
+  const events = [];
+  const listener = event => events.push(event);
+  progressEvents.on('progress', listener);
+
+  try {
+    const job = await runFiles(ctx.baseUrl, [file], {
+      model: 'mock-small',
+      prompt: 'Summarize',
+      promptName: 'Summary'
+    });
+    return { job, events: events.filter(event => event.jobId === job.id) };
+  } finally {
+    progressEvents.off('progress', listener);
+  }
+}
+
+test('combines the chunk results with the reduce prompt', async () => {
+  const file = longFile('talk.txt');
+  const { chunks, reduceRequests } = await estimate(file);
+  assert.ok(chunks >= 3);
+  assert.ok(reduceRequests >= 1);
+
+  ctx.mock.enqueue(...Array.from({ length: chunks }, () => ({ type: 'reply', content: 'A short summary.' })));
+  const { job } = await runMapReduce(file);
+  assert.equal(job.status, 'completed');
+  assert.equal(job.results[0].success, true);
+
+  // One request per chunk, then one reduce request over all of them
+  const requests = ctx.mock.requests;
+  assert.equal(requests.length, chunks + 1);
+  const reduce = requests[chunks];
+  assert.equal(reduce.messages[0].content, 'Merge the summaries of talk.txt');
+  assert.equal(reduce.messages.length, 2);
+  assert.equal(reduce.messages[1].content, Array.from({ length: chunks }, (_, i) =>
+    `[Part ${i + 1} of ${chunks}]\nA short summary.`).join('\n\n'));
+
+  // The output is the reduced result alone
+  const output = await readOutput(ctx.baseUrl, job.results[0].outputPath);
+  assert.equal(output, `ECHO: ${reduce.messages[1].content}`);
+  assert.ok(!output.includes(CHUNK_SEPARATOR));
+});
+
+test('reduces in batches when the results do not fit in one request', async () => {
+  const file = longFile('lecture.txt');
+  const { chunks } = await estimate(file);
+
+  // 100-character results: two fit in a 72-token reduce request, three don't
+  const result = 'R'.repeat(100);
+  const batches = Math.ceil(chunks / 2);
+  ctx.mock.enqueue(
+    ...Array.from({ length: chunks }, () => ({ type: 'reply', content: result })),
+    ...Array.from({ length: batches }, (_, i) => ({ type: 'reply', content: `Merged ${i + 1}.` }))
+  );
+  const { job, events } = await runMapReduce(file);
+  assert.equal(job.status, 'completed');
+
+  const requests = ctx.mock.requests;
+  assert.equal(requests.length, chunks + batches + 1);
+
+  const final = requests[requests.length - 1].messages[1].content;
+  assert.equal(final, Array.from({ length: batches }, (_, i) =>
+    `[Part ${i + 1} of ${batches}]\nMerged ${i + 1}.`).join('\n\n'));
+
+  // Progress shows the map stage, then each round of reduce requests (uploads are tracked under their stored name)
+  const fileProgress = event => Object.entries(event.progress.activeFiles)
+    .filter(([name]) => name.endsWith('lecture.txt'))
+    .map(([, progress]) => progress)[0];
+  const stages = events.map(fileProgress).filter(Boolean);
+  assert.equal(stages.find(progress => progress.stage).stage, 'map');
+  const reduceStarts = events.filter(event => event.type === 'reduce_started').map(fileProgress);
+  assert.deepEqual(reduceStarts.map(progress => [progress.stage, progress.reduceLevel, progress.totalChunks]), [
+    ['reduce', 1, chunks + batches],
+    ['reduce', 2, chunks + batches + 1]
+  ]);
+  const lastStage = stages[stages.length - 1];
+  assert.equal(lastStage.processedChunks, chunks + batches + 1);
+});
+
+test('fails before reducing results too large to combine', async () => {
+  const file = longFile('verbose.txt');
+  const { chunks } = await estimate(file);
+
+  // 300-character results each fill a 72-token reduce request
+  ctx.mock.enqueue(...Array.from({ length: chunks }, () => ({ type: 'reply', content: 'R'.repeat(300) })));
+  const { job } = await runMapReduce(file);
+
+  assert.equal(job.results[0].success, false);
+  assert.match(job.results[0].error, new RegExp(`Reduce level 1 can't combine its ${chunks} results`));
+  assert.equal(ctx.mock.requests.length, chunks);
+});
+
+test('does not reduce when a chunk failed', async () => {
+  const file = longFile('gap.txt');
+  ctx.mock.enqueue({ type: 'malformed' });
+
+  const { job } = await runMapReduce(file);
+
+  assert.equal(job.results[0].success, false);
+  assert.match(job.results[0].error, /1 of \d+ chunks failed in the map stage/);
+  assert.ok(ctx.mock.requests.every(request => request.messages[0].content.startsWith('Summarize')));
+});
+
+test('saves the strategy with the prompt and rejects unknown ones', async () => {
+  const prompts = await (await fetch(`${ctx.baseUrl}/api/prompts`)).json();
+  const saved = prompts.prompts.find(prompt => prompt.name === 'Summary');
+  assert.equal(saved.strategy, 'map-reduce');
+  assert.equal(saved.reducePrompt, 'Merge the summaries of {{filename}}');
+
+  const bad = await savePrompt(ctx.baseUrl, { name: 'Bad', text: 'Any', strategy: 'refine' });
+  assert.equal(bad.status, 400);
+  assert.match(bad.body.message, /strategy must be one of/);
+
+  // Prompts without the strategy have no reduce requests to estimate
+  const { body } = await submitFiles(ctx.baseUrl, [longFile('plain.txt')], { model: 'mock-small' }, '/api/estimate');
+  assert.equal(body.files[0].reduceRequests, 0);
+});
@@ -0,0 +1,246 @@
+/**
+ * Local stand-in for the Monica chat completions API.
+ *
+ * Every POST is treated as a chat completion. By default the server echoes the
+ * last message back; queued responses override that one request at a time:
+ *   { type: 'echo', delayMs }                    - Echo the message (optionally after a delay)
+ *   { type: 'error', status, retryAfter, message } - Return an HTTP error (429, 5xx, ...)
+ *   { type: 'malformed' }                        - Return 200 without `choices`
+ *   { type: 'reply', content }                   - Return fixed content (null for a message without any)
+ *   { type: 'truncated' }                        - Stream half of the echo, then drop the connection
+ *
+ * Requests with `stream: true` get the echo/reply as server-sent events.
+ * Requests to /api/chat get Ollama's native format instead (NDJSON when streamed).
+ *
+ * Run it on its own with `npm run mock` and point MONICA_API_ENDPOINT at
+ * http://localhost:4010/v1/chat/completions. Responses can then be queued with
+ * POST /__mock/queue (a response object or an array of them); GET /__mock/requests
+ * lists the requests received and POST /__mock/reset clears both.
+ */
+
+const express = require('express');
+
+/**
+ * Send a reply as chat completion chunks over SSE
+ * @param {object} res - Express response
+ * @param {string} reply - Content to stream
+ * @param {object} options - { model, truncate }
+ */
+async function streamReply(res, reply, { model, truncate = false }) {
+  const pieces = reply.match(/[\s\S]{1,16}/g) || [];
+  const sendPiece = (delta, extra = {}) => {
+    res.write(`data: ${JSON.stringify({
+      object: 'chat.completion.chunk',
+      model,
+      choices: [{ index: 0, delta, finish_reason: null }],
+      ...extra
+    })}\n\n`);
+  };
+
+  res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+
+  const count = truncate ? Math.ceil(pieces.length / 2) : pieces.length;
+  for (let i = 0; i < count; i++) {
+    sendPiece({ content: pieces[i] });
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  if (truncate) {
+    // Give the pieces time to reach the client before the connection drops
+    await new Promise(resolve => setTimeout(resolve, 20));
+    res.socket.destroy();
+    return;
+  }
+
+  sendPiece({}, {
+    usage: {
+      prompt_tokens: 1,
+      completion_tokens: Math.ceil(reply.length / 4),
+      total_tokens: 1 + Math.ceil(reply.length / 4)
+    }
+  });
+  res.end('data: [DONE]\n\n');
+}
+
+/**
+ * Send a reply in Ollama's /api/chat format, as NDJSON lines when streamed
+ * @param {object} res - Express response
+ * @param {string} reply - Content to send
+ * @param {object} options - { model, stream, promptTokens }
+ */
+async function sendOllamaReply(res, reply, { model, stream, promptTokens }) {
+  const final = { model, done: true, prompt_eval_count: promptTokens, eval_count: Math.ceil(reply.length / 4) };
+
+  if (!stream) {
+    return res.json({ ...final, message: { role: 'assistant', content: reply } });
+  }
+
+  res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+  for (const piece of reply.match(/[\s\S]{1,16}/g) || []) {
+    res.write(JSON.stringify({ model, message: { role: 'assistant', content: piece }, done: false }) + '\n');
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  res.end(JSON.stringify({ ...final, message: { role: 'assistant', content: '' } }) + '\n');
+}
+
+/**
+ * Create a mock chat completions server
+ * @param {object} options - Server options
+ * @param {number} options.delayMs - Delay applied to every echo response (default 0)
+ * @returns {object} - Mock server controls
+ */
+function createMockServer({ delayMs = 0 } = {}) {
+  const app = express();
+  const queue = [];
+  const requests = [];
+  let server = null;
+
+  app.use(express.json({ limit: '20mb' }));
+
+  app.post('/__mock/queue', (req, res) => {
+    queue.push(...[].concat(req.body));
+    res.json({ queued: queue.length });
+  });
+
+  app.get('/__mock/requests', (req, res) => {
+    res.json(requests);
+  });
+
+  app.post('/__mock/reset', (req, res) => {
+    queue.length = 0;
+    requests.length = 0;
+    res.json({ success: true });
+  });
+
+  app.post('*', async (req, res) => {
+    const messages = req.body.messages || [];
+    const content = messages.length > 0 ? messages[messages.length - 1].content : '';
+    const response = queue.shift() || { type: 'echo' };
+
+    requests.push({
+      path: req.path,
+      model: req.body.model,
+      stream: !!req.body.stream,
+      responseFormat: req.body.response_format || null,
+      messages,
+      body: req.body,
+      authorization: req.get('Authorization') || null,
+      response: response.type,
+      timestamp: Date.now()
+    });
+
+    const delay = response.delayMs !== undefined ? response.delayMs : delayMs;
+    if (delay > 0) {
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    if (response.type === 'error') {
+      if (response.retryAfter !== undefined) {
+        res.set('Retry-After', String(response.retryAfter));
+      }
+      return res.status(response.status || 500).json({
+        error: { message: response.message || `Mock error ${response.status || 500}` }
+      });
+    }
+
+    if (response.type === 'malformed') {
+      if (req.body.stream) {
+        return res.type('text/event-stream').send('data: {not json\n\n');
+      }
+      return res.json({ id: 'mock', object: 'chat.completion' });
+    }
+
+    const reply = response.type === 'reply' ? response.content : `ECHO: ${content}`;
+
+    if (req.path === '/api/chat') {
+      return sendOllamaReply(res, reply, {
+        model: req.body.model,
+        stream: !!req.body.stream,
+        promptTokens: Math.ceil(content.length / 4)
+      });
+    }
+
+    if (req.body.stream || response.type === 'truncated') {
+      return streamReply(res, reply, {
+        model: req.body.model,
+        truncate: response.type === 'truncated'
+      });
+    }
+
+    const replyTokens = Math.ceil((reply || '').length / 4);
+    res.json({
+      id: `mock-${requests.length}`,
+      object: 'chat.completion',
+      model: req.body.model,
+      choices: [
+        {
+          index: 0,
+          message: { role: 'assistant', content: reply },
+          finish_reason: 'stop'
+        }
+      ],
+      usage: {
+        prompt_tokens: Math.ceil(content.length / 4),
+        completion_tokens: replyTokens,
+        total_tokens: Math.ceil(content.length / 4) + replyTokens
+      }
+    });
+  });
+
+  return {
+    requests,
+
+    /**
+     * Queue responses for the next requests
+     * @param {...object} responses - Responses, used in order
+     */
+    enqueue(...responses) {
+      queue.push(...responses);
+    },
+
+    /**
+     * Forget queued responses and received requests
+     */
+    reset() {
+      queue.length = 0;
+      requests.length = 0;
+    },
+
+    /**
+     * Start listening
+     * @param {number} port - Port to listen on (0 picks a free port)
+     * @returns {Promise<string>} - Chat completions URL
+     */
+    listen(port = 0) {
+      return new Promise((resolve, reject) => {
+        server = app.listen(port, '127.0.0.1', () => {
+          resolve(`http://127.0.0.1:${server.address().port}/v1/chat/completions`);
+        });
+        server.on('error', reject);
+      });
+    },
+
+    /**
+     * Stop listening
+     * @returns {Promise<void>}
+     */
+    close() {
+      return new Promise(resolve => {
+        if (!server) return resolve();
+        server.close(() => resolve());
+        server.closeAllConnections();
+      });
+    }
+  };
+}
+
+if (require.main === module) {
+  const mock = createMockServer({ delayMs: parseInt(process.env.MOCK_DELAY_MS) || 0 });
+  mock.listen(parseInt(process.env.MOCK_PORT) || 4010).then(url => {
+    console.log(`✓ Mock Monica API listening at ${url}`);
+  });
+}
+
+module.exports = {
+  createMockServer
+};
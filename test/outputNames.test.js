@@ -0,0 +1,87 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, submitFiles, savePrompt, runFiles, runFile } = require('./helpers');
+const { planOutputNames } = require('../utils/outputNames');
+
+let ctx;
+
+before(async () => {
+  ctx = await startTestServer();
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+beforeEach(() => {
+  ctx.mock.reset();
+});
+
+test('names outputs from the template and the job variables', async () => {
+  const { results } = await runFiles(ctx.baseUrl, [{ name: 'talk.srt', content: '1\n00:00:01,000 --> 00:00:02,000\nHello\n' }], {
+    prompt: 'Translate into {{lang}}',
+    variables: JSON.stringify({ lang: 'fr' }),
+    outputName: '{{basename}}.{{lang}}.{{ext}}'
+  });
+
+  assert.equal(results[0].success, true);
+  assert.equal(results[0].outputFile, 'talk.fr.srt');
+  assert.match(ctx.mock.requests[0].messages[0].content, /^Translate into fr/);
+});
+
+test('gives names that are already taken a numbered suffix', async () => {
+  const { results } = await runFiles(ctx.baseUrl, [
+    { name: 'a.txt', content: 'First.' },
+    { name: 'b.txt', content: 'Second.' },
+    { name: 'c.md', content: 'Third.' }
+  ], { outputName: 'Summary.md' });
+
+  assert.deepEqual(results.map(result => result.outputFile), ['Summary.md', 'Summary-2.md', 'Summary-3.md']);
+});
+
+test('uses the output name of the saved prompt unless the request gives one', async () => {
+  const saved = await savePrompt(ctx.baseUrl, { name: 'Summaries', text: 'Summarize', outputName: '{{basename}}.summary.md' });
+  assert.equal(saved.status, 200);
+
+  const { result: fromPrompt } = await runFile(ctx.baseUrl, { name: 'notes.txt', content: 'Some notes.' }, {
+    prompt: 'Summarize',
+    promptName: 'Summaries'
+  });
+  assert.equal(fromPrompt.outputFile, 'notes.summary.md');
+
+  const { result: fromRequest } = await runFile(ctx.baseUrl, { name: 'notes.txt', content: 'Some notes.' }, {
+    prompt: 'Summarize',
+    promptName: 'Summaries',
+    outputName: '{{basename}}-short.md'
+  });
+  assert.equal(fromRequest.outputFile, 'notes-short.md');
+});
+
+test('rejects templates with chunk variables or missing values', async () => {
+  const chunk = await submitFiles(ctx.baseUrl, [{ name: 'a.txt', content: 'Text.' }], { outputName: '{{basename}}-{{chunk.index}}.txt' });
+  assert.equal(chunk.status, 400);
+  assert.match(chunk.body.message, /\{\{chunk\.index\}\} can't be used in an output name/);
+
+  const missing = await submitFiles(ctx.baseUrl, [{ name: 'a.txt', content: 'Text.' }], { outputName: '{{basename}}.{{lang}}.txt' });
+  assert.equal(missing.status, 400);
+  assert.match(missing.body.message, /Missing value for output name variable: lang/);
+
+  const saved = await savePrompt(ctx.baseUrl, { name: 'Broken', text: 'Summarize', outputName: '{{previous_summary}}.md' });
+  assert.equal(saved.status, 400);
+  assert.equal(ctx.mock.requests.length, 0);
+});
+
+test('keeps output names inside the output folder', () => {
+  const names = planOutputNames([{ originalname: 'talk.srt' }, { originalname: 'report.pdf' }], {
+    template: '../{{basename}}/{{lang}}:out.txt',
+    variables: { lang: 'de' },
+    reserved: ['extracted_report.pdf.txt']
+  });
+  assert.deepEqual(names, [['_talk_de_out.txt'], ['_report_de_out.txt']]);
+
+  // Nothing left of the template falls back to the default name, one per step
+  assert.deepEqual(
+    planOutputNames([{ originalname: 'talk.srt' }], { template: '{{step}}', steps: [{}, {}] }),
+    [['processed_talk.srt', 'processed_talk-2.srt']]
+  );
+});
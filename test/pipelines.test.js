@@ -0,0 +1,144 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, submitFiles, waitForJob, savePipeline, readOutput, runFile, openProgressStream } = require('./helpers');
+
+let ctx;
+
+before(async () => {
+  ctx = await startTestServer();
+
+  const transcript = await savePipeline(ctx.baseUrl, {
+    name: 'Transcript',
+    steps: [
+      { name: 'clean', text: 'Clean up {{filename}}' },
+      { name: 'translate', text: 'Translate into {{lang}}', model: 'mock-small' },
+      { name: 'summary', prompt: 'Test', outputName: '{{basename}}.summary.md' }
+    ],
+    outputName: '{{basename}}.{{step}}.{{ext}}'
+  });
+  assert.equal(transcript.status, 200);
+
+  const twoSteps = await savePipeline(ctx.baseUrl, { name: 'Two Steps', steps: [{ name: 'first', text: 'First' }, { name: 'second', text: 'Second' }] });
+  assert.equal(twoSteps.status, 200);
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+beforeEach(() => {
+  ctx.mock.reset();
+});
+
+test('feeds the output of each step to the next and saves every step', async () => {
+  const { job, result, output } = await runFile(ctx.baseUrl, { name: 'talk.txt', content: 'Hello there.' }, {
+    prompt: '',
+    pipelineName: 'Transcript',
+    variables: JSON.stringify({ lang: 'French' })
+  });
+
+  assert.equal(job.pipelineName, 'Transcript');
+  assert.equal(result.success, true);
+  assert.equal(result.outputFile, 'talk.summary.md');
+  assert.deepEqual(result.steps.map(step => [step.name, step.model, step.outputFile]), [
+    ['clean', 'mock-model', 'talk.clean.txt'],
+    ['translate', 'mock-small', 'talk.translate.txt'],
+    ['summary', 'mock-model', 'talk.summary.md']
+  ]);
+
+  // Each step has its own prompt and model, and receives the previous step's output
+  const sent = ctx.mock.requests.map(request => [request.model, request.messages[0].content, request.messages[1].content]);
+  assert.deepEqual(sent, [
+    ['mock-model', 'Clean up talk.txt', 'Hello there.'],
+    ['mock-small', 'Translate into French', 'ECHO: Hello there.'],
+    ['mock-model', 'Process this file', 'ECHO: ECHO: Hello there.']
+  ]);
+
+  assert.equal(await readOutput(ctx.baseUrl, result.steps[0].outputPath), 'ECHO: Hello there.');
+  assert.equal(output, 'ECHO: ECHO: ECHO: Hello there.');
+});
+
+test('names step outputs after their step by default', async () => {
+  const { result } = await runFile(ctx.baseUrl, { name: 'notes.md', content: 'Notes.' }, { pipelineName: 'Two Steps' });
+
+  assert.deepEqual(result.steps.map(step => step.outputFile), ['processed_notes.first.md', 'processed_notes.second.md']);
+  assert.equal(result.outputFile, 'processed_notes.second.md');
+});
+
+test('streams an event as each step starts', async () => {
+  const stream = await openProgressStream(ctx.baseUrl);
+  try {
+    await stream.waitFor('snapshot');
+    const { body } = await submitFiles(ctx.baseUrl, [{ name: 'steps.txt', content: 'Steps.' }], {
+      pipelineName: 'Two Steps',
+      bypassCache: 'true'
+    });
+    await waitForJob(ctx.baseUrl, body.jobId);
+
+    const stepEvents = stream.events.filter(event => event.type === 'step_started' && event.data.jobId === body.jobId);
+    const fileProgress = event => Object.values(event.data.progress.activeFiles)[0];
+    assert.deepEqual(stepEvents.map(event => [fileProgress(event).step, fileProgress(event).stepName]), [
+      [1, 'first'],
+      [2, 'second']
+    ]);
+  } finally {
+    await stream.close();
+  }
+});
+
+test('stops at the step that fails and keeps the outputs before it', async () => {
+  ctx.mock.enqueue({ type: 'echo' }, { type: 'error', status: 400, message: 'Bad request' });
+
+  const { job, result } = await runFile(ctx.baseUrl, { name: 'notes.txt', content: 'Notes.' }, { pipelineName: 'Two Steps' });
+
+  assert.equal(result.success, false);
+  assert.match(result.error, /Bad request/);
+  assert.equal(ctx.mock.requests.length, 2);
+  assert.equal(await readOutput(ctx.baseUrl, `/api/data/outputs/${job.outputFolder}/processed_notes.first.txt`), 'ECHO: Notes.');
+});
+
+test('estimates the first step of a pipeline and lists the steps after it as unestimated', async () => {
+  const file = { name: 'talk.txt', content: 'Hello there.' };
+  const { status, body } = await submitFiles(ctx.baseUrl, [file], {
+    prompt: '',
+    pipelineName: 'Transcript',
+    variables: JSON.stringify({ lang: 'French' })
+  }, '/api/estimate');
+
+  assert.equal(status, 200);
+  assert.equal(body.model, 'mock-model');
+  assert.deepEqual(body.pipeline, { name: 'Transcript', estimatedStep: 'clean', unestimatedSteps: ['translate', 'summary'] });
+
+  // The first step is estimated as if its prompt had been sent on its own
+  const { body: single } = await submitFiles(ctx.baseUrl, [file], { prompt: 'Clean up {{filename}}' }, '/api/estimate');
+  assert.equal(body.files[0].inputTokens, single.files[0].inputTokens);
+  assert.equal(body.total.cost, single.total.cost);
+  assert.equal(single.pipeline, null);
+  assert.equal(ctx.mock.requests.length, 0);
+});
+
+test('rejects invalid pipelines and requests', async () => {
+  const duplicate = await savePipeline(ctx.baseUrl, { name: 'Bad', steps: [{ name: 'a', text: 'One' }, { name: 'a', text: 'Two' }] });
+  assert.equal(duplicate.status, 400);
+  assert.match(duplicate.body.message, /Step name "a" is used twice/);
+
+  const both = await savePipeline(ctx.baseUrl, { name: 'Bad', steps: [{ name: 'a', text: 'One', prompt: 'Test' }] });
+  assert.equal(both.status, 400);
+  assert.match(both.body.message, /needs either the text of its prompt or the name of a saved prompt/);
+
+  const unknownPrompt = await savePipeline(ctx.baseUrl, { name: 'Bad', steps: [{ name: 'a', prompt: 'Missing' }] });
+  assert.equal(unknownPrompt.status, 400);
+  assert.match(unknownPrompt.body.message, /Prompt "Missing" of step "a" not found/);
+
+  const unknownPipeline = await submitFiles(ctx.baseUrl, [{ name: 'a.txt', content: 'Text.' }], { pipelineName: 'Missing' });
+  assert.equal(unknownPipeline.status, 400);
+  assert.match(unknownPipeline.body.message, /Pipeline "Missing" not found/);
+
+  const missingVariable = await submitFiles(ctx.baseUrl, [{ name: 'a.txt', content: 'Text.' }], { pipelineName: 'Transcript' });
+  assert.equal(missingVariable.status, 400);
+  assert.match(missingVariable.body.message, /lang/);
+
+  const body = await (await fetch(`${ctx.baseUrl}/api/pipelines`)).json();
+  assert.deepEqual(body.pipelines.map(pipeline => pipeline.name), ['Transcript', 'Two Steps']);
+  assert.equal(ctx.mock.requests.length, 0);
+});
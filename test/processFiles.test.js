@@ -0,0 +1,210 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startTestServer, submitFiles, waitForJob, readOutput } = require('./helpers');
+
+let ctx;
+
+before(async () => {
+  ctx = await startTestServer();
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+beforeEach(() => {
+  ctx.mock.reset();
+});
+
+test('processes an uploaded file and saves the model output', async () => {
+  const { status, body } = await submitFiles(ctx.baseUrl, [
+    { name: 'notes.txt', content: 'Hello from the test suite.' }
+  ]);
+
+  assert.equal(status, 202);
+  assert.ok(body.jobId);
+
+  const job = await waitForJob(ctx.baseUrl, body.jobId);
+  assert.equal(job.status, 'completed');
+  assert.equal(job.results.length, 1);
+  assert.equal(job.results[0].success, true);
+  assert.equal(job.results[0].outputFile, 'processed_notes.txt');
+
+  const output = await readOutput(ctx.baseUrl, job.results[0].outputPath);
+  assert.equal(output, 'ECHO: Hello from the test suite.');
+
+  // The prompt goes in the system message and the file in the user message
+  assert.equal(ctx.mock.requests.length, 1);
+  assert.equal(ctx.mock.requests[0].model, 'mock-model');
+  assert.deepEqual(ctx.mock.requests[0].messages, [
+    { role: 'system', content: 'Process this file' },
+    { role: 'user', content: 'Hello from the test suite.' }
+  ]);
+});
+
+test('rejects a request without files', async () => {
+  const { status, body } = await submitFiles(ctx.baseUrl, []);
+
+  assert.equal(status, 400);
+  assert.equal(body.success, false);
+});
+
+test('removes the uploads of a rejected request', async () => {
+  const { status, body } = await submitFiles(ctx.baseUrl, [{ name: 'notes.txt', content: 'Notes.' }], {
+    prompt: 'Translate into {{lang}}'
+  });
+
+  assert.equal(status, 400);
+  assert.match(body.message, /lang/);
+  assert.deepEqual(fs.readdirSync(path.join(ctx.dataDir, 'uploads')), []);
+});
+
+test('splits large files into chunks and joins the responses in order', async () => {
+  const paragraphs = Array.from({ length: 8 }, (_, i) =>
+    `Paragraph ${i + 1}. ` + 'Some filler text for the chunker. '.repeat(5));
+  const { body } = await submitFiles(ctx.baseUrl, [
+    { name: 'long.txt', content: paragraphs.join('\n\n') }
+  ], { model: 'mock-small', concurrency: 3 });
+
+  const job = await waitForJob(ctx.baseUrl, body.jobId);
+  assert.equal(job.results[0].success, true);
+
+  const chunkCount = ctx.mock.requests.length;
+  assert.ok(chunkCount > 1, `expected several chunks, got ${chunkCount}`);
+
+  // Every chunk fits the model's budget and the system prompt tells the model where it is
+  ctx.mock.requests.forEach(request => {
+    const [system, user] = request.messages;
+    assert.equal(system.role, 'system');
+    assert.equal(user.role, 'user');
+    assert.ok(user.content.length <= 320, `chunk of ${user.content.length} chars is too large`);
+    assert.match(system.content, new RegExp(`\\[This is chunk \\d+ of ${chunkCount} from the original file\\]`));
+  });
+
+  const output = await readOutput(ctx.baseUrl, job.results[0].outputPath);
+  const parts = output.split('\n\n Next Chunk \n\n');
+  assert.equal(parts.length, chunkCount);
+  parts.forEach((part, i) => {
+    const request = ctx.mock.requests.find(entry =>
+      entry.messages[0].content.includes(`[This is chunk ${i + 1} of ${chunkCount}`));
+    assert.equal(part, `ECHO: ${request.messages[1].content}`);
+  });
+
+  // Paragraphs come back in their original order
+  const order = paragraphs.map((_, i) => output.indexOf(`Paragraph ${i + 1}.`));
+  assert.deepEqual(order, [...order].sort((a, b) => a - b));
+  assert.ok(order.every(index => index >= 0));
+});
+
+test('retries 429 and 5xx responses and records every attempt', async () => {
+  ctx.mock.enqueue(
+    { type: 'error', status: 429, retryAfter: 0 },
+    { type: 'error', status: 503 }
+  );
+
+  const { body } = await submitFiles(ctx.baseUrl, [
+    { name: 'retry.txt', content: 'Retry me.' }
+  ]);
+
+  const job = await waitForJob(ctx.baseUrl, body.jobId);
+  const result = job.results[0];
+
+  assert.equal(result.success, true);
+  assert.equal(ctx.mock.requests.length, 3);
+  assert.deepEqual(result.attempts.map(attempt => attempt.status || 'ok'), [429, 503, 'ok']);
+  assert.equal(result.attempts[0].retryDelay, 0); // Retry-After: 0 is honoured
+});
+
+test('fails the file once the retry budget is spent', async () => {
+  ctx.mock.enqueue(
+    { type: 'error', status: 500 },
+    { type: 'error', status: 502 },
+    { type: 'error', status: 500 }
+  );
+
+  const { body } = await submitFiles(ctx.baseUrl, [
+    { name: 'broken.txt', content: 'This will not work.' }
+  ]);
+
+  const job = await waitForJob(ctx.baseUrl, body.jobId);
+  const result = job.results[0];
+
+  assert.equal(job.status, 'completed');
+  assert.equal(result.success, false);
+  assert.match(result.error, /API error: 500/);
+  assert.equal(result.attempts.length, 3);
+  assert.equal(ctx.mock.requests.length, 3);
+});
+
+test('does not retry malformed responses', async () => {
+  ctx.mock.enqueue({ type: 'malformed' });
+
+  const { body } = await submitFiles(ctx.baseUrl, [
+    { name: 'malformed.txt', content: 'Odd response.' }
+  ]);
+
+  const job = await waitForJob(ctx.baseUrl, body.jobId);
+
+  assert.equal(job.results[0].success, false);
+  assert.match(job.results[0].error, /Unexpected API response format/);
+  assert.equal(ctx.mock.requests.length, 1);
+});
+
+test('reports progress while a job runs and after it finishes', async () => {
+  ctx.mock.enqueue({ type: 'echo', delayMs: 300 });
+
+  const { body } = await submitFiles(ctx.baseUrl, [
+    { name: 'slow.txt', content: 'Take your time.' }
+  ]);
+
+  // Wait for the file to reach the mock
+  const deadline = Date.now() + 5000;
+  while (ctx.mock.requests.length === 0 && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+
+  const running = await (await fetch(`${ctx.baseUrl}/api/progress/${body.jobId}`)).json();
+  assert.equal(running.jobId, body.jobId);
+  assert.equal(running.status, 'processing');
+  assert.equal(running.totalFiles, 1);
+  assert.equal(Object.keys(running.activeFiles).length, 1);
+
+  await waitForJob(ctx.baseUrl, body.jobId);
+
+  const finished = await (await fetch(`${ctx.baseUrl}/api/progress/${body.jobId}`)).json();
+  assert.equal(finished.status, 'completed');
+  assert.equal(finished.completedFiles, 1);
+  assert.equal(finished.processingHistory.length, 1);
+  assert.equal(finished.processingHistory[0].success, true);
+
+  // Without a job ID the latest job is reported
+  const latest = await (await fetch(`${ctx.baseUrl}/api/progress`)).json();
+  assert.equal(latest.jobId, body.jobId);
+
+  const unknown = await fetch(`${ctx.baseUrl}/api/progress/does-not-exist`);
+  assert.equal(unknown.status, 404);
+});
+
+test('downloads all outputs of a job as a zip archive', async () => {
+  const { body } = await submitFiles(ctx.baseUrl, [
+    { name: 'a.txt', content: 'First file.' },
+    { name: 'b.md', content: '# Second file' }
+  ]);
+
+  const job = await waitForJob(ctx.baseUrl, body.jobId);
+  assert.equal(job.results.filter(result => result.success).length, 2);
+
+  const response = await fetch(`${ctx.baseUrl}/api/download-all/${body.outputFolder}`);
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /application\/zip/);
+
+  const archive = Buffer.from(await response.arrayBuffer());
+  assert.equal(archive.subarray(0, 2).toString(), 'PK');
+  assert.ok(archive.includes('processed_a.txt'));
+  assert.ok(archive.includes('processed_b.md'));
+
+  const missing = await fetch(`${ctx.baseUrl}/api/download-all/no-such-folder`);
+  assert.equal(missing.status, 404);
+});
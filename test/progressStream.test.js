@@ -0,0 +1,113 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, submitFiles, waitForJob, runFiles, openProgressStream } = require('./helpers');
+
+let ctx;
+let progressEvents;
+
+before(async () => {
+  // Heartbeats often enough to see one without waiting 15 seconds
+  process.env.PROGRESS_HEARTBEAT_MS = '50';
+  ctx = await startTestServer();
+  ({ progressEvents } = require('../services/progressTracker'));
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+beforeEach(() => {
+  ctx.mock.reset();
+});
+
+/**
+ * Wait until a condition holds
+ * @param {Function} check - Returns true once the wait is over
+ * @param {number} timeoutMs - Give up after this long
+ */
+async function waitUntil(check, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error(`Condition not met within ${timeoutMs}ms`);
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+test('starts with a snapshot of the job being followed', async () => {
+  const job = await runFiles(ctx.baseUrl, [{ name: 'done.txt', content: 'Done.' }]);
+
+  const stream = await openProgressStream(ctx.baseUrl, job.id);
+  try {
+    const snapshot = await stream.waitFor('snapshot');
+    assert.equal(stream.events[0], snapshot);
+    assert.equal(snapshot.data.jobId, job.id);
+    assert.equal(snapshot.data.progress.jobId, job.id);
+    assert.equal(snapshot.data.progress.status, 'completed');
+    assert.equal(snapshot.data.progress.completedFiles, 1);
+  } finally {
+    await stream.close();
+  }
+});
+
+test('sends every update as a default message event with its type in the data', async () => {
+  const controller = new AbortController();
+  const response = await fetch(`${ctx.baseUrl}/api/progress/stream`, { signal: controller.signal });
+  const reader = response.body.getReader();
+  try {
+    const { value } = await reader.read();
+    const block = new TextDecoder().decode(value).split('\n\n')[0];
+
+    // Without an event field, EventSource clients get it through onmessage
+    assert.doesNotMatch(block, /^event:/m);
+    assert.equal(JSON.parse(block.replace(/^data: /, '')).type, 'snapshot');
+  } finally {
+    controller.abort();
+    await reader.closed.catch(() => {});
+  }
+});
+
+test('only sends the events of the job given in the query', async () => {
+  ctx.mock.enqueue({ type: 'echo', delayMs: 300 });
+  const first = await submitFiles(ctx.baseUrl, [{ name: 'first.txt', content: 'First.' }], { bypassCache: 'true' });
+  const followed = await openProgressStream(ctx.baseUrl, first.body.jobId);
+  const everything = await openProgressStream(ctx.baseUrl);
+
+  try {
+    await followed.waitFor('snapshot');
+    await everything.waitFor('snapshot');
+    const second = await submitFiles(ctx.baseUrl, [{ name: 'second.txt', content: 'Second.' }], { bypassCache: 'true' });
+    await waitForJob(ctx.baseUrl, first.body.jobId);
+    await waitForJob(ctx.baseUrl, second.body.jobId);
+    await followed.waitFor('file_finished');
+
+    const jobsOf = stream => new Set(stream.events.slice(1).map(event => event.data.jobId));
+    assert.deepEqual(jobsOf(followed), new Set([first.body.jobId]));
+    assert.ok(jobsOf(everything).has(second.body.jobId));
+  } finally {
+    await followed.close();
+    await everything.close();
+  }
+});
+
+test('sends heartbeats on an idle stream', async () => {
+  const stream = await openProgressStream(ctx.baseUrl);
+  try {
+    await stream.waitFor('snapshot');
+    await waitUntil(() => stream.comments.length >= 2);
+    assert.deepEqual(stream.comments.slice(0, 2), ['heartbeat', 'heartbeat']);
+  } finally {
+    await stream.close();
+  }
+});
+
+test('stops listening for progress once the client disconnects', async () => {
+  // Streams closed by the earlier tests may still be disconnecting
+  await waitUntil(() => progressEvents.listenerCount('progress') === 0);
+
+  const stream = await openProgressStream(ctx.baseUrl);
+  await stream.waitFor('snapshot');
+  assert.equal(progressEvents.listenerCount('progress'), 1);
+
+  await stream.close();
+  await waitUntil(() => progressEvents.listenerCount('progress') === 0);
+});
@@ -0,0 +1,90 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, submitFiles, waitForJob, postJson } = require('./helpers');
+
+let ctx;
+
+before(async () => {
+  ctx = await startTestServer();
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+beforeEach(() => {
+  ctx.mock.reset();
+});
+
+test('fills in the file name and custom variables', async () => {
+  const { body } = await submitFiles(ctx.baseUrl, [{ name: 'talk.txt', content: 'A talk about hope.' }], {
+    prompt: 'Summarize {{ filename }} for {{audience}}. Keep \\{{braces}}.',
+    variables: JSON.stringify({ audience: 'children' }),
+    bypassCache: 'true'
+  });
+  const job = await waitForJob(ctx.baseUrl, body.jobId);
+
+  assert.equal(job.status, 'completed');
+  assert.deepEqual(job.variables, { audience: 'children' });
+  assert.equal(ctx.mock.requests[0].messages[0].content, 'Summarize talk.txt for children. Keep {{braces}}.');
+});
+
+test('a template that places the chunk number replaces the default chunk hint', async () => {
+  const paragraphs = Array.from({ length: 4 }, (_, i) =>
+    `Paragraph ${i + 1}. ` + 'Templated filler for the chunker. '.repeat(5));
+  const { body } = await submitFiles(ctx.baseUrl, [{ name: 'long.txt', content: paragraphs.join('\n\n') }], {
+    prompt: 'Part {{chunk.index}}/{{chunk.total}} of {{filename}}',
+    model: 'mock-small',
+    bypassCache: 'true'
+  });
+  await waitForJob(ctx.baseUrl, body.jobId);
+
+  const total = ctx.mock.requests.length;
+  assert.ok(total > 1);
+  const prompts = ctx.mock.requests.map(request => request.messages[0].content).sort();
+  assert.deepEqual(prompts, Array.from({ length: total }, (_, i) => `Part ${i + 1}/${total} of long.txt`).sort());
+});
+
+test('rejects jobs missing a variable value and invalid templates', async () => {
+  const missing = await submitFiles(ctx.baseUrl, [{ name: 'any.txt', content: 'Any content.' }], {
+    prompt: 'Translate into {{language}} for {{audience}}'
+  });
+  assert.equal(missing.status, 400);
+  assert.match(missing.body.message, /Missing value for template variables: language, audience/);
+
+  const unclosed = await postJson(ctx.baseUrl, '/api/prompts', { name: 'Broken', text: 'Summarize {{filename' });
+  assert.equal(unclosed.status, 400);
+  assert.match(unclosed.body.message, /Unclosed "\{\{"/);
+
+  const unknown = await postJson(ctx.baseUrl, '/api/prompts', { name: 'Broken', text: 'Chunk {{chunk.number}}' });
+  assert.equal(unknown.status, 400);
+  assert.match(unknown.body.message, /Unknown variable "\{\{chunk\.number\}\}"/);
+
+  const badVariables = await submitFiles(ctx.baseUrl, [{ name: 'any.txt', content: 'Any content.' }], {
+    variables: '{"filename": "override.txt"}'
+  });
+  assert.equal(badVariables.status, 400);
+  assert.equal(ctx.mock.requests.length, 0);
+});
+
+test('previews a template with sample values', async () => {
+  const { status, body } = await postJson(ctx.baseUrl, '/api/prompts/preview', {
+    text: 'Notes on {{filename}} ({{speaker}}, {{date}}) after: {{previous_summary}}',
+    variables: { speaker: 'Ann' },
+    filename: 'service.srt',
+    chunkIndex: 2,
+    chunkTotal: 3
+  });
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.variables, { builtin: ['filename', 'date', 'previous_summary'], custom: ['speaker'] });
+  assert.deepEqual(body.missing, []);
+
+  const today = new Date().toISOString().slice(0, 10);
+  assert.equal(body.preview, `Notes on service.srt (Ann, ${today}) after: [Context from the previous chunk]` +
+    '\n\n[This is chunk 2 of 3 from the original file]');
+
+  const partial = await postJson(ctx.baseUrl, '/api/prompts/preview', { text: 'For {{speaker}}' });
+  assert.deepEqual(partial.body.missing, ['speaker']);
+  assert.equal(partial.body.preview, 'For ');
+});
@@ -0,0 +1,94 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, submitFiles, savePrompt, runFile } = require('./helpers');
+
+let ctx;
+
+before(async () => {
+  ctx = await startTestServer();
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+beforeEach(() => {
+  ctx.mock.reset();
+});
+
+test('sends the examples of a saved prompt before the framed file', async () => {
+  const { status } = await savePrompt(ctx.baseUrl, {
+    name: 'Titles',
+    text: 'Suggest a title',
+    contentFraming: 'xml',
+    examples: [{ input: 'A talk about patience.', output: 'Waiting Well' }]
+  });
+  assert.equal(status, 200);
+
+  const { job } = await runFile(ctx.baseUrl, { name: 'talk.txt', content: 'A talk about hope.' }, {
+    prompt: 'Suggest a title',
+    promptName: 'Titles'
+  });
+  assert.equal(job.status, 'completed');
+  assert.equal(job.promptName, 'Titles');
+
+  assert.deepEqual(ctx.mock.requests[0].messages, [
+    { role: 'system', content: 'Suggest a title' },
+    { role: 'user', content: '<file_content>\nA talk about patience.\n</file_content>' },
+    { role: 'assistant', content: 'Waiting Well' },
+    { role: 'user', content: '<file_content>\nA talk about hope.\n</file_content>' }
+  ]);
+
+  // The estimate counts the example messages too
+  const { body: estimate } = await submitFiles(ctx.baseUrl, [{ name: 'talk.txt', content: 'A talk about hope.' }], {
+    prompt: 'Suggest a title',
+    promptName: 'Titles'
+  }, '/api/estimate');
+  const sentTokens = ctx.mock.requests[0].messages.reduce((sum, message) =>
+    sum + Math.ceil(message.content.length / 4), 0);
+  assert.equal(estimate.files[0].inputTokens, sentTokens);
+});
+
+test('fences file content with a fence longer than any inside it', async () => {
+  await savePrompt(ctx.baseUrl, { name: 'Fenced', text: 'Review this', contentFraming: 'fenced' });
+
+  await runFile(ctx.baseUrl, { name: 'readme.md', content: 'Run:\n```\nnpm test\n```' }, {
+    prompt: 'Review this',
+    promptName: 'Fenced'
+  });
+
+  assert.equal(ctx.mock.requests[0].messages[1].content, '````\nRun:\n```\nnpm test\n```\n````');
+});
+
+test('keeps the examples of a prompt saved again without them', async () => {
+  await savePrompt(ctx.baseUrl, {
+    name: 'Kept',
+    text: 'First version',
+    examples: [{ input: 'in', output: 'out' }]
+  });
+  const { body } = await savePrompt(ctx.baseUrl, { name: 'Kept', text: 'Second version' });
+
+  assert.deepEqual(body.prompt, {
+    name: 'Kept',
+    text: 'Second version',
+    contentFraming: 'raw',
+    examples: [{ input: 'in', output: 'out' }]
+  });
+});
+
+test('rejects invalid prompt settings and unknown saved prompts', async () => {
+  const framing = await savePrompt(ctx.baseUrl, { name: 'Bad', text: 'Any', contentFraming: 'yaml' });
+  assert.equal(framing.status, 400);
+  assert.match(framing.body.message, /contentFraming/);
+
+  const examples = await savePrompt(ctx.baseUrl, { name: 'Bad', text: 'Any', examples: [{ input: 'no output' }] });
+  assert.equal(examples.status, 400);
+  assert.match(examples.body.message, /Example 1/);
+
+  const { status, body } = await submitFiles(ctx.baseUrl, [{ name: 'any.txt', content: 'Any content.' }], {
+    promptName: 'Missing'
+  });
+  assert.equal(status, 400);
+  assert.match(body.message, /Prompt "Missing" not found/);
+  assert.equal(ctx.mock.requests.length, 0);
+});
@@ -0,0 +1,114 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, runFile } = require('./helpers');
+
+// Models of each adapter, all pointed at the mock server
+const PROVIDER_MODELS = [
+  { name: 'Mock OpenAI', key: 'mock-openai', provider: 'openai' },
+  { name: 'Mock Ollama', key: 'mock-ollama', provider: 'ollama' },
+  { name: 'Mock llama.cpp', key: 'mock-llamacpp', provider: 'llamacpp' }
+].map(model => ({
+  ...model,
+  tier: 'Test',
+  tokenLimit: 4096,
+  inputCost: 1,
+  outputCost: 2,
+  rpm: 1000,
+  tpm: 10000000,
+  retry: { maxAttempts: 1 }
+}));
+
+// File sent through each adapter
+const HELLO = { name: 'hello.txt', content: 'Hello from the test.' };
+
+let ctx;
+
+before(async () => {
+  ctx = await startTestServer({ models: PROVIDER_MODELS });
+
+  // Base URLs are read when each request is built
+  const { origin } = new URL(process.env.MONICA_API_ENDPOINT);
+  process.env.OPENAI_BASE_URL = `${origin}/v1`;
+  process.env.OPENAI_API_KEY = 'openai-key';
+  process.env.OLLAMA_BASE_URL = origin;
+  process.env.LLAMACPP_BASE_URL = `${origin}/llama/v1/`;
+  delete process.env.LLAMACPP_API_KEY;
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+beforeEach(() => {
+  ctx.mock.reset();
+});
+
+test('sends OpenAI chat completions with the API key and reads the reply and usage', async () => {
+  const { result, output } = await runFile(ctx.baseUrl, HELLO, { model: 'mock-openai', stream: 'false' });
+  const [request] = ctx.mock.requests;
+
+  assert.equal(request.path, '/v1/chat/completions');
+  assert.equal(request.authorization, 'Bearer openai-key');
+  assert.equal(request.body.model, 'mock-openai');
+  assert.deepEqual(request.body.messages.map(message => message.role), ['system', 'user']);
+  assert.equal(request.body.stream, undefined);
+
+  assert.equal(output, 'ECHO: Hello from the test.');
+  assert.equal(result.usage.inputTokens, Math.ceil(HELLO.content.length / 4));
+  assert.ok(!result.usage.estimated);
+});
+
+test('asks OpenAI for usage in streamed responses and joins the deltas', async () => {
+  const { result, output } = await runFile(ctx.baseUrl, HELLO, { model: 'mock-openai', stream: 'true' });
+  const [request] = ctx.mock.requests;
+
+  assert.equal(request.body.stream, true);
+  assert.deepEqual(request.body.stream_options, { include_usage: true });
+  assert.equal(output, 'ECHO: Hello from the test.');
+  assert.equal(result.usage.outputTokens, Math.ceil(output.length / 4));
+  assert.ok(!result.usage.estimated);
+});
+
+test('fails a response whose message has no text content', async () => {
+  ctx.mock.enqueue({ type: 'reply', content: null });
+
+  const { result } = await runFile(ctx.baseUrl, HELLO, { model: 'mock-openai', stream: 'false' });
+
+  assert.equal(result.success, false);
+  assert.match(result.error, /Unexpected API response format/);
+});
+
+test('uses the native Ollama chat API with the model context size', async () => {
+  const { result, output } = await runFile(ctx.baseUrl, HELLO, { model: 'mock-ollama', stream: 'false' });
+  const [request] = ctx.mock.requests;
+
+  assert.equal(request.path, '/api/chat');
+  assert.equal(request.authorization, null);
+  assert.equal(request.body.model, 'mock-ollama');
+  assert.equal(request.body.stream, false);
+  assert.deepEqual(request.body.options, { num_ctx: 4096 });
+
+  assert.equal(output, 'ECHO: Hello from the test.');
+  assert.equal(result.usage.inputTokens, Math.ceil(HELLO.content.length / 4));
+  assert.equal(result.usage.outputTokens, Math.ceil(output.length / 4));
+});
+
+test('reads streamed Ollama lines and the usage of the last one', async () => {
+  const { result, output } = await runFile(ctx.baseUrl, HELLO, { model: 'mock-ollama', stream: 'true' });
+
+  assert.equal(ctx.mock.requests[0].body.stream, true);
+  assert.equal(output, 'ECHO: Hello from the test.');
+  assert.equal(result.usage.outputTokens, Math.ceil(output.length / 4));
+  assert.ok(!result.usage.estimated);
+});
+
+test('sends llama.cpp requests to its base URL without an API key', async () => {
+  const { output } = await runFile(ctx.baseUrl, HELLO, { model: 'mock-llamacpp', stream: 'true' });
+  const [request] = ctx.mock.requests;
+
+  assert.equal(request.path, '/llama/v1/chat/completions');
+  assert.equal(request.authorization, null);
+  assert.equal(request.body.model, 'mock-llamacpp');
+  assert.deepEqual(request.body.stream_options, { include_usage: true });
+  assert.equal(output, 'ECHO: Hello from the test.');
+});
@@ -0,0 +1,127 @@
+const { test, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+
+// Each test gets its own model, so no tokens are left in its TPM window
+const TPM_MODELS = ['mock-tpm-release', 'mock-tpm-wait', 'mock-tpm-large'].map(key => ({
+  name: key,
+  key,
+  tier: 'Test',
+  provider: 'monica',
+  tokenLimit: 100000,
+  inputCost: 1,
+  outputCost: 2,
+  rpm: 1000,
+  tpm: 1000
+}));
+
+let ctx;
+let checkRateLimits;
+let trackRequest;
+let createProgress;
+let getProgress;
+
+before(async () => {
+  ctx = await startTestServer({ models: TPM_MODELS });
+  // The models are read from the data directory when the service is first loaded
+  ({ checkRateLimits, trackRequest } = require('../services/monicaService'));
+  ({ createProgress, getProgress } = require('../services/progressTracker'));
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+beforeEach(() => {
+  mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 1000000 });
+});
+
+afterEach(() => {
+  mock.timers.reset();
+});
+
+/**
+ * Let pending promise callbacks run without moving the fake clock
+ * @returns {Promise<void>}
+ */
+function settle() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * Track whether a promise has resolved yet
+ * @param {Promise} promise - Promise to watch
+ * @returns {object} - { promise, done } where done turns true once it resolves
+ */
+function watch(promise) {
+  const watched = { done: false };
+  watched.promise = promise.then(value => {
+    watched.done = true;
+    return value;
+  });
+  return watched;
+}
+
+test('reserves the estimated tokens and releases the difference once usage is known', async () => {
+  const reservation = await checkRateLimits('mock-tpm-release', 600);
+  assert.deepEqual(reservation, { timestamp: 1000000, count: 600 });
+
+  // The request used less than estimated, so the rest of the window is free again
+  trackRequest('mock-tpm-release', 150, 50, reservation);
+  assert.equal(reservation.count, 200);
+
+  const next = watch(checkRateLimits('mock-tpm-release', 700));
+  await settle();
+  assert.equal(next.done, true);
+  assert.equal((await next.promise).count, 700);
+});
+
+test('waits for the TPM window and shows the job as throttled meanwhile', async () => {
+  createProgress('tpm-job', 1, 'processing');
+  const context = { jobId: 'tpm-job', fileName: 'notes.txt' };
+
+  await checkRateLimits('mock-tpm-wait', 600, context);
+  mock.timers.tick(10000);
+
+  // 600 + 600 is over the limit until the first reservation leaves the window
+  const waiting = watch(checkRateLimits('mock-tpm-wait', 600, context));
+  await settle();
+  assert.equal(waiting.done, false);
+
+  let progress = getProgress('tpm-job');
+  assert.equal(progress.throttled, true);
+  assert.equal(progress.throttleReason, 'tpm');
+  assert.equal(progress.throttledUntil, 1000000 + 60000);
+  assert.equal(progress.activeFiles['notes.txt'].throttleReason, 'tpm');
+
+  mock.timers.tick(49999);
+  await settle();
+  assert.equal(waiting.done, false);
+
+  mock.timers.tick(1);
+  await settle();
+  assert.equal(waiting.done, true);
+  assert.equal((await waiting.promise).timestamp, 1000000 + 60000);
+
+  progress = getProgress('tpm-job');
+  assert.equal(progress.throttled, false);
+  assert.equal(progress.throttledUntil, null);
+  assert.equal(progress.throttleReason, null);
+});
+
+test('admits a request larger than the limit when the window is empty', async () => {
+  const reservation = await checkRateLimits('mock-tpm-large', 5000);
+  assert.equal(reservation.count, 5000);
+
+  const next = watch(checkRateLimits('mock-tpm-large', 10));
+  await settle();
+  assert.equal(next.done, false);
+
+  mock.timers.tick(59999);
+  await settle();
+  assert.equal(next.done, false);
+
+  mock.timers.tick(1);
+  await settle();
+  assert.equal(next.done, true);
+});
@@ -0,0 +1,142 @@
+const { test, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startTestServer, readOutput, runFiles } = require('./helpers');
+
+// The shared helpers bypass the response cache unless a job asks for it
+const CACHED = { bypassCache: 'false' };
+
+let ctx;
+
+before(async () => {
+  ctx = await startTestServer();
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+beforeEach(() => {
+  ctx.mock.reset();
+});
+
+afterEach(() => {
+  delete process.env.RESPONSE_CACHE_TTL_HOURS;
+  delete process.env.RESPONSE_CACHE_MAX_MB;
+});
+
+/**
+ * List the entries in the response cache
+ * @returns {string[]} - Entry file names
+ */
+function listCache() {
+  return fs.readdirSync(path.join(ctx.dataDir, 'cache'));
+}
+
+test('answers a repeated request from the cache', async () => {
+  const file = { name: 'repeat.txt', content: 'The same transcript, processed twice.' };
+
+  const first = await runFiles(ctx.baseUrl, [file], CACHED);
+  assert.deepEqual(first.stats.cache, { hits: 0, misses: 1 });
+  assert.equal(ctx.mock.requests.length, 1);
+
+  const second = await runFiles(ctx.baseUrl, [file], CACHED);
+  assert.deepEqual(second.stats.cache, { hits: 1, misses: 0 });
+  assert.deepEqual(second.results[0].cache, { hits: 1, misses: 0 });
+  assert.equal(ctx.mock.requests.length, 1);
+
+  const [firstOutput, secondOutput] = await Promise.all([first, second].map(async (job) =>
+    readOutput(ctx.baseUrl, job.results[0].outputPath)));
+  assert.equal(secondOutput, firstOutput);
+
+  const progress = await (await fetch(`${ctx.baseUrl}/api/progress/${second.id}`)).json();
+  assert.deepEqual(progress.cache, { hits: 1, misses: 0 });
+
+  // A different prompt is a different request
+  await runFiles(ctx.baseUrl, [file], { ...CACHED, prompt: 'Summarize this file' });
+  assert.equal(ctx.mock.requests.length, 2);
+});
+
+test('caches each chunk of a large file separately', async () => {
+  const paragraphs = Array.from({ length: 4 }, (_, i) =>
+    `Paragraph ${i + 1}. ` + 'Cacheable filler for the chunker. '.repeat(5));
+  const file = { name: 'chunked.txt', content: paragraphs.join('\n\n') };
+
+  const first = await runFiles(ctx.baseUrl, [file], { ...CACHED, model: 'mock-small' });
+  const chunkCount = ctx.mock.requests.length;
+  assert.ok(chunkCount > 1);
+  assert.equal(first.stats.cache.misses, chunkCount);
+
+  const second = await runFiles(ctx.baseUrl, [file], { ...CACHED, model: 'mock-small' });
+  assert.deepEqual(second.stats.cache, { hits: chunkCount, misses: 0 });
+  assert.equal(ctx.mock.requests.length, chunkCount);
+});
+
+test('bypassing the cache sends the request again and refreshes the entry', async () => {
+  const file = { name: 'fresh.txt', content: 'Ask the model again, please.' };
+
+  await runFiles(ctx.baseUrl, [file], CACHED);
+  ctx.mock.enqueue({ type: 'reply', content: 'A newer answer' });
+
+  const bypassed = await runFiles(ctx.baseUrl, [file]);
+  assert.equal(bypassed.bypassCache, true);
+  assert.deepEqual(bypassed.stats.cache, { hits: 0, misses: 0 });
+  assert.equal(ctx.mock.requests.length, 2);
+
+  const cached = await runFiles(ctx.baseUrl, [file], CACHED);
+  assert.deepEqual(cached.stats.cache, { hits: 1, misses: 0 });
+  const output = await readOutput(ctx.baseUrl, cached.results[0].outputPath);
+  assert.equal(output, 'A newer answer');
+});
+
+test('does not cache failed requests', async () => {
+  ctx.mock.enqueue({ type: 'error', status: 400, message: 'Bad request' });
+  const file = { name: 'broken.txt', content: 'This request is rejected.' };
+
+  const failed = await runFiles(ctx.baseUrl, [file], CACHED);
+  assert.equal(failed.results[0].success, false);
+
+  const retried = await runFiles(ctx.baseUrl, [file], CACHED);
+  assert.equal(retried.results[0].success, true);
+  assert.deepEqual(retried.stats.cache, { hits: 0, misses: 1 });
+});
+
+test('expired entries are not used', async () => {
+  const file = { name: 'stale.txt', content: 'Old news by the second run.' };
+  await runFiles(ctx.baseUrl, [file], CACHED);
+
+  // Age every entry past the TTL
+  process.env.RESPONSE_CACHE_TTL_HOURS = '1';
+  listCache().forEach(name => {
+    const entryPath = path.join(ctx.dataDir, 'cache', name);
+    const entry = JSON.parse(fs.readFileSync(entryPath, 'utf8'));
+    entry.createdAt -= 2 * 60 * 60 * 1000;
+    fs.writeFileSync(entryPath, JSON.stringify(entry));
+  });
+
+  const second = await runFiles(ctx.baseUrl, [file], CACHED);
+  assert.deepEqual(second.stats.cache, { hits: 0, misses: 1 });
+  assert.equal(ctx.mock.requests.length, 2);
+});
+
+test('evicts the least recently used entries beyond the size cap', async () => {
+  fs.rmSync(path.join(ctx.dataDir, 'cache'), { recursive: true, force: true });
+
+  await runFiles(ctx.baseUrl, [{ name: 'one.txt', content: 'First entry.' }], CACHED);
+
+  // Room for a single entry
+  const entrySize = fs.statSync(path.join(ctx.dataDir, 'cache', listCache()[0])).size;
+  process.env.RESPONSE_CACHE_MAX_MB = String(entrySize * 1.5 / 1024 / 1024);
+
+  await runFiles(ctx.baseUrl, [{ name: 'two.txt', content: 'Second entry.' }], CACHED);
+  assert.equal(listCache().length, 1);
+
+  const second = await runFiles(ctx.baseUrl, [{ name: 'two.txt', content: 'Second entry.' }], CACHED);
+  assert.deepEqual(second.stats.cache, { hits: 1, misses: 0 });
+
+  // A cap of 0 turns the cache off
+  process.env.RESPONSE_CACHE_MAX_MB = '0';
+  const uncached = await runFiles(ctx.baseUrl, [{ name: 'two.txt', content: 'Second entry.' }], CACHED);
+  assert.deepEqual(uncached.stats.cache, { hits: 0, misses: 0 });
+});
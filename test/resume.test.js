@@ -0,0 +1,188 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startTestServer, submitFiles, waitForJob } = require('./helpers');
+
+let ctx;
+
+before(async () => {
+  ctx = await startTestServer();
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+beforeEach(() => {
+  ctx.mock.reset();
+});
+
+const FAIL_ALL_ATTEMPTS = [
+  { type: 'error', status: 500 },
+  { type: 'error', status: 500 },
+  { type: 'error', status: 500 }
+];
+
+/**
+ * Resume a job and wait for it to finish
+ * @param {string} jobId - Job ID
+ * @returns {Promise<object>} - Finished job
+ */
+async function resume(jobId) {
+  const response = await fetch(`${ctx.baseUrl}/api/jobs/${jobId}/resume`, { method: 'POST' });
+  assert.equal(response.status, 202);
+  return waitForJob(ctx.baseUrl, jobId);
+}
+
+/**
+ * Read the manifest of a job's output folder
+ * @param {object} job - Job
+ * @returns {object} - Manifest
+ */
+function readManifest(job) {
+  return JSON.parse(fs.readFileSync(path.join(ctx.dataDir, 'outputs', job.outputFolder, '.manifest.json'), 'utf8'));
+}
+
+/**
+ * Find the manifest entry of an output file
+ * @param {object} manifest - Manifest
+ * @param {string} outputFile - Output file name
+ * @returns {object} - Manifest entry
+ */
+function manifestEntry(manifest, outputFile) {
+  return Object.values(manifest.files).find(entry => entry.outputFile === outputFile);
+}
+
+test('resuming a job only reprocesses the files that failed', async () => {
+  ctx.mock.enqueue({ type: 'echo' }, ...FAIL_ALL_ATTEMPTS);
+
+  const { body } = await submitFiles(ctx.baseUrl, [
+    { name: 'done.txt', content: 'This one works.' },
+    { name: 'retry-later.txt', content: 'This one fails the first time.' }
+  ], { concurrency: 1 });
+
+  const firstRun = await waitForJob(ctx.baseUrl, body.jobId);
+  assert.deepEqual(firstRun.results.map(result => result.success), [true, false]);
+
+  const manifest = readManifest(firstRun);
+  assert.equal(manifestEntry(manifest, 'processed_done.txt').status, 'completed');
+  assert.equal(manifestEntry(manifest, 'processed_retry-later.txt').status, 'failed');
+  assert.ok(manifestEntry(manifest, 'processed_done.txt').inputHash);
+  assert.ok(manifestEntry(manifest, 'processed_done.txt').promptHash);
+
+  // The failed upload is kept so the job can be resumed
+  assert.equal(fs.readdirSync(path.join(ctx.dataDir, 'uploads')).length, 1);
+
+  ctx.mock.reset();
+  const secondRun = await resume(body.jobId);
+
+  assert.equal(secondRun.status, 'completed');
+  assert.equal(secondRun.resumeCount, 1);
+  assert.deepEqual(secondRun.results.map(result => result.success), [true, true]);
+  assert.equal(secondRun.results[0].reused, true);
+  assert.ok(!secondRun.results[1].reused);
+
+  // Only the failed file reached the API
+  assert.equal(ctx.mock.requests.length, 1);
+  assert.match(ctx.mock.requests[0].messages[1].content, /This one fails the first time\./);
+
+  assert.equal(manifestEntry(readManifest(secondRun), 'processed_retry-later.txt').status, 'completed');
+  assert.equal(fs.readdirSync(path.join(ctx.dataDir, 'uploads')).length, 0);
+
+  // The manifest is not part of the download
+  const archive = Buffer.from(await (await fetch(`${ctx.baseUrl}${secondRun.downloadAllUrl}`)).arrayBuffer());
+  assert.ok(archive.includes('processed_done.txt'));
+  assert.ok(!archive.includes('.manifest.json'));
+});
+
+test('resuming a file reuses the chunks that already completed', async () => {
+  const paragraphs = Array.from({ length: 5 }, (_, i) =>
+    `Paragraph ${i + 1}. ` + 'Resumable filler for the chunker. '.repeat(5));
+
+  // Chunks run one at a time, so the third chunk gets the failures
+  ctx.mock.enqueue({ type: 'echo' }, { type: 'echo' }, ...FAIL_ALL_ATTEMPTS);
+
+  const { body } = await submitFiles(ctx.baseUrl, [
+    { name: 'chunked.txt', content: paragraphs.join('\n\n') }
+  ], { model: 'mock-small', concurrency: 1 });
+
+  const firstRun = await waitForJob(ctx.baseUrl, body.jobId);
+  const chunkCount = ctx.mock.requests.length - FAIL_ALL_ATTEMPTS.length + 1;
+  assert.equal(firstRun.results[0].failedChunks, 1);
+
+  const manifest = readManifest(firstRun);
+  assert.equal(manifestEntry(manifest, 'processed_chunked.txt').status, 'incomplete');
+  assert.equal(manifestEntry(manifest, 'processed_chunked.txt').chunks.completed, chunkCount - 1);
+
+  const chunksDir = path.join(ctx.dataDir, 'outputs', firstRun.outputFolder, '.chunks');
+  assert.equal(fs.readdirSync(path.join(chunksDir, 'processed_chunked.txt')).length, chunkCount - 1);
+
+  ctx.mock.reset();
+  const secondRun = await resume(body.jobId);
+
+  assert.equal(secondRun.results[0].success, true);
+  assert.ok(!secondRun.results[0].failedChunks);
+  assert.equal(ctx.mock.requests.length, 1);
+  assert.match(ctx.mock.requests[0].messages[0].content, new RegExp(`\\[This is chunk 3 of ${chunkCount}`));
+
+  const output = await (await fetch(`${ctx.baseUrl}${secondRun.results[0].outputPath}`)).text();
+  assert.doesNotMatch(output, /Error processing this chunk/);
+  assert.equal(output.split('\n\n Next Chunk \n\n').length, chunkCount);
+
+  // Saved chunks are dropped once the file is complete
+  assert.ok(!fs.existsSync(path.join(chunksDir, 'processed_chunked.txt')));
+  assert.equal(manifestEntry(readManifest(secondRun), 'processed_chunked.txt').status, 'completed');
+});
+
+test('keeps uploads with the same name apart when resuming', async () => {
+  // Uploads of one request are told apart by name, but two files with the same name can share a job
+  const { createJob } = require('../services/jobQueue');
+  const { getPromptSettings } = require('../utils/promptMessages');
+  const files = ['Monday notes.', 'Tuesday notes.'].map((content, i) => {
+    const filePath = path.join(ctx.dataDir, 'uploads', `${Date.now()}-${i}-notes.txt`);
+    fs.writeFileSync(filePath, content);
+    return { originalname: 'notes.txt', path: filePath, size: content.length, isServerFile: false };
+  });
+  ctx.mock.enqueue({ type: 'echo' }, ...FAIL_ALL_ATTEMPTS);
+
+  const job = await createJob({
+    files,
+    prompt: 'Process this file',
+    promptSettings: getPromptSettings(),
+    model: 'mock-model',
+    concurrency: 1
+  });
+  const firstRun = await waitForJob(ctx.baseUrl, job.id);
+  assert.deepEqual(firstRun.results.map(result => result.success), [true, false]);
+  const manifest = readManifest(firstRun);
+  assert.equal(Object.keys(manifest.files).length, 2);
+  assert.equal(manifestEntry(manifest, 'processed_notes.txt').status, 'completed');
+  assert.equal(manifestEntry(manifest, 'processed_notes-2.txt').status, 'failed');
+
+  ctx.mock.reset();
+  const secondRun = await resume(job.id);
+
+  assert.deepEqual(secondRun.results.map(result => [result.outputFile, !!result.reused]), [
+    ['processed_notes.txt', true],
+    ['processed_notes-2.txt', false]
+  ]);
+  assert.equal(ctx.mock.requests.length, 1);
+  assert.equal(ctx.mock.requests[0].messages[1].content, 'Tuesday notes.');
+});
+
+test('a job that is still active cannot be resumed', async () => {
+  ctx.mock.enqueue({ type: 'echo', delayMs: 300 });
+
+  const { body } = await submitFiles(ctx.baseUrl, [
+    { name: 'busy.txt', content: 'Still working on it.' }
+  ]);
+
+  const response = await fetch(`${ctx.baseUrl}/api/jobs/${body.jobId}/resume`, { method: 'POST' });
+  assert.equal(response.status, 409);
+
+  await waitForJob(ctx.baseUrl, body.jobId);
+
+  const missing = await fetch(`${ctx.baseUrl}/api/jobs/does-not-exist/resume`, { method: 'POST' });
+  assert.equal(missing.status, 404);
+});
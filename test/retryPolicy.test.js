@@ -0,0 +1,91 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_RETRY_POLICY,
+  resolveRetryPolicy,
+  isRetryableError,
+  getRetryDelay
+} = require('../utils/retryPolicy');
+
+afterEach(() => {
+  mock.restoreAll();
+  mock.timers.reset();
+});
+
+/**
+ * Build an error like the ones sendApiRequest throws
+ * @param {object} fields - status and/or code
+ * @returns {Error} - Error carrying the fields
+ */
+function apiError(fields) {
+  return Object.assign(new Error('Request failed'), fields);
+}
+
+test('doubles the delay on every attempt up to maxDelayMs', () => {
+  const policy = { ...DEFAULT_RETRY_POLICY, baseDelayMs: 1000, maxDelayMs: 5000, jitter: 0 };
+
+  assert.deepEqual([1, 2, 3, 4, 5, 10].map(attempt => getRetryDelay(policy, attempt)),
+    [1000, 2000, 4000, 5000, 5000, 5000]);
+});
+
+test('spreads each delay by at most the jitter fraction', () => {
+  const policy = { ...DEFAULT_RETRY_POLICY, baseDelayMs: 1000, maxDelayMs: 60000, jitter: 0.2 };
+
+  mock.method(Math, 'random', () => 0);
+  assert.equal(getRetryDelay(policy, 2), 1600);
+
+  Math.random.mock.mockImplementation(() => 0.5);
+  assert.equal(getRetryDelay(policy, 2), 2000);
+
+  Math.random.mock.mockImplementation(() => 0.999999);
+  assert.equal(getRetryDelay(policy, 2), 2400);
+
+  // Jitter never pushes a capped delay past the cap
+  assert.equal(getRetryDelay({ ...policy, maxDelayMs: 2000 }, 2), 2000);
+});
+
+test('waits as long as Retry-After asks, in seconds or as an HTTP date', () => {
+  mock.timers.enable({ apis: ['Date'], now: Date.UTC(2026, 0, 1, 12, 0, 0) });
+  const policy = { ...DEFAULT_RETRY_POLICY, maxDelayMs: 60000 };
+
+  assert.equal(getRetryDelay(policy, 1, '7'), 7000);
+  assert.equal(getRetryDelay(policy, 1, 0), 0);
+  assert.equal(getRetryDelay(policy, 1, new Date(Date.now() + 30000).toUTCString()), 30000);
+
+  // Dates in the past mean retry now; very long waits are capped
+  assert.equal(getRetryDelay(policy, 1, new Date(Date.now() - 30000).toUTCString()), 0);
+  assert.equal(getRetryDelay(policy, 1, '3600'), 60000);
+
+  // An unreadable header falls back to the exponential delay
+  mock.method(Math, 'random', () => 0.5);
+  assert.equal(getRetryDelay(policy, 1, 'soon'), DEFAULT_RETRY_POLICY.baseDelayMs);
+});
+
+test('merges a model retry override over the defaults', () => {
+  const policy = resolveRetryPolicy({ key: 'custom', retry: { maxAttempts: 2, baseDelayMs: 50 } });
+
+  assert.equal(policy.maxAttempts, 2);
+  assert.equal(policy.baseDelayMs, 50);
+  assert.equal(policy.maxDelayMs, DEFAULT_RETRY_POLICY.maxDelayMs);
+  assert.deepEqual(policy.retryOnStatus, DEFAULT_RETRY_POLICY.retryOnStatus);
+
+  assert.deepEqual(resolveRetryPolicy(null), DEFAULT_RETRY_POLICY);
+  assert.deepEqual(resolveRetryPolicy({ key: 'plain' }), DEFAULT_RETRY_POLICY);
+});
+
+test('retries network errors, rate limits and server errors but not other client errors', () => {
+  const policy = resolveRetryPolicy(null);
+
+  for (const code of ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ESTREAMINCOMPLETE']) {
+    assert.equal(isRetryableError(policy, apiError({ code })), true, code);
+  }
+  for (const status of [408, 429, 500, 503]) {
+    assert.equal(isRetryableError(policy, apiError({ status })), true, String(status));
+  }
+  for (const status of [400, 401, 403, 404, 422]) {
+    assert.equal(isRetryableError(policy, apiError({ status })), false, String(status));
+  }
+
+  assert.equal(isRetryableError(policy, apiError({ code: 'ENOTFOUND' })), false);
+  assert.equal(isRetryableError(policy, new Error('Unexpected API response format')), false);
+});
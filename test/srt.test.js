@@ -0,0 +1,137 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, runFile } = require('./helpers');
+const { parseSrt, formatSrt, assembleSrt } = require('../utils/formats/srt');
+
+let ctx;
+
+before(async () => {
+  ctx = await startTestServer();
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+beforeEach(() => {
+  ctx.mock.reset();
+});
+
+/**
+ * Build an SRT file of consecutive two-second cues
+ * @param {number} count - Number of cues
+ * @returns {string} - SRT content
+ */
+function buildSrt(count) {
+  return formatSrt(Array.from({ length: count }, (_, i) => ({
+    start: i * 2000,
+    end: i * 2000 + 1500,
+    text: `Line number ${i + 1} of the talk.`
+  })));
+}
+
+test('renumbers the cues of each chunk into one subtitle file', async () => {
+  const input = buildSrt(12);
+
+  // Learn how the file is split, then answer each chunk the way a model would
+  await runFile(ctx.baseUrl, { name: 'talk.srt', content: input }, { model: 'mock-small', concurrency: 1 });
+  const chunkTexts = ctx.mock.requests.map(request => request.messages[1].content);
+  assert.ok(chunkTexts.length > 1);
+
+  ctx.mock.reset();
+  ctx.mock.enqueue(...chunkTexts.map(text => {
+    const cues = parseSrt(text).cues.map(cue => ({ ...cue, text: cue.text.toUpperCase() }));
+    return { type: 'reply', content: `Here are the subtitles:\n\n\`\`\`srt\n${formatSrt(cues)}\`\`\`` };
+  }));
+
+  const { result, output } = await runFile(ctx.baseUrl, { name: 'talk.srt', content: input }, { model: 'mock-small', concurrency: 1 });
+
+  assert.equal(result.success, true);
+  assert.equal(output, formatSrt(parseSrt(input).cues.map(cue => ({ ...cue, text: cue.text.toUpperCase() }))));
+  assert.doesNotMatch(output, /Next Chunk|```/);
+
+  // Commentary around the cues is dropped and reported
+  assert.equal(result.outputCheck.inputCues, 12);
+  assert.equal(result.outputCheck.outputCues, 12);
+  assert.equal(result.outputCheck.valid, false);
+  assert.deepEqual(result.outputCheck.issues, chunkTexts.map((text, i) =>
+    `Chunk ${i + 1}: Dropped text outside any cue: "Here are the subtitles:"`));
+});
+
+test('passes a whole subtitle file that matches its input', async () => {
+  const input = buildSrt(3);
+  ctx.mock.enqueue({ type: 'reply', content: input.replace(/^1\n/, '7\n').replace(/,500/g, '.5') });
+
+  const { result, output } = await runFile(ctx.baseUrl, { name: 'talk.srt', content: input });
+
+  assert.equal(output, input);
+  assert.deepEqual(result.outputCheck, {
+    format: 'srt',
+    valid: true,
+    inputCues: 3,
+    outputCues: 3,
+    issues: [],
+    omittedIssues: 0
+  });
+});
+
+test('reports missing cues and timestamps that go backwards', async () => {
+  const input = buildSrt(3);
+  ctx.mock.enqueue({
+    type: 'reply',
+    content: '1\n00:00:04,000 --> 00:00:05,500\nThird\n\n2\n00:00:02,000 --> 00:00:01,000\nSecond\n\n3\n00:00:0x,000 --> 00:00:06,000\nBroken'
+  });
+
+  const { result } = await runFile(ctx.baseUrl, { name: 'talk.srt', content: input });
+
+  assert.equal(result.success, true);
+  assert.equal(result.outputCheck.valid, false);
+  assert.deepEqual(result.outputCheck.issues, [
+    'Dropped a cue with an unreadable timestamp: "00:00:0x,000 --> 00:00:06,000"',
+    'Expected 3 cues, got 2',
+    'Cue 2 ends (00:00:01,000) before it starts (00:00:02,000)',
+    'Cue 2 starts at 00:00:02,000, before cue 1 (00:00:04,000)'
+  ]);
+});
+
+test('keeps the first copy of cues repeated by chunk overlap', () => {
+  const cue = (start, text) => `${start / 1000}\n00:00:0${start / 1000},000 --> 00:00:0${start / 1000},900\n${text}`;
+  const { text, issues } = assembleSrt([
+    [cue(1000, 'One'), cue(2000, 'Two')].join('\n\n'),
+    [cue(2000, 'Two again'), cue(3000, 'Three')].join('\n\n\n Next Chunk \n\n')
+  ]);
+
+  assert.deepEqual(issues, []);
+  assert.deepEqual(parseSrt(text).cues.map(entry => entry.text), ['One', 'Two', 'Three']);
+  assert.match(text, /^1\n[\s\S]*\n2\n[\s\S]*\n3\n/);
+});
+
+test('saves a response that has no cues as it is', async () => {
+  ctx.mock.enqueue({ type: 'reply', content: 'The talk covers three lines.' });
+
+  const { result, output } = await runFile(ctx.baseUrl, { name: 'talk.srt', content: buildSrt(3) }, { prompt: 'Summarize these subtitles' });
+
+  assert.equal(result.success, true);
+  assert.equal(output, 'The talk covers three lines.');
+  assert.equal(result.outputCheck, undefined);
+});
+
+test('fails a file whose output is empty', async () => {
+  ctx.mock.enqueue({ type: 'reply', content: '  \n' });
+
+  const { result } = await runFile(ctx.baseUrl, { name: 'talk.srt', content: buildSrt(3) });
+
+  assert.equal(result.success, false);
+  assert.match(result.error, /empty output/);
+});
+
+test('reassembles subtitles whatever the output is named', async () => {
+  const input = buildSrt(3);
+  ctx.mock.enqueue({ type: 'reply', content: input.replace(/^1\n/, '7\n') });
+
+  const { result, output } = await runFile(ctx.baseUrl, { name: 'talk.srt', content: input }, { outputName: '{{basename}}.txt' });
+
+  assert.equal(result.outputFile, 'talk.txt');
+  assert.equal(output, input);
+  assert.equal(result.outputCheck.valid, true);
+});
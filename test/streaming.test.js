@@ -0,0 +1,123 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startTestServer, submitFiles, waitForJob } = require('./helpers');
+
+let ctx;
+
+before(async () => {
+  ctx = await startTestServer();
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+beforeEach(() => {
+  ctx.mock.reset();
+});
+
+/**
+ * List the files in a job's output folder, leaving out the job manifest
+ * @param {object} job - Job
+ * @returns {string[]} - File names
+ */
+function listOutputs(job) {
+  return fs.readdirSync(path.join(ctx.dataDir, 'outputs', job.outputFolder))
+    .filter(file => !file.startsWith('.'));
+}
+
+test('streams the response and renames the partial file once complete', async () => {
+  const { body } = await submitFiles(ctx.baseUrl, [
+    { name: 'stream.txt', content: 'A streamed file with enough text to arrive in several pieces.' }
+  ], { stream: true });
+
+  const job = await waitForJob(ctx.baseUrl, body.jobId);
+  assert.equal(job.stream, true);
+  assert.equal(job.results[0].success, true);
+
+  assert.equal(ctx.mock.requests.length, 1);
+  assert.equal(ctx.mock.requests[0].stream, true);
+
+  const output = await (await fetch(`${ctx.baseUrl}${job.results[0].outputPath}`)).text();
+  assert.equal(output, `ECHO: ${ctx.mock.requests[0].messages[1].content}`);
+  assert.deepEqual(listOutputs(job), ['processed_stream.txt']);
+});
+
+test('keeps streamed chunks in order when they run in parallel', async () => {
+  const paragraphs = Array.from({ length: 6 }, (_, i) =>
+    `Paragraph ${i + 1}. ` + 'Streaming filler for the chunker. '.repeat(5));
+  const { body } = await submitFiles(ctx.baseUrl, [
+    { name: 'chunks.txt', content: paragraphs.join('\n\n') }
+  ], { model: 'mock-small', concurrency: 3, stream: true });
+
+  const job = await waitForJob(ctx.baseUrl, body.jobId);
+  assert.equal(job.results[0].success, true);
+
+  const chunkCount = ctx.mock.requests.length;
+  assert.ok(chunkCount > 1);
+
+  const output = await (await fetch(`${ctx.baseUrl}${job.results[0].outputPath}`)).text();
+  const parts = output.split('\n\n Next Chunk \n\n');
+  assert.equal(parts.length, chunkCount);
+  parts.forEach((part, i) => {
+    const request = ctx.mock.requests.find(entry =>
+      entry.messages[0].content.includes(`[This is chunk ${i + 1} of ${chunkCount}`));
+    assert.equal(part, `ECHO: ${request.messages[1].content}`);
+  });
+  assert.deepEqual(listOutputs(job), ['processed_chunks.txt']);
+});
+
+test('discards text from a dropped stream before retrying', async () => {
+  ctx.mock.enqueue({ type: 'truncated' });
+
+  const { body } = await submitFiles(ctx.baseUrl, [
+    { name: 'dropped.txt', content: 'This stream is cut off the first time it is sent.' }
+  ], { stream: true });
+
+  const job = await waitForJob(ctx.baseUrl, body.jobId);
+  const result = job.results[0];
+
+  assert.equal(result.success, true);
+  assert.equal(result.attempts.length, 2);
+  assert.equal(result.attempts[0].success, false);
+  assert.ok(['ECONNRESET', 'ESTREAMINCOMPLETE'].includes(result.attempts[0].code));
+
+  const output = await (await fetch(`${ctx.baseUrl}${result.outputPath}`)).text();
+  assert.equal(output, `ECHO: ${ctx.mock.requests[1].messages[1].content}`);
+});
+
+test('leaves the partial output on disk when the stream keeps failing', async () => {
+  ctx.mock.enqueue({ type: 'truncated' }, { type: 'truncated' }, { type: 'truncated' });
+
+  const { body } = await submitFiles(ctx.baseUrl, [
+    { name: 'failed.txt', content: 'This stream never completes, so only part of it is kept.' }
+  ], { stream: true });
+
+  const job = await waitForJob(ctx.baseUrl, body.jobId);
+  const result = job.results[0];
+
+  assert.equal(result.success, false);
+  assert.equal(result.partialFile, 'processed_failed.txt.partial');
+  assert.deepEqual(listOutputs(job), ['processed_failed.txt.partial']);
+
+  const partial = await (await fetch(`${ctx.baseUrl}${result.partialPath}`)).text();
+  const full = `ECHO: ${ctx.mock.requests[2].messages[1].content}`;
+  assert.ok(partial.length > 0 && partial.length < full.length);
+  assert.ok(full.startsWith(partial));
+
+  // Partial files are not offered as finished results
+  const zip = await fetch(`${ctx.baseUrl}/api/download-all/${job.outputFolder}`);
+  assert.equal(zip.status, 404);
+});
+
+test('does not stream unless asked to', async () => {
+  const { body } = await submitFiles(ctx.baseUrl, [
+    { name: 'plain.txt', content: 'No streaming here.' }
+  ]);
+
+  const job = await waitForJob(ctx.baseUrl, body.jobId);
+  assert.equal(job.results[0].success, true);
+  assert.equal(ctx.mock.requests[0].stream, false);
+});
@@ -0,0 +1,168 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, submitFiles, waitForJob, savePrompt, runFile } = require('./helpers');
+const { parseDialogue } = require('../utils/formats/dialogue');
+
+let ctx;
+
+// Saved prompt that sends only the dialogue of subtitles
+const DIALOGUE = { promptName: 'Dialogue' };
+
+before(async () => {
+  ctx = await startTestServer();
+
+  const { status } = await savePrompt(ctx.baseUrl, { name: 'Dialogue', text: 'Process this file', dialogueOnly: true });
+  assert.equal(status, 200);
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+beforeEach(() => {
+  ctx.mock.reset();
+});
+
+const VTT = [
+  'WEBVTT - Talk',
+  '',
+  'STYLE',
+  '::cue { color: yellow; }',
+  '',
+  'NOTE Speaker names are bold',
+  '',
+  'intro',
+  '00:00:01.000 --> 00:00:02.500 line:10% align:start',
+  '<b>Anna:</b> Welcome to the talk.',
+  '',
+  '00:00:03.000 --> 00:00:04.000',
+  'We start with the basics',
+  'and move on from there.',
+  ''
+].join('\n');
+
+const ASS = [
+  '[Script Info]',
+  'Title: Talk',
+  '',
+  '[V4+ Styles]',
+  'Format: Name, Fontname, Fontsize',
+  'Style: Default,Arial,20',
+  '',
+  '[Events]',
+  'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+  'Dialogue: 0,0:00:01.00,0:00:02.50,Default,,0,0,0,,{\\an8\\pos(320,50)}Welcome, everyone.',
+  'Comment: 0,0:00:02.00,0:00:03.00,Default,,0,0,0,,Not for translation',
+  'Dialogue: 0,0:00:03.00,0:00:04.00,Default,,0,0,0,,{\\p1}m 0 0 l 100 0 100 100',
+  'Dialogue: 0,0:00:05.00,0:00:06.00,Default,,0,0,0,,First line\\Nsecond line'
+].join('\r\n');
+
+test('sends only the dialogue of a WebVTT file and keeps its styles and timings', async () => {
+  ctx.mock.enqueue({
+    type: 'reply',
+    content: 'Sure:\n\n[1]\n<b>Anna:</b> Bienvenue.\n\n[2]\nNous commençons\npar les bases.'
+  });
+
+  const { result, output } = await runFile(ctx.baseUrl, { name: 'talk.vtt', content: VTT }, DIALOGUE);
+  const sent = ctx.mock.requests[0].messages;
+
+  assert.equal(sent[1].content, '[1]\n<b>Anna:</b> Welcome to the talk.\n\n[2]\nWe start with the basics\nand move on from there.');
+  assert.match(sent[0].content, /under its own \[number\] line/);
+  assert.doesNotMatch(sent[1].content, /-->|STYLE|WEBVTT/);
+
+  assert.equal(output, VTT
+    .replace('Welcome to the talk.', 'Bienvenue.')
+    .replace('We start with the basics\nand move on from there.', 'Nous commençons\npar les bases.'));
+  assert.deepEqual(result.outputCheck, {
+    format: 'vtt',
+    valid: false,
+    inputCues: 2,
+    outputCues: 2,
+    issues: ['Dropped text outside any cue: "Sure:"'],
+    omittedIssues: 0
+  });
+});
+
+test('keeps ASS override blocks, line breaks and line endings', async () => {
+  ctx.mock.enqueue({ type: 'reply', content: '[1]\nBienvenue, tout le monde.\n\n[2]\nPremière ligne\ndeuxième ligne' });
+
+  const { result, output } = await runFile(ctx.baseUrl, { name: 'talk.ass', content: ASS }, DIALOGUE);
+
+  assert.equal(ctx.mock.requests[0].messages[1].content, '[1]\nWelcome, everyone.\n\n[2]\nFirst line\nsecond line');
+  assert.equal(output, ASS
+    .replace('Welcome, everyone.', 'Bienvenue, tout le monde.')
+    .replace('First line\\Nsecond line', 'Première ligne\\Ndeuxième ligne'));
+  assert.equal(result.outputCheck.valid, true);
+});
+
+test('keeps the original text of SBV cues the model skipped', async () => {
+  const input = '0:00:01.000,0:00:02.000\nOne\n\n0:00:03.000,0:00:04.000\nTwo\n\n0:00:05.000,0:00:06.000\nThree\n';
+  ctx.mock.enqueue({ type: 'reply', content: '[1]\nUn\n\n[3]\nTrois\n\n[4]\nQuatre' });
+
+  const { result, output } = await runFile(ctx.baseUrl, { name: 'talk.sbv', content: input }, DIALOGUE);
+
+  assert.equal(result.success, true);
+  assert.equal(output, input.replace('One', 'Un').replace('Three', 'Trois'));
+  assert.equal(result.outputCheck.outputCues, 2);
+  assert.deepEqual(result.outputCheck.issues, [
+    'No answer for cues 2; kept their original text',
+    "Dropped answers for cues that don't exist: 4"
+  ]);
+});
+
+test('splits long dialogue between cues and puts every chunk back', async () => {
+  const cues = Array.from({ length: 12 }, (_, i) =>
+    `00:00:${String(i * 2).padStart(2, '0')}.000 --> 00:00:${String(i * 2 + 1).padStart(2, '0')}.000\nLine number ${i + 1} of the talk.`);
+  const input = `WEBVTT\n\n${cues.join('\n\n')}\n`;
+
+  // Learn how the dialogue is split, then answer each chunk in upper case
+  await runFile(ctx.baseUrl, { name: 'long.vtt', content: input }, { ...DIALOGUE, model: 'mock-small', concurrency: 1 });
+  const chunkTexts = ctx.mock.requests.map(request => request.messages[1].content);
+  assert.ok(chunkTexts.length > 1);
+  chunkTexts.forEach(text => assert.match(text, /^\[\d+\]\n/));
+
+  ctx.mock.reset();
+  ctx.mock.enqueue(...chunkTexts.map(text => ({ type: 'reply', content: text.toUpperCase() })));
+
+  const { result, output } = await runFile(ctx.baseUrl, { name: 'long.vtt', content: input }, { ...DIALOGUE, model: 'mock-small', concurrency: 1 });
+
+  assert.equal(result.outputCheck.valid, true);
+  assert.equal(output, input.replace(/Line number (\d+) of the talk\./g, (line) => line.toUpperCase()));
+});
+
+test('sends subtitle files whole unless the prompt asks for dialogue only', async () => {
+  ctx.mock.enqueue({ type: 'reply', content: '00:00:01 Welcome\n00:00:03 The basics' });
+
+  const { result, output } = await runFile(ctx.baseUrl, { name: 'talk.vtt', content: VTT }, { prompt: 'List the topics with their start time' });
+
+  assert.equal(ctx.mock.requests[0].messages[1].content, VTT);
+  assert.doesNotMatch(ctx.mock.requests[0].messages[0].content, /\[number\]/);
+  assert.equal(result.success, true);
+  assert.equal(output, '00:00:01 Welcome\n00:00:03 The basics');
+});
+
+test('saves a response without any cue as it is', async () => {
+  ctx.mock.enqueue({ type: 'reply', content: 'A short talk that welcomes everyone.' });
+
+  const { result, output } = await runFile(ctx.baseUrl, { name: 'talk.ass', content: ASS }, DIALOGUE);
+
+  assert.equal(result.success, true);
+  assert.equal(output, 'A short talk that welcomes everyone.');
+  assert.equal(result.outputCheck, undefined);
+});
+
+test('accepts subtitle uploads and rejects unsupported files', async () => {
+  const accepted = await submitFiles(ctx.baseUrl, [{ name: 'talk.ssa', content: ASS }]);
+  assert.equal(accepted.status, 202);
+  assert.equal((await waitForJob(ctx.baseUrl, accepted.body.jobId)).results[0].success, true);
+
+  const rejected = await submitFiles(ctx.baseUrl, [{ name: 'talk.doc', content: 'binary' }]);
+  assert.ok(rejected.status >= 400);
+});
+
+test('reads answers wrapped in code fences', () => {
+  const { texts, issues } = parseDialogue('```\n[1]\nHello\n\n[2]\n  Indented\nsecond line\n```');
+
+  assert.deepEqual([...texts], [[1, 'Hello'], [2, 'Indented\nsecond line']]);
+  assert.deepEqual(issues, []);
+});
@@ -0,0 +1,116 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, submitFiles, waitForJob } = require('./helpers');
+const { countTokens, getTokenizerName } = require('../utils/tokenizer');
+
+const CL100K = { key: 'mock-cl100k', tokenizer: 'cl100k_base' };
+const O200K = { key: 'mock-o200k', tokenizer: 'o200k_base' };
+
+// Subtitle text that takes far more tokens than 1 per 4 characters
+const CJK_SENTENCES = [
+  '字幕文件需要准确地翻译成其他语言。',
+  '每一行都必须保留原来的时间码。',
+  '请不要合并或者拆分任何一条字幕。',
+  '专有名词应该保持一致的译法。'
+];
+
+let ctx;
+
+before(async () => {
+  ctx = await startTestServer({
+    models: [{
+      name: 'Mock Tokenized Small',
+      key: 'mock-tokenized-small',
+      tier: 'Test',
+      provider: 'monica',
+      tokenizer: 'cl100k_base',
+      tokenLimit: 100, // 80-token chunks
+      inputCost: 1,
+      outputCost: 2,
+      rpm: 1000,
+      tpm: 10000000
+    }]
+  });
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+beforeEach(() => {
+  ctx.mock.reset();
+});
+
+/**
+ * Get the file or chunk text of a request sent to the mock API
+ * @param {object} request - Recorded request
+ * @returns {string} - Content of the user message
+ */
+function sentText(request) {
+  return request.messages[1].content;
+}
+
+test('counts tokens with the tokenizer named by the model', () => {
+  assert.equal(countTokens('hello world', CL100K), 2);
+  assert.equal(countTokens('hello world', O200K), 2);
+  assert.equal(countTokens('', CL100K), 0);
+
+  // Special tokens inside a file are just text
+  assert.ok(countTokens('<|endoftext|>', CL100K) > 1);
+
+  const cjk = CJK_SENTENCES.join(' ');
+  assert.ok(countTokens(cjk, CL100K) > Math.ceil(cjk.length / 4) * 2);
+});
+
+test('counts long runs without spaces quickly', () => {
+  // Load the encoders first
+  countTokens('warm up', CL100K);
+  countTokens('warm up', O200K);
+
+  // Encoding 20,000 unbroken characters as one piece takes close to a minute
+  const started = Date.now();
+  const run = countTokens('a'.repeat(20000), CL100K);
+  const spaces = countTokens(`${' '.repeat(20000)}end`, O200K);
+  assert.ok(Date.now() - started < 2000, `took ${Date.now() - started} ms`);
+
+  assert.equal(run, countTokens('a'.repeat(200), CL100K) * 100);
+  assert.ok(spaces > 1 && spaces < 20000);
+});
+
+test('falls back to 4 characters per token without a known tokenizer', () => {
+  const text = 'Twenty-two characters';
+
+  assert.equal(getTokenizerName({ key: 'plain' }), 'chars');
+  assert.equal(countTokens(text, { key: 'plain' }), Math.ceil(text.length / 4));
+  assert.equal(countTokens(text, null), Math.ceil(text.length / 4));
+
+  assert.equal(getTokenizerName({ key: 'odd', tokenizer: 'unheard_of' }), 'chars');
+  assert.equal(countTokens(text, { key: 'odd', tokenizer: 'unheard_of' }), Math.ceil(text.length / 4));
+});
+
+test('sizes chunks by tokens so dense text stays within the model budget', async () => {
+  const paragraphs = Array.from({ length: 6 }, (_, i) =>
+    `${i + 1}. ${CJK_SENTENCES[i % 4]} ${CJK_SENTENCES[(i + 1) % 4]}`);
+  const file = { name: 'subtitles.txt', content: paragraphs.join('\n\n') };
+
+  const { body: estimate } = await submitFiles(ctx.baseUrl, [file], {
+    model: 'mock-tokenized-small'
+  }, '/api/estimate');
+
+  const { body } = await submitFiles(ctx.baseUrl, [file], { model: 'mock-tokenized-small', bypassCache: 'true' });
+  const job = await waitForJob(ctx.baseUrl, body.jobId);
+  assert.equal(job.status, 'completed');
+
+  // 1 token per 4 characters would fit the whole file in one 320-character chunk
+  assert.ok(file.content.length <= 320);
+  assert.ok(ctx.mock.requests.length > 1);
+  ctx.mock.requests.forEach(request => {
+    assert.ok(countTokens(sentText(request), CL100K) <= 80);
+  });
+
+  // The estimate counts the same chunks and messages with the same tokenizer
+  assert.equal(estimate.files[0].tokenizer, 'cl100k_base');
+  assert.equal(estimate.files[0].chunks, ctx.mock.requests.length);
+  assert.equal(estimate.files[0].inputTokens, ctx.mock.requests.reduce((sum, request) => sum +
+    request.messages.reduce((count, message) => count + countTokens(message.content, CL100K), 0), 0));
+});
@@ -0,0 +1,266 @@
+/**
+ * Format-aware chunking for files that exceed a model's context budget.
+ *
+ * Chunks are always contiguous slices of the original content, so a chunk's
+ * `start`/`end` offsets can be used to map results back onto the source file.
+ */
+
+// Default overlap between consecutive chunks (in characters)
+const DEFAULT_OVERLAP_CHARS = (parseInt(process.env.CHUNK_OVERLAP_TOKENS) || 0) * 4;
+
+const SRT_CUE_SEPARATOR = /\r?\n[ \t]*\r?\n(?:[ \t]*\r?\n)*/g;
+const PARAGRAPH_SEPARATOR = /\r?\n[ \t]*\r?\n(?:[ \t]*\r?\n)*/g;
+const LINE_SEPARATOR = /\r?\n/g;
+const SENTENCE_END = /[.!?…。！？]+["'”’)\]]*(?:\s+|$)/g;
+const MARKDOWN_HEADING = /^#{1,6}[ \t]/gm;
+const MARKDOWN_FENCE = /^(```|~~~)/gm;
+
+// Formats made of blank-line separated cues: SRT files, and the numbered dialogue of other subtitle formats
+const CUE_FORMATS = ['srt', 'dialogue'];
+
+/**
+ * Find the [start, end) ranges of fenced code blocks in markdown content
+ * @param {string} content - Markdown content
+ * @returns {Array<number[]>} - Fenced ranges
+ */
+function findFencedRanges(content) {
+  const ranges = [];
+  let openAt = null;
+  let match;
+
+  MARKDOWN_FENCE.lastIndex = 0;
+  while ((match = MARKDOWN_FENCE.exec(content)) !== null) {
+    if (openAt === null) {
+      openAt = match.index;
+    } else {
+      ranges.push([openAt, match.index + match[0].length]);
+      openAt = null;
+    }
+  }
+
+  // An unclosed fence runs to the end of the file
+  if (openAt !== null) {
+    ranges.push([openAt, content.length]);
+  }
+
+  return ranges;
+}
+
+/**
+ * Split a range of content into contiguous sub-ranges at pattern matches
+ * @param {string} content - Full content
+ * @param {number} start - Range start offset
+ * @param {number} end - Range end offset
+ * @param {RegExp} pattern - Global pattern marking boundaries
+ * @param {object} options - { atMatchStart, excluded }
+ * @returns {Array<{start: number, end: number}>} - Sub-ranges covering [start, end)
+ */
+function splitAt(content, start, end, pattern, { atMatchStart = false, excluded = [] } = {}) {
+  const slice = content.slice(start, end);
+  const boundaries = [];
+  let match;
+
+  pattern.lastIndex = 0;
+  while ((match = pattern.exec(slice)) !== null) {
+    if (match[0].length === 0) {
+      pattern.lastIndex++;
+    }
+
+    const boundary = start + (atMatchStart ? match.index : match.index + match[0].length);
+    const insideFence = excluded.some(([s, e]) => boundary > s && boundary < e);
+
+    if (boundary > start && boundary < end && !insideFence) {
+      boundaries.push(boundary);
+    }
+  }
+
+  const ranges = [];
+  let cursor = start;
+  boundaries.forEach(boundary => {
+    if (boundary > cursor) {
+      ranges.push({ start: cursor, end: boundary });
+      cursor = boundary;
+    }
+  });
+  ranges.push({ start: cursor, end });
+
+  return ranges;
+}
+
+/**
+ * Split a range into pieces of at most maxChars, preferring whitespace
+ * @param {string} content - Full content
+ * @param {number} start - Range start offset
+ * @param {number} end - Range end offset
+ * @param {number} maxChars - Maximum characters per piece
+ * @returns {Array<{start: number, end: number}>} - Sub-ranges covering [start, end)
+ */
+function hardSplit(content, start, end, maxChars) {
+  const ranges = [];
+  let cursor = start;
+
+  while (end - cursor > maxChars) {
+    let cut = cursor + maxChars;
+    const window = content.slice(cursor, cut);
+    const lastSpace = Math.max(window.lastIndexOf(' '), window.lastIndexOf('\n'));
+
+    // Only break at whitespace if it doesn't leave a tiny piece
+    if (lastSpace > maxChars / 2) {
+      cut = cursor + lastSpace + 1;
+    }
+
+    ranges.push({ start: cursor, end: cut });
+    cursor = cut;
+  }
+  ranges.push({ start: cursor, end });
+
+  return ranges;
+}
+
+/**
+ * Get the ordered list of splitters for a format, from coarsest to finest
+ * @param {string} format - 'srt', 'dialogue', 'markdown' or 'text'
+ * @param {string} content - Full content
+ * @returns {Function[]} - Splitters taking (start, end) and returning ranges
+ */
+function getSplitters(format, content) {
+  if (CUE_FORMATS.includes(format)) {
+    return [
+      (start, end) => splitAt(content, start, end, SRT_CUE_SEPARATOR),
+      (start, end) => splitAt(content, start, end, LINE_SEPARATOR)
+    ];
+  }
+
+  if (format === 'markdown') {
+    const fenced = findFencedRanges(content);
+    return [
+      (start, end) => splitAt(content, start, end, MARKDOWN_HEADING, { atMatchStart: true, excluded: fenced }),
+      (start, end) => splitAt(content, start, end, PARAGRAPH_SEPARATOR, { excluded: fenced }),
+      (start, end) => splitAt(content, start, end, SENTENCE_END),
+      (start, end) => splitAt(content, start, end, LINE_SEPARATOR)
+    ];
+  }
+
+  return [
+    (start, end) => splitAt(content, start, end, PARAGRAPH_SEPARATOR),
+    (start, end) => splitAt(content, start, end, SENTENCE_END),
+    (start, end) => splitAt(content, start, end, LINE_SEPARATOR)
+  ];
+}
+
+/**
+ * Break content into units no larger than maxChars, using the coarsest
+ * splitter that fits and falling back to finer ones for oversized pieces
+ * @param {string} content - Full content
+ * @param {Function[]} splitters - Splitters from getSplitters()
+ * @param {number} maxChars - Maximum characters per unit
+ * @param {string} format - 'srt', 'dialogue', 'markdown' or 'text'
+ * @returns {Array<{start: number, end: number, cue?: number}>} - Units in order
+ */
+function buildUnits(content, splitters, maxChars, format) {
+  const refine = (range, level) => {
+    if (range.end - range.start <= maxChars) return [range];
+
+    if (level >= splitters.length) {
+      return hardSplit(content, range.start, range.end, maxChars)
+        .map(piece => ({ ...piece, cue: range.cue }));
+    }
+
+    const pieces = splitters[level](range.start, range.end);
+    if (pieces.length === 1) return refine(range, level + 1);
+
+    return pieces.flatMap(piece => refine({ ...piece, cue: range.cue }, level + 1));
+  };
+
+  const topLevel = splitters[0](0, content.length);
+
+  // Cues are numbered by position so chunks can report cue ranges
+  if (CUE_FORMATS.includes(format)) {
+    let cueNumber = 0;
+    topLevel.forEach(range => {
+      if (content.slice(range.start, range.end).trim()) {
+        cueNumber++;
+      }
+      range.cue = Math.max(cueNumber, 1);
+    });
+  }
+
+  return topLevel.flatMap(range => refine(range, 1));
+}
+
+/**
+ * Split file content into chunks that respect the structure of its format
+ * @param {string} content - Content of the file
+ * @param {object} options - Chunking options
+ * @param {string} options.format - 'srt', 'dialogue', 'markdown' or 'text' (other formats chunk as text)
+ * @param {number} options.maxChars - Maximum characters per chunk
+ * @param {number} options.overlapChars - Characters of preceding content to repeat at the start of each chunk
+ * @returns {Array<object>} - Chunks with text and offset metadata
+ */
+function chunkContent(content, { format = 'text', maxChars, overlapChars = DEFAULT_OVERLAP_CHARS } = {}) {
+  if (!content) return [];
+
+  if (!maxChars || maxChars <= 0) {
+    throw new Error('chunkContent requires a positive maxChars');
+  }
+
+  // Overlap may never crowd out new content
+  const overlapLimit = Math.min(Math.max(0, overlapChars || 0), Math.floor(maxChars / 2));
+
+  const units = buildUnits(content, getSplitters(format, content), maxChars, format);
+  const unitLength = unit => unit.end - unit.start;
+
+  const chunks = [];
+  let next = 0; // First unit not yet included in any chunk
+  let first = 0; // First unit of the chunk being built (may be overlap)
+
+  while (next < units.length) {
+    let last = next;
+    let length = units.slice(first, next).reduce((sum, unit) => sum + unitLength(unit), 0);
+
+    // Overlap gives way to the first new unit, so the chunk stays within maxChars
+    while (first < next && length + unitLength(units[next]) > maxChars) {
+      length -= unitLength(units[first]);
+      first++;
+    }
+
+    // Always take at least one new unit, then pack as many as fit
+    length += unitLength(units[last]);
+    while (last + 1 < units.length && length + unitLength(units[last + 1]) <= maxChars) {
+      last++;
+      length += unitLength(units[last]);
+    }
+
+    const chunk = {
+      index: chunks.length,
+      start: units[first].start,
+      end: units[last].end,
+      contentStart: units[next].start
+    };
+    chunk.text = content.slice(chunk.start, chunk.end);
+
+    if (CUE_FORMATS.includes(format)) {
+      chunk.cueStart = units[first].cue;
+      chunk.cueEnd = units[last].cue;
+    }
+
+    chunks.push(chunk);
+
+    // Walk back from the end of this chunk to find the overlap for the next one
+    next = last + 1;
+    first = next;
+    let overlap = 0;
+    while (first > 0) {
+      const candidate = units[first - 1];
+      if (candidate.start < chunk.contentStart || overlap + unitLength(candidate) > overlapLimit) break;
+      overlap += unitLength(candidate);
+      first--;
+    }
+  }
+
+  return chunks;
+}
+
+module.exports = {
+  chunkContent
+};
@@ -1,6 +1,7 @@
 const fs = require('fs').promises;
 const path = require('path');
 const { logInfo, logError } = require('./logger');
+const { pruneResponseCache } = require('./responseCache');
 const { paths } = require('../config/paths');
 
 /**
@@ -71,6 +72,7 @@ async function cleanup(
 ) {
   const uploadsDir = paths.uploads;
   const outputsDir = paths.outputs;
+  const jobsDir = paths.jobs;
 
   logInfo('Starting cleanup...');
 
@@ -81,10 +83,20 @@ async function cleanup(
     const deletedOutputs = await cleanupOldFiles(outputsDir, outputsMaxAgeHours);
     logInfo(`Cleaned up ${deletedOutputs} files from outputs directory`);
 
+    // Job records are kept as long as the outputs they point to
+    const deletedJobs = await cleanupOldFiles(jobsDir, outputsMaxAgeHours);
+    logInfo(`Cleaned up ${deletedJobs} job records`);
+
+    // Expired responses (and any over the size cap) leave the response cache
+    const deletedCacheEntries = await pruneResponseCache();
+    logInfo(`Cleaned up ${deletedCacheEntries} response cache entries`);
+
     logInfo('Cleanup completed successfully');
     return {
       uploadsDeleted: deletedUploads,
-      outputsDeleted: deletedOutputs
+      outputsDeleted: deletedOutputs,
+      jobsDeleted: deletedJobs,
+      cacheEntriesDeleted: deletedCacheEntries
     };
   } catch (error) {
     logError(`Cleanup failed: ${error.message}`);
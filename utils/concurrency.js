@@ -0,0 +1,54 @@
+/**
+ * Bounded-concurrency helpers
+ */
+
+// Hard cap so a single request can't open an unbounded number of API calls
+const MAX_CONCURRENCY = 10;
+
+/**
+ * Resolve a concurrency setting, falling back to PROCESSING_CONCURRENCY
+ * @param {number|string} value - Requested concurrency (optional)
+ * @returns {number} - Concurrency between 1 and MAX_CONCURRENCY
+ */
+function resolveConcurrency(value) {
+  const requested = parseInt(value) || parseInt(process.env.PROCESSING_CONCURRENCY) || 2;
+  return Math.min(Math.max(requested, 1), MAX_CONCURRENCY);
+}
+
+/**
+ * Run an async worker over items with at most `limit` running at once.
+ * Once a worker throws, no further items are started; the promise rejects with
+ * the first error after the items already running have finished.
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of workers running at the same time
+ * @param {Function} worker - Async function called with (item, index)
+ * @returns {Promise<Array>} - Worker results in the same order as the items
+ */
+async function runWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  let failure = null;
+
+  const runNext = async () => {
+    while (!failure && nextIndex < items.length) {
+      const index = nextIndex++;
+      try {
+        results[index] = await worker(items[index], index);
+      } catch (error) {
+        failure = failure || { error };
+      }
+    }
+  };
+
+  const workerCount = Math.min(Math.max(limit, 1), items.length);
+  await Promise.all(Array.from({ length: workerCount }, runNext));
+
+  if (failure) throw failure.error;
+  return results;
+}
+
+module.exports = {
+  MAX_CONCURRENCY,
+  resolveConcurrency,
+  runWithConcurrency
+};
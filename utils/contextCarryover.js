@@ -0,0 +1,123 @@
+/**
+ * Context carried over between the chunks of a large file, so names, terminology
+ * and style stay consistent across chunk borders.
+ *
+ * Modes:
+ *   none    - Chunks are independent (the default)
+ *   tail    - The end of the previous chunk's output is passed to the next chunk
+ *   summary - The model keeps a rolling summary of the chunks so far, passed to the next chunk
+ *
+ * The context gets its own share of the chunk's token budget (CONTEXT_CARRYOVER_TOKENS,
+ * capped at a fifth of it), so chunks are sized smaller to leave room for it.
+ * Carrying context makes each chunk wait for the previous one, so chunks run one at a time.
+ */
+
+const { countTokens } = require('./tokenizer');
+
+const CONTEXT_MODES = ['none', 'tail', 'summary'];
+const DEFAULT_CONTEXT_TOKENS = 1000;
+const MAX_CONTEXT_SHARE = 0.2;
+
+const CONTEXT_HEADINGS = {
+  tail: '[Your output for the previous chunk ended with]',
+  summary: '[Summary of the previous chunks]'
+};
+
+/**
+ * Validate a context mode
+ * @param {string} mode - Requested mode (empty for none)
+ * @returns {string} - 'none', 'tail' or 'summary'
+ */
+function resolveContextMode(mode) {
+  if (!mode) return 'none';
+  if (!CONTEXT_MODES.includes(mode)) {
+    const error = new Error(`Invalid contextMode: ${mode} (expected one of: ${CONTEXT_MODES.join(', ')})`);
+    error.status = 400;
+    throw error;
+  }
+  return mode;
+}
+
+/**
+ * Get the tokens set aside for carried-over context in each chunk
+ * @param {number} maxTokensPerChunk - Chunk budget of the model
+ * @returns {number} - Context budget in tokens
+ */
+function getContextBudget(maxTokensPerChunk) {
+  const configured = parseInt(process.env.CONTEXT_CARRYOVER_TOKENS) || DEFAULT_CONTEXT_TOKENS;
+  return Math.max(1, Math.min(configured, Math.floor(maxTokensPerChunk * MAX_CONTEXT_SHARE)));
+}
+
+/**
+ * Keep the end of a text that fits in a token budget, starting at a word boundary
+ * @param {string} text - Text to trim
+ * @param {number} maxTokens - Token budget
+ * @param {object|null} modelInfo - Model entry whose tokenizer counts the text
+ * @returns {string} - Tail of the text
+ */
+function takeTail(text, maxTokens, modelInfo) {
+  const trimmed = text.trim();
+  if (countTokens(trimmed, modelInfo) <= maxTokens) return trimmed;
+
+  // Find the earliest start whose tail still fits
+  let low = 0;
+  let high = trimmed.length;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    if (countTokens(trimmed.slice(middle), modelInfo) <= maxTokens) {
+      high = middle;
+    } else {
+      low = middle + 1;
+    }
+  }
+
+  const tail = trimmed.slice(low);
+  const wordStart = tail.search(/\s/);
+  return wordStart >= 0 && wordStart < tail.length / 2 ? tail.slice(wordStart).trim() : tail;
+}
+
+/**
+ * Build the prompt asking the model to update the rolling summary
+ * @param {number} maxTokens - Size the summary must fit in
+ * @returns {string} - Summary prompt
+ */
+function buildSummaryPrompt(maxTokens) {
+  const words = Math.max(20, Math.floor(maxTokens * 0.6));
+  return 'You keep running notes that let the next part of a long document be processed consistently. ' +
+    'Update the notes with the output below: keep names, terminology, style decisions and where the text left off. ' +
+    `Reply with the updated notes only, in at most ${words} words.`;
+}
+
+/**
+ * Build the text sent to update the rolling summary
+ * @param {string} summary - Summary so far (empty for the first chunk)
+ * @param {string} output - Output of the chunk just processed
+ * @returns {string} - Summary request content
+ */
+function buildSummaryInput(summary, output) {
+  return summary
+    ? `Notes so far:\n${summary}\n\nNew output:\n${output}`
+    : `Output:\n${output}`;
+}
+
+/**
+ * Add carried-over context to a chunk's prompt
+ * @param {string} prompt - Rendered chunk prompt
+ * @param {string} context - Carried-over context (empty for the first chunk)
+ * @param {string} mode - 'tail' or 'summary'
+ * @returns {string} - Prompt with the context appended
+ */
+function appendContext(prompt, context, mode) {
+  if (!context) return prompt;
+  return `${prompt}\n\n${CONTEXT_HEADINGS[mode]}\n${context}`;
+}
+
+module.exports = {
+  CONTEXT_MODES,
+  resolveContextMode,
+  getContextBudget,
+  takeTail,
+  buildSummaryPrompt,
+  buildSummaryInput,
+  appendContext
+};
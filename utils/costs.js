@@ -0,0 +1,59 @@
+/**
+ * Token usage and dollar cost bookkeeping.
+ *
+ * `inputCost`/`outputCost` in models.json are dollars per million tokens.
+ * Costs are null when the model has no pricing, so unknown prices never show up as $0.
+ */
+
+/**
+ * Round a dollar amount to a millionth of a dollar
+ * @param {number} amount - Dollar amount
+ * @returns {number} - Rounded amount
+ */
+function roundCost(amount) {
+  return Math.round(amount * 1e6) / 1e6;
+}
+
+/**
+ * Calculate the cost of a request
+ * @param {object|null} modelInfo - Model entry from models.json
+ * @param {number} inputTokens - Input (prompt) tokens
+ * @param {number} outputTokens - Output (completion) tokens
+ * @returns {number|null} - Cost in dollars, or null if the model has no pricing
+ */
+function calculateCost(modelInfo, inputTokens, outputTokens) {
+  if (!modelInfo || typeof modelInfo.inputCost !== 'number' || typeof modelInfo.outputCost !== 'number') {
+    return null;
+  }
+  return roundCost((inputTokens * modelInfo.inputCost + outputTokens * modelInfo.outputCost) / 1e6);
+}
+
+/**
+ * Create an empty usage record
+ * @returns {object} - { inputTokens, outputTokens, cost }
+ */
+function createUsage() {
+  return { inputTokens: 0, outputTokens: 0, cost: 0 };
+}
+
+/**
+ * Add usage to a running total
+ * @param {object} total - Usage record to add to (modified in place)
+ * @param {object} usage - { inputTokens, outputTokens, cost, estimated }
+ * @returns {object} - The updated total
+ */
+function addUsage(total, usage) {
+  total.inputTokens += usage.inputTokens || 0;
+  total.outputTokens += usage.outputTokens || 0;
+  total.cost = total.cost === null || usage.cost === null ? null : roundCost(total.cost + (usage.cost || 0));
+
+  // Providers that don't report usage leave us with an estimate
+  if (usage.estimated) total.estimated = true;
+  return total;
+}
+
+module.exports = {
+  calculateCost,
+  createUsage,
+  addUsage
+};
@@ -0,0 +1,89 @@
+/**
+ * Advanced SubStation Alpha (ASS) and SubStation Alpha (SSA) subtitles.
+ *
+ * Script info, styles and every other line are kept as they are. Of a Dialogue
+ * line only the Text field is sent, without its leading override blocks such as
+ * {\an8} or {\pos(320,50)}, which are put back when the file is written. Hard
+ * line breaks (\N) are sent as newlines.
+ */
+
+const DIALOGUE_LINE = /^Dialogue:[ \t]*/;
+const LEADING_OVERRIDES = /^(?:\{[^}]*\})*/;
+const DRAWING_MODE = /\\p[1-9]/;
+
+// Fields of a Dialogue line when the [Events] section has no Format line
+const DEFAULT_FIELD_COUNT = 10;
+
+/**
+ * Split the fields of a Dialogue line, the last of which (Text) may contain commas
+ * @param {string} line - Dialogue line
+ * @param {number} fieldCount - Number of fields in the Format line
+ * @returns {object|null} - { prefix, text }, or null if the line has too few fields
+ */
+function splitDialogue(line, fieldCount) {
+  let position = line.match(DIALOGUE_LINE)[0].length;
+  for (let field = 1; field < fieldCount; field++) {
+    const comma = line.indexOf(',', position);
+    if (comma === -1) return null;
+    position = comma + 1;
+  }
+  return { prefix: line.slice(0, position), text: line.slice(position) };
+}
+
+/**
+ * Parse ASS/SSA content
+ * @param {string} content - File content (newlines normalized to \n)
+ * @returns {object} - { lines, cues } where cues are the Dialogue lines with text to send
+ */
+function parse(content) {
+  const lines = content.split('\n');
+  const cues = [];
+  let section = '';
+  let fieldCount = DEFAULT_FIELD_COUNT;
+
+  lines.forEach((line, lineIndex) => {
+    const trimmed = line.trim();
+    if (/^\[.*\]$/.test(trimmed)) {
+      section = trimmed.toLowerCase();
+      return;
+    }
+    if (section !== '[events]') return;
+
+    if (/^Format:/i.test(trimmed)) {
+      fieldCount = trimmed.slice('Format:'.length).split(',').length;
+      return;
+    }
+    if (!DIALOGUE_LINE.test(line)) return;
+
+    const fields = splitDialogue(line, fieldCount);
+    if (!fields) return;
+
+    // Override blocks that position or style the whole line stay out of the text
+    const overrides = fields.text.match(LEADING_OVERRIDES)[0];
+    const text = fields.text.slice(overrides.length).replace(/\\N/g, '\n').trim();
+    if (!text || DRAWING_MODE.test(overrides)) return;
+
+    cues.push({ lineIndex, prefix: fields.prefix + overrides, text });
+  });
+
+  return { lines, cues };
+}
+
+/**
+ * Write ASS/SSA content with new dialogue text
+ * @param {object} document - Result of parse()
+ * @param {Array<string>} texts - Text of each cue, in cue order
+ * @returns {string} - File content
+ */
+function write(document, texts) {
+  const lines = [...document.lines];
+  document.cues.forEach((cue, i) => {
+    lines[cue.lineIndex] = cue.prefix + texts[i].replace(/\n/g, '\\N');
+  });
+  return lines.join('\n');
+}
+
+module.exports = {
+  parse,
+  write
+};
@@ -0,0 +1,161 @@
+/**
+ * Dialogue text exchanged with the model for VTT, ASS/SSA and SBV subtitles,
+ * for saved prompts that set "dialogueOnly": true in prompts.json.
+ *
+ * Only the text of each cue is sent, under a numbered marker:
+ *   [1]
+ *   First cue
+ *
+ *   [2]
+ *   Second cue, which may span
+ *   several lines
+ * The model answers with the same markers, and each answer replaces the text of
+ * its cue in the original file. Timings, styles and positioning never leave it.
+ */
+
+const { IGNORED_LINE } = require('./srt');
+const { createOutputCheck } = require('./outputCheck');
+
+const CUE_MARKER = /^\[(\d+)\][ \t]*$/;
+
+const DIALOGUE_INSTRUCTIONS = 'The file content is subtitle dialogue. Each cue starts with its number in brackets, like [12]. ' +
+  'Reply with every cue under its own [number] line, in the same order, and nothing else.';
+
+/**
+ * Validate the dialogueOnly setting of a saved prompt
+ * @param {boolean} value - Setting (optional)
+ * @returns {boolean} - True only when set to true
+ */
+function validateDialogueOnly(value) {
+  if (value !== undefined && value !== null && typeof value !== 'boolean') {
+    const error = new Error('dialogueOnly must be true or false');
+    error.status = 400;
+    throw error;
+  }
+  return value === true;
+}
+
+/**
+ * Build the dialogue text sent for a subtitle file
+ * @param {Array<object>} cues - Cues with text
+ * @returns {string} - Numbered dialogue
+ */
+function buildDialogue(cues) {
+  return cues.map((cue, i) => `[${i + 1}]\n${cue.text.replace(/\n[ \t]*\n/g, '\n')}`).join('\n\n');
+}
+
+/**
+ * Read the cue texts of a response
+ * @param {string} response - Model response
+ * @returns {object} - { texts: Map of cue number to text, issues }
+ */
+function parseDialogue(response) {
+  const texts = new Map();
+  const issues = [];
+  const stray = [];
+  let current = null;
+
+  (response || '').replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+    const marker = line.trim().match(CUE_MARKER);
+    if (marker) {
+      current = parseInt(marker[1]);
+      if (!texts.has(current)) texts.set(current, []);
+      return;
+    }
+    if (IGNORED_LINE.test(line.trim())) return;
+
+    if (current === null) {
+      if (line.trim()) stray.push(line);
+    } else {
+      texts.get(current).push(line);
+    }
+  });
+
+  if (stray.length > 0) {
+    const first = stray[0].trim();
+    issues.push(`Dropped text outside any cue: ${JSON.stringify(first.length > 40 ? `${first.slice(0, 40)}…` : first)}`);
+  }
+
+  return {
+    texts: new Map([...texts].map(([number, lines]) => [number, lines.join('\n').trim()])),
+    issues
+  };
+}
+
+/**
+ * Write cue numbers as ranges
+ * @param {Array<number>} numbers - Ascending cue numbers
+ * @returns {string} - e.g. "3, 7-9"
+ */
+function formatNumbers(numbers) {
+  const ranges = [];
+  numbers.forEach(number => {
+    const last = ranges[ranges.length - 1];
+    if (last && number === last[1] + 1) {
+      last[1] = number;
+    } else {
+      ranges.push([number, number]);
+    }
+  });
+  return ranges.map(([from, to]) => (from === to ? `${from}` : `${from}-${to}`)).join(', ');
+}
+
+/**
+ * Put the answered dialogue back into a subtitle file
+ * @param {string} format - Subtitle format ('vtt', 'ass' or 'sbv')
+ * @param {object} handler - Format module ({ write })
+ * @param {object} document - Parsed file
+ * @param {Array<string>} responses - Chunk responses, in chunk order
+ * @returns {object|null} - { text, check } where check lists cues left unanswered,
+ *   or null when no response answers any cue
+ */
+function assembleDialogue(format, handler, document, responses) {
+  const answers = new Map();
+  const issues = [];
+
+  responses.forEach((response, i) => {
+    const where = responses.length > 1 ? `Chunk ${i + 1}: ` : '';
+    const parsed = parseDialogue(response);
+    parsed.issues.forEach(issue => issues.push(where + issue));
+    if (parsed.texts.size === 0) {
+      issues.push(`${where}No cues in the response`);
+    }
+
+    // Cues repeated by chunk overlap keep their first answer
+    parsed.texts.forEach((text, number) => {
+      if (!answers.has(number)) answers.set(number, text);
+    });
+  });
+
+  if (answers.size === 0) return null;
+
+  const cueCount = document.cues.length;
+  const missing = [];
+  const texts = document.cues.map((cue, i) => {
+    const answer = answers.get(i + 1);
+    if (answer) return answer;
+    missing.push(i + 1);
+    return cue.text;
+  });
+
+  const unknown = [...answers.keys()].filter(number => number < 1 || number > cueCount).sort((a, b) => a - b);
+  if (missing.length > 0) {
+    issues.push(`No answer for cues ${formatNumbers(missing)}; kept their original text`);
+  }
+  if (unknown.length > 0) {
+    issues.push(`Dropped answers for cues that don't exist: ${formatNumbers(unknown)}`);
+  }
+
+  return {
+    text: handler.write(document, texts),
+    check: createOutputCheck(format, cueCount, cueCount - missing.length, issues)
+  };
+}
+
+module.exports = {
+  DIALOGUE_INSTRUCTIONS,
+  validateDialogueOnly,
+  buildDialogue,
+  parseDialogue,
+  assembleDialogue
+};
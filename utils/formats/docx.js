@@ -0,0 +1,72 @@
+/**
+ * Text extraction from Word (DOCX) files, with mammoth (no native dependencies).
+ *
+ * The document's headings become markdown headings (# Title, ## Section, ...)
+ * that mark its sections, so the text is chunked at section boundaries. Lists
+ * keep a "- " bullet and table rows keep their cells apart with " | ".
+ */
+
+const mammoth = require('mammoth');
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'", nbsp: ' ' };
+
+/**
+ * Create the error of a DOCX file whose text can't be extracted
+ * @param {string} message - Error message
+ * @returns {Error} - Error with status 400
+ */
+function unreadable(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Turn the HTML produced by mammoth into plain text with section markers
+ * @param {string} html - Document HTML
+ * @returns {string} - Text
+ */
+function htmlToText(html) {
+  return html
+    .replace(/<h([1-6])[^>]*>/g, (tag, level) => `\n\n${'#'.repeat(parseInt(level))} `)
+    .replace(/<\/h[1-6]>/g, '\n\n')
+    // Paragraphs inside list items and table cells don't break them up
+    .replace(/<(li|td|th)\b[^>]*>[\s\S]*?<\/\1>/g, item => item.replace(/<\/p>\s*<p>/g, ' ').replace(/<\/?p>/g, ''))
+    .replace(/<li[^>]*>/g, '\n- ')
+    .replace(/<\/t[dh]>\s*(?=<t[dh])/g, ' | ')
+    .replace(/<\/tr>/g, '\n')
+    .replace(/<\/(p|ul|ol|table)>/g, '\n\n')
+    .replace(/<br\s*\/?>/g, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (entity, name) => ENTITIES[name])
+    .split('\n')
+    .map(line => line.trimEnd())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Extract the text of a DOCX file
+ * @param {Buffer} buffer - File content
+ * @returns {Promise<object>} - { text, sections }
+ */
+async function extractText(buffer) {
+  let html;
+  try {
+    ({ value: html } = await mammoth.convertToHtml({ buffer }, { ignoreEmptyParagraphs: true }));
+  } catch (error) {
+    throw unreadable(`Could not read the DOCX file: ${error.message}`);
+  }
+
+  const text = htmlToText(html);
+  if (!text) {
+    throw unreadable('No text found in the DOCX file');
+  }
+
+  return { text: text + '\n', sections: (text.match(/^#{1,6} /gm) || []).length };
+}
+
+module.exports = {
+  extractText
+};
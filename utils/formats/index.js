@@ -0,0 +1,163 @@
+/**
+ * File formats the app accepts, what is sent to the model for each, and how
+ * the responses are turned back into an output file.
+ *
+ *   text, markdown - Sent as they are; chunk responses are joined
+ *   srt            - Sent as they are; chunk responses that are subtitles are reassembled and checked (see ./srt)
+ *   vtt, ass, sbv  - Sent as they are, or with the dialogueOnly prompt setting only their dialogue is sent
+ *                    and put back into the original file (see ./dialogue)
+ *   pdf, docx      - Their text is extracted first (see ./pdf and ./docx) and sent as text and markdown
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { assembleSrt, checkSrt } = require('./srt');
+const { DIALOGUE_INSTRUCTIONS, buildDialogue, assembleDialogue } = require('./dialogue');
+
+const EXTENSION_FORMATS = {
+  '.txt': 'text',
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.srt': 'srt',
+  '.vtt': 'vtt',
+  '.ass': 'ass',
+  '.ssa': 'ass',
+  '.sbv': 'sbv',
+  '.pdf': 'pdf',
+  '.docx': 'docx'
+};
+
+// Extensions of the files that can be uploaded or processed from a server folder
+const SUPPORTED_EXTENSIONS = Object.keys(EXTENSION_FORMATS);
+
+const DIALOGUE_FORMATS = {
+  vtt: require('./vtt'),
+  ass: require('./ass'),
+  sbv: require('./sbv')
+};
+
+// Binary formats whose text is extracted, and the format the extracted text is chunked as
+const EXTRACTED_FORMATS = {
+  pdf: { extractor: require('./pdf'), chunkFormat: 'text' },
+  docx: { extractor: require('./docx'), chunkFormat: 'markdown' }
+};
+
+/**
+ * Detect the format of a file from its name
+ * @param {string} filename - File name or path
+ * @returns {string} - 'text', 'markdown', 'srt', 'vtt', 'ass', 'sbv', 'pdf' or 'docx'
+ */
+function detectFormat(filename) {
+  return EXTENSION_FORMATS[path.extname(filename || '').toLowerCase()] || 'text';
+}
+
+/**
+ * Whether a file name has a supported extension
+ * @param {string} filename - File name or path
+ * @returns {boolean} - True if the file can be processed
+ */
+function isSupportedFile(filename) {
+  return SUPPORTED_EXTENSIONS.includes(path.extname(filename || '').toLowerCase());
+}
+
+/**
+ * Whether the text of a file is extracted before it is sent
+ * @param {string} filename - File name or path
+ * @returns {boolean} - True for PDF and DOCX files
+ */
+function isExtractedFile(filename) {
+  return !!EXTRACTED_FORMATS[detectFormat(filename)];
+}
+
+/**
+ * Name of a text file derived from an input file; extracted formats get a .txt extension
+ * @param {string} filename - Input file name
+ * @param {object} options - { json } to name a JSON file instead
+ * @returns {string} - e.g. 'notes.md' for 'notes.md', 'report.pdf.txt' for 'report.pdf', 'notes.md.json' for JSON
+ */
+function getTextFilename(filename, { json = false } = {}) {
+  if (json) return `${filename}.json`;
+  return isExtractedFile(filename) ? `${filename}.txt` : filename;
+}
+
+/**
+ * Read the content of an input file as text
+ * @param {string} inputPath - File path
+ * @returns {Promise<object>} - { format, fileContent, extracted } where extracted describes
+ *   the extraction of a PDF ({ pages, emptyPages }) or DOCX ({ sections }) file, or is null
+ */
+async function readInput(inputPath) {
+  const format = detectFormat(inputPath);
+  const extracted = EXTRACTED_FORMATS[format];
+  if (!extracted) {
+    return { format, fileContent: await fs.readFile(inputPath, 'utf8'), extracted: null };
+  }
+
+  const { text, ...details } = await extracted.extractor.extractText(await fs.readFile(inputPath));
+  return { format, fileContent: text, extracted: details };
+}
+
+/**
+ * Prepare a file for the model
+ * @param {string} format - Format from detectFormat
+ * @param {string} fileContent - File content (the extracted text of PDF and DOCX files)
+ * @param {object} options - { dialogueOnly } to send only the dialogue of VTT, ASS and SBV subtitles
+ * @returns {object} - { content, chunkFormat, instructions, assemble } where content is sent to the model,
+ *   chunked as chunkFormat, with instructions added to the prompt (or null), and assemble(responses)
+ *   returns the output { text, check }, or null when the responses aren't subtitles and are saved as they are
+ *   (assemble is null for formats whose responses are joined)
+ */
+function prepareInput(format, fileContent, { dialogueOnly = false } = {}) {
+  if (format === 'srt') {
+    return {
+      content: fileContent,
+      chunkFormat: 'srt',
+      instructions: null,
+      assemble: (responses) => {
+        const assembled = assembleSrt(responses);
+        // A prompt can answer with something other than subtitles, like a summary or a list of topics
+        if (assembled.cues.length === 0) return null;
+        return { text: assembled.text, check: checkSrt(assembled.text, fileContent, assembled.issues) };
+      }
+    };
+  }
+
+  // Subtitles sent whole keep their timings, which prompts like finding topics need,
+  // and are chunked between cues like SRT files
+  const handler = dialogueOnly ? DIALOGUE_FORMATS[format] : null;
+  if (!handler) {
+    let chunkFormat = format;
+    if (EXTRACTED_FORMATS[format]) chunkFormat = EXTRACTED_FORMATS[format].chunkFormat;
+    else if (DIALOGUE_FORMATS[format]) chunkFormat = 'srt';
+    return { content: fileContent, chunkFormat, instructions: null, assemble: null };
+  }
+
+  // Dialogue formats are parsed with \n line endings and written back with the file's own
+  const bom = fileContent.startsWith('\uFEFF') ? '\uFEFF' : '';
+  const crlf = fileContent.includes('\r\n');
+  const document = handler.parse(fileContent.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n'));
+  if (document.cues.length === 0) {
+    throw new Error(`No dialogue found in the ${format.toUpperCase()} file`);
+  }
+
+  return {
+    content: buildDialogue(document.cues),
+    chunkFormat: 'dialogue',
+    instructions: DIALOGUE_INSTRUCTIONS,
+    assemble: (responses) => {
+      const assembled = assembleDialogue(format, handler, document, responses);
+      if (!assembled) return null;
+      return { ...assembled, text: bom + (crlf ? assembled.text.replace(/\n/g, '\r\n') : assembled.text) };
+    }
+  };
+}
+
+module.exports = {
+  SUPPORTED_EXTENSIONS,
+  detectFormat,
+  isSupportedFile,
+  isExtractedFile,
+  getTextFilename,
+  readInput,
+  prepareInput
+};
@@ -0,0 +1,31 @@
+/**
+ * Result of checking a subtitle output against its input, reported with the file's result.
+ * JSON output (see utils/jsonOutput) is reported the same way, counting chunk results
+ * instead of cues.
+ */
+
+// Issues listed per file; the rest are only counted
+const MAX_REPORTED_ISSUES = 20;
+
+/**
+ * Build the check reported for an output
+ * @param {string} format - Subtitle format, or 'json'
+ * @param {number} inputCues - Cues in the input file (chunk results for JSON)
+ * @param {number} outputCues - Cues in the output (chunk results merged for JSON)
+ * @param {Array<string>} issues - Problems found
+ * @returns {object} - { format, valid, inputCues, outputCues, issues, omittedIssues }
+ */
+function createOutputCheck(format, inputCues, outputCues, issues) {
+  return {
+    format,
+    valid: issues.length === 0,
+    inputCues,
+    outputCues,
+    issues: issues.slice(0, MAX_REPORTED_ISSUES),
+    omittedIssues: Math.max(0, issues.length - MAX_REPORTED_ISSUES)
+  };
+}
+
+module.exports = {
+  createOutputCheck
+};
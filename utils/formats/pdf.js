@@ -0,0 +1,102 @@
+/**
+ * Text extraction from PDF files, with pdf.js (no native dependencies).
+ *
+ * Each page starts with a [Page N] marker so the model, and whoever reads the
+ * extracted text, can tell where a passage came from. Pages without any text
+ * (scanned images) keep their marker and are reported as empty.
+ */
+
+const path = require('path');
+
+const PDFJS_DIR = path.dirname(require.resolve('pdfjs-dist/package.json'));
+
+// pdf.js is an ES module; it is loaded on first use
+let pdfjsLoading = null;
+
+/**
+ * Load pdf.js
+ * @returns {Promise<object>} - pdf.js module
+ */
+function loadPdfjs() {
+  if (!pdfjsLoading) {
+    pdfjsLoading = import('pdfjs-dist/legacy/build/pdf.mjs');
+  }
+  return pdfjsLoading;
+}
+
+/**
+ * Create the error of a PDF whose text can't be extracted
+ * @param {string} message - Error message
+ * @returns {Error} - Error with status 400
+ */
+function unreadable(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Join the text items of a page into lines
+ * @param {Array<object>} items - Items of page.getTextContent()
+ * @returns {string} - Page text
+ */
+function joinItems(items) {
+  return items
+    .map(item => item.str + (item.hasEOL ? '\n' : ''))
+    .join('')
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Extract the text of a PDF file
+ * @param {Buffer} buffer - File content
+ * @returns {Promise<object>} - { text, pages, emptyPages }
+ */
+async function extractText(buffer) {
+  const pdfjs = await loadPdfjs();
+  const loadingTask = pdfjs.getDocument({
+    data: new Uint8Array(buffer),
+    cMapUrl: path.join(PDFJS_DIR, 'cmaps') + path.sep,
+    cMapPacked: true,
+    standardFontDataUrl: path.join(PDFJS_DIR, 'standard_fonts') + path.sep,
+    isEvalSupported: false,
+    verbosity: pdfjs.VerbosityLevel.ERRORS
+  });
+
+  let document;
+  try {
+    document = await loadingTask.promise;
+  } catch (error) {
+    const reason = error.name === 'PasswordException' ? 'it is password protected' : error.message;
+    throw unreadable(`Could not read the PDF: ${reason}`);
+  }
+
+  try {
+    const pages = [];
+    const emptyPages = [];
+    for (let number = 1; number <= document.numPages; number++) {
+      const page = await document.getPage(number);
+      const text = joinItems((await page.getTextContent()).items);
+      page.cleanup();
+
+      if (!text) emptyPages.push(number);
+      pages.push(`[Page ${number}]\n${text}`);
+    }
+
+    if (emptyPages.length === document.numPages) {
+      throw unreadable('No text found in the PDF; scanned pages need OCR first');
+    }
+
+    return { text: pages.join('\n\n') + '\n', pages: document.numPages, emptyPages };
+  } finally {
+    await loadingTask.destroy();
+  }
+}
+
+module.exports = {
+  extractText
+};
@@ -0,0 +1,45 @@
+/**
+ * SubViewer (SBV) subtitles, as exported by YouTube.
+ *
+ * Each cue is a `start,end` timing line followed by its text. Timing lines are kept
+ * as they are and only the text is replaced when the file is written back.
+ */
+
+const BLOCK_SEPARATOR = /\n[ \t]*\n(?:[ \t]*\n)*/;
+const TIMING_LINE = /^\d+:\d{2}:\d{2}\.\d{1,3},\d+:\d{2}:\d{2}\.\d{1,3}$/;
+
+/**
+ * Parse SBV content
+ * @param {string} content - File content (newlines normalized to \n)
+ * @returns {object} - { blocks, cues } where cues are the blocks with text to send
+ */
+function parse(content) {
+  const blocks = content.split(BLOCK_SEPARATOR).filter(block => block.trim()).map(block => {
+    const [timing, ...lines] = block.split('\n');
+    const text = lines.join('\n').trim();
+
+    if (!TIMING_LINE.test(timing.trim()) || !text) return { raw: block };
+    return { head: [timing], text };
+  });
+
+  return { blocks, cues: blocks.filter(block => block.raw === undefined) };
+}
+
+/**
+ * Write SBV content with new cue text
+ * @param {object} document - Result of parse()
+ * @param {Array<string>} texts - Text of each cue, in cue order
+ * @returns {string} - File content
+ */
+function write(document, texts) {
+  let cue = 0;
+  return document.blocks.map(block => {
+    if (block.raw !== undefined) return block.raw;
+    return [...block.head, texts[cue++]].join('\n');
+  }).join('\n\n') + '\n';
+}
+
+module.exports = {
+  parse,
+  write
+};
@@ -0,0 +1,171 @@
+/**
+ * SRT subtitles: parsing, assembling chunk responses into one file, and checking the result.
+ *
+ * Models answering for a chunk of an SRT file number their cues from 1, and may wrap
+ * them in code fences or add a line of commentary. The assembler keeps only the cues,
+ * drops cues repeated by chunk overlap and numbers the rest in order. The check then
+ * compares the output with the input file, so a broken subtitle is reported rather than
+ * written silently.
+ */
+
+const { createOutputCheck } = require('./outputCheck');
+
+const TIMESTAMP_LINE = /^(\d{1,2}):(\d{2}):(\d{2})[,.](\d{1,3})[ \t]*-->[ \t]*(\d{1,2}):(\d{2}):(\d{2})[,.](\d{1,3})(.*)$/;
+const CUE_NUMBER = /^\d+$/;
+const BLOCK_SEPARATOR = /\n[ \t]*\n(?:[ \t]*\n)*/;
+
+// Lines that wrap a model's answer rather than belong to it
+const IGNORED_LINE = /^(```|~~~)\w*$|^Next Chunk$/;
+
+/**
+ * Convert the parts of a timestamp to milliseconds
+ * @param {Array<string>} parts - Hours, minutes, seconds and fraction
+ * @returns {number} - Milliseconds
+ */
+function toMilliseconds([hours, minutes, seconds, fraction]) {
+  return ((parseInt(hours) * 60 + parseInt(minutes)) * 60 + parseInt(seconds)) * 1000 +
+    parseInt(fraction.padEnd(3, '0'));
+}
+
+/**
+ * Format milliseconds as an SRT timestamp
+ * @param {number} ms - Milliseconds
+ * @returns {string} - HH:MM:SS,mmm
+ */
+function formatTimestamp(ms) {
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  const hours = Math.floor(ms / 3600000);
+  const minutes = Math.floor(ms / 60000) % 60;
+  const seconds = Math.floor(ms / 1000) % 60;
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)},${pad(ms % 1000, 3)}`;
+}
+
+/**
+ * Shorten a line for an issue message
+ * @param {string} text - Text to quote
+ * @returns {string} - Quoted text
+ */
+function quote(text) {
+  const line = text.trim().split('\n')[0];
+  return JSON.stringify(line.length > 40 ? `${line.slice(0, 40)}…` : line);
+}
+
+/**
+ * Parse SRT content. Cue numbers are ignored, since cues are numbered by position.
+ * @param {string} content - SRT content
+ * @returns {object} - { cues: [{ start, end, settings, text }], issues: [string] }
+ */
+function parseSrt(content) {
+  const cues = [];
+  const issues = [];
+  const normalized = (content || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+
+  normalized.split(BLOCK_SEPARATOR).forEach(block => {
+    const lines = block.split('\n').filter(line => !IGNORED_LINE.test(line.trim()));
+    if (lines.every(line => !line.trim())) return;
+
+    const timingAt = lines.findIndex(line => line.includes('-->'));
+    if (timingAt === -1) {
+      issues.push(`Dropped text outside any cue: ${quote(lines.join('\n'))}`);
+      return;
+    }
+
+    const timing = lines[timingAt].trim().match(TIMESTAMP_LINE);
+    if (!timing) {
+      issues.push(`Dropped a cue with an unreadable timestamp: ${quote(lines[timingAt])}`);
+      return;
+    }
+
+    const before = lines.slice(0, timingAt).filter(line => line.trim() && !CUE_NUMBER.test(line.trim()));
+    if (before.length > 0) {
+      issues.push(`Dropped text outside any cue: ${quote(before.join('\n'))}`);
+    }
+
+    cues.push({
+      start: toMilliseconds(timing.slice(1, 5)),
+      end: toMilliseconds(timing.slice(5, 9)),
+      settings: timing[9].trim(),
+      text: lines.slice(timingAt + 1).join('\n').trim()
+    });
+  });
+
+  return { cues, issues };
+}
+
+/**
+ * Write cues as SRT, numbered from 1
+ * @param {Array<object>} cues - Cues from parseSrt
+ * @returns {string} - SRT content
+ */
+function formatSrt(cues) {
+  return cues.map((cue, i) => {
+    const settings = cue.settings ? ` ${cue.settings}` : '';
+    return `${i + 1}\n${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}${settings}\n${cue.text}\n`;
+  }).join('\n');
+}
+
+/**
+ * Assemble the responses for the chunks of an SRT file into one subtitle file
+ * @param {Array<string>} responses - Chunk responses, in chunk order
+ * @returns {object} - { text, cues, issues } (issues name the chunk they were found in)
+ */
+function assembleSrt(responses) {
+  const cues = [];
+  const issues = [];
+  const seen = new Set();
+
+  responses.forEach((response, i) => {
+    const parsed = parseSrt(response);
+    const where = responses.length > 1 ? `Chunk ${i + 1}: ` : '';
+    parsed.issues.forEach(issue => issues.push(where + issue));
+    if (parsed.cues.length === 0) {
+      issues.push(`${where}No cues in the response`);
+    }
+
+    // Cues repeated by chunk overlap keep their first translation
+    const timings = parsed.cues.map(cue => `${cue.start}-${cue.end}`);
+    parsed.cues.forEach((cue, j) => {
+      if (!seen.has(timings[j])) cues.push(cue);
+    });
+    timings.forEach(timing => seen.add(timing));
+  });
+
+  return { text: formatSrt(cues), cues, issues };
+}
+
+/**
+ * Check an SRT output against its input: the cue count must match and timestamps may not go backwards
+ * @param {string} output - SRT output
+ * @param {string} input - SRT input file content
+ * @param {Array<string>} assemblyIssues - Issues found while assembling the output (optional)
+ * @returns {object} - { format, valid, inputCues, outputCues, issues, omittedIssues }
+ */
+function checkSrt(output, input, assemblyIssues = []) {
+  const inputCues = parseSrt(input).cues.length;
+  const { cues } = parseSrt(output);
+  const issues = [...assemblyIssues];
+
+  if (cues.length !== inputCues) {
+    issues.push(`Expected ${inputCues} cues, got ${cues.length}`);
+  }
+
+  cues.forEach((cue, i) => {
+    if (cue.end < cue.start) {
+      issues.push(`Cue ${i + 1} ends (${formatTimestamp(cue.end)}) before it starts (${formatTimestamp(cue.start)})`);
+    }
+    if (i > 0 && cue.start < cues[i - 1].start) {
+      issues.push(`Cue ${i + 1} starts at ${formatTimestamp(cue.start)}, before cue ${i} (${formatTimestamp(cues[i - 1].start)})`);
+    }
+  });
+
+  return createOutputCheck('srt', inputCues, cues.length, issues);
+}
+
+module.exports = {
+  IGNORED_LINE,
+  parseSrt,
+  formatSrt,
+  formatTimestamp,
+  assembleSrt,
+  checkSrt
+};
@@ -0,0 +1,52 @@
+/**
+ * WebVTT subtitles.
+ *
+ * The header and the NOTE, STYLE and REGION blocks are kept as they are, and so
+ * are each cue's identifier and timing line with its position settings. Only the
+ * cue text is replaced when the file is written back.
+ */
+
+const BLOCK_SEPARATOR = /\n[ \t]*\n(?:[ \t]*\n)*/;
+
+/**
+ * Parse WebVTT content
+ * @param {string} content - File content (newlines normalized to \n)
+ * @returns {object} - { blocks, cues } where cues are the blocks with text to send
+ */
+function parse(content) {
+  const blocks = content.split(BLOCK_SEPARATOR).filter(block => block.trim()).map(block => {
+    const lines = block.split('\n');
+    const timingAt = lines.findIndex(line => line.includes('-->'));
+
+    // The header, comments, styles, regions and cues without text stay untouched
+    if (/^(WEBVTT|NOTE|STYLE|REGION)\b/.test(lines[0]) || timingAt === -1 || timingAt > 1) {
+      return { raw: block };
+    }
+
+    const text = lines.slice(timingAt + 1).join('\n').trim();
+    if (!text) return { raw: block };
+
+    return { head: lines.slice(0, timingAt + 1), text };
+  });
+
+  return { blocks, cues: blocks.filter(block => block.raw === undefined) };
+}
+
+/**
+ * Write WebVTT content with new cue text
+ * @param {object} document - Result of parse()
+ * @param {Array<string>} texts - Text of each cue, in cue order
+ * @returns {string} - File content
+ */
+function write(document, texts) {
+  let cue = 0;
+  return document.blocks.map(block => {
+    if (block.raw !== undefined) return block.raw;
+    return [...block.head, texts[cue++]].join('\n');
+  }).join('\n\n') + '\n';
+}
+
+module.exports = {
+  parse,
+  write
+};
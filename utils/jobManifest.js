@@ -0,0 +1,142 @@
+/**
+ * Job manifest kept in a job's output folder so an interrupted batch can resume.
+ *
+ * `.manifest.json` records, for every input file (keyed by its stored name, so
+ * uploads with the same name stay apart), the hash of its content, the hash of
+ * the prompt, the model and whether its output was written. Responses of
+ * finished chunks are kept under `.chunks/<output file>/` until the whole file
+ * completes, so a resumed file only sends the chunks that are still missing.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const MANIFEST_FILE = '.manifest.json';
+const CHUNKS_DIR = '.chunks';
+
+// In-flight manifest writes, keyed by output folder
+const pendingWrites = new Map();
+
+/**
+ * Hash content for change detection
+ * @param {...string} parts - Content to hash
+ * @returns {string} - SHA-256 hex digest
+ */
+function hashContent(...parts) {
+  const hash = crypto.createHash('sha256');
+  parts.forEach(part => hash.update(String(part ?? '')).update('\0'));
+  return hash.digest('hex');
+}
+
+/**
+ * Load the manifest of an output folder
+ * @param {string} outputDir - Output folder path
+ * @returns {Promise<object|null>} - Manifest, or null if there is none
+ */
+async function loadManifest(outputDir) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(outputDir, MANIFEST_FILE), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Write the manifest of an output folder, serializing writes for the same folder
+ * @param {string} outputDir - Output folder path
+ * @param {object} manifest - Manifest to write
+ */
+async function saveManifest(outputDir, manifest) {
+  const manifestPath = path.join(outputDir, MANIFEST_FILE);
+  const write = async () => {
+    manifest.updatedAt = Date.now();
+    await fs.writeFile(`${manifestPath}.tmp`, JSON.stringify(manifest, null, 2), 'utf8');
+    await fs.rename(`${manifestPath}.tmp`, manifestPath);
+  };
+
+  const previous = pendingWrites.get(outputDir) || Promise.resolve();
+  const current = previous.catch(() => {}).then(write);
+  pendingWrites.set(outputDir, current);
+
+  try {
+    await current;
+  } finally {
+    if (pendingWrites.get(outputDir) === current) {
+      pendingWrites.delete(outputDir);
+    }
+  }
+}
+
+/**
+ * Create the store for finished chunk responses of one output file
+ * @param {string} outputDir - Output folder path
+ * @param {string} outputFile - Output file name
+ * @returns {object} - Chunk cache used by processFile
+ */
+function createChunkCache(outputDir, outputFile) {
+  const dir = path.join(outputDir, CHUNKS_DIR, outputFile);
+  const stats = { reused: 0, completed: 0, failed: 0 };
+
+  // Chunks are matched by position and content, so a re-chunked file never reuses a stale response
+  const chunkPath = chunk => path.join(dir, `${chunk.index}-${hashContent(chunk.text).slice(0, 16)}.txt`);
+
+  return {
+    stats,
+
+    /**
+     * Get the saved response of a chunk
+     * @param {object} chunk - Chunk from chunkContent()
+     * @returns {Promise<string|null>} - Saved response, or null
+     */
+    async get(chunk) {
+      try {
+        const response = await fs.readFile(chunkPath(chunk), 'utf8');
+        stats.reused++;
+        return response;
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    /**
+     * Save the response of a finished chunk
+     * @param {object} chunk - Chunk from chunkContent()
+     * @param {string} response - Model response
+     */
+    async set(chunk, response) {
+      const target = chunkPath(chunk);
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(`${target}.tmp`, response, 'utf8');
+      await fs.rename(`${target}.tmp`, target);
+      stats.completed++;
+    },
+
+    /**
+     * Note that a chunk could not be processed
+     */
+    fail() {
+      stats.failed++;
+    },
+
+    /**
+     * Remove all saved chunk responses of the file
+     */
+    async clear() {
+      await fs.rm(dir, { recursive: true, force: true });
+      // Drop the chunks folder with the last file that used it
+      await fs.rmdir(path.dirname(dir)).catch(() => {});
+    }
+  };
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  CHUNKS_DIR,
+  hashContent,
+  loadManifest,
+  saveManifest,
+  createChunkCache
+};
@@ -0,0 +1,232 @@
+/**
+ * Structured JSON output for prompts with an output schema.
+ *
+ * A saved prompt in prompts.json may set "outputSchema" to a JSON schema. Every
+ * request made for it then asks for JSON matching the schema, and a response that
+ * doesn't parse or validate is sent back with the problems found, up to
+ * JSON_OUTPUT_RETRIES times (default 2). The chunk results of a large file are
+ * merged into one value: arrays are concatenated and objects merged key by key,
+ * the first value winning for anything else.
+ */
+
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { createOutputCheck } = require('./formats/outputCheck');
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+addFormats(ajv);
+
+// Compiled validators, keyed by the schema's JSON
+const validators = new Map();
+
+// Validation errors listed when the model is asked to fix its response
+const MAX_LISTED_ERRORS = 10;
+
+/**
+ * Get the number of times an invalid response is sent back to the model
+ * @returns {number} - Retries per request
+ */
+function getJsonRetries() {
+  const retries = parseInt(process.env.JSON_OUTPUT_RETRIES);
+  return Number.isInteger(retries) && retries >= 0 ? retries : 2;
+}
+
+/**
+ * Compile a JSON schema
+ * @param {object} schema - JSON schema
+ * @returns {Function} - Ajv validate function
+ */
+function compileSchema(schema) {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    const error = new Error('outputSchema must be a JSON schema object');
+    error.status = 400;
+    throw error;
+  }
+
+  const key = JSON.stringify(schema);
+  if (!validators.has(key)) {
+    try {
+      validators.set(key, ajv.compile(schema));
+    } catch (compileError) {
+      const error = new Error(`outputSchema is not a valid JSON schema: ${compileError.message}`);
+      error.status = 400;
+      throw error;
+    }
+  }
+  return validators.get(key);
+}
+
+/**
+ * Validate the output schema of a saved prompt
+ * @param {object} schema - JSON schema (optional)
+ * @returns {object|null} - The schema, or null when unset
+ */
+function validateOutputSchema(schema) {
+  if (!schema) return null;
+  compileSchema(schema);
+  return schema;
+}
+
+/**
+ * Whether a schema only accepts objects, so the provider's JSON object mode can be used
+ * @param {object} schema - JSON schema
+ * @returns {boolean} - True if the top level is an object
+ */
+function expectsObject(schema) {
+  return schema.type === 'object';
+}
+
+/**
+ * Add the output schema to a prompt
+ * @param {string} prompt - Prompt text
+ * @param {object} schema - JSON schema
+ * @returns {string} - Prompt asking for JSON that matches the schema
+ */
+function appendSchemaInstructions(prompt, schema) {
+  return `${prompt}\n\nReply with JSON only, without any other text, that matches this JSON schema:\n` +
+    `${JSON.stringify(schema, null, 2)}`;
+}
+
+/**
+ * Read the JSON value of a response, which may be wrapped in a code fence or a sentence
+ * @param {string} text - Response text
+ * @returns {*} - Parsed value
+ */
+function parseJson(text) {
+  const trimmed = (text || '').trim();
+  const fenced = trimmed.match(/^```[\w-]*\n([\s\S]*?)\n?```$/);
+  const candidate = fenced ? fenced[1] : trimmed;
+
+  try {
+    return JSON.parse(candidate);
+  } catch (error) {
+    // Text around the JSON value is left out
+    const start = candidate.search(/[[{]/);
+    const end = Math.max(candidate.lastIndexOf('}'), candidate.lastIndexOf(']'));
+    if (start !== -1 && end > start) {
+      try {
+        return JSON.parse(candidate.slice(start, end + 1));
+      } catch (innerError) {
+        // The error of the whole text is the one reported
+      }
+    }
+    throw new Error(`Response is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Describe the errors of an Ajv validation
+ * @param {Array<object>} errors - validate.errors
+ * @returns {Array<string>} - e.g. "/chapters/0/start_time must be integer"
+ */
+function describeErrors(errors) {
+  return (errors || []).map(error => {
+    const detail = error.keyword === 'additionalProperties' ? ` (${error.params.additionalProperty})` : '';
+    return `${error.instancePath || '(root)'} ${error.message}${detail}`;
+  });
+}
+
+/**
+ * Parse a response and validate it against a schema
+ * @param {string} text - Response text
+ * @param {object} schema - JSON schema
+ * @returns {object} - { value, errors } where errors is empty when the response is valid
+ */
+function checkJson(text, schema) {
+  let value;
+  try {
+    value = parseJson(text);
+  } catch (error) {
+    return { value: undefined, errors: [error.message] };
+  }
+
+  const validate = compileSchema(schema);
+  return { value, errors: validate(value) ? [] : describeErrors(validate.errors) };
+}
+
+/**
+ * Build the message that sends an invalid response back to the model
+ * @param {Array<string>} errors - Problems found in the response
+ * @returns {string} - Message content
+ */
+function buildRetryMessage(errors) {
+  const listed = errors.slice(0, MAX_LISTED_ERRORS).map(error => `- ${error}`);
+  if (errors.length > MAX_LISTED_ERRORS) {
+    listed.push(`- and ${errors.length - MAX_LISTED_ERRORS} more`);
+  }
+  return `Your reply does not match the JSON schema:\n${listed.join('\n')}\n\nReply again with the corrected JSON only.`;
+}
+
+/**
+ * Merge two JSON values of consecutive chunks
+ * @param {*} first - Value so far
+ * @param {*} next - Value of the next chunk
+ * @returns {*} - Merged value
+ */
+function mergeValues(first, next) {
+  if (first === undefined || first === null) return next;
+  if (Array.isArray(first) && Array.isArray(next)) return first.concat(next);
+
+  const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+  if (isObject(first) && isObject(next)) {
+    const merged = { ...first };
+    Object.entries(next).forEach(([key, value]) => {
+      merged[key] = key in merged ? mergeValues(merged[key], value) : value;
+    });
+    return merged;
+  }
+
+  return first;
+}
+
+/**
+ * Merge the chunk responses of a file into one JSON output and check it against the schema
+ * @param {Array<string>} responses - Chunk responses, in chunk order
+ * @param {object} schema - JSON schema
+ * @returns {object} - { text, check } where check reports the chunk results that were left out
+ *   and whether the merged value still matches the schema
+ */
+function assembleJson(responses, schema) {
+  const issues = [];
+  let merged;
+  let mergedCount = 0;
+
+  responses.forEach((response, i) => {
+    const where = responses.length > 1 ? `Chunk ${i + 1}: ` : '';
+    let value;
+    try {
+      value = parseJson(response);
+    } catch (error) {
+      // Failed chunks hold an error message instead of JSON
+      issues.push(`${where}Left out: ${error.message}`);
+      return;
+    }
+    merged = mergeValues(merged, value);
+    mergedCount++;
+  });
+
+  if (merged !== undefined) {
+    const validate = compileSchema(schema);
+    if (!validate(merged)) {
+      describeErrors(validate.errors).forEach(error => issues.push(`Merged output: ${error}`));
+    }
+  }
+
+  return {
+    text: `${JSON.stringify(merged === undefined ? null : merged, null, 2)}\n`,
+    check: createOutputCheck('json', responses.length, mergedCount, issues)
+  };
+}
+
+module.exports = {
+  getJsonRetries,
+  compileSchema,
+  validateOutputSchema,
+  expectsObject,
+  appendSchemaInstructions,
+  parseJson,
+  checkJson,
+  buildRetryMessage,
+  mergeValues,
+  assembleJson
+};
@@ -0,0 +1,127 @@
+/**
+ * Map-reduce strategy for files too large to send whole.
+ *
+ * By default the responses of a large file's chunks are concatenated. A saved prompt
+ * with "strategy": "map-reduce" instead treats its text as the map prompt, run on
+ * every chunk, and combines the chunk results with its "reducePrompt". Results that
+ * don't fit in one reduce request are reduced in batches, and the batch results
+ * reduced again, until a single result is left. Each level must leave fewer
+ * results than it started with; results too large to pair up fail before their
+ * requests are sent.
+ */
+
+const STRATEGIES = ['concatenate', 'map-reduce'];
+const DEFAULT_STRATEGY = 'concatenate';
+
+const DEFAULT_REDUCE_PROMPT = 'The text below holds results produced separately for consecutive parts of one document. ' +
+  'Combine them into a single result for the whole document, in the same format, merging repeated points ' +
+  'and keeping the original order.';
+
+/**
+ * Validate the strategy settings of a saved prompt
+ * @param {object} entry - Prompt entry ({ strategy, reducePrompt })
+ * @returns {object} - { strategy, reducePrompt } where reducePrompt is null unless the strategy is map-reduce
+ */
+function validateStrategySettings(entry = {}) {
+  const strategy = entry.strategy || DEFAULT_STRATEGY;
+  if (!STRATEGIES.includes(strategy)) {
+    const error = new Error(`strategy must be one of: ${STRATEGIES.join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+  if (entry.reducePrompt !== undefined && entry.reducePrompt !== null && typeof entry.reducePrompt !== 'string') {
+    const error = new Error('reducePrompt must be text');
+    error.status = 400;
+    throw error;
+  }
+
+  return {
+    strategy,
+    reducePrompt: strategy === 'map-reduce' ? (entry.reducePrompt || '').trim() || null : null
+  };
+}
+
+/**
+ * Format results for a reduce request
+ * @param {Array<string>} results - Results to combine, in document order
+ * @param {number} offset - Position of the first result among all results of this level
+ * @param {number} total - Number of results at this level (defaults to the results given)
+ * @returns {string} - Reduce request content
+ */
+function buildReduceContent(results, offset = 0, total = results.length) {
+  return results
+    .map((result, i) => `[Part ${offset + i + 1} of ${total}]\n${result.trim()}`)
+    .join('\n\n');
+}
+
+/**
+ * Group consecutive results into batches that fit in one reduce request each
+ * @param {Array<number>} sizes - Token count of each formatted result
+ * @param {number} maxTokens - Tokens a batch may take
+ * @returns {Array<Array<number>>} - Result indexes of each batch (a result too large alone gets its own batch)
+ */
+function groupForReduce(sizes, maxTokens) {
+  const batches = [];
+  let batch = [];
+  let batchTokens = 0;
+
+  sizes.forEach((size, i) => {
+    if (batch.length > 0 && batchTokens + size > maxTokens) {
+      batches.push(batch);
+      batch = [];
+      batchTokens = 0;
+    }
+    batch.push(i);
+    batchTokens += size;
+  });
+  if (batch.length > 0) batches.push(batch);
+
+  return batches;
+}
+
+/**
+ * Check that a level of reduce requests leaves fewer results than it started with
+ * @param {number} level - Reduce level (1-based)
+ * @param {number} resultCount - Results to combine at this level
+ * @param {number} batchCount - Reduce requests planned for them
+ * @throws {Error} - When every result needs a request of its own, so reducing would never end
+ */
+function checkReduceLevel(level, resultCount, batchCount) {
+  if (batchCount === 1 || batchCount < resultCount) return;
+  throw new Error(`Reduce level ${level} can't combine its ${resultCount} results, as each takes a whole request; ` +
+    'ask for shorter chunk results or use a model with a larger token limit');
+}
+
+/**
+ * Plan the reduce requests for results of known sizes, for estimates.
+ * Each reduce output is assumed to take half the tokens of its input, and results too large
+ * to pair up are counted as one last request, as the real results may well be shorter.
+ * @param {Array<number>} sizes - Token count of each chunk result
+ * @param {number} maxTokens - Tokens a batch may take
+ * @returns {Array<Array<number>>} - Input tokens of each reduce request, level by level
+ */
+function planReduce(sizes, maxTokens) {
+  const levels = [];
+  let current = sizes;
+
+  for (;;) {
+    let batches = groupForReduce(current, maxTokens);
+    if (batches.length >= current.length) batches = [current.map((size, i) => i)];
+    const inputs = batches.map(batch => batch.reduce((sum, i) => sum + current[i], 0));
+    levels.push(inputs);
+
+    if (batches.length === 1) return levels;
+    current = inputs.map(input => Math.ceil(input / 2));
+  }
+}
+
+module.exports = {
+  STRATEGIES,
+  DEFAULT_STRATEGY,
+  DEFAULT_REDUCE_PROMPT,
+  validateStrategySettings,
+  buildReduceContent,
+  groupForReduce,
+  checkReduceLevel,
+  planReduce
+};
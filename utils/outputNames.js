@@ -0,0 +1,170 @@
+/**
+ * Output file names.
+ *
+ * By default the output of `talk.srt` is `processed_talk.srt` (PDF and DOCX inputs
+ * get a .txt extension, JSON output a .json one). A request or a saved prompt may
+ * give an output name template instead, written like a prompt template:
+ *   {{filename}}    - Input file name (talk.srt)
+ *   {{basename}}    - Input file name without its extension (talk)
+ *   {{ext}}         - Extension of the input file, without the dot (srt)
+ *   {{date}}        - Today's date (YYYY-MM-DD)
+ *   {{model}}       - Model key
+ *   {{step}}        - Name of the pipeline step that writes the output (empty for a single prompt)
+ *   {{step_number}} - Number of that step (1 for a single prompt)
+ * along with the job's custom variables, e.g. `{{basename}}.{{lang}}.srt`.
+ * Each step of a pipeline writes an output; by default they are named like
+ * `processed_talk.clean.srt`. Names are planned when the job is created, so a
+ * resumed job writes the same files; a name already taken in the job gets -2,
+ * -3, ... before its extension.
+ */
+
+const path = require('path');
+const { parseTemplate, renderTemplate, getBuiltinValues } = require('./promptTemplate');
+const { getTextFilename } = require('./formats');
+
+const OUTPUT_VARIABLES = ['filename', 'basename', 'ext', 'date', 'model', 'step', 'step_number'];
+
+// Characters that can't appear in a file name on common file systems
+const UNSAFE_CHARACTERS = /[\\/:*?"<>|\x00-\x1f]/g;
+
+/**
+ * Create the error raised for an invalid output name template
+ * @param {string} message - Error message
+ * @returns {Error} - Error with status 400
+ */
+function outputNameError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Validate an output name template
+ * @param {string} template - Template text
+ * @param {object} variables - Custom variable values of the job (optional; when given, each custom
+ *   variable the template uses must have one)
+ */
+function validateOutputName(template, variables) {
+  if (typeof template !== 'string' || !template.trim()) {
+    throw outputNameError('outputName must be a file name template');
+  }
+
+  const { builtin, custom } = parseTemplate(template);
+  const unsupported = builtin.filter(name => !OUTPUT_VARIABLES.includes(name));
+  if (unsupported.length > 0) {
+    throw outputNameError(`{{${unsupported[0]}}} can't be used in an output name (variables: ${OUTPUT_VARIABLES.join(', ')})`);
+  }
+
+  if (variables) {
+    const missing = custom.filter(name => !OUTPUT_VARIABLES.includes(name) && !(name in variables));
+    if (missing.length > 0) {
+      throw outputNameError(`Missing value for output name variable${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}`);
+    }
+  }
+}
+
+/**
+ * Validate the output name template set on a saved prompt, pipeline or pipeline step
+ * @param {string} value - Template (optional)
+ * @returns {string|null} - The trimmed template, or null when unset
+ */
+function validateOutputNameSetting(value) {
+  const template = typeof value === 'string' ? value.trim() || null : value || null;
+  if (template) validateOutputName(template);
+  return template;
+}
+
+/**
+ * Fill in an output name template for one file
+ * @param {string} template - Template text
+ * @param {object} values - { filename, variables, model, step, stepNumber }
+ * @returns {string} - File name (empty if nothing usable is left)
+ */
+function renderOutputName(template, { filename, variables = {}, model = '', step = '', stepNumber = 1 }) {
+  const ext = path.extname(filename);
+  const rendered = renderTemplate(template, {
+    ...variables,
+    ...getBuiltinValues({ filename }),
+    basename: path.basename(filename, ext),
+    ext: ext.slice(1),
+    model: model || '',
+    step: step || '',
+    step_number: stepNumber
+  });
+
+  // Names can't reach into other folders or hide as dotfiles
+  return rendered.replace(UNSAFE_CHARACTERS, '_').replace(/^[.\s]+|[.\s]+$/g, '');
+}
+
+/**
+ * Take a name that isn't used yet
+ * @param {string} name - Preferred name
+ * @param {Set<string>} used - Names taken so far (lower case); the result is added to it
+ * @returns {string} - The name, or the name with a -2, -3, ... suffix
+ */
+function takeUniqueName(name, used) {
+  const ext = path.extname(name);
+  const stem = name.slice(0, name.length - ext.length);
+
+  let candidate = name;
+  for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+    candidate = `${stem}-${n}${ext}`;
+  }
+  used.add(candidate.toLowerCase());
+  return candidate;
+}
+
+/**
+ * Default output name of a file
+ * @param {string} filename - Input file name
+ * @param {string} step - Pipeline step name (null for a single prompt)
+ * @param {boolean} json - The output is JSON
+ * @returns {string} - e.g. processed_talk.srt, or processed_talk.clean.srt for the clean step
+ */
+function getDefaultName(filename, step, json) {
+  const name = getTextFilename(filename, { json });
+  if (!step) return `processed_${name}`;
+
+  const ext = path.extname(name);
+  return `processed_${name.slice(0, name.length - ext.length)}.${step}${ext}`;
+}
+
+/**
+ * Plan the output names of a job
+ * @param {Array<object>} files - Job files ({ originalname })
+ * @param {object} options - Naming options
+ * @param {string} options.template - Output name template (null for the default names)
+ * @param {object} options.variables - Custom variable values
+ * @param {string} options.model - Model key
+ * @param {boolean} options.json - The output is JSON (for the default names)
+ * @param {Array<object>} options.steps - Steps that each write an output ({ name, model, json, template },
+ *   overriding the options above; default one unnamed step)
+ * @param {Array<string>} options.reserved - Names already used by other files of the job
+ * @returns {Array<Array<string>>} - Output names of each file, one per step
+ */
+function planOutputNames(files, { template = null, variables = {}, model = '', json = false, steps = [{}], reserved = [] } = {}) {
+  const used = new Set(reserved.map(name => name.toLowerCase()));
+
+  return files.map(file => steps.map((step, i) => {
+    const stepTemplate = step.template || template;
+    const rendered = stepTemplate
+      ? renderOutputName(stepTemplate, {
+        filename: file.originalname,
+        variables,
+        model: step.model || model,
+        step: step.name,
+        stepNumber: i + 1
+      })
+      : '';
+    const fallback = getDefaultName(file.originalname, step.name, step.json !== undefined ? step.json : json);
+    return takeUniqueName(rendered || fallback, used);
+  }));
+}
+
+module.exports = {
+  OUTPUT_VARIABLES,
+  validateOutputName,
+  validateOutputNameSetting,
+  renderOutputName,
+  planOutputNames
+};
@@ -0,0 +1,124 @@
+/**
+ * Streaming output written to `<output>.partial` while a file is processed.
+ *
+ * Chunks of a large file may stream in parallel, but the partial file only ever
+ * holds an in-order prefix of the final output: text of the first unfinished
+ * chunk is appended as it arrives, later chunks are buffered until their turn.
+ * Once every chunk is finished the partial file is renamed to the output path.
+ */
+
+const fs = require('fs').promises;
+
+const PARTIAL_SUFFIX = '.partial';
+
+/**
+ * Create a partial output file
+ * @param {string} outputPath - Final output path
+ * @param {object} options - Options
+ * @param {string} options.separator - Text written between chunks
+ * @returns {object} - Partial output controls
+ */
+function createPartialOutput(outputPath, { separator = '' } = {}) {
+  const partialPath = outputPath + PARTIAL_SUFFIX;
+  let chunks = [{ text: '', done: false }];
+  let head = 0; // First unfinished chunk; everything before it is on disk
+  let headOffset = 0; // Bytes on disk before the head chunk's text
+
+  // File operations run one after another, in the order they were requested
+  let writes = fs.writeFile(partialPath, '', 'utf8');
+  const enqueue = (operation) => {
+    writes = writes.then(operation);
+    writes.catch(() => {}); // Surfaced by complete()
+  };
+  const append = (text) => {
+    if (text) enqueue(() => fs.appendFile(partialPath, text, 'utf8'));
+  };
+
+  // Move past finished chunks, writing what the next chunk has buffered so far
+  const advance = () => {
+    while (head < chunks.length && chunks[head].done) {
+      headOffset += Buffer.byteLength(chunks[head].text);
+      head++;
+
+      if (head < chunks.length) {
+        append(separator);
+        headOffset += Buffer.byteLength(separator);
+        append(chunks[head].text);
+      }
+    }
+  };
+
+  const partial = {
+    path: partialPath,
+
+    /**
+     * Set how many chunks the output is made of (1 by default)
+     * @param {number} count - Number of chunks
+     */
+    setChunkCount(count) {
+      chunks = Array.from({ length: count }, (_, i) => chunks[i] || { text: '', done: false });
+    },
+
+    /**
+     * Add streamed text to a chunk
+     * @param {number} index - Chunk index
+     * @param {string} text - Text received
+     */
+    write(index, text) {
+      chunks[index].text += text;
+      if (index === head) append(text);
+    },
+
+    /**
+     * Discard a chunk's text, e.g. before a retry streams it again
+     * @param {number} index - Chunk index
+     */
+    reset(index) {
+      chunks[index].text = '';
+      if (index === head) {
+        const offset = headOffset;
+        enqueue(() => fs.truncate(partialPath, offset));
+      }
+    },
+
+    /**
+     * Mark a chunk as finished with its final text
+     * @param {number} index - Chunk index
+     * @param {string} text - Final chunk text (replaces the streamed text if it differs)
+     */
+    finish(index, text) {
+      if (chunks[index].text !== text) {
+        partial.reset(index);
+        partial.write(index, text);
+      }
+      chunks[index].done = true;
+      advance();
+    },
+
+    /**
+     * Wait for pending writes and atomically move the partial file to the output path
+     * @returns {Promise<string>} - Output path
+     */
+    async complete() {
+      await writes;
+      await fs.rename(partialPath, outputPath);
+      return outputPath;
+    },
+
+    /**
+     * Wait for pending writes, leaving the partial file on disk for inspection
+     * @returns {Promise<string>} - Partial file path
+     */
+    async abort() {
+      await writes.catch(() => {});
+      return partialPath;
+    }
+  };
+
+  return partial;
+}
+
+module.exports = {
+  PARTIAL_SUFFIX,
+  createPartialOutput
+};
@@ -0,0 +1,88 @@
+/**
+ * Multi-step prompt pipelines.
+ *
+ * A pipeline in pipelines.json (next to prompts.json) runs every file through
+ * ordered steps, each step working on the output of the one before:
+ *   {
+ *     "name": "Transcript",
+ *     "steps": [
+ *       { "name": "clean", "text": "Clean up this transcript", "model": "gpt-4o-mini" },
+ *       { "name": "translate", "text": "Translate into {{lang}}" },
+ *       { "name": "summary", "prompt": "Sermon Finder", "model": "gpt-4o", "outputName": "{{basename}}.summary.md" }
+ *     ],
+ *     "outputName": "{{basename}}.{{step}}.{{ext}}"
+ *   }
+ * A step gives its prompt as text, or names a saved prompt whose text and
+ * settings it uses. Steps without a model use the job's model. Every step saves
+ * its output, named by the step's output name template or else the pipeline's
+ * (see utils/outputNames). The next step reads that output as the format its
+ * extension gives, so a step saved as .md is no longer treated as subtitles.
+ */
+
+const { parseTemplate } = require('./promptTemplate');
+const { validateOutputNameSetting } = require('./outputNames');
+
+// Step names end up in output file names
+const STEP_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Create the error raised for an invalid pipeline
+ * @param {string} message - Error message
+ * @returns {Error} - Error with status 400
+ */
+function invalidPipelineError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Validate a pipeline entry
+ * @param {object} entry - Pipeline entry ({ name, steps, outputName })
+ * @returns {object} - { name, steps, outputName } where each step is { name, prompt, text, model, outputName }
+ *   with exactly one of prompt and text set, and unset fields null
+ */
+function getPipelineDefinition(entry = {}) {
+  if (typeof entry.name !== 'string' || !entry.name.trim()) {
+    throw invalidPipelineError('Pipeline name is required');
+  }
+  if (!Array.isArray(entry.steps) || entry.steps.length === 0) {
+    throw invalidPipelineError('A pipeline needs at least one step');
+  }
+
+  const names = new Set();
+  const steps = entry.steps.map((step, i) => {
+    const label = `Step ${i + 1}`;
+    if (!step || typeof step !== 'object') {
+      throw invalidPipelineError(`${label} must be an object`);
+    }
+
+    const name = step.name === undefined || step.name === null || step.name === '' ? `step${i + 1}` : step.name;
+    if (typeof name !== 'string' || !STEP_NAME_PATTERN.test(name)) {
+      throw invalidPipelineError(`${label} name may only use letters, digits, - and _`);
+    }
+    if (names.has(name)) {
+      throw invalidPipelineError(`Step name "${name}" is used twice`);
+    }
+    names.add(name);
+
+    const prompt = typeof step.prompt === 'string' && step.prompt.trim() ? step.prompt.trim() : null;
+    const text = typeof step.text === 'string' && step.text.trim() ? step.text : null;
+    if (!prompt === !text) {
+      throw invalidPipelineError(`${label} (${name}) needs either the text of its prompt or the name of a saved prompt`);
+    }
+    if (text) parseTemplate(text);
+
+    if (step.model !== undefined && step.model !== null && typeof step.model !== 'string') {
+      throw invalidPipelineError(`${label} (${name}) model must be a model key`);
+    }
+
+    return { name, prompt, text, model: step.model || null, outputName: validateOutputNameSetting(step.outputName) };
+  });
+
+  return { name: entry.name.trim(), steps, outputName: validateOutputNameSetting(entry.outputName) };
+}
+
+module.exports = {
+  getPipelineDefinition
+};
@@ -0,0 +1,125 @@
+/**
+ * Chat messages sent for a file or chunk.
+ *
+ * The prompt goes in a system message and the file in a user message. A saved
+ * prompt in prompts.json may also carry few-shot examples and choose how the
+ * file content is framed:
+ *   {
+ *     "name": "...", "text": "...",
+ *     "contentFraming": "raw" | "fenced" | "xml",
+ *     "examples": [{ "input": "sample file", "output": "expected response" }]
+ *   }
+ * Example inputs are framed the same way as the file itself.
+ */
+
+const { validateStrategySettings } = require('./mapReduce');
+const { validateOutputSchema } = require('./jsonOutput');
+const { validateOutputNameSetting } = require('./outputNames');
+const { validateDialogueOnly } = require('./formats/dialogue');
+
+const CONTENT_FRAMINGS = ['raw', 'fenced', 'xml'];
+const DEFAULT_CONTENT_FRAMING = 'raw';
+
+/**
+ * Create the error raised for invalid prompt settings
+ * @param {string} message - Error message
+ * @returns {Error} - Error with status 400
+ */
+function invalidSettingsError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Validate the message settings of a saved prompt
+ * @param {object} entry - Prompt entry ({ contentFraming, examples })
+ * @returns {object} - { contentFraming, examples } with defaults filled in
+ */
+function validateMessageSettings(entry = {}) {
+  const contentFraming = entry.contentFraming || DEFAULT_CONTENT_FRAMING;
+  if (!CONTENT_FRAMINGS.includes(contentFraming)) {
+    throw invalidSettingsError(`contentFraming must be one of: ${CONTENT_FRAMINGS.join(', ')}`);
+  }
+
+  const examples = entry.examples || [];
+  if (!Array.isArray(examples)) {
+    throw invalidSettingsError('examples must be an array of { input, output } pairs');
+  }
+  examples.forEach((example, i) => {
+    if (!example || typeof example.input !== 'string' || typeof example.output !== 'string') {
+      throw invalidSettingsError(`Example ${i + 1} needs an input and an output`);
+    }
+  });
+
+  return {
+    contentFraming,
+    examples: examples.map(({ input, output }) => ({ input, output }))
+  };
+}
+
+/**
+ * Validate all the settings of a saved prompt. Each setting is checked by the module that uses it:
+ * the strategy and reducePrompt by utils/mapReduce, outputSchema by utils/jsonOutput, outputName
+ * by utils/outputNames and dialogueOnly by utils/formats/dialogue.
+ * @param {object} entry - Prompt entry ({ contentFraming, examples, strategy, reducePrompt, outputSchema, outputName, dialogueOnly })
+ * @returns {object} - { contentFraming, examples, strategy, reducePrompt, outputSchema, outputName, dialogueOnly } with
+ *   defaults filled in (reducePrompt is null unless the strategy is map-reduce, outputSchema and outputName are null
+ *   when unset, dialogueOnly is false unless set)
+ */
+function getPromptSettings(entry = {}) {
+  return {
+    ...validateMessageSettings(entry),
+    ...validateStrategySettings(entry),
+    outputSchema: validateOutputSchema(entry.outputSchema),
+    outputName: validateOutputNameSetting(entry.outputName),
+    dialogueOnly: validateDialogueOnly(entry.dialogueOnly)
+  };
+}
+
+/**
+ * Frame file content for a user message
+ * @param {string} content - File or chunk content
+ * @param {string} framing - 'raw', 'fenced' or 'xml'
+ * @returns {string} - Message content
+ */
+function frameContent(content, framing = DEFAULT_CONTENT_FRAMING) {
+  if (framing === 'fenced') {
+    // The fence must be longer than any backtick run inside the content
+    const longestRun = Math.max(0, ...(content.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(Math.max(3, longestRun + 1));
+    return `${fence}\n${content}\n${fence}`;
+  }
+  if (framing === 'xml') {
+    return `<file_content>\n${content}\n</file_content>`;
+  }
+  return content;
+}
+
+/**
+ * Build the messages of a request
+ * @param {string} prompt - System prompt
+ * @param {string} content - File or chunk content
+ * @param {object} settings - { contentFraming, examples } from getPromptSettings (optional)
+ * @returns {Array<object>} - Chat messages ({ role, content })
+ */
+function buildMessages(prompt, content, settings = {}) {
+  const framing = settings.contentFraming || DEFAULT_CONTENT_FRAMING;
+  const examples = (settings.examples || []).flatMap(example => [
+    { role: 'user', content: frameContent(example.input, framing) },
+    { role: 'assistant', content: example.output }
+  ]);
+
+  return [
+    { role: 'system', content: prompt },
+    ...examples,
+    { role: 'user', content: frameContent(content, framing) }
+  ];
+}
+
+module.exports = {
+  CONTENT_FRAMINGS,
+  getPromptSettings,
+  frameContent,
+  buildMessages
+};
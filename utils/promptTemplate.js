@@ -0,0 +1,202 @@
+/**
+ * Prompt templates.
+ *
+ * A prompt may reference variables as `{{name}}`, filled in before each request:
+ *   {{filename}}         - Name of the file being processed
+ *   {{chunk.index}}      - Number of the chunk being sent (1 for a file sent whole)
+ *   {{chunk.total}}      - Number of chunks the file was split into
+ *   {{previous_summary}} - Context carried over from the previous chunk (empty when there is none)
+ *   {{date}}             - Today's date (YYYY-MM-DD)
+ * Any other plain name is a custom variable whose value is supplied with the job.
+ * `\{{` writes a literal `{{`.
+ */
+
+const BUILTIN_VARIABLES = ['filename', 'chunk.index', 'chunk.total', 'previous_summary', 'date'];
+const CHUNK_VARIABLES = ['chunk.index', 'chunk.total'];
+
+const TAG = /\\\{\{|\{\{([\s\S]*?)\}\}|\{\{/g;
+const VARIABLE_NAME = /^[A-Za-z_]\w*(\.[A-Za-z_]\w*)*$/;
+const CUSTOM_NAME = /^[A-Za-z_]\w*$/;
+
+/**
+ * Create the error raised for an invalid template or variable
+ * @param {string} message - Error message
+ * @returns {Error} - Error with status 400
+ */
+function templateError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Walk the tags of a template
+ * @param {string} text - Template text
+ * @param {Function} onText - Called with each piece of literal text
+ * @param {Function} onVariable - Called with each variable name
+ */
+function scanTemplate(text, onText, onVariable) {
+  let last = 0;
+  let match;
+
+  TAG.lastIndex = 0;
+  while ((match = TAG.exec(text)) !== null) {
+    onText(text.slice(last, match.index));
+    last = TAG.lastIndex;
+
+    if (match[0] === '\\{{') {
+      onText('{{');
+      continue;
+    }
+
+    const name = match[1] === undefined ? null : match[1].trim();
+    if (name === null || name.includes('{{')) {
+      throw templateError(`Unclosed "{{" at character ${match.index + 1}`);
+    }
+    if (!VARIABLE_NAME.test(name)) {
+      throw templateError(`Invalid variable "{{${match[1]}}}" at character ${match.index + 1}`);
+    }
+    if (!BUILTIN_VARIABLES.includes(name) && !CUSTOM_NAME.test(name)) {
+      throw templateError(`Unknown variable "{{${name}}}" (built-in variables: ${BUILTIN_VARIABLES.join(', ')})`);
+    }
+    onVariable(name);
+  }
+
+  onText(text.slice(last));
+}
+
+/**
+ * Validate a template and list the variables it uses
+ * @param {string} text - Template text
+ * @returns {object} - { builtin, custom } variable names, each listed once
+ */
+function parseTemplate(text) {
+  const names = new Set();
+  scanTemplate(text || '', () => {}, name => names.add(name));
+
+  return {
+    builtin: [...names].filter(name => BUILTIN_VARIABLES.includes(name)),
+    custom: [...names].filter(name => !BUILTIN_VARIABLES.includes(name))
+  };
+}
+
+/**
+ * Validate the custom variables supplied with a job
+ * @param {object|string} variables - Variables object, or its JSON (form fields arrive as strings)
+ * @returns {object} - Variable values by name
+ */
+function parseVariables(variables) {
+  if (variables === undefined || variables === null || variables === '') return {};
+
+  let parsed = variables;
+  if (typeof variables === 'string') {
+    try {
+      parsed = JSON.parse(variables);
+    } catch (error) {
+      throw templateError('variables must be a JSON object of names and values');
+    }
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw templateError('variables must be a JSON object of names and values');
+  }
+
+  const result = {};
+  Object.entries(parsed).forEach(([name, value]) => {
+    if (!CUSTOM_NAME.test(name) || BUILTIN_VARIABLES.includes(name)) {
+      throw templateError(`Invalid variable name "${name}"`);
+    }
+    if (value !== null && typeof value === 'object') {
+      throw templateError(`Variable "${name}" must be text`);
+    }
+    result[name] = value === null ? '' : String(value);
+  });
+  return result;
+}
+
+/**
+ * Check that a template has a value for each custom variable it uses
+ * @param {string} text - Template text
+ * @param {object} variables - Custom variable values
+ */
+function assertVariablesSupplied(text, variables) {
+  const missing = parseTemplate(text).custom.filter(name => !(name in variables));
+  if (missing.length > 0) {
+    throw templateError(`Missing value for template variable${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}`);
+  }
+}
+
+/**
+ * Whether a template places the chunk number itself
+ * @param {string} text - Template text
+ * @returns {boolean} - True if it uses {{chunk.index}} or {{chunk.total}}
+ */
+function usesChunkVariables(text) {
+  return parseTemplate(text).builtin.some(name => CHUNK_VARIABLES.includes(name));
+}
+
+/**
+ * Fill in a template
+ * @param {string} text - Template text
+ * @param {object} values - Values by variable name ('filename', 'chunk.index', custom names, ...)
+ * @returns {string} - Rendered text (variables without a value render empty)
+ */
+function renderTemplate(text, values) {
+  let result = '';
+  scanTemplate(text || '', piece => {
+    result += piece;
+  }, name => {
+    const value = values[name];
+    result += value === undefined || value === null ? '' : String(value);
+  });
+  return result;
+}
+
+/**
+ * Get the built-in values of a request
+ * @param {object} options - { filename, chunkIndex (zero-based), chunkTotal, previousSummary }
+ * @returns {object} - Values by built-in variable name
+ */
+function getBuiltinValues({ filename = '', chunkIndex = 0, chunkTotal = 1, previousSummary = '' } = {}) {
+  return {
+    filename,
+    'chunk.index': chunkIndex + 1,
+    'chunk.total': chunkTotal,
+    previous_summary: previousSummary,
+    date: new Date().toISOString().slice(0, 10)
+  };
+}
+
+/**
+ * Fill in the prompt template for one request. Chunks of a large file are told where they are,
+ * unless the template places {{chunk.index}} or {{chunk.total}} itself.
+ * @param {string} prompt - Prompt template
+ * @param {object} template - Template values
+ * @param {string} template.fileName - Name of the file being processed
+ * @param {object} template.variables - Custom variable values
+ * @param {number} template.index - Zero-based chunk index
+ * @param {number} template.count - Number of chunks (1 for a file sent whole)
+ * @param {string} template.previousSummary - Context carried over from the previous chunk
+ * @returns {string} - Prompt to send
+ */
+function renderPrompt(prompt, { fileName = '', variables = {}, index = 0, count = 1, previousSummary = '' } = {}) {
+  const rendered = renderTemplate(prompt, {
+    ...variables,
+    ...getBuiltinValues({ filename: fileName, chunkIndex: index, chunkTotal: count, previousSummary })
+  });
+
+  if (count > 1 && !usesChunkVariables(prompt)) {
+    return `${rendered}\n\n[This is chunk ${index + 1} of ${count} from the original file]`;
+  }
+  return rendered;
+}
+
+module.exports = {
+  BUILTIN_VARIABLES,
+  parseTemplate,
+  parseVariables,
+  assertVariablesSupplied,
+  usesChunkVariables,
+  renderTemplate,
+  getBuiltinValues,
+  renderPrompt
+};
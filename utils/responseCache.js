@@ -0,0 +1,184 @@
+/**
+ * On-disk cache of model responses under `<data dir>/cache`.
+ *
+ * Entries are keyed by a hash of the model and the messages sent (prompt, examples and text),
+ * so re-running a prompt over the same transcripts doesn't go back to the API.
+ * Entries expire after RESPONSE_CACHE_TTL_HOURS; once the cache grows past
+ * RESPONSE_CACHE_MAX_MB the least recently used entries are removed.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { hashContent } = require('./jobManifest');
+const { logInfo, logError } = require('./logger');
+const { paths } = require('../config/paths');
+
+const DEFAULT_TTL_HOURS = 168; // One week
+const DEFAULT_MAX_MB = 100;
+
+// Bytes on disk, counted the first time an entry is written
+let cacheSize = null;
+
+/**
+ * Read the cache settings from the environment
+ * @returns {object} - { enabled, ttlMs, maxBytes }
+ */
+function getCacheSettings() {
+  const ttlHours = parseFloat(process.env.RESPONSE_CACHE_TTL_HOURS);
+  const maxMb = parseFloat(process.env.RESPONSE_CACHE_MAX_MB);
+  const ttl = Number.isFinite(ttlHours) ? ttlHours : DEFAULT_TTL_HOURS;
+  const max = Number.isFinite(maxMb) ? maxMb : DEFAULT_MAX_MB;
+
+  return {
+    enabled: ttl > 0 && max > 0,
+    ttlMs: ttl * 60 * 60 * 1000,
+    maxBytes: max * 1024 * 1024
+  };
+}
+
+/**
+ * Build the cache key of a request
+ * @param {string} model - Model key
+ * @param {Array<object>} messages - Chat messages sent (system prompt, examples and file or chunk text)
+ * @returns {string} - Cache key
+ */
+function getCacheKey(model, messages) {
+  return hashContent(model, JSON.stringify(messages));
+}
+
+/**
+ * Get the path of a cache entry
+ * @param {string} key - Cache key
+ * @returns {string} - Entry path
+ */
+function entryPath(key) {
+  return path.join(paths.cache, `${key}.json`);
+}
+
+/**
+ * List the cache entries with their size and last use
+ * @returns {Promise<Array<object>>} - { path, size, mtimeMs } per entry
+ */
+async function listEntries() {
+  let files;
+  try {
+    files = await fs.readdir(paths.cache);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const entries = await Promise.all(files
+    .filter(file => file.endsWith('.json'))
+    .map(async (file) => {
+      const filePath = path.join(paths.cache, file);
+      try {
+        const stats = await fs.stat(filePath);
+        return { path: filePath, size: stats.size, mtimeMs: stats.mtimeMs };
+      } catch (error) {
+        return null; // Removed while listing
+      }
+    }));
+
+  return entries.filter(Boolean);
+}
+
+/**
+ * Look up a cached response
+ * @param {string} key - Cache key
+ * @returns {Promise<string|null>} - Cached response, or null on a miss
+ */
+async function getCachedResponse(key) {
+  const { enabled, ttlMs } = getCacheSettings();
+  if (!enabled) return null;
+
+  const filePath = entryPath(key);
+  let entry;
+  try {
+    entry = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logError(`Unreadable cache entry ${key}: ${error.message}`);
+    }
+    return null;
+  }
+
+  if (Date.now() - entry.createdAt > ttlMs) {
+    await fs.unlink(filePath).catch(() => {});
+    return null;
+  }
+
+  // The modification time marks the last use for size-based eviction
+  const now = new Date();
+  await fs.utimes(filePath, now, now).catch(() => {});
+  return entry.content;
+}
+
+/**
+ * Store a response, evicting the least recently used entries when the cache is full
+ * @param {string} key - Cache key
+ * @param {string} model - Model key
+ * @param {string} content - Model response
+ */
+async function setCachedResponse(key, model, content) {
+  const { enabled, maxBytes } = getCacheSettings();
+  if (!enabled) return;
+
+  const data = JSON.stringify({ model, createdAt: Date.now(), content });
+  const filePath = entryPath(key);
+
+  await fs.mkdir(paths.cache, { recursive: true });
+  if (cacheSize === null) {
+    cacheSize = (await listEntries()).reduce((sum, entry) => sum + entry.size, 0);
+  }
+
+  await fs.writeFile(`${filePath}.tmp`, data, 'utf8');
+  await fs.rename(`${filePath}.tmp`, filePath);
+  cacheSize += Buffer.byteLength(data);
+
+  if (cacheSize > maxBytes) {
+    await pruneResponseCache();
+  }
+}
+
+/**
+ * Remove expired entries, then the least recently used ones until the cache fits its size cap
+ * @returns {Promise<number>} - Number of entries removed
+ */
+async function pruneResponseCache() {
+  const { ttlMs, maxBytes } = getCacheSettings();
+  const entries = (await listEntries()).sort((a, b) => a.mtimeMs - b.mtimeMs);
+  const now = Date.now();
+
+  let size = entries.reduce((sum, entry) => sum + entry.size, 0);
+  let removed = 0;
+
+  for (const entry of entries) {
+    // An entry unused for longer than the TTL has expired (it was created before its last use)
+    if (size <= maxBytes && now - entry.mtimeMs <= ttlMs) break;
+
+    try {
+      await fs.unlink(entry.path);
+      size -= entry.size;
+      removed++;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logError(`Failed to remove cache entry ${entry.path}: ${error.message}`);
+      }
+    }
+  }
+
+  cacheSize = size;
+  if (removed > 0) {
+    logInfo(`Removed ${removed} entries from the response cache (${(size / 1024 / 1024).toFixed(2)} MB left)`);
+  }
+  return removed;
+}
+
+module.exports = {
+  getCacheSettings,
+  getCacheKey,
+  getCachedResponse,
+  setCachedResponse,
+  pruneResponseCache
+};
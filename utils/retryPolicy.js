@@ -0,0 +1,84 @@
+/**
+ * Retry policy for API calls.
+ * A model entry in models.json can override any field with a "retry" object, e.g.
+ *   "retry": { "maxAttempts": 3, "baseDelayMs": 2000 }
+ */
+
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 5, // Total attempts, including the first one
+  baseDelayMs: 1000, // Delay before the first retry; doubles on every attempt
+  maxDelayMs: 60000, // Upper bound for any single delay, including Retry-After
+  jitter: 0.2, // Randomize each delay by up to ±20% so parallel callers spread out
+  retryOnStatus: [408, 429, 500, 502, 503, 504],
+  retryOnErrorCodes: ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ESTREAMINCOMPLETE']
+};
+
+/**
+ * Build the retry policy for a model
+ * @param {object|null} model - Model information from models.json
+ * @returns {object} - Retry policy
+ */
+function resolveRetryPolicy(model) {
+  return {
+    ...DEFAULT_RETRY_POLICY,
+    ...(model && model.retry ? model.retry : {})
+  };
+}
+
+/**
+ * Check whether a failed attempt should be retried
+ * @param {object} policy - Retry policy
+ * @param {Error} error - Error from the attempt (with optional status/code)
+ * @returns {boolean} - True if the error is retryable
+ */
+function isRetryableError(policy, error) {
+  if (error.status) {
+    return policy.retryOnStatus.includes(error.status);
+  }
+  return !!error.code && policy.retryOnErrorCodes.includes(error.code);
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date)
+ * @param {string|number} retryAfter - Header value
+ * @returns {number|null} - Delay in milliseconds, or null if absent/invalid
+ */
+function parseRetryAfter(retryAfter) {
+  if (retryAfter === undefined || retryAfter === null || retryAfter === '') return null;
+
+  const seconds = Number(retryAfter);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Compute the delay before the next attempt
+ * @param {object} policy - Retry policy
+ * @param {number} attempt - Number of the attempt that just failed (1-based)
+ * @param {string|number} retryAfter - Retry-After header from the response (optional)
+ * @returns {number} - Delay in milliseconds
+ */
+function getRetryDelay(policy, attempt, retryAfter) {
+  // The server knows best when it will accept requests again
+  const serverDelay = parseRetryAfter(retryAfter);
+  if (serverDelay !== null) {
+    return Math.min(serverDelay, policy.maxDelayMs);
+  }
+
+  const exponential = Math.min(policy.baseDelayMs * Math.pow(2, attempt - 1), policy.maxDelayMs);
+  const spread = exponential * policy.jitter;
+  const delay = exponential - spread + Math.random() * spread * 2;
+
+  return Math.round(Math.min(Math.max(delay, 0), policy.maxDelayMs));
+}
+
+module.exports = {
+  DEFAULT_RETRY_POLICY,
+  resolveRetryPolicy,
+  isRetryableError,
+  getRetryDelay
+};
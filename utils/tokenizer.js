@@ -0,0 +1,105 @@
+/**
+ * Token counting with the BPE tokenizers of the model families in models.json.
+ *
+ * Each model names its tokenizer in a `tokenizer` field:
+ *   - o200k_base:  GPT-4o, GPT-4.1, GPT-5 and the o-series
+ *   - cl100k_base: GPT-4 and GPT-3.5, and the closest public match for models
+ *                  whose own tokenizer isn't published (Claude, Gemini, Llama, ...)
+ *   - p50k_base / gpt2: older OpenAI-compatible models
+ * Models without a known tokenizer fall back to 1 token ≈ 4 characters.
+ * Encoders are loaded on first use, as their rank tables take a moment to build.
+ *
+ * BPE takes time growing with the square of each piece's length, and a run of
+ * text without spaces (base64, minified code, a line of dashes) is one piece, so
+ * long runs are counted in slices of MAX_PIECE_CHARS. A slice boundary can
+ * change the count of a run by a token or so.
+ */
+
+const { Tiktoken } = require('js-tiktoken/lite');
+const { logError } = require('./logger');
+
+const CHARS_PER_TOKEN = 4;
+
+const MAX_PIECE_CHARS = 200;
+const LONG_RUN = new RegExp(`\\S{${MAX_PIECE_CHARS + 1},}|\\s{${MAX_PIECE_CHARS + 1},}`, 'g');
+
+// Rank tables bundled with js-tiktoken, by tokenizer name
+const RANKS = {
+  o200k_base: 'js-tiktoken/ranks/o200k_base',
+  cl100k_base: 'js-tiktoken/ranks/cl100k_base',
+  p50k_base: 'js-tiktoken/ranks/p50k_base',
+  gpt2: 'js-tiktoken/ranks/gpt2'
+};
+
+const encoders = new Map();
+const warned = new Set();
+
+/**
+ * Get the tokenizer name of a model
+ * @param {object|null} modelInfo - Model entry from models.json
+ * @returns {string} - Tokenizer name, or 'chars' for the length-based fallback
+ */
+function getTokenizerName(modelInfo) {
+  const name = modelInfo && modelInfo.tokenizer;
+  if (!name || name === 'chars') return 'chars';
+
+  if (!RANKS[name]) {
+    if (!warned.has(name)) {
+      warned.add(name);
+      logError(`Unknown tokenizer "${name}" for model ${modelInfo.key}, counting 4 characters per token`);
+    }
+    return 'chars';
+  }
+  return name;
+}
+
+/**
+ * Get the (cached) encoder of a tokenizer
+ * @param {string} name - Tokenizer name from RANKS
+ * @returns {Tiktoken} - Encoder
+ */
+function getEncoder(name) {
+  if (!encoders.has(name)) {
+    encoders.set(name, new Tiktoken(require(RANKS[name])));
+  }
+  return encoders.get(name);
+}
+
+/**
+ * Count the tokens of a text as the model would
+ * @param {string} text - Text to count
+ * @param {object|null} modelInfo - Model entry from models.json
+ * @returns {number} - Token count
+ */
+function countTokens(text, modelInfo) {
+  if (!text) return 0;
+
+  const name = getTokenizerName(modelInfo);
+  if (name === 'chars') return Math.ceil(text.length / CHARS_PER_TOKEN);
+
+  // Special tokens in a file (e.g. "<|endoftext|>") are counted as ordinary text
+  const encoder = getEncoder(name);
+  const encodedLength = piece => (piece ? encoder.encode(piece, [], []).length : 0);
+
+  let count = 0;
+  let last = 0;
+  for (const match of text.matchAll(LONG_RUN)) {
+    count += encodedLength(text.slice(last, match.index));
+    let start = match.index;
+    last = match.index + match[0].length;
+    while (start < last) {
+      // Don't split a surrogate pair
+      let end = Math.min(start + MAX_PIECE_CHARS, last);
+      if (end < last && /[\uD800-\uDBFF]/.test(text[end - 1])) end--;
+      count += encodedLength(text.slice(start, end));
+      start = end;
+    }
+  }
+  return count + encodedLength(text.slice(last));
+}
+
+module.exports = {
+  CHARS_PER_TOKEN,
+  getTokenizerName,
+  countTokens
+};